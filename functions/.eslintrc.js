@@ -26,6 +26,12 @@ module.exports = {
       },
       rules: {},
     },
+    {
+      files: ["tests/**/*.test.js"],
+      env: {
+        jest: true,
+      },
+    },
   ],
   globals: {},
 };
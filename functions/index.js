@@ -1,81 +1,130 @@
 const {setGlobalOptions} = require("firebase-functions/v2");
 const {onRequest} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
-const logger = require("firebase-functions/logger");
-const Anthropic = require("@anthropic-ai/sdk");
-const {google} = require("googleapis");
-const fs = require("fs");
-const path = require("path");
+const {onDocumentCreated} = require("firebase-functions/v2/firestore");
+const logger = require("./spark/logger");
+const {getLeadStore, upsertLead} = require("./spark/leadStore");
+const {
+  getConversationStore,
+  toAnthropicMessages,
+  getSpeakerLabel,
+} = require("./spark/conversationStore");
+const {
+  checkChatRateLimit,
+  checkContactRateLimit,
+  checkWidgetTokenRateLimit,
+  getClientIP,
+} = require("./spark/rateLimit");
+const {checkChatLimits} = require("./spark/chatLimits");
+const {
+  fromAnthropicUsage,
+  recordUsage,
+  calculateCacheSavings,
+  getBudgetStatus,
+} = require("./spark/costTracking");
+const {
+  SAVE_LEAD_TOOL,
+  validateLeadData,
+  validateContactData,
+  withSavedContact,
+  toLeadRecord,
+} = require("./spark/leadData");
+const {issueWidgetToken, checkWidgetToken} = require("./spark/widgetToken");
+const {createChallenge, verifyChallenge} = require("./spark/challenge");
+const {
+  resolveTenant,
+  getRequestTenantId,
+  toWidgetConfig,
+} = require("./spark/tenants");
+const {authenticateAdmin} = require("./spark/adminAuth");
+const {getPromptStore} = require("./spark/promptStore");
+const {
+  getSystemPrompt,
+  validatePromptInput,
+  clearPromptCache,
+} = require("./spark/prompts");
+const {
+  enqueueAnalysisJob,
+  processAnalysisJob,
+} = require("./spark/analysisJobs");
+const {COLLECTIONS} = require("./spark/firestore");
+const {
+  getExperiment,
+  getSessionVariant,
+  experimentFields,
+  buildExperimentReport,
+} = require("./spark/experiments");
+const {notifyLead, processDelivery} = require("./spark/notifications");
+const {
+  checkSessionConsent,
+  parsePrivacyQuery,
+  exportPersonalData,
+  erasePersonalData,
+  purgeExpiredTranscripts,
+  toDataLayerLead,
+} = require("./spark/privacy");
+const {getRequestLocale, localizePrompt} = require("./spark/locales");
+const {UI_TOOLS, isUiTool, toDirectiveEvent} = require("./spark/uiDirectives");
+const {
+  listLiveSessions,
+  findLiveSession,
+  takeOverSession,
+  releaseSession,
+  sendOperatorMessage,
+  waitForTurns,
+  parseCursor,
+} = require("./spark/live");
+const {
+  parseEventId,
+  openResumableStream,
+  getResumableStream,
+  replayStream,
+  watchDisconnect,
+  waitForPreviousStream,
+} = require("./spark/streamResume");
+const {
+  buildChatContext,
+  getChatContext,
+  updateChatContext,
+} = require("./spark/contextManager");
+const {
+  buildCachedSystem,
+  withCacheBreakpoint,
+} = require("./spark/promptCaching");
+const {getChatRoutes, streamChatRound} = require("./spark/chatProviders");
 
 setGlobalOptions({maxInstances: 10, region: "europe-west1"});
 
 // --- SHARED HELPERS ---
 
-/**
- * Returns authenticated Google Sheets client.
- */
-function getSheetsClient() {
-  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON || "";
-  const credentials = JSON.parse(raw);
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  return google.sheets({version: "v4", auth});
-}
-
-/**
- * Finds row number (1-indexed) by sessionId in column K.
- * Returns null if not found.
- */
-async function findRowBySessionId(sheets, sheetId, sessionId) {
-  const resp = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: "K:K",
-  });
-  const rows = resp.data.values || [];
-  for (let i = 0; i < rows.length; i++) {
-    if (rows[i][0] === sessionId) {
-      return i + 1; // 1-indexed
-    }
-  }
-  return null;
-}
-
 /**
  * Formats conversation array as "Utente: ... | Spark: ..."
  */
-function formatTranscript(conversazione) {
+function formatTranscript(conversazione, assistantName = "Spark") {
   if (!Array.isArray(conversazione)) return "";
   return conversazione
       .map((msg) => {
-        const ruolo = msg.role === "user" ? "Utente" : "Spark";
+        const ruolo = getSpeakerLabel(msg.role, assistantName);
         const testo = (msg.content || "").replace(/\n+/g, " ").trim();
         return `${ruolo}: ${testo}`;
       })
       .join(" | ");
 }
 
-// --- CORS ---
-const ALLOWED_ORIGINS = [
-  "https://gonexo.site",
-  "https://www.gonexo.site",
-  "https://gonexo.it",
-  "https://www.gonexo.it",
-  "http://localhost:3000",
-];
+// --- TENANT + CORS ---
 
 /**
- * Gestisce le intestazioni CORS.
+ * Gestisce le intestazioni CORS con le origini del tenant.
  * Restituisce true se la richiesta è un preflight OPTIONS (già gestito).
  */
-function handleCors(req, res) {
+function handleCors(req, res, tenant) {
   const origin = req.headers.origin;
-  if (ALLOWED_ORIGINS.includes(origin)) {
+  if (tenant.allowedOrigins.includes(origin)) {
     res.set("Access-Control-Allow-Origin", origin);
+    res.set("Vary", "Origin");
   }
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
   res.set("Access-Control-Max-Age", "3600");
 
   if (req.method === "OPTIONS") {
@@ -85,26 +134,285 @@ function handleCors(req, res) {
   return false;
 }
 
-// --- System Prompt (caricato una sola volta per istanza) ---
-let cachedSystemPrompt = null;
+/**
+ * Risolve il tenant della richiesta (?tenant=) e gestisce CORS.
+ * Restituisce il tenant, oppure null se la richiesta ha già avuto
+ * risposta (tenant sconosciuto o preflight).
+ */
+async function handleTenantRequest(req, res) {
+  const tenantId = getRequestTenantId(req);
+  const tenant = await resolveTenant(tenantId);
+  if (!tenant) {
+    logger.warn("Tenant sconosciuto", {tenantId});
+    res.status(404).json({error: "Tenant sconosciuto"});
+    return null;
+  }
+  return handleCors(req, res, tenant) ? null : tenant;
+}
+
+/**
+ * Salva un lead qualificato e accoda le notifiche: nuovo lead, oppure
+ * cambio di probabilità rispetto al record precedente.
+ */
+async function saveLeadRecord(tenant, sessionId, record) {
+  const store = getLeadStore(tenant);
+  const previous = sessionId ? await store.get(sessionId) : null;
+  const {created} = await upsertLead(store, sessionId, record);
+  await notifyLead({tenant, sessionId, previous, record});
+  return {created};
+}
+
+/**
+ * Valida i dati passati dal modello allo strumento save_lead e salva il lead.
+ * I contatti mancanti si prendono dal record della sessione, se l'utente
+ * li ha inviati con il modulo contatti.
+ * Restituisce {saved, errors, record}: gli errori tornano al modello come
+ * tool_result, così può correggere i dati e riprovare.
+ */
+async function saveChatLead(tenant, sessionId, input,
+    {transcript, trafficSource, promptVersion, variant, lingua}) {
+  let saved = null;
+  try {
+    saved = await getLeadStore(tenant).get(sessionId);
+  } catch (err) {
+    logger.warn("Lead della sessione non disponibile", {
+      sessionId,
+      message: err.message,
+    });
+  }
+  const {valid, errors, lead} =
+    validateLeadData(withSavedContact(input, saved));
+  if (!valid) {
+    logger.warn("save_lead rifiutato: dati non validi", {sessionId, errors});
+    return {saved: false, errors};
+  }
+
+  try {
+    const record = toLeadRecord(lead, {
+      conversazione: transcript,
+      trafficSource,
+      promptVersion,
+      variant,
+      lingua,
+    });
+    const {created} = await saveLeadRecord(tenant, sessionId, record);
+    logger.info("Lead catturato dalla chat", {
+      tenantId: tenant.id,
+      sessionId,
+      created,
+      probabilitaChiusura: lead.probabilitaChiusura,
+    });
+    return {saved: true, errors: [], record};
+  } catch (err) {
+    logger.error("Errore salvataggio lead dalla chat", {
+      sessionId,
+      message: err.message,
+      stack: err.stack,
+    });
+    return {saved: false, errors: ["errore interno di salvataggio"]};
+  }
+}
+
+/**
+ * Numero di messaggi della sessione: i turni salvati lato server, perché
+ * il widget invia una history troncata. Se lo store non risponde si usa
+ * la history del client.
+ */
+async function countSessionMessages(sessionId, history) {
+  try {
+    return await getConversationStore().countTurns(sessionId) ||
+      history.length;
+  } catch (err) {
+    logger.warn("Conteggio turni non disponibile", {
+      sessionId,
+      message: err.message,
+    });
+    return history.length;
+  }
+}
+
+/**
+ * Risponde a una richiesta chat rifiutata con un evento SSE "error",
+ * che il widget mostra all'utente. retryAfter (secondi) è il suggerimento
+ * per riprovare, anche nell'header Retry-After.
+ */
+function sendChatError(res, status, {code, content, retryAfter}) {
+  res.status(status);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  const event = {type: "error", code, content};
+  if (retryAfter) {
+    res.setHeader("Retry-After", String(retryAfter));
+    event.retryAfter = retryAfter;
+  }
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+  res.end();
+}
 
-function getSystemPrompt() {
-  if (!cachedSystemPrompt) {
-    const promptPath = path.join(__dirname, "system-prompt.txt");
-    cachedSystemPrompt = fs.readFileSync(promptPath, "utf8");
+/**
+ * Riprende una risposta chat interrotta dalla posizione lastEventId:
+ * eventi persi, poi quelli nuovi se la risposta è ancora in corso.
+ * Risponde 410 STREAM_EXPIRED se la risposta non è più nel buffer.
+ */
+async function resumeChat(res, sessionId, lastEventId) {
+  const position = parseEventId(lastEventId);
+  const stream = position && await getResumableStream(sessionId, position);
+  if (!stream) {
+    sendChatError(res, 410, {
+      code: "STREAM_EXPIRED",
+      content: "La risposta non è più disponibile. Invia di nuovo il messaggio.",
+    });
+    return;
   }
-  return cachedSystemPrompt;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const {done, seq} = await replayStream(res, sessionId, stream, position.seq);
+  logger.info("Risposta chat ripresa", {
+    sessionId,
+    from: position.seq,
+    to: seq,
+    done,
+  });
+  res.end();
 }
 
+// Numero massimo di richieste al modello per turno (tool_use → tool_result)
+const MAX_TOOL_ROUNDS = 3;
+
+// --- WIDGET CONFIG FUNCTION ---
+// GET ?tenant=&locale=: testi e branding del widget per il tenant, nella
+// lingua richiesta se il tenant la supporta
+exports.widgetConfig = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 30,
+    },
+    async (req, res) => {
+      try {
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
+
+        if (req.method !== "GET") {
+          res.status(405).json({error: "Metodo non consentito"});
+          return;
+        }
+
+        res.set("Cache-Control", "public, max-age=300");
+        res.status(200).json(toWidgetConfig(tenant,
+            getRequestLocale(req, tenant)));
+      } catch (err) {
+        logger.error("Errore nella funzione widgetConfig", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({error: "Servizio non disponibile"});
+      }
+    },
+);
+
+// --- WIDGET TOKEN FUNCTION ---
+// GET ?sessionId=: challenge da risolvere (null se SPARK_CHALLENGE=none)
+// POST {sessionId, challenge}: verifica la soluzione ed emette il token
+exports.widgetToken = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 30,
+      secrets: ["SPARK_WIDGET_SECRET"],
+    },
+    async (req, res) => {
+      try {
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
+
+        const secret = process.env.SPARK_WIDGET_SECRET;
+        if (!secret) {
+          logger.error("SPARK_WIDGET_SECRET non configurato");
+          res.status(500).json({error: "Servizio non disponibile"});
+          return;
+        }
+
+        if (req.method !== "GET" && req.method !== "POST") {
+          res.status(405).json({error: "Metodo non consentito"});
+          return;
+        }
+
+        // La challenge pow è firmata per la sessione che chiederà il token
+        const input = req.method === "GET" ? req.query : req.body || {};
+        const {sessionId, challenge} = input;
+        if (!sessionId || typeof sessionId !== "string" ||
+            sessionId.length > 100) {
+          res.status(400).json({error: "Il campo 'sessionId' è obbligatorio"});
+          return;
+        }
+
+        if (req.method === "GET") {
+          res.status(200).json({challenge: createChallenge(secret, sessionId)});
+          return;
+        }
+
+        const rateLimit = await checkWidgetTokenRateLimit(req);
+        if (!rateLimit.allowed) {
+          res.set("Retry-After", String(rateLimit.retryAfter));
+          res.status(429).json({error: "Troppe richieste"});
+          return;
+        }
+
+        const verification = await verifyChallenge(challenge, {
+          secret,
+          sessionId,
+          remoteIp: getClientIP(req),
+        });
+        if (!verification.valid) {
+          logger.warn("Challenge widget non superata", {
+            sessionId,
+            reason: verification.error,
+          });
+          res.status(403).json({error: "Verifica non superata"});
+          return;
+        }
+
+        res.status(200).json(
+            issueWidgetToken({sessionId, tenantId: tenant.id}, secret));
+      } catch (err) {
+        logger.error("Errore nella funzione widgetToken", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({error: "Servizio non disponibile"});
+      }
+    },
+);
+
 // --- CHAT FUNCTION ---
 exports.chat = onRequest(
     {
       memory: "512MiB",
       timeoutSeconds: 120,
-      secrets: ["ANTHROPIC_API_KEY"],
+      secrets: [
+        "ANTHROPIC_API_KEY",
+        "OPENAI_API_KEY",
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+        "SPARK_WIDGET_SECRET",
+      ],
     },
     async (req, res) => {
-      if (handleCors(req, res)) return;
+      let tenant;
+      try {
+        tenant = await handleTenantRequest(req, res);
+      } catch (err) {
+        logger.error("Errore nella funzione chat", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({error: "Servizio non disponibile"});
+        return;
+      }
+      if (!tenant) return;
 
       // Health check per keepAlive
       if (req.method === "GET") {
@@ -117,85 +425,440 @@ exports.chat = onRequest(
         return;
       }
 
-      const {sessionId, message, history} = req.body;
+      const {sessionId, message, history, trafficSource, consent} = req.body;
+      // Ripresa di una risposta interrotta: {sessionId, lastEventId} senza
+      // messaggio, oppure l'header standard Last-Event-ID
+      const lastEventId = req.body.lastEventId || req.headers["last-event-id"];
+      // Rigenerazione dell'ultima risposta: {sessionId, regenerate: true}
+      const regenerate = !message && req.body.regenerate === true;
 
-      if (!message) {
+      if (!message && !lastEventId && !regenerate) {
         res.status(400).json({error: "Il campo 'message' è obbligatorio"});
         return;
       }
 
+      if (!sessionId) {
+        res.status(400).json({error: "Il campo 'sessionId' è obbligatorio"});
+        return;
+      }
+
+      if (!checkWidgetToken(req, req.body,
+          {sessionId, tenantId: tenant.id}, "chat").valid) {
+        sendChatError(res, 401, {
+          code: "INVALID_TOKEN",
+          content: "La sessione è scaduta. Ricarica la pagina e riprova.",
+        });
+        return;
+      }
+
+      if (!message && !regenerate) {
+        try {
+          await resumeChat(res, sessionId, lastEventId);
+        } catch (err) {
+          logger.error("Errore nella ripresa della chat", {
+            sessionId,
+            message: err.message,
+          });
+          if (res.headersSent) {
+            res.end();
+          } else {
+            res.status(500).json({error: "Servizio non disponibile"});
+          }
+        }
+        return;
+      }
+
+      // Limiti sul payload prima di qualsiasi lettura o chiamata ad Anthropic
+      const payloadError = regenerate ? null :
+        checkChatLimits({message, history});
+      if (payloadError) {
+        sendChatError(res, 413, payloadError);
+        return;
+      }
+
+      // Stream della risposta, riprendibile dopo una disconnessione
+      let sse = null;
       try {
-        const anthropic = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
+        const rateLimit = await checkChatRateLimit(req, sessionId);
+        if (!rateLimit.allowed) {
+          sendChatError(res, 429, {
+            code: "RATE_LIMITED",
+            content: "Stai inviando messaggi troppo velocemente. " +
+              `Riprova tra ${rateLimit.retryAfter} secondi.`,
+            retryAfter: rateLimit.retryAfter,
+          });
+          return;
+        }
+
+        // Nessun dato salvato senza il consenso all'informativa
+        const consentCheck = await checkSessionConsent(tenant, sessionId,
+            consent);
+        if (!consentCheck.allowed) {
+          sendChatError(res, 403, {
+            code: "CONSENT_REQUIRED",
+            content: "Per continuare accetta l'informativa sulla privacy.",
+          });
+          return;
+        }
+
+        // Una risposta precedente appena interrotta dallo stop viene salvata
+        // dopo qualche secondo: si aspetta prima di leggere i turni
+        if (!await waitForPreviousStream(sessionId)) {
+          logger.warn("Risposta precedente ancora in corso", {sessionId});
+        }
+
+        // Il contesto viene ricostruito dai turni salvati lato server:
+        // la history inviata dal client non è attendibile e viene ignorata
+        const conversationStore = getConversationStore();
+        const turns = await conversationStore.getTurns(sessionId);
+        if (Array.isArray(history) && history.length !== turns.length) {
+          logger.warn("History client non allineata con il server", {
+            sessionId,
+            clientTurns: history.length,
+            serverTurns: turns.length,
+          });
+        }
+
+        // Rigenerazione: si riparte dall'ultimo messaggio dell'utente e le
+        // risposte successive dell'assistente vengono sostituite
+        let priorTurns = turns;
+        let userTurn;
+        if (regenerate) {
+          const lastUser = turns.map((turn) => turn.role).lastIndexOf("user");
+          if (lastUser === -1 || turns.slice(lastUser + 1)
+              .some((turn) => turn.role !== "assistant")) {
+            sendChatError(res, 409, {
+              code: "NOTHING_TO_REGENERATE",
+              content: "Non c'è una risposta da rigenerare.",
+            });
+            return;
+          }
+          priorTurns = turns.slice(0, lastUser);
+          userTurn = turns[lastUser];
+        } else {
+          userTurn = {
+            role: "user",
+            content: message,
+            createdAt: new Date().toISOString(),
+          };
+        }
+
+        // Conversazioni lunghe: turni recenti per intero, i precedenti nel
+        // riassunto della sessione (secondo blocco del prompt di sistema).
+        // I limiti valgono per il contesto inviato, non per tutti i turni
+        const chatContext = await getChatContext(sessionId);
+        const recent = buildChatContext(priorTurns, chatContext);
+        const historyError = checkChatLimits({
+          message: userTurn.content,
+          turns: recent.turns,
+          context: recent.system,
         });
+        if (historyError) {
+          logger.warn("Conversazione oltre i limiti", {
+            sessionId,
+            turns: turns.length,
+            sentTurns: recent.turns.length,
+          });
+          sendChatError(res, 413, historyError);
+          return;
+        }
 
-        // Costruisce l'array dei messaggi: history pregressa + nuovo messaggio
-        const messages = [];
-        if (Array.isArray(history)) {
-          for (const msg of history) {
-            messages.push({role: msg.role, content: msg.content});
+        // Sessione in carico a un operatore: niente Anthropic, il messaggio
+        // viene solo salvato e l'operatore risponde dalla console
+        const handoff = await conversationStore.getHandoff(sessionId);
+        if (handoff) {
+          if (!regenerate) {
+            await conversationStore.appendTurns(sessionId, [userTurn],
+                {tenantId: tenant.id});
           }
+          logger.info("Chat inoltrata all'operatore", {
+            sessionId,
+            operator: handoff.operator,
+          });
+          res.setHeader("Content-Type", "text/event-stream");
+          res.setHeader("Cache-Control", "no-cache");
+          res.write(`data: ${JSON.stringify({
+            type: "operator",
+            operator: handoff.operator,
+          })}\n\n`);
+          res.write(`data: ${JSON.stringify({type: "done"})}\n\n`);
+          res.end();
+          return;
+        }
+
+        const budget = await getBudgetStatus();
+        if (budget.exceeded) {
+          sendChatError(res, 503, {
+            code: "BUDGET_EXCEEDED",
+            content: "Al momento non riesco a rispondere. " +
+              "Riprova più tardi oppure contattaci direttamente.",
+          });
+          return;
         }
-        messages.push({role: "user", content: message});
 
+        // Variante A/B della sessione: può fissare versione del prompt e
+        // modello. Il prompt viene poi adattato alla lingua della chat
+        const variant = getSessionVariant(tenant, sessionId);
+        const locale = getRequestLocale(req, tenant);
+        const prompt = localizePrompt(tenant, await getSystemPrompt(tenant,
+            variant && variant.promptVersion), locale);
+        // Prompt e conversazione fino all'ultimo messaggio vanno in cache
+        const messages = withCacheBreakpoint(
+            toAnthropicMessages(recent.turns.concat([userTurn])));
+        const system = buildCachedSystem(prompt.content, recent.system);
+
+        // Nei log solo lunghezze e indici: il testo resta nel conversation
+        // store, con la sua retention
+        const turnIndex = priorTurns.length;
         logger.info("Chat request", {
           sessionId,
+          turnIndex,
           messageCount: messages.length,
-          userMessage: message,
+          userMessageLength: userTurn.content.length,
+          regenerate,
+          variantId: variant ? variant.variantId : undefined,
         });
 
         // SSE headers
         res.setHeader("Content-Type", "text/event-stream");
         res.setHeader("Cache-Control", "no-cache");
         res.setHeader("Connection", "keep-alive");
-
-        // Streaming con Anthropic SDK
-        const stream = anthropic.messages.stream({
-          model: "claude-sonnet-4-6",
-          max_tokens: 1500,
-          system: getSystemPrompt(),
-          messages,
+        res.flushHeaders();
+        sse = await openResumableStream(res, {sessionId, tenantId: tenant.id});
+
+        // Client andato via (stop nel widget, pagina chiusa) senza riprendere
+        // la risposta: si interrompe lo stream del provider
+        let stopped = false;
+        let currentStream = null;
+        watchDisconnect(res, {
+          sessionId,
+          streamId: sse.streamId,
+          onAbort: () => {
+            stopped = true;
+            if (currentStream) currentStream.abort();
+          },
         });
 
+        // Modello del tenant o della variante, poi il fallback del tenant
+        const routes = getChatRoutes(tenant,
+            (variant && variant.model) || tenant.model);
+        let routeIndex = 0;
         let fullResponse = "";
+        const usage = {
+          inputTokens: 0,
+          outputTokens: 0,
+          cacheWriteTokens: 0,
+          cacheReadTokens: 0,
+        };
+
+        // Streaming con fallback (chatProviders.js): se il modello chiama
+        // save_lead, salva il lead, restituisce il tool_result e continua il
+        // turno. Gli strumenti delle direttive di interfaccia
+        // (uiDirectives.js) inviano l'elemento al widget e chiudono il turno.
+        // Dopo un fallback i round successivi restano sul provider di riserva
+        let roundMessages = messages;
+        for (let round = 0; round < MAX_TOOL_ROUNDS && !stopped; round++) {
+          // Separa il testo di round diversi con una riga vuota
+          let roundText = "";
+          let finalMessage;
+          try {
+            ({message: finalMessage} = await streamChatRound({
+              routes,
+              from: routeIndex,
+              params: {
+                max_tokens: 1500,
+                system,
+                tools: [SAVE_LEAD_TOOL, ...UI_TOOLS],
+                messages: roundMessages,
+              },
+              // Anche una risposta interrotta va attribuita al provider
+              // che la stava generando
+              onStream: (stream, index) => {
+                currentStream = stream;
+                routeIndex = index;
+              },
+              onText: (text) => {
+                let chunk = text;
+                if (!roundText && fullResponse) chunk = "\n\n" + chunk;
+                roundText += text;
+                fullResponse += chunk;
+                sse.send({type: "text", content: chunk});
+              },
+              isStopped: () => stopped,
+            }));
+          } catch (streamErr) {
+            if (!stopped) throw streamErr;
+            // Interrotta: si contano i token del messaggio parziale
+            finalMessage = currentStream.currentMessage || {};
+          }
+          if (finalMessage.usage) {
+            const roundUsage = fromAnthropicUsage(finalMessage.usage);
+            for (const key of Object.keys(usage)) usage[key] += roundUsage[key];
+          }
+          if (stopped || finalMessage.stop_reason !== "tool_use") break;
+
+          const toolResults = [];
+          let followUp = false;
+          for (const block of finalMessage.content) {
+            if (block.type !== "tool_use") continue;
+            if (isUiTool(block.name)) {
+              const {valid, errors, event} =
+                toDirectiveEvent(tenant, block.name, block.input);
+              if (valid) {
+                sse.send(event);
+              } else {
+                logger.warn("Direttiva di interfaccia rifiutata", {
+                  sessionId,
+                  tool: block.name,
+                  errors,
+                });
+                followUp = true;
+              }
+              toolResults.push({
+                type: "tool_result",
+                tool_use_id: block.id,
+                is_error: !valid,
+                content: valid ?
+                  "Mostrato all'utente." :
+                  `Non mostrato: ${errors.join("; ")}`,
+              });
+              continue;
+            }
+
+            followUp = true;
+            if (block.name !== SAVE_LEAD_TOOL.name) {
+              toolResults.push({
+                type: "tool_result",
+                tool_use_id: block.id,
+                is_error: true,
+                content: `Strumento sconosciuto: ${block.name}`,
+              });
+              continue;
+            }
 
-        stream.on("text", (text) => {
-          fullResponse += text;
-          const payload = JSON.stringify({type: "text", content: text});
-          res.write(`data: ${payload}\n\n`);
+            const transcript = formatTranscript(priorTurns.concat([
+              userTurn,
+              {role: "assistant", content: fullResponse},
+            ]), tenant.widget.assistantName);
+            const {saved, errors, record} = await saveChatLead(tenant, sessionId,
+                block.input, {
+                  transcript,
+                  trafficSource,
+                  promptVersion: prompt.version,
+                  variant,
+                  lingua: locale,
+                });
+            if (saved) {
+              // Al dataLayer del widget solo i campi ammessi dalla policy
+              sse.send({
+                type: "lead_captured",
+                lead: toDataLayerLead(tenant, record),
+              });
+            }
+            toolResults.push({
+              type: "tool_result",
+              tool_use_id: block.id,
+              is_error: !saved,
+              content: saved ?
+                "Lead salvato. Non menzionarlo all'utente." :
+                `Lead non salvato: ${errors.join("; ")}`,
+            });
+          }
+          if (!followUp) break;
+
+          roundMessages = roundMessages.concat([
+            {role: "assistant", content: finalMessage.content},
+            {role: "user", content: toolResults},
+          ]);
+        }
+
+        const {provider, model} = routes[routeIndex];
+        const costUsd = await recordUsage({
+          endpoint: "chat",
+          model,
+          usage,
+          sessionId,
         });
+        const cacheSavingsUsd = calculateCacheSavings(model, usage);
 
-        stream.on("end", () => {
-          // Log della risposta (senza LEAD_DATA)
-          let logText = fullResponse;
-          const leadIdx = logText.indexOf("|||LEAD_DATA|||");
-          if (leadIdx !== -1) {
-            logText = logText.substring(0, leadIdx).trimEnd();
+        const assistantText = fullResponse.trim();
+        logger.info("Chat response", {
+          sessionId,
+          turnIndex: turnIndex + 1,
+          assistantMessageLength: assistantText.length,
+          stopped,
+          provider,
+          cacheReadTokens: usage.cacheReadTokens,
+        });
+
+        // Salva il turno prima di chiudere la risposta: dopo res.end()
+        // l'istanza può essere sospesa
+        const newTurns = regenerate ? [] : [userTurn];
+        if (assistantText) {
+          newTurns.push({
+            role: "assistant",
+            content: assistantText,
+            createdAt: new Date().toISOString(),
+            provider,
+            model,
+            promptVersion: prompt.version,
+            ...experimentFields(variant),
+            usage,
+            costUsd,
+            cacheSavingsUsd,
+            ...(stopped && {stopped: true}),
+          });
+        }
+        try {
+          if (regenerate) {
+            await conversationStore.truncateTurns(sessionId,
+                priorTurns.length + 1);
           }
-          logger.info("Chat response", {
+          await conversationStore.appendTurns(sessionId, newTurns,
+              {tenantId: tenant.id});
+          await conversationStore.addUsage(sessionId,
+              {...usage, costUsd, cacheSavingsUsd});
+        } catch (storeErr) {
+          logger.error("Errore salvataggio conversazione", {
             sessionId,
-            assistantMessage: logText,
+            message: storeErr.message,
           });
+        }
 
-          res.write(`data: ${JSON.stringify({type: "done"})}\n\n`);
-          res.end();
-        });
+        sse.send({type: "done", ...(stopped && {stopped: true})});
+        await sse.close();
 
-        stream.on("error", (err) => {
-          logger.error("Errore streaming Anthropic", err);
-          const errMsg = "Si è verificato un errore. Riprova tra qualche istante.";
-          const payload = JSON.stringify({type: "error", content: errMsg});
-          res.write(`data: ${payload}\n\n`);
-          res.end();
-        });
+        // Il widget ha già la risposta: il riassunto si aggiorna prima di
+        // chiudere la connessione, perché dopo res.end() l'istanza può
+        // essere sospesa
+        try {
+          await updateChatContext({
+            tenant,
+            sessionId,
+            turns: priorTurns.concat(regenerate ? [userTurn] : [], newTurns),
+            context: chatContext,
+          });
+        } catch (contextErr) {
+          logger.warn("Riassunto della conversazione non aggiornato", {
+            sessionId,
+            message: contextErr.message,
+          });
+        }
+        res.end();
       } catch (err) {
         logger.error("Errore nella funzione chat", err);
 
         // Se gli header SSE sono già stati inviati, chiudi lo stream
+        // (anche per chi riprende la risposta)
         if (res.headersSent) {
           const errMsg = "Si è verificato un errore. Riprova tra qualche istante.";
-          const payload = JSON.stringify({type: "error", content: errMsg});
-          res.write(`data: ${payload}\n\n`);
+          if (sse) {
+            sse.send({type: "error", content: errMsg});
+            await sse.close();
+          } else {
+            const payload = JSON.stringify({type: "error", content: errMsg});
+            res.write(`data: ${payload}\n\n`);
+          }
           res.end();
         } else {
           res.status(500).json({
@@ -206,102 +869,138 @@ exports.chat = onRequest(
     },
 );
 
+// --- LIVE FUNCTION ---
+// GET ?sessionId=&after=N (token del widget): long-poll dei messaggi
+// dell'operatore successivi al turno N. Senza after restituisce subito il
+// cursore corrente.
+exports.live = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 60,
+      secrets: ["SPARK_WIDGET_SECRET"],
+    },
+    async (req, res) => {
+      try {
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
+
+        if (req.method !== "GET") {
+          res.status(405).json({error: "Metodo non consentito"});
+          return;
+        }
+
+        const sessionId = req.query.sessionId ? String(req.query.sessionId) : "";
+        const after = parseCursor(req.query.after);
+        if (!sessionId || after === null) {
+          res.status(400).json({error: "sessionId o cursore non validi"});
+          return;
+        }
+        if (!checkWidgetToken(req, null,
+            {sessionId, tenantId: tenant.id}, "live").valid) {
+          res.status(401).json({error: "Token widget non valido"});
+          return;
+        }
+
+        const {turns, cursor, handoff} = await waitForTurns(sessionId, after, {
+          filter: (turn) => turn.role === "operator",
+          handoffOnly: true,
+        });
+        res.status(200).json({
+          turns: turns.map(({content, createdAt}) => ({content, createdAt})),
+          cursor,
+          operator: handoff ? handoff.operator : null,
+        });
+      } catch (err) {
+        logger.error("Errore nella funzione live", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({error: "Errore interno"});
+      }
+    },
+);
+
 // --- LEAD FUNCTION ---
 exports.lead = onRequest(
     {
       memory: "256MiB",
       timeoutSeconds: 30,
-      secrets: ["GOOGLE_SERVICE_ACCOUNT_JSON", "GOOGLE_SHEET_ID"],
+      secrets: [
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+        "SPARK_WIDGET_SECRET",
+      ],
     },
     async (req, res) => {
       try {
-        if (handleCors(req, res)) return;
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
 
         if (req.method !== "POST") {
           res.status(405).json({error: "Metodo non consentito"});
           return;
         }
 
-        const {sessionId, nome, email, telefono, nomeAzienda,
-          descrizioneProgetto, preventivoIndicato, probabilitaChiusura,
-          noteQualifica, conversazione, trafficSource} = req.body || {};
+        const body = req.body || {};
+        const {sessionId, conversazione, trafficSource} = body;
+
+        if (!checkWidgetToken(req, body,
+            {sessionId, tenantId: tenant.id}, "lead").valid) {
+          res.status(401).json({error: "Token widget non valido"});
+          return;
+        }
 
-        if (!telefono) {
+        if (!body.telefono) {
           res.status(400).json({error: "Il numero di telefono è obbligatorio"});
           return;
         }
 
+        const {valid, errors, lead} = validateLeadData(body);
+        if (!valid) {
+          logger.warn("Lead rifiutato: dati non validi", {
+            sessionId: sessionId || "N/A",
+            errors,
+          });
+          res.status(400).json({error: "Dati lead non validi", details: errors});
+          return;
+        }
+
         logger.info("Nuovo lead ricevuto", {
           sessionId: sessionId || "N/A",
-          telefono,
-          nome: nome || "N/A",
-          email: email || "N/A",
-          nomeAzienda: nomeAzienda || "N/A",
-          probabilitaChiusura: probabilitaChiusura || 0,
+          telefono: lead.telefono,
+          nome: lead.nome || "N/A",
+          email: lead.email || "N/A",
+          nomeAzienda: lead.nomeAzienda || "N/A",
+          probabilitaChiusura: lead.probabilitaChiusura,
         });
 
         try {
-          const sheets = getSheetsClient();
-          const sheetId = process.env.GOOGLE_SHEET_ID;
-
           // Formatta la conversazione come testo leggibile
           let conversazioneText = "";
           if (Array.isArray(conversazione)) {
-            conversazioneText = formatTranscript(conversazione);
+            conversazioneText = formatTranscript(conversazione,
+                tenant.widget.assistantName);
           } else if (typeof conversazione === "string") {
             conversazioneText = conversazione;
           }
 
-          // Colore scoring
-          let coloreScoring = "🔴";
-          if (probabilitaChiusura >= 60) coloreScoring = "🟢";
-          else if (probabilitaChiusura >= 30) coloreScoring = "🟠";
-
-          const row = [
-            new Date().toISOString(),
-            noteQualifica || "",
-            coloreScoring + " " + (probabilitaChiusura || 0) + "%",
-            nome || "",
-            telefono || "",
-            email || "",
-            nomeAzienda || "",
-            preventivoIndicato || "",
-            descrizioneProgetto || "",
-            conversazioneText,
-            sessionId || "",
-            trafficSource || "",
-          ];
-
-          // Upsert: cerca riga esistente per sessionId
-          let rowNum = null;
-          if (sessionId) {
-            rowNum = await findRowBySessionId(sheets, sheetId, sessionId);
-          }
-
-          if (rowNum) {
-            // Aggiorna riga esistente (A:L)
-            await sheets.spreadsheets.values.update({
-              spreadsheetId: sheetId,
-              range: `A${rowNum}:L${rowNum}`,
-              valueInputOption: "USER_ENTERED",
-              requestBody: {values: [row]},
-            });
-            logger.info("Lead aggiornato su riga esistente", {
-              rowNum, sessionId,
-            });
+          // Upsert: aggiorna il record esistente per sessionId
+          const record = toLeadRecord(lead, {
+            conversazione: conversazioneText,
+            trafficSource,
+            variant: getSessionVariant(tenant, sessionId),
+            lingua: getRequestLocale(req, tenant),
+          });
+          const {created} = await saveLeadRecord(tenant, sessionId, record);
+          if (created) {
+            logger.info("Lead salvato su nuovo record", {sessionId});
           } else {
-            await sheets.spreadsheets.values.append({
-              spreadsheetId: sheetId,
-              range: "A:L",
-              valueInputOption: "USER_ENTERED",
-              requestBody: {values: [row]},
-            });
-            logger.info("Lead salvato su nuova riga", {nome, email});
+            logger.info("Lead aggiornato su record esistente", {sessionId});
           }
-        } catch (sheetErr) {
-          logger.error("Errore salvataggio su Google Sheet", {
-            message: sheetErr.message,
-            stack: sheetErr.stack,
+        } catch (storeErr) {
+          logger.error("Errore salvataggio lead", {
+            message: storeErr.message,
+            stack: storeErr.stack,
           });
         }
 
@@ -323,20 +1022,108 @@ exports.lead = onRequest(
     },
 );
 
-// --- SUMMARY FUNCTION (conversazioni senza lead) ---
-exports.summary = onRequest(
+// --- CONTACT FUNCTION ---
+// POST {sessionId, nome, telefono, email, consent} (token del widget):
+// modulo contatti della chat, unito al lead della sessione. Il resto del
+// lead (progetto, probabilità) arriva dal modello con save_lead, che
+// notifica il nuovo lead
+exports.contact = onRequest(
     {
-      memory: "512MiB",
-      timeoutSeconds: 60,
-      secrets: [
+      memory: "256MiB",
+      timeoutSeconds: 30,
+      secrets: [
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+        "SPARK_WIDGET_SECRET",
+      ],
+    },
+    async (req, res) => {
+      try {
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
+
+        if (req.method !== "POST") {
+          res.status(405).json({error: "Metodo non consentito"});
+          return;
+        }
+
+        const body = req.body || {};
+        const {sessionId} = body;
+        if (!sessionId) {
+          res.status(400).json({error: "Il campo 'sessionId' è obbligatorio"});
+          return;
+        }
+
+        if (!checkWidgetToken(req, body,
+            {sessionId, tenantId: tenant.id}, "contact").valid) {
+          res.status(401).json({error: "Token widget non valido"});
+          return;
+        }
+
+        const {valid, errors, contact} = validateContactData(body);
+        if (!valid) {
+          logger.warn("Modulo contatti rifiutato: dati non validi", {
+            sessionId,
+            errors,
+          });
+          res.status(400).json({
+            error: "Dati di contatto non validi",
+            details: errors,
+          });
+          return;
+        }
+
+        const rateLimit = await checkContactRateLimit(req, sessionId);
+        if (!rateLimit.allowed) {
+          res.set("Retry-After", String(rateLimit.retryAfter));
+          res.status(429).json({error: "Troppe richieste"});
+          return;
+        }
+
+        // Come per la chat: nessun dato salvato senza il consenso
+        const consentCheck = await checkSessionConsent(tenant, sessionId,
+            body.consent);
+        if (!consentCheck.allowed) {
+          res.status(403).json({error: "Consenso all'informativa richiesto"});
+          return;
+        }
+
+        // I campi lasciati vuoti non cancellano quelli già salvati
+        const patch = {lingua: getRequestLocale(req, tenant)};
+        for (const [field, value] of Object.entries(contact)) {
+          if (value) patch[field] = value;
+        }
+        const {created} = await upsertLead(getLeadStore(tenant), sessionId,
+            patch, {scoring: "🟡 Contatti inviati"});
+        logger.info("Contatti ricevuti dal modulo", {sessionId, created});
+
+        res.status(200).json({success: true});
+      } catch (err) {
+        logger.error("Errore nella funzione contact", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({error: "Servizio non disponibile"});
+      }
+    },
+);
+
+// --- SUMMARY FUNCTION (conversazioni senza lead) ---
+exports.summary = onRequest(
+    {
+      memory: "512MiB",
+      timeoutSeconds: 60,
+      secrets: [
         "ANTHROPIC_API_KEY",
         "GOOGLE_SERVICE_ACCOUNT_JSON",
         "GOOGLE_SHEET_ID",
+        "SPARK_WIDGET_SECRET",
       ],
     },
     async (req, res) => {
       try {
-        if (handleCors(req, res)) return;
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
 
         if (req.method !== "POST") {
           res.status(405).json({error: "Metodo non consentito"});
@@ -355,145 +1142,67 @@ exports.summary = onRequest(
         }
 
         const {sessionId, conversazione} = body || {};
+        if (!checkWidgetToken(req, body,
+            {sessionId, tenantId: tenant.id}, "summary").valid) {
+          res.status(401).json({error: "Token widget non valido"});
+          return;
+        }
+
         if (!Array.isArray(conversazione) || conversazione.length < 2) {
           res.status(200).json({success: true});
           return;
         }
 
+        // Come per la chat: nessuna trascrizione salvata senza il consenso
+        if (!(await checkSessionConsent(tenant, sessionId, body.consent))
+            .allowed) {
+          res.status(200).json({success: true});
+          return;
+        }
+
         logger.info("Richiesta summary conversazione", {
           sessionId: sessionId || "N/A",
           messageCount: conversazione.length,
         });
 
-        // Formatta conversazione per Claude
-        const conversazionePerAnalisi = conversazione
-            .map((m) => {
-              const ruolo = m.role === "user" ? "Utente" : "Spark";
-              return `${ruolo}: ${m.content}`;
-            })
-            .join("\n");
-
-        // Chiama Claude Haiku per generare il riassunto strutturato
-        const anthropic = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        });
-
-        const summaryResponse = await anthropic.messages.create({
-          model: "claude-haiku-4-5-20251001",
-          max_tokens: 500,
-          messages: [{
-            role: "user",
-            content: `Analizza questa conversazione tra un utente e Spark \
-(chatbot di vendita per Nexo, azienda di sviluppo software su misura). \
-L'utente NON ha lasciato i dati di contatto.
-
-Rispondi SOLO con un JSON valido (nessun altro testo, nessun markdown) \
-con questi campi:
-- "argomento": cosa ha chiesto o voleva l'utente (1-2 frasi concise)
-- "dubbi": dubbi, perplessità o obiezioni espresse dall'utente \
-(1 frase, oppure "Nessuno emerso")
-- "reazionePreventivo": "nessuna" se non si è arrivati al preventivo, \
-"positiva" se ha reagito bene al prezzo, "resistenza" se ha mostrato \
-dubbi o obiezioni sul prezzo
-- "resistenzaContatto": "non richiesto" se non si è arrivati alla \
-fase contatto, "rifiutato" se ha rifiutato esplicitamente, "evitato" \
-se ha ignorato la richiesta
-- "preventivo": il prezzo comunicato da Spark (es. "1.800€"), oppure \
-stringa vuota se non è stato comunicato nessun preventivo
-- "noteGenerali": breve analisi di come è andata e perché non si è \
-convertita in lead (1-2 frasi)
-
-Conversazione:
-${conversazionePerAnalisi}`,
-          }],
-        });
-
-        let summary;
-        try {
-          let rawText = summaryResponse.content[0].text.trim();
-          // Strip markdown code blocks if present
-          rawText = rawText
-              .replace(/^```(?:json)?\s*/i, "")
-              .replace(/\s*```\s*$/, "");
-          summary = JSON.parse(rawText);
-        } catch (e) {
-          logger.warn("Summary JSON non valido, uso testo grezzo", {
-            text: summaryResponse.content[0].text,
-          });
-          summary = {
-            argomento: "Non analizzabile",
-            dubbi: "",
-            reazionePreventivo: "nessuna",
-            resistenzaContatto: "non richiesto",
-            preventivo: "",
-            noteGenerali: summaryResponse.content[0].text
-                .substring(0, 200),
-          };
+        // Formatta transcript per il foglio
+        const {assistantName} = tenant.widget;
+        const transcriptText = formatTranscript(conversazione, assistantName);
+
+        // Upsert: su un record esistente non tocca nome, telefono, email
+        // e azienda per non sovrascrivere dati lead
+        const patch = {
+          scoring: "⚪ No lead",
+          conversazione: transcriptText,
+          lingua: getRequestLocale(req, tenant),
+          ...experimentFields(getSessionVariant(tenant, sessionId)),
+        };
+
+        const {created} = await upsertLead(getLeadStore(tenant), sessionId,
+            patch);
+        if (!created) {
+          logger.info("Summary aggiornato su record esistente", {sessionId});
         }
 
-        // Formatta transcript per il foglio
-        const transcriptText = formatTranscript(conversazione);
-
-        // Componi nota qualifica con tutti i dettagli dell'analisi
-        const noteQualifica = summary.noteGenerali || "";
-
-        // Salva su Google Sheets con upsert
-        const sheets = getSheetsClient();
-        const sheetId = process.env.GOOGLE_SHEET_ID;
-
-        let rowNum = null;
-        if (sessionId) {
-          rowNum = await findRowBySessionId(sheets, sheetId, sessionId);
-        }
-
-        if (rowNum) {
-          // Aggiorna B, C, H, I, J (non tocca D-G per non
-          // sovrascrivere dati lead)
-          const updateData = [
-            {range: `B${rowNum}`, values: [[noteQualifica]]},
-            {range: `C${rowNum}`, values: [["⚪ No lead"]]},
-            {range: `I${rowNum}`, values: [[summary.argomento || ""]]},
-            {range: `J${rowNum}`, values: [[transcriptText]]},
-          ];
-          if (summary.preventivo) {
-            updateData.push(
-                {range: `H${rowNum}`, values: [[summary.preventivo]]},
-            );
-          }
-          await sheets.spreadsheets.values.batchUpdate({
-            spreadsheetId: sheetId,
-            requestBody: {
-              valueInputOption: "USER_ENTERED",
-              data: updateData,
-            },
-          });
-          logger.info("Summary aggiornato su riga esistente", {
-            rowNum, sessionId,
+        // L'analisi AI gira in background (processAnalysisJob); con il
+        // budget Anthropic superato resta solo la trascrizione
+        const budget = await getBudgetStatus();
+        if (budget.exceeded) {
+          logger.warn("Summary senza analisi AI: budget superato", {
+            sessionId: sessionId || "N/A",
+            period: budget.period,
           });
         } else {
-          const row = [
-            new Date().toISOString(), // A: Data
-            noteQualifica, // B: Note Qualifica
-            "⚪ No lead", // C: Colore Scoring
-            "", // D: Nome
-            "", // E: Telefono
-            "", // F: Email
-            "", // G: Nome Azienda
-            summary.preventivo || "", // H: Preventivo Indicato
-            summary.argomento || "", // I: Descrizione Progetto
-            transcriptText, // J: Conversazione
-            sessionId || "", // K: SessionId
-            "", // L: Sorgente (non disponibile in summary)
-          ];
-          await sheets.spreadsheets.values.append({
-            spreadsheetId: sheetId,
-            range: "A:L",
-            valueInputOption: "USER_ENTERED",
-            requestBody: {values: [row]},
+          await enqueueAnalysisJob({
+            tenant,
+            sessionId,
+            conversazione,
+            messageCount: await countSessionMessages(sessionId, conversazione),
+            endpoint: "summary",
           });
         }
 
-        logger.info("Summary conversazione salvato su Google Sheet");
+        logger.info("Summary conversazione salvato");
         res.status(200).json({success: true});
       } catch (err) {
         logger.error("Errore nella funzione summary", {
@@ -514,11 +1223,13 @@ exports.track = onRequest(
         "ANTHROPIC_API_KEY",
         "GOOGLE_SERVICE_ACCOUNT_JSON",
         "GOOGLE_SHEET_ID",
+        "SPARK_WIDGET_SECRET",
       ],
     },
     async (req, res) => {
       try {
-        if (handleCors(req, res)) return;
+        const tenant = await handleTenantRequest(req, res);
+        if (!tenant) return;
 
         if (req.method !== "POST") {
           res.status(200).end();
@@ -536,161 +1247,508 @@ exports.track = onRequest(
           }
         }
 
-        const {sessionId, history, leadSent, trafficSource} = body || {};
+        const {sessionId, leadSent, trafficSource} = body || {};
+        if (!sessionId || typeof sessionId !== "string") {
+          res.status(200).end();
+          return;
+        }
+        if (!checkWidgetToken(req, body,
+            {sessionId, tenantId: tenant.id}, "track").valid) {
+          res.status(401).end();
+          return;
+        }
 
-        // Ignora se nessun messaggio utente
-        if (!sessionId || !Array.isArray(history)) {
+        // Come per la chat: nessuna trascrizione salvata senza il consenso
+        if (!(await checkSessionConsent(tenant, sessionId, body.consent))
+            .allowed) {
           res.status(200).end();
           return;
         }
-        const hasUserMsg = history.some((m) => m.role === "user");
-        if (!hasUserMsg) {
+
+        // La trascrizione viene dai turni salvati da chat: la history del
+        // client non è attendibile. Ignora se nessun messaggio utente
+        const history = (await getConversationStore().getTurns(sessionId))
+            .map(({role, content}) => ({role, content}));
+        if (!history.some((m) => m.role === "user")) {
           res.status(200).end();
           return;
         }
 
-        const sheets = getSheetsClient();
-        const sheetId = process.env.GOOGLE_SHEET_ID;
-        const conversazioneText = formatTranscript(history);
-        const rowNum = await findRowBySessionId(sheets, sheetId, sessionId);
+        const {assistantName} = tenant.widget;
+        const leadStore = getLeadStore(tenant);
+        const conversazioneText = formatTranscript(history, assistantName);
+
+        // Aggiorna timestamp, conversazione e sorgente; se il record
+        // non esiste lo crea con l'etichetta di stato
+        const messageCount = history.length;
+        const patch = {
+          data: new Date().toISOString(),
+          conversazione: conversazioneText,
+          messageCount,
+          lingua: getRequestLocale(req, tenant),
+          ...experimentFields(getSessionVariant(tenant, sessionId)),
+        };
+        if (trafficSource) {
+          patch.trafficSource = trafficSource;
+        }
+        await upsertLead(leadStore, sessionId, patch, {
+          scoring: leadSent ? "🟡 Lead inviato" : "⚪ No lead",
+        });
+
+        // Accoda l'analisi AI prima di rispondere: la elabora
+        // processAnalysisJob. Skip se il lead è già stato inviato (l'analisi
+        // serve solo alle conversazioni senza lead) o se il budget
+        // Anthropic è esaurito
+        if (!leadSent && history.length >= 2 &&
+            !(await getBudgetStatus()).exceeded) {
+          await enqueueAnalysisJob({
+            tenant,
+            sessionId,
+            conversazione: history,
+            messageCount,
+            endpoint: "track",
+          });
+        }
+
+        res.status(200).end();
+        logger.info("Track salvato", {sessionId, msgCount: history.length});
+      } catch (err) {
+        logger.error("Errore nella funzione track", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(200).end();
+      }
+    },
+);
+
+// --- ADMIN: VERSIONI DEL PROMPT ---
+// Authorization: Bearer <SPARK_ADMIN_TOKEN>, tenant in ?tenant= (default nexo)
+// GET                       → stato e versioni (senza testo)
+// GET ?version=N            → una versione con il testo
+// POST {content, note, activate?} → nuova versione (attivata se activate)
+// POST /activate {version}  → attiva una versione
+// POST /rollback            → torna alla versione attiva in precedenza
+exports.adminPrompts = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 30,
+      secrets: ["SPARK_ADMIN_TOKEN"],
+    },
+    async (req, res) => {
+      const auth = authenticateAdmin(req);
+      if (!auth.authenticated) {
+        res.status(auth.code === "ADMIN_DISABLED" ? 503 : 401).json({
+          success: false,
+          error: auth.error,
+          code: auth.code,
+        });
+        return;
+      }
+
+      try {
+        const tenantId = getRequestTenantId(req);
+        if (!(await resolveTenant(tenantId))) {
+          res.status(404).json({success: false, error: "Tenant sconosciuto"});
+          return;
+        }
+
+        const store = getPromptStore();
+        const action = (req.path || "/").replace(/\/+$/, "") || "/";
 
-        if (rowNum) {
-          // Aggiorna timestamp, conversazione e sorgente
-          const updateData = [
-            {range: `A${rowNum}`, values: [[new Date().toISOString()]]},
-            {range: `J${rowNum}`, values: [[conversazioneText]]},
-          ];
-          if (trafficSource) {
-            updateData.push(
-                {range: `L${rowNum}`, values: [[trafficSource]]},
-            );
+        if (req.method === "GET" && action === "/") {
+          if (req.query.version !== undefined) {
+            const record = await store.getVersion(tenantId,
+                Number(req.query.version));
+            if (!record) {
+              res.status(404).json({success: false, error: "Versione non trovata"});
+              return;
+            }
+            res.status(200).json({success: true, data: record});
+            return;
           }
-          await sheets.spreadsheets.values.batchUpdate({
-            spreadsheetId: sheetId,
-            requestBody: {
-              valueInputOption: "USER_ENTERED",
-              data: updateData,
+
+          const [state, versions] = await Promise.all([
+            store.getState(tenantId),
+            store.listVersions(tenantId),
+          ]);
+          res.status(200).json({
+            success: true,
+            data: {
+              ...state,
+              versions: versions.map(({content, ...meta}) => ({
+                ...meta,
+                length: content.length,
+              })),
             },
           });
+          return;
+        }
+
+        if (req.method !== "POST") {
+          res.status(405).json({success: false, error: "Metodo non consentito"});
+          return;
+        }
+
+        const body = req.body || {};
+        let state;
+        if (action === "/") {
+          const {valid, errors, input} = validatePromptInput(body);
+          if (!valid) {
+            res.status(400).json({
+              success: false,
+              error: "Prompt non valido",
+              details: errors,
+            });
+            return;
+          }
+          const record = await store.createVersion(tenantId, input);
+          logger.info("Versione prompt creata", {
+            tenantId,
+            version: record.version,
+          });
+          if (body.activate !== true) {
+            res.status(201).json({success: true, data: record});
+            return;
+          }
+          state = await store.activateVersion(tenantId, record.version);
+        } else if (action === "/activate") {
+          const version = Number(body.version);
+          state = Number.isInteger(version) ?
+            await store.activateVersion(tenantId, version) : null;
+          if (!state) {
+            res.status(404).json({success: false, error: "Versione non trovata"});
+            return;
+          }
+        } else if (action === "/rollback") {
+          const {previousVersion} = await store.getState(tenantId);
+          if (!previousVersion) {
+            res.status(409).json({
+              success: false,
+              error: "Nessuna versione precedente",
+            });
+            return;
+          }
+          state = await store.activateVersion(tenantId, previousVersion);
         } else {
-          // Crea nuova riga
-          const label = leadSent ? "🟡 Lead inviato" : "⚪ No lead";
-          const row = [
-            new Date().toISOString(), // A: Data
-            "", // B: Note Qualifica
-            label, // C: Colore Scoring
-            "", // D: Nome
-            "", // E: Telefono
-            "", // F: Email
-            "", // G: Nome Azienda
-            "", // H: Preventivo Indicato
-            "", // I: Descrizione Progetto
-            conversazioneText, // J: Conversazione
-            sessionId, // K: SessionId
-            trafficSource || "", // L: Sorgente
-          ];
-          await sheets.spreadsheets.values.append({
-            spreadsheetId: sheetId,
-            range: "A:L",
-            valueInputOption: "USER_ENTERED",
-            requestBody: {values: [row]},
+          res.status(404).json({success: false, error: "Azione sconosciuta"});
+          return;
+        }
+
+        // Questa istanza usa subito la nuova versione, le altre entro il TTL
+        clearPromptCache(tenantId);
+        logger.info("Versione prompt attivata", {
+          tenantId,
+          action,
+          activeVersion: state.activeVersion,
+          previousVersion: state.previousVersion,
+        });
+        res.status(action === "/" ? 201 : 200).json({success: true, data: state});
+      } catch (err) {
+        logger.error("Errore nella funzione adminPrompts", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({success: false, error: "Errore interno"});
+      }
+    },
+);
+
+// --- ADMIN: REPORT ESPERIMENTI A/B ---
+// Authorization: Bearer <SPARK_ADMIN_TOKEN>, tenant in ?tenant= (default nexo)
+// GET                  → report dell'esperimento attivo del tenant
+// GET ?experiment=ID   → report di un esperimento (anche concluso)
+exports.adminExperiments = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 60,
+      secrets: [
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+        "SPARK_ADMIN_TOKEN",
+      ],
+    },
+    async (req, res) => {
+      const auth = authenticateAdmin(req);
+      if (!auth.authenticated) {
+        res.status(auth.code === "ADMIN_DISABLED" ? 503 : 401).json({
+          success: false,
+          error: auth.error,
+          code: auth.code,
+        });
+        return;
+      }
+
+      if (req.method !== "GET") {
+        res.status(405).json({success: false, error: "Metodo non consentito"});
+        return;
+      }
+
+      try {
+        const tenant = await resolveTenant(getRequestTenantId(req));
+        if (!tenant) {
+          res.status(404).json({success: false, error: "Tenant sconosciuto"});
+          return;
+        }
+
+        const experiment = getExperiment(tenant);
+        const experimentId = req.query.experiment ?
+          String(req.query.experiment) : experiment && experiment.id;
+        if (!experimentId) {
+          res.status(404).json({
+            success: false,
+            error: "Nessun esperimento attivo",
           });
+          return;
         }
 
-        // Rispondi subito (sendBeacon è fire-and-forget)
-        res.status(200).end();
+        const records = await getLeadStore(tenant)
+            .listByExperiment(experimentId);
+        const report = buildExperimentReport(experimentId, records, experiment);
+        logger.info("Report esperimento generato", {
+          tenantId: tenant.id,
+          experimentId,
+          records: records.length,
+        });
+        res.status(200).json({success: true, data: report});
+      } catch (err) {
+        logger.error("Errore nella funzione adminExperiments", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({success: false, error: "Errore interno"});
+      }
+    },
+);
 
-        // Analisi AI asincrona (dopo aver risposto)
-        // Skip se lead già inviato (verrà analizzato da /lead)
-        if (!leadSent && history.length >= 2) {
-          try {
-            const anthropic = new Anthropic({
-              apiKey: process.env.ANTHROPIC_API_KEY,
-            });
+// --- ADMIN: CONSOLE OPERATORE ---
+// Authorization: Bearer <SPARK_ADMIN_TOKEN>, tenant in ?tenant= (default nexo)
+// GET                                  → sessioni attive del tenant
+// GET /turns?sessionId=&after=N        → long-poll dei turni dopo il turno N
+// POST /takeover {sessionId, operator} → prende in carico la sessione
+// POST /message {sessionId, operator, content} → messaggio dell'operatore
+// POST /release {sessionId}            → restituisce la sessione a Spark
+exports.adminLive = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 60,
+      secrets: ["SPARK_ADMIN_TOKEN"],
+    },
+    async (req, res) => {
+      const auth = authenticateAdmin(req);
+      if (!auth.authenticated) {
+        res.status(auth.code === "ADMIN_DISABLED" ? 503 : 401).json({
+          success: false,
+          error: auth.error,
+          code: auth.code,
+        });
+        return;
+      }
 
-            const conversazionePerAnalisi = history
-                .map((m) => {
-                  const ruolo = m.role === "user" ? "Utente" : "Spark";
-                  return `${ruolo}: ${m.content}`;
-                })
-                .join("\n");
-
-            const aiResp = await anthropic.messages.create({
-              model: "claude-haiku-4-5-20251001",
-              max_tokens: 500,
-              messages: [{
-                role: "user",
-                content: `Analizza questa conversazione tra un utente e Spark \
-(chatbot di vendita per Nexo, azienda di sviluppo software su misura). \
-L'utente NON ha lasciato i dati di contatto.
-
-Rispondi SOLO con un JSON valido (nessun altro testo, nessun markdown) \
-con questi campi:
-- "argomento": cosa ha chiesto o voleva l'utente (1-2 frasi concise)
-- "dubbi": dubbi, perplessità o obiezioni espresse dall'utente \
-(1 frase, oppure "Nessuno emerso")
-- "reazionePreventivo": "nessuna" se non si è arrivati al preventivo, \
-"positiva" se ha reagito bene al prezzo, "resistenza" se ha mostrato \
-dubbi o obiezioni sul prezzo
-- "resistenzaContatto": "non richiesto" se non si è arrivati alla \
-fase contatto, "rifiutato" se ha rifiutato esplicitamente, "evitato" \
-se ha ignorato la richiesta
-- "preventivo": il prezzo comunicato da Spark (es. "1.800€"), oppure \
-stringa vuota se non è stato comunicato nessun preventivo
-- "noteGenerali": breve analisi di come è andata e perché non si è \
-convertita in lead (1-2 frasi)
-
-Conversazione:
-${conversazionePerAnalisi}`,
-              }],
-            });
+      try {
+        const tenant = await resolveTenant(getRequestTenantId(req));
+        if (!tenant) {
+          res.status(404).json({success: false, error: "Tenant sconosciuto"});
+          return;
+        }
 
-            let rawText = aiResp.content[0].text.trim();
-            rawText = rawText
-                .replace(/^```(?:json)?\s*/i, "")
-                .replace(/\s*```\s*$/, "");
-            const analysis = JSON.parse(rawText);
-
-            const noteQualifica = analysis.noteGenerali || "";
-
-            // Trova la riga corrente (potrebbe essere cambiata)
-            const updRow =
-              await findRowBySessionId(sheets, sheetId, sessionId);
-            if (updRow) {
-              const updateData = [
-                {range: `B${updRow}`, values: [[noteQualifica]]},
-                {range: `I${updRow}`,
-                  values: [[analysis.argomento || ""]]},
-              ];
-              if (analysis.preventivo) {
-                updateData.push(
-                    {range: `H${updRow}`,
-                      values: [[analysis.preventivo]]},
-                );
-              }
-              await sheets.spreadsheets.values.batchUpdate({
-                spreadsheetId: sheetId,
-                requestBody: {
-                  valueInputOption: "USER_ENTERED",
-                  data: updateData,
-                },
-              });
-            }
-            logger.info("Track: analisi AI completata", {sessionId});
-          } catch (aiErr) {
-            logger.warn("Track: analisi AI fallita", {
-              message: aiErr.message,
-            });
+        const action = (req.path || "/").replace(/\/+$/, "") || "/";
+        if (req.method === "GET" && action === "/") {
+          const sessions = await listLiveSessions(tenant);
+          res.status(200).json({success: true, data: {sessions}});
+          return;
+        }
+
+        const input = req.method === "GET" ? req.query : req.body || {};
+        const sessionId = input.sessionId ? String(input.sessionId) : "";
+        const session = sessionId && await findLiveSession(tenant, sessionId);
+        if (!session) {
+          res.status(404).json({success: false, error: "Sessione non attiva"});
+          return;
+        }
+        const operator = typeof input.operator === "string" ?
+          input.operator.trim() : "";
+
+        if (req.method === "GET" && action === "/turns") {
+          const after = parseCursor(req.query.after);
+          // Lunghezza della risposta in corso già mostrata dalla console
+          const partialLength = parseCursor(req.query.partial);
+          if (after === null || partialLength === null) {
+            res.status(400).json({success: false, error: "Cursore non valido"});
+            return;
+          }
+          const data = await waitForTurns(sessionId, after,
+              {partialLength: partialLength || 0});
+          res.status(200).json({success: true, data});
+        } else if (req.method === "POST" && action === "/takeover") {
+          if (!operator) {
+            res.status(400).json({success: false, error: "Operatore mancante"});
+            return;
           }
+          const {taken, handoff} = await takeOverSession(sessionId, operator);
+          res.status(taken ? 200 : 409).json({
+            success: taken,
+            data: {handoff},
+            ...(!taken && {error: "Sessione già in carico a un altro operatore"}),
+          });
+        } else if (req.method === "POST" && action === "/message") {
+          const {sent, error, status} = await sendOperatorMessage(sessionId,
+              operator, input.content);
+          res.status(sent ? 201 : status).json(sent ?
+            {success: true} : {success: false, error});
+        } else if (req.method === "POST" && action === "/release") {
+          await releaseSession(sessionId);
+          res.status(200).json({success: true});
+        } else {
+          res.status(405).json({success: false, error: "Metodo non consentito"});
         }
+      } catch (err) {
+        logger.error("Errore nella funzione adminLive", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({success: false, error: "Errore interno"});
+      }
+    },
+);
 
-        logger.info("Track salvato", {sessionId, msgCount: history.length});
+// --- ADMIN: DATI PERSONALI (GDPR) ---
+// Authorization: Bearer <SPARK_ADMIN_TOKEN>, tenant in ?tenant= (default nexo)
+// GET ?sessionId=|email=|telefono=      → export dei dati collegati
+// POST /erase {sessionId|email|telefono} → cancellazione dei dati collegati
+exports.adminPrivacy = onRequest(
+    {
+      memory: "256MiB",
+      timeoutSeconds: 120,
+      secrets: [
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+        "SPARK_ADMIN_TOKEN",
+      ],
+    },
+    async (req, res) => {
+      const auth = authenticateAdmin(req);
+      if (!auth.authenticated) {
+        res.status(auth.code === "ADMIN_DISABLED" ? 503 : 401).json({
+          success: false,
+          error: auth.error,
+          code: auth.code,
+        });
+        return;
+      }
+
+      try {
+        const tenant = await resolveTenant(getRequestTenantId(req));
+        if (!tenant) {
+          res.status(404).json({success: false, error: "Tenant sconosciuto"});
+          return;
+        }
+
+        const action = (req.path || "/").replace(/\/+$/, "") || "/";
+        const isExport = req.method === "GET" && action === "/";
+        const isErase = req.method === "POST" && action === "/erase";
+        if (!isExport && !isErase) {
+          res.status(405).json({success: false, error: "Metodo non consentito"});
+          return;
+        }
+
+        const {valid, error, query} = parsePrivacyQuery(
+            isExport ? req.query : req.body);
+        if (!valid) {
+          res.status(400).json({success: false, error});
+          return;
+        }
+
+        if (isExport) {
+          const data = await exportPersonalData(tenant, query);
+          logger.info("Export dati personali", {
+            tenantId: tenant.id,
+            sessions: data.sessionIds.length,
+            leads: data.leads.length,
+          });
+          res.status(200).json({success: true, data});
+          return;
+        }
+
+        const erased = await erasePersonalData(tenant, query);
+        res.status(200).json({success: true, data: {erased}});
       } catch (err) {
-        logger.error("Errore nella funzione track", {
+        logger.error("Errore nella funzione adminPrivacy", {
+          message: err.message,
+          stack: err.stack,
+        });
+        res.status(500).json({success: false, error: "Errore interno"});
+      }
+    },
+);
+
+// --- ANALYSIS JOB WORKER ---
+// Elabora i job accodati da summary e track (retry con backoff esponenziale)
+exports.processAnalysisJob = onDocumentCreated(
+    {
+      document: `${COLLECTIONS.ANALYSIS_JOBS}/{jobId}`,
+      memory: "256MiB",
+      timeoutSeconds: 300,
+      secrets: [
+        "ANTHROPIC_API_KEY",
+        "GOOGLE_SERVICE_ACCOUNT_JSON",
+        "GOOGLE_SHEET_ID",
+      ],
+    },
+    async (event) => {
+      const {jobId} = event.params;
+      try {
+        await processAnalysisJob(jobId);
+      } catch (err) {
+        logger.error("Errore nella funzione processAnalysisJob", {
+          jobId,
+          message: err.message,
+          stack: err.stack,
+        });
+      }
+    },
+);
+
+// --- NOTIFICATION WORKER ---
+// Invia le notifiche accodate per i lead (retry con backoff esponenziale)
+exports.processNotification = onDocumentCreated(
+    {
+      document: `${COLLECTIONS.NOTIFICATIONS}/{deliveryId}`,
+      memory: "256MiB",
+      timeoutSeconds: 120,
+    },
+    async (event) => {
+      const {deliveryId} = event.params;
+      try {
+        await processDelivery(deliveryId);
+      } catch (err) {
+        logger.error("Errore nella funzione processNotification", {
+          deliveryId,
+          message: err.message,
+          stack: err.stack,
+        });
+      }
+    },
+);
+
+// --- RETENTION DELLE TRASCRIZIONI ---
+// Ogni notte elimina le trascrizioni più vecchie di SPARK_RETENTION_DAYS
+exports.purgeTranscripts = onSchedule(
+    {
+      schedule: "0 3 * * *",
+      timeZone: "Europe/Rome",
+      region: "europe-west1",
+      timeoutSeconds: 540,
+      secrets: ["GOOGLE_SERVICE_ACCOUNT_JSON", "GOOGLE_SHEET_ID"],
+    },
+    async () => {
+      try {
+        await purgeExpiredTranscripts();
+      } catch (err) {
+        logger.error("Errore nella retention delle trascrizioni", {
           message: err.message,
           stack: err.stack,
         });
-        res.status(200).end();
       }
     },
 );
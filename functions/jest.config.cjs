@@ -3,7 +3,7 @@ module.exports = {
   preset: 'ts-jest',
   testEnvironment: 'node',
   roots: ['<rootDir>/src', '<rootDir>/tests'],
-  testMatch: ['**/tests/**/*.test.ts', '**/*.test.ts'],
+  testMatch: ['**/tests/**/*.test.ts', '**/*.test.ts', '**/tests/**/*.test.js'],
   moduleNameMapper: {
     '^@types/(.*)$': '<rootDir>/src/types/$1',
     '^@lib/(.*)$': '<rootDir>/src/lib/$1',
@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const {getRequestToken} = require("./widgetToken");
+
+/**
+ * Autenticazione delle funzioni di amministrazione: header
+ * `Authorization: Bearer <SPARK_ADMIN_TOKEN>`. Il risultato ha la forma di
+ * AuthResult in src/middleware/auth.ts: {authenticated, error, code}.
+ */
+function authenticateAdmin(req) {
+  const expected = process.env.SPARK_ADMIN_TOKEN || "";
+  if (!expected) {
+    logger.error("SPARK_ADMIN_TOKEN non configurato");
+    return {
+      authenticated: false,
+      error: "Amministrazione non configurata",
+      code: "ADMIN_DISABLED",
+    };
+  }
+
+  const token = getRequestToken(req, null);
+  if (!token) {
+    return {
+      authenticated: false,
+      error: "Header Authorization mancante o non valido",
+      code: "MISSING_AUTH",
+    };
+  }
+
+  // Confronto a tempo costante su digest di lunghezza fissa
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(expected))) {
+    logger.warn("Token admin non valido");
+    return {
+      authenticated: false,
+      error: "Token non valido",
+      code: "INVALID_TOKEN",
+    };
+  }
+  return {authenticated: true};
+}
+
+module.exports = {authenticateAdmin};
@@ -0,0 +1,250 @@
+const logger = require("./logger");
+const Anthropic = require("@anthropic-ai/sdk");
+const {fromAnthropicUsage, recordUsage} = require("./costTracking");
+const {redactTranscript} = require("./privacy");
+const {getSpeakerLabel} = require("./conversationStore");
+const {CANONICAL_LOCALE, getLanguageName} = require("./locales");
+
+/**
+ * Analisi AI delle conversazioni senza lead (summary e track).
+ *
+ * Il modello risponde chiamando lo strumento save_analysis (tool_choice
+ * forzato), quindi l'output è già un oggetto con lo schema richiesto.
+ * Se i campi non superano validateAnalysis gli errori tornano al modello
+ * come tool_result e l'analisi viene ritentata, fino a
+ * MAX_ANALYSIS_ATTEMPTS richieste.
+ */
+
+const ANALYSIS_MODEL = "claude-haiku-4-5-20251001";
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
+const REAZIONI_PREVENTIVO = ["nessuna", "positiva", "resistenza"];
+const RESISTENZE_CONTATTO = ["non richiesto", "rifiutato", "evitato"];
+
+const ANALYSIS_TOOL = {
+  name: "save_analysis",
+  description: "Salva l'analisi strutturata della conversazione.",
+  input_schema: {
+    type: "object",
+    properties: {
+      argomento: {
+        type: "string",
+        description: "Cosa ha chiesto o voleva l'utente (1-2 frasi concise)",
+      },
+      dubbi: {
+        type: "string",
+        description: "Dubbi, perplessità o obiezioni espresse dall'utente " +
+          "(1 frase, oppure \"Nessuno emerso\")",
+      },
+      reazionePreventivo: {
+        type: "string",
+        enum: REAZIONI_PREVENTIVO,
+        description: "\"nessuna\" se non si è arrivati al preventivo, " +
+          "\"positiva\" se ha reagito bene al prezzo, \"resistenza\" se ha " +
+          "mostrato dubbi o obiezioni sul prezzo",
+      },
+      resistenzaContatto: {
+        type: "string",
+        enum: RESISTENZE_CONTATTO,
+        description: "\"non richiesto\" se non si è arrivati alla fase " +
+          "contatto, \"rifiutato\" se ha rifiutato esplicitamente, " +
+          "\"evitato\" se ha ignorato la richiesta",
+      },
+      preventivo: {
+        type: "string",
+        description: "Prezzo comunicato dall'assistente (es. \"1.800€\"), " +
+          "stringa vuota se non è stato comunicato nessun preventivo",
+      },
+      noteGenerali: {
+        type: "string",
+        description: "Breve analisi di come è andata e perché non si è " +
+          "convertita in lead (1-2 frasi)",
+      },
+    },
+    required: [
+      "argomento",
+      "dubbi",
+      "reazionePreventivo",
+      "resistenzaContatto",
+      "preventivo",
+      "noteGenerali",
+    ],
+  },
+};
+
+// Lunghezza massima dei campi testuali dell'analisi
+const MAX_LENGTHS = {
+  argomento: 500,
+  dubbi: 500,
+  preventivo: 50,
+  noteGenerali: 1000,
+};
+
+/**
+ * Valida l'input di save_analysis.
+ * Restituisce {valid, errors, analysis} con i campi trim.
+ */
+function validateAnalysis(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {valid: false, errors: ["input non è un oggetto"], analysis: null};
+  }
+
+  const errors = [];
+  const analysis = {};
+  for (const [field, maxLength] of Object.entries(MAX_LENGTHS)) {
+    const value = input[field];
+    if (typeof value !== "string") {
+      errors.push(`${field} deve essere una stringa`);
+      continue;
+    }
+    analysis[field] = value.trim();
+    if (analysis[field].length > maxLength) {
+      errors.push(`${field} supera ${maxLength} caratteri`);
+    }
+  }
+  if (analysis.argomento === "") {
+    errors.push("argomento obbligatorio");
+  }
+
+  for (const [field, allowed] of [
+    ["reazionePreventivo", REAZIONI_PREVENTIVO],
+    ["resistenzaContatto", RESISTENZE_CONTATTO],
+  ]) {
+    if (!allowed.includes(input[field])) {
+      errors.push(`${field} deve essere uno tra: ${allowed.join(", ")}`);
+    } else {
+      analysis[field] = input[field];
+    }
+  }
+
+  if (errors.length > 0) return {valid: false, errors, analysis: null};
+  return {valid: true, errors, analysis};
+}
+
+/**
+ * Prompt di analisi per il tenant, con la conversazione una riga per
+ * messaggio e i dati personali mascherati secondo la policy del tenant.
+ * L'analisi è sempre nella lingua canonica, qualunque sia quella della chat.
+ */
+function buildAnalysisPrompt(tenant, conversazione) {
+  const {assistantName} = tenant.widget;
+  const transcript = conversazione
+      .map((m) => {
+        const ruolo = getSpeakerLabel(m.role, assistantName);
+        return `${ruolo}: ${redactTranscript(tenant, m.content)}`;
+      })
+      .join("\n");
+
+  return `Analizza questa conversazione tra un utente e ${assistantName} \
+(chatbot di vendita per ${tenant.description || tenant.name}). \
+L'utente NON ha lasciato i dati di contatto.
+
+Salva l'analisi con lo strumento ${ANALYSIS_TOOL.name}. \
+Il preventivo è quello comunicato da ${assistantName}. \
+Scrivi l'analisi in ${getLanguageName(CANONICAL_LOCALE)}, anche se la \
+conversazione è in un'altra lingua.
+
+Conversazione:
+${transcript}`;
+}
+
+/**
+ * Analizza una conversazione senza lead. Restituisce l'analisi validata,
+ * oppure null se il modello non produce un output valido entro
+ * MAX_ANALYSIS_ATTEMPTS richieste. `endpoint` è il nome con cui registrare
+ * i costi.
+ * @throws {Error} Se l'API Anthropic non risponde (il job di analisi ritenta)
+ */
+async function analyzeConversation({tenant, conversazione, sessionId,
+  endpoint}) {
+  const anthropic = new Anthropic({apiKey: process.env.ANTHROPIC_API_KEY});
+  let messages = [{
+    role: "user",
+    content: buildAnalysisPrompt(tenant, conversazione),
+  }];
+
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+    const response = await anthropic.messages.create({
+      model: ANALYSIS_MODEL,
+      max_tokens: 800,
+      tools: [ANALYSIS_TOOL],
+      tool_choice: {type: "tool", name: ANALYSIS_TOOL.name},
+      messages,
+    });
+    await recordUsage({
+      endpoint,
+      model: ANALYSIS_MODEL,
+      usage: fromAnthropicUsage(response.usage),
+      sessionId,
+    });
+
+    const toolUse = (response.content || []).find((block) =>
+      block.type === "tool_use" && block.name === ANALYSIS_TOOL.name);
+    if (!toolUse) {
+      logger.warn("Analisi conversazione senza tool_use", {
+        endpoint,
+        sessionId,
+        attempt,
+      });
+      messages = messages.concat([
+        {role: "assistant", content: response.content},
+        {role: "user", content: `Usa lo strumento ${ANALYSIS_TOOL.name}.`},
+      ]);
+      continue;
+    }
+
+    const {valid, errors, analysis} = validateAnalysis(toolUse.input);
+    if (valid) return analysis;
+
+    logger.warn("Analisi conversazione non valida", {
+      endpoint,
+      sessionId,
+      attempt,
+      errors,
+    });
+    messages = messages.concat([
+      {role: "assistant", content: response.content},
+      {role: "user", content: [{
+        type: "tool_result",
+        tool_use_id: toolUse.id,
+        is_error: true,
+        content: `Analisi non valida: ${errors.join("; ")}`,
+      }]},
+    ]);
+  }
+
+  logger.error("Analisi conversazione fallita dopo i tentativi", {
+    endpoint,
+    sessionId,
+    attempts: MAX_ANALYSIS_ATTEMPTS,
+  });
+  return null;
+}
+
+/**
+ * Campi del lead record aggiornati dall'analisi. Il preventivo
+ * sovrascrive quello salvato solo se è stato comunicato.
+ */
+function toAnalysisPatch(analysis) {
+  const patch = {
+    noteQualifica: analysis.noteGenerali,
+    descrizioneProgetto: analysis.argomento,
+    dubbi: analysis.dubbi,
+    reazionePreventivo: analysis.reazionePreventivo,
+    resistenzaContatto: analysis.resistenzaContatto,
+  };
+  if (analysis.preventivo) {
+    patch.preventivoIndicato = analysis.preventivo;
+  }
+  return patch;
+}
+
+module.exports = {
+  ANALYSIS_MODEL,
+  ANALYSIS_TOOL,
+  MAX_ANALYSIS_ATTEMPTS,
+  validateAnalysis,
+  buildAnalysisPrompt,
+  analyzeConversation,
+  toAnalysisPatch,
+};
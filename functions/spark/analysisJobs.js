@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const {getJobStore} = require("./jobStore");
+const {getLeadStore, upsertLead} = require("./leadStore");
+const {resolveTenant} = require("./tenants");
+const {analyzeConversation, toAnalysisPatch} = require("./analysis");
+
+/**
+ * Coda dei job di analisi delle conversazioni.
+ *
+ * summary e track accodano un job e rispondono: su Cloud Run il lavoro
+ * fatto dopo res.end() può essere rallentato o interrotto. Il job viene
+ * elaborato dalla funzione processAnalysisJob (trigger sulla creazione del
+ * documento) con la semantica di src/services/jobProcessor.ts:
+ * pending → processing → completed | failed, `attempts` incrementato a ogni
+ * tentativo fallito e backoff esponenziale, al massimo MAX_JOB_ATTEMPTS.
+ *
+ * Il jobId deriva da tenant, sessione e numero di messaggi: track e summary
+ * sulla stessa conversazione producono un solo job.
+ *
+ * L'analisi spiega perché la conversazione non è diventata un lead: se nel
+ * frattempo la sessione ha lasciato i contatti (save_lead, modulo
+ * contatti) il job si completa senza toccare il record.
+ */
+
+const MAX_JOB_ATTEMPTS = 3;
+
+/**
+ * ID del job per una conversazione (hash, valido come ID documento).
+ */
+function getJobId(tenantId, sessionId, messageCount) {
+  return crypto.createHash("sha256")
+      .update(`${tenantId}:${sessionId}:${messageCount}`)
+      .digest("hex")
+      .substring(0, 40);
+}
+
+/**
+ * Attesa prima del tentativo successivo: 1s, 2s, 4s...
+ */
+function getBackoffDelay(attempt) {
+  return Math.pow(2, attempt) * 1000;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Accoda l'analisi di una conversazione. Restituisce {created, jobId}:
+ * created è false se la stessa conversazione era già in coda.
+ */
+async function enqueueAnalysisJob({tenant, sessionId, conversazione,
+  messageCount, endpoint}) {
+  const jobId = getJobId(tenant.id, sessionId, messageCount);
+  const created = await getJobStore().create({
+    jobId,
+    tenantId: tenant.id,
+    sessionId,
+    messageCount,
+    endpoint,
+    conversazione: conversazione.map((m) => ({
+      role: m.role,
+      content: String(m.content || ""),
+    })),
+    status: "pending",
+    attempts: 0,
+    maxAttempts: MAX_JOB_ATTEMPTS,
+    createdAt: new Date().toISOString(),
+  });
+  logger.info(created ? "Job di analisi accodato" : "Job di analisi già in coda", {
+    jobId,
+    sessionId,
+    endpoint,
+    messageCount,
+  });
+  return {created, jobId};
+}
+
+/**
+ * Verifica che il job abbia i campi necessari all'elaborazione.
+ */
+function validateJob(job) {
+  if (!job.tenantId) return {valid: false, error: "tenantId mancante"};
+  if (!job.sessionId) return {valid: false, error: "sessionId mancante"};
+  if (!Array.isArray(job.conversazione) || job.conversazione.length < 2) {
+    return {valid: false, error: "conversazione mancante"};
+  }
+  return {valid: true};
+}
+
+/**
+ * true se il record della sessione ha già i contatti di un lead.
+ */
+async function hasLeadContacts(leadStore, sessionId) {
+  const record = await leadStore.get(sessionId);
+  return Boolean(record && (record.telefono || record.email));
+}
+
+/**
+ * Un tentativo di elaborazione: {success} oppure {success: false, error,
+ * retryable}. Solo gli errori imprevisti (API, storage) vengono ritentati:
+ * l'analisi ritenta già da sé l'output non valido.
+ */
+async function attemptJob(job) {
+  try {
+    const tenant = await resolveTenant(job.tenantId);
+    if (!tenant) {
+      return {success: false, error: "tenant sconosciuto", retryable: false};
+    }
+    const leadStore = getLeadStore(tenant);
+    if (await hasLeadContacts(leadStore, job.sessionId)) {
+      logger.info("Analisi saltata: la sessione è già un lead", {
+        jobId: job.jobId,
+        sessionId: job.sessionId,
+      });
+      return {success: true};
+    }
+    const analysis = await analyzeConversation({
+      tenant,
+      conversazione: job.conversazione,
+      sessionId: job.sessionId,
+      endpoint: job.endpoint,
+    });
+    if (!analysis) {
+      return {success: false, error: "analisi non valida", retryable: false};
+    }
+    // Il lead può arrivare mentre l'analisi è in corso
+    if (await hasLeadContacts(leadStore, job.sessionId)) {
+      logger.info("Analisi non salvata: la sessione è diventata un lead", {
+        jobId: job.jobId,
+        sessionId: job.sessionId,
+      });
+      return {success: true};
+    }
+    await upsertLead(leadStore, job.sessionId, toAnalysisPatch(analysis));
+    return {success: true};
+  } catch (err) {
+    return {success: false, error: err.message, retryable: true};
+  }
+}
+
+/**
+ * Elabora un job in attesa con retry e backoff esponenziale.
+ * Restituisce lo stato finale ("completed" o "failed"), null se il job
+ * non era in attesa (già elaborato o evento duplicato).
+ * `wait` sostituisce l'attesa tra i tentativi (utile nei test).
+ */
+async function processAnalysisJob(jobId, {wait = sleep} = {}) {
+  const store = getJobStore();
+  const job = await store.claim(jobId);
+  if (!job) {
+    logger.warn("Job di analisi non in attesa, ignorato", {jobId});
+    return null;
+  }
+
+  const validation = validateJob(job);
+  if (!validation.valid) {
+    logger.error("Job di analisi non valido", {jobId, error: validation.error});
+    await store.update(jobId, {
+      status: "failed",
+      errorMessage: validation.error,
+      completedAt: new Date().toISOString(),
+    });
+    return "failed";
+  }
+
+  let attempts = job.attempts || 0;
+  let lastError;
+  while (attempts < MAX_JOB_ATTEMPTS) {
+    const result = await attemptJob(job);
+    if (result.success) {
+      await store.update(jobId, {
+        status: "completed",
+        completedAt: new Date().toISOString(),
+      });
+      logger.info("Job di analisi completato", {
+        jobId,
+        sessionId: job.sessionId,
+        attempt: attempts + 1,
+      });
+      return "completed";
+    }
+
+    lastError = result.error;
+    attempts++;
+    if (!result.retryable) break;
+
+    if (attempts < MAX_JOB_ATTEMPTS) {
+      await store.update(jobId, {attempts});
+      const delay = getBackoffDelay(attempts - 1);
+      logger.warn("Job di analisi fallito, nuovo tentativo", {
+        jobId,
+        attempt: attempts,
+        maxAttempts: MAX_JOB_ATTEMPTS,
+        error: lastError,
+        retryDelayMs: delay,
+      });
+      await wait(delay);
+    }
+  }
+
+  logger.error("Job di analisi fallito", {jobId, attempts, error: lastError});
+  await store.update(jobId, {
+    status: "failed",
+    attempts,
+    errorMessage: lastError,
+    completedAt: new Date().toISOString(),
+  });
+  return "failed";
+}
+
+module.exports = {
+  MAX_JOB_ATTEMPTS,
+  getJobId,
+  getBackoffDelay,
+  enqueueAnalysisJob,
+  validateJob,
+  processAnalysisJob,
+};
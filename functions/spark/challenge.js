@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Challenge anti-bot richiesta prima di emettere un token widget, scelta con
+ * SPARK_CHALLENGE:
+ * - "none" (default): nessuna challenge, basta il token firmato
+ * - "pow": proof-of-work, il client cerca un nonce tale che
+ *   SHA-256(salt + ":" + sessionId + ":" + nonce) inizi con `difficulty`
+ *   bit a zero. La challenge è legata alla sessione: una soluzione non
+ *   serve a ottenere token per altre sessioni
+ * - "turnstile": token Cloudflare Turnstile verificato con siteverify
+ *   (TURNSTILE_VERIFY_URL permette di puntare a uno stub locale nei test)
+ */
+
+const CHALLENGE_TYPES = ["none", "pow", "turnstile"];
+
+// Bit a zero richiesti di default: ~16k hash, meno di un secondo nel browser
+const DEFAULT_POW_DIFFICULTY = 14;
+
+// Tempo a disposizione del client per risolvere la challenge
+const POW_CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+const TURNSTILE_VERIFY_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+const TURNSTILE_TIMEOUT_MS = 5000;
+
+function getChallengeType() {
+  const type = (process.env.SPARK_CHALLENGE || "").toLowerCase();
+  return CHALLENGE_TYPES.includes(type) ? type : "none";
+}
+
+function getPowDifficulty() {
+  const difficulty = Number(process.env.SPARK_POW_DIFFICULTY);
+  return Number.isInteger(difficulty) && difficulty > 0 && difficulty <= 32 ?
+    difficulty : DEFAULT_POW_DIFFICULTY;
+}
+
+function signChallenge({sessionId, salt, difficulty, expiresAt}, secret) {
+  return crypto.createHmac("sha256", secret)
+      .update(`${sessionId}:${salt}:${difficulty}:${expiresAt}`)
+      .digest("base64url");
+}
+
+/**
+ * Crea una challenge proof-of-work firmata per la sessione: il server non
+ * deve ricordarla, la firma garantisce che sessione, salt e difficoltà
+ * siano suoi.
+ */
+function createPowChallenge(secret, sessionId, now = Date.now()) {
+  const challenge = {
+    type: "pow",
+    sessionId,
+    salt: crypto.randomBytes(16).toString("hex"),
+    difficulty: getPowDifficulty(),
+    expiresAt: now + POW_CHALLENGE_TTL_MS,
+  };
+  challenge.signature = signChallenge(challenge, secret);
+  return challenge;
+}
+
+/**
+ * Numero di bit a zero iniziali di un buffer.
+ */
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+function powHash(salt, sessionId, nonce) {
+  return crypto.createHash("sha256")
+      .update(`${salt}:${sessionId}:${nonce}`)
+      .digest();
+}
+
+/**
+ * Verifica una soluzione proof-of-work per la sessione che chiede il
+ * token: challenge firmata per quella sessione, non scaduta e nonce che
+ * produce abbastanza bit a zero.
+ */
+function verifyPowSolution(solution, secret, sessionId, now = Date.now()) {
+  const {salt, difficulty, expiresAt, signature, nonce} = solution || {};
+  if (typeof salt !== "string" || typeof signature !== "string" ||
+      !Number.isInteger(difficulty) || !Number.isFinite(expiresAt) ||
+      nonce === undefined || nonce === null) {
+    return {valid: false, error: "soluzione pow incompleta"};
+  }
+
+  const expected = signChallenge({sessionId, salt, difficulty, expiresAt},
+      secret);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return {valid: false, error: "challenge pow non firmata dal server"};
+  }
+  if (expiresAt <= now) {
+    return {valid: false, error: "challenge pow scaduta"};
+  }
+  if (difficulty < getPowDifficulty()) {
+    return {valid: false, error: "difficoltà pow insufficiente"};
+  }
+  if (leadingZeroBits(powHash(salt, sessionId, String(nonce))) < difficulty) {
+    return {valid: false, error: "soluzione pow errata"};
+  }
+  return {valid: true};
+}
+
+/**
+ * Verifica un token Turnstile con l'endpoint siteverify.
+ * Un errore di rete rifiuta la richiesta (fail closed).
+ */
+async function verifyTurnstileToken(token, remoteIp) {
+  if (!token || typeof token !== "string") {
+    return {valid: false, error: "token turnstile mancante"};
+  }
+
+  const params = new URLSearchParams({
+    secret: process.env.TURNSTILE_SECRET_KEY || "",
+    response: token,
+  });
+  if (remoteIp) params.set("remoteip", remoteIp);
+
+  try {
+    const response = await fetch(
+        process.env.TURNSTILE_VERIFY_URL || TURNSTILE_VERIFY_URL, {
+          method: "POST",
+          body: params,
+          signal: AbortSignal.timeout(TURNSTILE_TIMEOUT_MS),
+        });
+    const result = await response.json();
+    if (!result.success) {
+      return {
+        valid: false,
+        error: `turnstile rifiutato: ${(result["error-codes"] || []).join(",")}`,
+      };
+    }
+    return {valid: true};
+  } catch (err) {
+    logger.error("Verifica Turnstile fallita", {message: err.message});
+    return {valid: false, error: "verifica turnstile non disponibile"};
+  }
+}
+
+/**
+ * Challenge da inviare al widget prima della richiesta del token per
+ * `sessionId`, null se non serve.
+ */
+function createChallenge(secret, sessionId, type = getChallengeType()) {
+  switch (type) {
+    case "pow":
+      return createPowChallenge(secret, sessionId);
+    case "turnstile":
+      return {type, siteKey: process.env.TURNSTILE_SITE_KEY || ""};
+    case "none":
+    default:
+      return null;
+  }
+}
+
+/**
+ * Verifica la soluzione inviata dal widget per la challenge configurata.
+ * Restituisce {valid} oppure {valid: false, error}.
+ */
+async function verifyChallenge(solution, {secret, sessionId, remoteIp},
+    type = getChallengeType()) {
+  switch (type) {
+    case "pow":
+      return verifyPowSolution(solution, secret, sessionId);
+    case "turnstile":
+      return verifyTurnstileToken(solution && solution.token, remoteIp);
+    case "none":
+    default:
+      return {valid: true};
+  }
+}
+
+module.exports = {
+  getChallengeType,
+  getPowDifficulty,
+  createPowChallenge,
+  leadingZeroBits,
+  verifyPowSolution,
+  verifyTurnstileToken,
+  createChallenge,
+  verifyChallenge,
+};
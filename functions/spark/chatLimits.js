@@ -0,0 +1,61 @@
+/**
+ * Limiti sulla dimensione delle richieste chat, per contenere i costi
+ * anche entro il rate limit.
+ */
+const CHAT_LIMITS = {
+  // Caratteri massimi di un singolo messaggio utente
+  maxMessageLength: 2000,
+  // Turni massimi inviati al modello (utente + assistente)
+  maxHistoryTurns: 60,
+  // Byte massimi del testo della conversazione inviato al modello
+  maxHistoryBytes: 60 * 1024,
+};
+
+/**
+ * Byte UTF-8 del testo di una lista di turni.
+ */
+function historyBytes(turns) {
+  return turns.reduce(
+      (total, turn) => total + Buffer.byteLength(String(turn.content || "")),
+      0);
+}
+
+/**
+ * Controlla il messaggio e la history (quella del client se presente,
+ * poi i turni del server inviati al modello). `context` è il blocco con
+ * riassunto e fatti che sostituisce i turni più vecchi: conta nei byte
+ * dei turni del server. Restituisce null se la richiesta rientra nei
+ * limiti, altrimenti {code, content} con il messaggio per l'utente.
+ */
+function checkChatLimits({message, history, turns = [], context = ""}) {
+  if (typeof message !== "string") {
+    return {
+      code: "INVALID_MESSAGE",
+      content: "Il messaggio non è valido.",
+    };
+  }
+  if (message.length > CHAT_LIMITS.maxMessageLength) {
+    return {
+      code: "MESSAGE_TOO_LONG",
+      content: `Il messaggio è troppo lungo: il massimo è ` +
+        `${CHAT_LIMITS.maxMessageLength} caratteri.`,
+    };
+  }
+
+  const histories = [{list: turns, extraBytes: Buffer.byteLength(context || "")}];
+  if (Array.isArray(history)) histories.push({list: history, extraBytes: 0});
+  for (const {list, extraBytes} of histories) {
+    if (list.length >= CHAT_LIMITS.maxHistoryTurns ||
+        historyBytes(list) + extraBytes + Buffer.byteLength(message) >
+          CHAT_LIMITS.maxHistoryBytes) {
+      return {
+        code: "CONVERSATION_TOO_LONG",
+        content: "Questa conversazione ha raggiunto la lunghezza massima " +
+          "e non può continuare.",
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {CHAT_LIMITS, historyBytes, checkChatLimits};
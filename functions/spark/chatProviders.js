@@ -0,0 +1,305 @@
+const logger = require("./logger");
+const Anthropic = require("@anthropic-ai/sdk");
+
+/**
+ * Provider della chat in streaming, con fallback.
+ *
+ * chat esegue ogni round della risposta (testo ed eventuali chiamate agli
+ * strumenti) con streamChatRound. Il round parte sul provider principale,
+ * il modello Anthropic del tenant o della variante A/B. Se questo fallisce
+ * o non invia il primo evento entro FIRST_TOKEN_TIMEOUT_MS, il round
+ * riparte sul provider di riserva del tenant (tenant.fallback) con lo
+ * stesso prompt di sistema, gli stessi messaggi e gli stessi strumenti. Un
+ * errore dopo il primo evento non passa al fallback: il modello ha già
+ * iniziato a rispondere e l'utente può averne letto una parte.
+ *
+ * Provider supportati:
+ * - anthropic: Messages API in streaming con l'SDK (ANTHROPIC_API_KEY)
+ * - openai: Chat Completions in streaming (OPENAI_API_KEY). Messaggi e
+ *   strumenti vengono convertiti dal formato Anthropic e la risposta torna
+ *   nello stesso formato: {content, stop_reason, usage}
+ *
+ * Gli stream hanno l'interfaccia di MessageStream usata da chat:
+ * on("text" | "streamEvent", handler), finalMessage(), abort() e
+ * currentMessage.
+ */
+
+const FIRST_TOKEN_TIMEOUT_MS = 10 * 1000;
+
+const OPENAI_CHAT_URL = "https://api.openai.com/v1/chat/completions";
+
+// API key di ogni provider: un provider senza chiave viene saltato
+const PROVIDER_KEYS = {
+  anthropic: "ANTHROPIC_API_KEY",
+  openai: "OPENAI_API_KEY",
+};
+
+/**
+ * Provider da provare in ordine per la chat: [{provider, model}].
+ * Il fallback del tenant è escluso se manca la sua API key.
+ */
+function getChatRoutes(tenant, model) {
+  const routes = [{provider: "anthropic", model}];
+  const fallback = tenant.fallback;
+  if (fallback && PROVIDER_KEYS[fallback.provider] && fallback.model &&
+      process.env[PROVIDER_KEYS[fallback.provider]]) {
+    routes.push({provider: fallback.provider, model: fallback.model});
+  }
+  return routes;
+}
+
+function blockText(content) {
+  if (typeof content === "string") return content;
+  return content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n\n");
+}
+
+/**
+ * Messaggi Chat Completions dal prompt di sistema e dai messaggi in
+ * formato Anthropic: tool_use diventa tool_calls, tool_result un messaggio
+ * con ruolo "tool". cache_control viene ignorato.
+ */
+function toOpenAIMessages(system, messages) {
+  const result = [{role: "system", content: blockText(system)}];
+  for (const message of messages) {
+    const blocks = typeof message.content === "string" ? [] : message.content;
+    if (message.role === "assistant") {
+      const toolCalls = blocks
+          .filter((block) => block.type === "tool_use")
+          .map((block) => ({
+            id: block.id,
+            type: "function",
+            function: {name: block.name, arguments: JSON.stringify(block.input)},
+          }));
+      result.push({
+        role: "assistant",
+        content: blockText(message.content) || null,
+        ...(toolCalls.length > 0 && {tool_calls: toolCalls}),
+      });
+      continue;
+    }
+    for (const block of blocks) {
+      if (block.type !== "tool_result") continue;
+      result.push({
+        role: "tool",
+        tool_call_id: block.tool_use_id,
+        content: blockText(block.content),
+      });
+    }
+    const text = blockText(message.content);
+    if (text) result.push({role: "user", content: text});
+  }
+  return result;
+}
+
+/**
+ * Strumenti Chat Completions dagli strumenti Anthropic.
+ */
+function toOpenAITools(tools) {
+  return tools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema,
+    },
+  }));
+}
+
+const OPENAI_STOP_REASONS = {
+  tool_calls: "tool_use",
+  length: "max_tokens",
+};
+
+/**
+ * Stream Chat Completions con l'interfaccia di MessageStream.
+ */
+function createOpenAIStream({model, max_tokens: maxTokens, system, tools,
+  messages}) {
+  const controller = new AbortController();
+  const handlers = {};
+  const emit = (event, value) =>
+    (handlers[event] || []).forEach((handler) => handler(value));
+  let text = "";
+  const toolCalls = [];
+  let finishReason = null;
+  const usage = {input_tokens: 0, output_tokens: 0};
+
+  const buildMessage = () => {
+    const content = text ? [{type: "text", text}] : [];
+    for (const call of toolCalls) {
+      let input = {};
+      try {
+        input = JSON.parse(call.arguments || "{}");
+      } catch (err) {
+        // Argomenti incompleti (stream interrotto): input vuoto
+      }
+      content.push({type: "tool_use", id: call.id, name: call.name, input});
+    }
+    return {
+      model,
+      content,
+      stop_reason: OPENAI_STOP_REASONS[finishReason] || "end_turn",
+      usage: {...usage},
+    };
+  };
+
+  const handleChunk = (chunk) => {
+    emit("streamEvent", chunk);
+    if (chunk.usage) {
+      usage.input_tokens = chunk.usage.prompt_tokens || 0;
+      usage.output_tokens = chunk.usage.completion_tokens || 0;
+    }
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.content) {
+      text += delta.content;
+      emit("text", delta.content);
+    }
+    for (const part of delta.tool_calls || []) {
+      if (!toolCalls[part.index]) {
+        toolCalls[part.index] = {id: part.id, name: "", arguments: ""};
+      }
+      const call = toolCalls[part.index];
+      if (part.function && part.function.name) call.name += part.function.name;
+      if (part.function && part.function.arguments) {
+        call.arguments += part.function.arguments;
+      }
+    }
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+      if (toolCalls.length > 0) emit("contentBlock", toolCalls);
+    }
+  };
+
+  const run = async () => {
+    const response = await fetch(OPENAI_CHAT_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
+      },
+      body: JSON.stringify({
+        model,
+        max_completion_tokens: maxTokens,
+        stream: true,
+        stream_options: {include_usage: true},
+        messages: toOpenAIMessages(system, messages),
+        ...(tools && tools.length > 0 && {tools: toOpenAITools(tools)}),
+      }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI HTTP ${response.status}`);
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, {stream: true});
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return buildMessage();
+        handleChunk(JSON.parse(data));
+      }
+    }
+    return buildMessage();
+  };
+
+  const result = run();
+  // L'errore arriva a chi chiama finalMessage()
+  result.catch(() => {});
+
+  return {
+    on(event, handler) {
+      (handlers[event] = handlers[event] || []).push(handler);
+      return this;
+    },
+    finalMessage: () => result,
+    abort: () => controller.abort(),
+    get currentMessage() {
+      return buildMessage();
+    },
+  };
+}
+
+/**
+ * Apre lo stream di un round sul provider `route`. `params` sono quelli
+ * di messages.stream senza il modello.
+ */
+function openChatStream(route, params) {
+  if (route.provider === "openai") {
+    return createOpenAIStream({...params, model: route.model});
+  }
+  const anthropic = new Anthropic({apiKey: process.env.ANTHROPIC_API_KEY});
+  return anthropic.messages.stream({...params, model: route.model});
+}
+
+/**
+ * Esegue un round della chat sui provider di `routes`, a partire
+ * dall'indice `from`. Restituisce {message, routeIndex}: routeIndex è il
+ * provider che ha risposto, da cui ripartono i round successivi.
+ * onText riceve il testo in streaming, onStream(stream, index) ogni
+ * stream aperto (per interromperlo); se isStopped() è true non si passa al
+ * provider successivo.
+ * @throws {Error} L'errore dell'ultimo provider, o di un provider che
+ *   aveva già iniziato a rispondere
+ */
+async function streamChatRound({routes, from = 0, params, onText,
+  onStream = () => {}, isStopped = () => false,
+  timeoutMs = FIRST_TOKEN_TIMEOUT_MS}) {
+  for (let index = from; ; index++) {
+    const route = routes[index];
+    const isLast = index === routes.length - 1;
+    const stream = openChatStream(route, params);
+    onStream(stream, index);
+
+    let started = false;
+    let timedOut = false;
+    stream.on("text", (text) => {
+      started = true;
+      onText(text);
+    });
+    // Il primo evento dello stream conta come inizio della risposta: una
+    // risposta con soli strumenti non ha testo finché l'input non è completo
+    stream.on("streamEvent", () => {
+      started = true;
+    });
+    const timer = isLast ? null : setTimeout(() => {
+      if (started) return;
+      timedOut = true;
+      stream.abort();
+    }, timeoutMs);
+
+    try {
+      return {message: await stream.finalMessage(), routeIndex: index};
+    } catch (err) {
+      if (started || isLast || isStopped()) throw err;
+      logger.warn("Provider della chat non disponibile: si passa al fallback", {
+        provider: route.provider,
+        model: route.model,
+        timedOut,
+        message: err.message,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  FIRST_TOKEN_TIMEOUT_MS,
+  OPENAI_CHAT_URL,
+  getChatRoutes,
+  toOpenAIMessages,
+  toOpenAITools,
+  createOpenAIStream,
+  openChatStream,
+  streamChatRound,
+};
@@ -0,0 +1,291 @@
+const logger = require("./logger");
+const Anthropic = require("@anthropic-ai/sdk");
+const {TENANT_DEFAULTS} = require("./tenants");
+const {fromAnthropicUsage, recordUsage} = require("./costTracking");
+const {CHAT_LIMITS} = require("./chatLimits");
+const {
+  getConversationStore,
+  getSpeakerLabel,
+} = require("./conversationStore");
+
+/**
+ * Contesto delle conversazioni lunghe.
+ *
+ * chat invia al modello i turni salvati della sessione. Quando i turni non
+ * ancora riassunti superano tenant.context.maxTokens (stima), o sono così
+ * tanti da avvicinarsi al limite di turni di chatLimits.js, i più vecchi
+ * vengono riassunti in un riassunto progressivo salvato con la sessione:
+ * {summary, facts, summarizedTurns, updatedAt}. Gli ultimi
+ * tenant.context.recentTurns turni restano sempre testuali.
+ *
+ * Il riassunto estrae anche i fatti su cui si basa il prompt di sistema
+ * (PINNED_FACTS: azienda, budget, preventivo...), che restano fissati nel
+ * contesto anche dopo che i messaggi da cui vengono sono stati riassunti.
+ * Riassunto e fatti arrivano al modello come secondo blocco del prompt di
+ * sistema.
+ *
+ * Il riassunto si aggiorna dopo l'evento done della risposta: l'utente non
+ * lo aspetta, e un errore lascia semplicemente più turni testuali.
+ */
+
+const CONTEXT_MODEL = "claude-haiku-4-5-20251001";
+
+// Stima dei token del testo: circa 4 caratteri per token
+const CHARS_PER_TOKEN = 4;
+
+const MAX_SUMMARY_LENGTH = 4000;
+const MAX_FACT_LENGTH = 200;
+
+const PINNED_FACTS = {
+  nomeAzienda: {
+    label: "Azienda",
+    description: "Nome dell'azienda dell'utente",
+  },
+  progetto: {
+    label: "Progetto",
+    description: "Cosa vuole realizzare l'utente, in una frase",
+  },
+  budget: {
+    label: "Budget",
+    description: "Budget indicato dall'utente (es. \"5.000€\", \"non lo so\")",
+  },
+  preventivoIndicato: {
+    label: "Preventivo comunicato",
+    description: "Prezzo comunicato dall'assistente (es. \"2.000€\")",
+  },
+  tempistiche: {
+    label: "Tempistiche",
+    description: "Tempi o scadenze indicati dall'utente",
+  },
+};
+
+const CONTEXT_TOOL = {
+  name: "save_context",
+  description: "Salva il riassunto aggiornato della conversazione e i " +
+    "fatti emersi.",
+  input_schema: {
+    type: "object",
+    properties: {
+      summary: {
+        type: "string",
+        description: "Riassunto di tutta la conversazione fin qui, al " +
+          `massimo ${MAX_SUMMARY_LENGTH} caratteri`,
+      },
+      facts: {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(PINNED_FACTS)
+            .map(([key, {description}]) => [key, {
+              type: "string",
+              description: `${description}; stringa vuota se non emerso`,
+            }])),
+      },
+    },
+    required: ["summary", "facts"],
+  },
+};
+
+/**
+ * Configurazione del contesto del tenant (tenant.context) con i default.
+ */
+function getContextConfig(tenant) {
+  return {...TENANT_DEFAULTS.context, ...(tenant.context || {})};
+}
+
+/**
+ * Stima dei token del testo di una lista di turni.
+ */
+function estimateTokens(turns) {
+  const chars = turns.reduce((sum, turn) => sum + turn.content.length, 0);
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/**
+ * Turni da aggiungere al riassunto: {from, to} (indici, `to` escluso),
+ * oppure null se i turni non riassunti stanno nel budget di token e di
+ * turni. `to` è sempre un messaggio dell'utente, così i messaggi inviati al
+ * modello partono dall'utente.
+ */
+function planSummary(turns, context, config) {
+  const from = context ? context.summarizedTurns : 0;
+  const pending = turns.slice(from);
+  // Anche turni brevi si riassumono prima del limite di turni inviati,
+  // lasciando spazio ai recentTurns
+  const maxTurns = CHAT_LIMITS.maxHistoryTurns - config.recentTurns;
+  if (estimateTokens(pending) <= config.maxTokens &&
+      pending.length < maxTurns) {
+    return null;
+  }
+  let to = turns.length - config.recentTurns;
+  while (to < turns.length && turns[to].role !== "user") to++;
+  if (to >= turns.length || to <= from) return null;
+  return {from, to};
+}
+
+/**
+ * Blocco del prompt di sistema con riassunto e fatti fissati.
+ */
+function formatContextBlock(context) {
+  const facts = Object.entries(PINNED_FACTS)
+      .filter(([key]) => context.facts && context.facts[key])
+      .map(([key, {label}]) => `- ${label}: ${context.facts[key]}`);
+  let block = `CONTESTO DELLA CONVERSAZIONE
+I messaggi più vecchi di questa conversazione sono riassunti qui; quelli \
+successivi seguono per intero.
+
+Riassunto:
+${context.summary}`;
+  if (facts.length > 0) {
+    block += `
+
+Fatti già emersi (non chiederli di nuovo, usali per qualifica e preventivo):
+${facts.join("\n")}`;
+  }
+  return block;
+}
+
+/**
+ * Turni da inviare al modello e blocco di contesto per il prompt di
+ * sistema: {turns, system}, con system null se la sessione non ha un
+ * riassunto.
+ */
+function buildChatContext(turns, context) {
+  if (!context || !context.summarizedTurns) return {turns, system: null};
+  // I turni riassunti restano prima dell'ultimo messaggio dell'utente,
+  // anche quando una rigenerazione ne toglie la risposta
+  const from = Math.min(context.summarizedTurns, turns.length);
+  return {turns: turns.slice(from), system: formatContextBlock(context)};
+}
+
+/**
+ * Valida l'input dello strumento save_context.
+ * Restituisce {valid, errors, summary, facts} con i campi trim; i fatti
+ * sconosciuti vengono ignorati.
+ */
+function validateContextInput(input) {
+  if (!input || typeof input !== "object") {
+    return {valid: false, errors: ["input non è un oggetto"]};
+  }
+  const errors = [];
+  const summary = typeof input.summary === "string" ? input.summary.trim() : "";
+  if (!summary) errors.push("summary obbligatorio");
+  if (summary.length > MAX_SUMMARY_LENGTH) {
+    errors.push(`summary supera ${MAX_SUMMARY_LENGTH} caratteri`);
+  }
+  const facts = {};
+  for (const key of Object.keys(PINNED_FACTS)) {
+    const value = input.facts && input.facts[key];
+    if (typeof value === "string" && value.trim()) {
+      facts[key] = value.trim().slice(0, MAX_FACT_LENGTH);
+    }
+  }
+  if (errors.length > 0) return {valid: false, errors};
+  return {valid: true, errors, summary, facts};
+}
+
+function buildSummaryPrompt(tenant, context, turns) {
+  const {assistantName} = tenant.widget;
+  const transcript = turns
+      .map((turn) => `${getSpeakerLabel(turn.role, assistantName)}: ` +
+        turn.content)
+      .join("\n");
+  const known = context ? formatContextBlock(context) : "Nessuno.";
+  return `Stai tenendo il riassunto di una conversazione tra un utente e \
+${assistantName} (chatbot di vendita per ${tenant.description || tenant.name}).
+
+Riassunto e fatti attuali:
+${known}
+
+Nuovi messaggi da aggiungere al riassunto:
+${transcript}
+
+Salva con lo strumento ${CONTEXT_TOOL.name} il riassunto aggiornato di \
+tutta la conversazione, nella lingua della conversazione: esigenze, \
+dettagli del progetto, obiezioni e impegni presi da ${assistantName}. \
+Nei fatti conferma o aggiorna quelli già noti.`;
+}
+
+/**
+ * Riassunto della sessione dallo store, null se non esiste o se lo store
+ * non risponde.
+ */
+async function getChatContext(sessionId) {
+  try {
+    return await getConversationStore().getContext(sessionId);
+  } catch (err) {
+    logger.warn("Contesto della conversazione non disponibile", {
+      sessionId,
+      message: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Aggiorna il riassunto della sessione se i turni non riassunti superano
+ * il budget del tenant. Restituisce il contesto aggiornato (o quello di
+ * partenza se non serve un riassunto o se il modello non ne produce uno
+ * valido).
+ * @throws {Error} Se l'API Anthropic o lo store non rispondono
+ */
+async function updateChatContext({tenant, sessionId, turns, context}) {
+  const plan = planSummary(turns, context, getContextConfig(tenant));
+  if (!plan) return context;
+
+  const anthropic = new Anthropic({apiKey: process.env.ANTHROPIC_API_KEY});
+  const response = await anthropic.messages.create({
+    model: CONTEXT_MODEL,
+    max_tokens: 1500,
+    tools: [CONTEXT_TOOL],
+    tool_choice: {type: "tool", name: CONTEXT_TOOL.name},
+    messages: [{
+      role: "user",
+      content: buildSummaryPrompt(tenant, context,
+          turns.slice(plan.from, plan.to)),
+    }],
+  });
+  await recordUsage({
+    endpoint: "context",
+    model: CONTEXT_MODEL,
+    usage: fromAnthropicUsage(response.usage),
+    sessionId,
+  });
+
+  const toolUse = (response.content || []).find((block) =>
+    block.type === "tool_use" && block.name === CONTEXT_TOOL.name);
+  const {valid, errors, summary, facts} =
+    validateContextInput(toolUse && toolUse.input);
+  if (!valid) {
+    logger.warn("Riassunto della conversazione non valido", {
+      sessionId,
+      errors,
+    });
+    return context;
+  }
+
+  const updated = {
+    summary,
+    // Un fatto già noto resta finché il modello non lo aggiorna
+    facts: {...(context ? context.facts : {}), ...facts},
+    summarizedTurns: plan.to,
+    updatedAt: new Date().toISOString(),
+  };
+  await getConversationStore().saveContext(sessionId, updated);
+  logger.info("Contesto della conversazione riassunto", {
+    sessionId,
+    summarizedTurns: plan.to,
+  });
+  return updated;
+}
+
+module.exports = {
+  CONTEXT_MODEL,
+  CONTEXT_TOOL,
+  PINNED_FACTS,
+  getContextConfig,
+  estimateTokens,
+  planSummary,
+  buildChatContext,
+  validateContextInput,
+  getChatContext,
+  updateChatContext,
+};
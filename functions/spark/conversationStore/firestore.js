@@ -0,0 +1,179 @@
+const {FieldValue} = require("firebase-admin/firestore");
+const {COLLECTIONS, getDb} = require("../firestore");
+
+// Sessioni eliminate per pagina dalla retention
+const PURGE_PAGE_SIZE = 100;
+
+// Sessioni attive restituite al massimo da listActive
+const ACTIVE_LIMIT = 200;
+
+/**
+ * Adapter Firestore: un documento per sessione in `spark_conversations`
+ * (con il contatore turnCount e il consenso) e un documento per turno
+ * nella subcollection `turns`, ordinati per `seq`.
+ */
+function createFirestoreConversationStore(options = {}) {
+  const db = () => options.db || getDb();
+  const conversationRef = (sessionId) =>
+    db().collection(COLLECTIONS.CONVERSATIONS).doc(sessionId);
+
+  return {
+    async getTurns(sessionId, {after = 0} = {}) {
+      const snapshot = await conversationRef(sessionId)
+          .collection("turns")
+          .where("seq", ">=", after)
+          .orderBy("seq")
+          .get();
+      return snapshot.docs.map((doc) => {
+        const turn = doc.data();
+        delete turn.seq;
+        return turn;
+      });
+    },
+
+    async appendTurns(sessionId, turns, {tenantId} = {}) {
+      const ref = conversationRef(sessionId);
+      await db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const turnCount = doc.exists ? doc.data().turnCount || 0 : 0;
+
+        turns.forEach((turn, i) => {
+          const seq = turnCount + i;
+          const turnRef = ref.collection("turns")
+              .doc(String(seq).padStart(6, "0"));
+          tx.set(turnRef, {...turn, seq});
+        });
+
+        tx.set(ref, {
+          sessionId,
+          turnCount: turnCount + turns.length,
+          ...(tenantId && {tenantId}),
+          updatedAt: FieldValue.serverTimestamp(),
+          ...(doc.exists && doc.data().createdAt ?
+            {} : {createdAt: FieldValue.serverTimestamp()}),
+        }, {merge: true});
+      });
+    },
+
+    async countTurns(sessionId) {
+      const doc = await conversationRef(sessionId).get();
+      return doc.exists ? doc.data().turnCount || 0 : 0;
+    },
+
+    async truncateTurns(sessionId, length) {
+      const ref = conversationRef(sessionId);
+      await db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return;
+        const turns = await tx.get(ref.collection("turns")
+            .where("seq", ">=", length));
+        turns.docs.forEach((turn) => tx.delete(turn.ref));
+        tx.update(ref, {
+          turnCount: Math.min(doc.data().turnCount || 0, length),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      });
+    },
+
+    async getConsent(sessionId) {
+      const doc = await conversationRef(sessionId).get();
+      return doc.exists ? doc.data().consent || null : null;
+    },
+
+    async saveConsent(sessionId, consent) {
+      await conversationRef(sessionId).set({
+        sessionId,
+        consent,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    },
+
+    async getContext(sessionId) {
+      const doc = await conversationRef(sessionId).get();
+      return doc.exists ? doc.data().context || null : null;
+    },
+
+    async saveContext(sessionId, context) {
+      await conversationRef(sessionId).set({
+        sessionId,
+        context,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    },
+
+    async getUsage(sessionId) {
+      const doc = await conversationRef(sessionId).get();
+      return doc.exists ? doc.data().usage || null : null;
+    },
+
+    async addUsage(sessionId, usage) {
+      const increments = Object.fromEntries(Object.entries(usage)
+          .map(([key, value]) => [key, FieldValue.increment(value)]));
+      await conversationRef(sessionId).set({
+        sessionId,
+        usage: increments,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    },
+
+    async getHandoff(sessionId) {
+      const doc = await conversationRef(sessionId).get();
+      return doc.exists ? doc.data().handoff || null : null;
+    },
+
+    async setHandoff(sessionId, handoff) {
+      await conversationRef(sessionId).set({
+        sessionId,
+        handoff: handoff || null,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    },
+
+    // Il filtro sul tenant usa l'indice composto tenantId + updatedAt
+    // (firestore.indexes.json)
+    async listActive(since, {tenantId} = {}) {
+      let query = db().collection(COLLECTIONS.CONVERSATIONS);
+      if (tenantId) query = query.where("tenantId", "==", tenantId);
+      const snapshot = await query
+          .where("updatedAt", ">=", since)
+          .orderBy("updatedAt", "desc")
+          .limit(ACTIVE_LIMIT)
+          .get();
+      return snapshot.docs.map((doc) => {
+        const data = doc.data();
+        return {
+          sessionId: doc.id,
+          tenantId: data.tenantId || null,
+          turnCount: data.turnCount || 0,
+          updatedAt: data.updatedAt.toDate().toISOString(),
+          handoff: data.handoff || null,
+        };
+      });
+    },
+
+    async deleteSession(sessionId) {
+      const ref = conversationRef(sessionId);
+      const doc = await ref.get();
+      // recursiveDelete elimina anche la subcollection dei turni
+      await db().recursiveDelete(ref);
+      return doc.exists;
+    },
+
+    async purgeBefore(before) {
+      let purged = 0;
+      for (;;) {
+        const snapshot = await db().collection(COLLECTIONS.CONVERSATIONS)
+            .where("updatedAt", "<", before)
+            .limit(PURGE_PAGE_SIZE)
+            .get();
+        for (const doc of snapshot.docs) {
+          await db().recursiveDelete(doc.ref);
+        }
+        purged += snapshot.size;
+        if (snapshot.size < PURGE_PAGE_SIZE) return purged;
+      }
+    },
+  };
+}
+
+module.exports = {createFirestoreConversationStore};
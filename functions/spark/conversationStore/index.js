@@ -0,0 +1,113 @@
+const {createFirestoreConversationStore} = require("./firestore");
+const {createMemoryConversationStore} = require("./memory");
+
+const CONVERSATION_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da CONVERSATION_STORE ("firestore" di default).
+ */
+function getConversationStoreType() {
+  const type = (process.env.CONVERSATION_STORE || "").toLowerCase();
+  return CONVERSATION_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - getTurns(sessionId, {after}) → turni in ordine cronologico a partire
+ *   dall'indice `after` (default 0; [] se nuova sessione)
+ * - appendTurns(sessionId, turns, {tenantId}) → aggiunge i turni in coda e
+ *   annota il tenant della sessione
+ * - countTurns(sessionId) → numero di turni salvati
+ * - truncateTurns(sessionId, length) → elimina i turni dall'indice `length`
+ *   in poi (risposta rigenerata)
+ * - getConsent(sessionId) / saveConsent(sessionId, consent) → consenso
+ *   privacy della sessione {version, acceptedAt, recordedAt}
+ * - getContext(sessionId) / saveContext(sessionId, context) → riassunto
+ *   delle conversazioni lunghe {summary, facts, summarizedTurns,
+ *   updatedAt} (contextManager.js), null se assente
+ * - getUsage(sessionId) / addUsage(sessionId, usage) → totali delle
+ *   risposte della sessione {inputTokens, outputTokens, cacheWriteTokens,
+ *   cacheReadTokens, costUsd, cacheSavingsUsd}: addUsage li incrementa,
+ *   getUsage restituisce null se la sessione non ne ha
+ * - getHandoff(sessionId) / setHandoff(sessionId, handoff) → operatore che
+ *   ha preso in carico la sessione {operator, startedAt}, null se nessuno
+ * - listActive(since, {tenantId}) → sessioni (del tenant, se indicato)
+ *   aggiornate da `since` (Date):
+ *   [{sessionId, tenantId, turnCount, updatedAt, handoff}]
+ * - deleteSession(sessionId) → elimina turni e consenso, true se esisteva
+ * - purgeBefore(before) → elimina le sessioni non aggiornate da `before`
+ *   (Date) e ne restituisce il numero
+ *
+ * Un turno è {role, content, createdAt}, con role "user", "assistant" o
+ * "operator" (messaggi di un operatore, con {operator}), più, per le
+ * risposte dell'assistente,
+ * {model, usage: {inputTokens, outputTokens, cacheWriteTokens,
+ * cacheReadTokens}, costUsd, cacheSavingsUsd}, {stopped: true} se la
+ * generazione è stata interrotta e, se la sessione è in un esperimento A/B,
+ * {experimentId, variantId}.
+ */
+function createConversationStore(type = getConversationStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryConversationStore();
+    case "firestore":
+    default:
+      return createFirestoreConversationStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let conversationStore = null;
+
+function getConversationStore() {
+  if (!conversationStore) {
+    conversationStore = createConversationStore();
+  }
+  return conversationStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getConversationStore() ricrea l'adapter da config.
+ */
+function setConversationStore(store) {
+  conversationStore = store;
+}
+
+/**
+ * Converte i turni salvati nei messaggi per l'API Anthropic. I messaggi
+ * degli operatori diventano risposte dell'assistente e i turni consecutivi
+ * dello stesso ruolo (es. più messaggi utente durante una presa in carico)
+ * vengono uniti.
+ */
+function toAnthropicMessages(turns) {
+  const messages = [];
+  for (const turn of turns) {
+    const role = turn.role === "operator" ? "assistant" : turn.role;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${turn.content}`;
+    } else {
+      messages.push({role, content: turn.content});
+    }
+  }
+  return messages;
+}
+
+/**
+ * Etichetta di chi parla nelle trascrizioni testuali.
+ */
+function getSpeakerLabel(role, assistantName) {
+  if (role === "user") return "Utente";
+  if (role === "operator") return "Operatore";
+  return assistantName;
+}
+
+module.exports = {
+  getConversationStoreType,
+  createConversationStore,
+  getConversationStore,
+  setConversationStore,
+  toAnthropicMessages,
+  getSpeakerLabel,
+};
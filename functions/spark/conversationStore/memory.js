@@ -0,0 +1,145 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryConversationStore() {
+  const conversations = new Map();
+
+  const session = (sessionId) => {
+    if (!conversations.has(sessionId)) {
+      conversations.set(sessionId, {
+        turns: [],
+        tenantId: null,
+        consent: null,
+        handoff: null,
+        context: null,
+        usage: null,
+        updatedAt: null,
+      });
+    }
+    return conversations.get(sessionId);
+  };
+
+  return {
+    async getTurns(sessionId, {after = 0} = {}) {
+      const conversation = conversations.get(sessionId);
+      return conversation ?
+        conversation.turns.slice(after).map((turn) => ({...turn})) : [];
+    },
+
+    async appendTurns(sessionId, turns, {tenantId} = {}) {
+      const conversation = session(sessionId);
+      conversation.turns.push(...turns.map((turn) => ({...turn})));
+      if (tenantId) conversation.tenantId = tenantId;
+      conversation.updatedAt = new Date();
+    },
+
+    async countTurns(sessionId) {
+      const conversation = conversations.get(sessionId);
+      return conversation ? conversation.turns.length : 0;
+    },
+
+    async truncateTurns(sessionId, length) {
+      const conversation = conversations.get(sessionId);
+      if (!conversation) return;
+      conversation.turns.splice(length);
+      conversation.updatedAt = new Date();
+    },
+
+    async getConsent(sessionId) {
+      const conversation = conversations.get(sessionId);
+      return conversation && conversation.consent ?
+        {...conversation.consent} : null;
+    },
+
+    async saveConsent(sessionId, consent) {
+      const conversation = session(sessionId);
+      conversation.consent = {...consent};
+      conversation.updatedAt = new Date();
+    },
+
+    async getContext(sessionId) {
+      const conversation = conversations.get(sessionId);
+      return conversation && conversation.context ?
+        {...conversation.context, facts: {...conversation.context.facts}} :
+        null;
+    },
+
+    async saveContext(sessionId, context) {
+      const conversation = session(sessionId);
+      conversation.context = {...context, facts: {...context.facts}};
+      conversation.updatedAt = new Date();
+    },
+
+    async getUsage(sessionId) {
+      const conversation = conversations.get(sessionId);
+      return conversation && conversation.usage ?
+        {...conversation.usage} : null;
+    },
+
+    async addUsage(sessionId, usage) {
+      const conversation = session(sessionId);
+      const totals = conversation.usage || {};
+      for (const [key, value] of Object.entries(usage)) {
+        totals[key] = (totals[key] || 0) + value;
+      }
+      conversation.usage = totals;
+      conversation.updatedAt = new Date();
+    },
+
+    async getHandoff(sessionId) {
+      const conversation = conversations.get(sessionId);
+      return conversation && conversation.handoff ?
+        {...conversation.handoff} : null;
+    },
+
+    async setHandoff(sessionId, handoff) {
+      const conversation = session(sessionId);
+      conversation.handoff = handoff ? {...handoff} : null;
+      conversation.updatedAt = new Date();
+    },
+
+    async listActive(since, {tenantId} = {}) {
+      return Array.from(conversations.entries())
+          .filter(([, conversation]) => conversation.updatedAt >= since &&
+            (!tenantId || conversation.tenantId === tenantId))
+          .map(([sessionId, conversation]) => ({
+            sessionId,
+            tenantId: conversation.tenantId,
+            turnCount: conversation.turns.length,
+            updatedAt: conversation.updatedAt.toISOString(),
+            handoff: conversation.handoff ? {...conversation.handoff} : null,
+          }));
+    },
+
+    async deleteSession(sessionId) {
+      return conversations.delete(sessionId);
+    },
+
+    async purgeBefore(before) {
+      let purged = 0;
+      for (const [sessionId, conversation] of conversations) {
+        if (conversation.updatedAt < before) {
+          conversations.delete(sessionId);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    /**
+     * Sposta l'ultimo aggiornamento della sessione (solo adapter in memoria,
+     * per i test della retention).
+     */
+    setUpdatedAt(sessionId, date) {
+      session(sessionId).updatedAt = date;
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      conversations.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryConversationStore};
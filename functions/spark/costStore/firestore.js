@@ -0,0 +1,31 @@
+const {FieldValue} = require("firebase-admin/firestore");
+const {COLLECTIONS, getDb} = require("../firestore");
+
+/**
+ * Adapter Firestore: un documento per periodo in `spark_cost_tracking`.
+ * Gli incrementi sono atomici (FieldValue.increment), senza transazioni.
+ */
+function createFirestoreCostStore(options = {}) {
+  const collection = () =>
+    (options.db || getDb()).collection(COLLECTIONS.COST_TRACKING);
+
+  return {
+    async get(periodId) {
+      const doc = await collection().doc(periodId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async increment(periodId, totals) {
+      const update = {
+        period: periodId,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      for (const [field, value] of Object.entries(totals)) {
+        update[field] = FieldValue.increment(value);
+      }
+      await collection().doc(periodId).set(update, {merge: true});
+    },
+  };
+}
+
+module.exports = {createFirestoreCostStore};
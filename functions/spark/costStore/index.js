@@ -0,0 +1,52 @@
+const {createFirestoreCostStore} = require("./firestore");
+const {createMemoryCostStore} = require("./memory");
+
+const COST_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da COST_STORE ("firestore" di default).
+ */
+function getCostStoreType() {
+  const type = (process.env.COST_STORE || "").toLowerCase();
+  return COST_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - get(periodId) → totali del periodo (es. "day_2025-01-31") o null
+ * - increment(periodId, totals) → somma i contatori numerici del periodo
+ */
+function createCostStore(type = getCostStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryCostStore();
+    case "firestore":
+    default:
+      return createFirestoreCostStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let costStore = null;
+
+function getCostStore() {
+  if (!costStore) {
+    costStore = createCostStore();
+  }
+  return costStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getCostStore() ricrea l'adapter da config.
+ */
+function setCostStore(store) {
+  costStore = store;
+}
+
+module.exports = {
+  getCostStoreType,
+  createCostStore,
+  getCostStore,
+  setCostStore,
+};
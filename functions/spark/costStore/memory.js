@@ -0,0 +1,29 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryCostStore() {
+  const periods = new Map();
+
+  return {
+    async get(periodId) {
+      const totals = periods.get(periodId);
+      return totals ? {...totals} : null;
+    },
+
+    async increment(periodId, totals) {
+      const current = periods.get(periodId) || {period: periodId};
+      for (const [field, value] of Object.entries(totals)) {
+        current[field] = (current[field] || 0) + value;
+      }
+      periods.set(periodId, current);
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      periods.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryCostStore};
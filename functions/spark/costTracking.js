@@ -0,0 +1,214 @@
+const logger = require("./logger");
+const {getCostStore} = require("./costStore");
+
+/**
+ * Prezzi dei modelli della chat in USD per 1k token (Anthropic e il
+ * fallback OpenAI), con la stessa forma di
+ * PROVIDER_PRICING in src/types/AIProvider.ts.
+ */
+const MODEL_PRICING = {
+  "claude-sonnet-4-6": {
+    input_cost_per_1k: 0.003,
+    output_cost_per_1k: 0.015,
+  },
+  "claude-haiku-4-5-20251001": {
+    input_cost_per_1k: 0.001,
+    output_cost_per_1k: 0.005,
+  },
+  "gpt-4o-mini": {
+    input_cost_per_1k: 0.00015,
+    output_cost_per_1k: 0.0006,
+  },
+};
+
+/**
+ * Prezzo per modelli sconosciuti: stima prudente (alta), come
+ * DEFAULT_PRICING in src/services/costCalculator.ts.
+ */
+const DEFAULT_PRICING = {
+  input_cost_per_1k: 0.015,
+  output_cost_per_1k: 0.075,
+};
+
+// Prompt caching: scrivere in cache costa il 25% in più dell'input,
+// leggere dalla cache il 10% dell'input
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+// Il budget viene riletto dallo store al massimo una volta al minuto
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+
+function getPricing(model) {
+  return MODEL_PRICING[model] || DEFAULT_PRICING;
+}
+
+/**
+ * Costo in USD di una chiamata, dai token di input e output e da quelli
+ * scritti e letti dalla cache dei prompt.
+ */
+function calculateCost(model, inputTokens, outputTokens,
+    {cacheWriteTokens = 0, cacheReadTokens = 0} = {}) {
+  const pricing = getPricing(model);
+  return (inputTokens * pricing.input_cost_per_1k +
+    cacheWriteTokens * pricing.input_cost_per_1k * CACHE_WRITE_MULTIPLIER +
+    cacheReadTokens * pricing.input_cost_per_1k * CACHE_READ_MULTIPLIER +
+    outputTokens * pricing.output_cost_per_1k) / 1000;
+}
+
+/**
+ * Risparmio in USD della cache dei prompt rispetto agli stessi token
+ * inviati senza cache: negativo se le scritture costano più delle letture.
+ */
+function calculateCacheSavings(model,
+    {cacheWriteTokens = 0, cacheReadTokens = 0}) {
+  const pricing = getPricing(model);
+  return (cacheReadTokens * (1 - CACHE_READ_MULTIPLIER) -
+    cacheWriteTokens * (CACHE_WRITE_MULTIPLIER - 1)) *
+    pricing.input_cost_per_1k / 1000;
+}
+
+/**
+ * ID dei documenti giornaliero e mensile (UTC) per una data.
+ */
+function getPeriodIds(date = new Date()) {
+  const day = date.toISOString().substring(0, 10);
+  return {
+    day: `day_${day}`,
+    month: `month_${day.substring(0, 7)}`,
+  };
+}
+
+/**
+ * Budget da SPARK_DAILY_BUDGET_USD e SPARK_MONTHLY_BUDGET_USD.
+ * Un valore mancante o non positivo significa nessun limite.
+ */
+function getBudgetConfig() {
+  const parse = (value) => {
+    const budget = Number(value);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+  };
+  return {
+    day: parse(process.env.SPARK_DAILY_BUDGET_USD),
+    month: parse(process.env.SPARK_MONTHLY_BUDGET_USD),
+  };
+}
+
+/**
+ * Converte lo usage dell'SDK Anthropic ({input_tokens, output_tokens,
+ * cache_creation_input_tokens, cache_read_input_tokens}) nella forma usata
+ * nei turni salvati. inputTokens non comprende i token della cache.
+ */
+function fromAnthropicUsage(usage) {
+  return {
+    inputTokens: (usage && usage.input_tokens) || 0,
+    outputTokens: (usage && usage.output_tokens) || 0,
+    cacheWriteTokens: (usage && usage.cache_creation_input_tokens) || 0,
+    cacheReadTokens: (usage && usage.cache_read_input_tokens) || 0,
+  };
+}
+
+/**
+ * Registra lo usage di una chiamata a un modello nei totali giornaliero e
+ * mensile. Restituisce il costo in USD. Un errore di scrittura non blocca
+ * la richiesta: viene solo loggato.
+ */
+async function recordUsage({endpoint, model, usage, sessionId}) {
+  const {inputTokens, outputTokens} = usage;
+  const cacheWriteTokens = usage.cacheWriteTokens || 0;
+  const cacheReadTokens = usage.cacheReadTokens || 0;
+  const cache = {cacheWriteTokens, cacheReadTokens};
+  const costUsd = calculateCost(model, inputTokens, outputTokens, cache);
+  const totals = {
+    calls: 1,
+    inputTokens,
+    outputTokens,
+    costUsd,
+    [`${endpoint}CostUsd`]: costUsd,
+  };
+  if (cacheWriteTokens || cacheReadTokens) {
+    Object.assign(totals, cache, {
+      cacheSavingsUsd: calculateCacheSavings(model, cache),
+    });
+  }
+
+  try {
+    const store = getCostStore();
+    const {day, month} = getPeriodIds();
+    await Promise.all([
+      store.increment(day, totals),
+      store.increment(month, totals),
+    ]);
+    logger.info("Costo del modello registrato", {
+      endpoint,
+      model,
+      sessionId,
+      inputTokens,
+      outputTokens,
+      cacheWriteTokens,
+      cacheReadTokens,
+      costUsd,
+    });
+  } catch (err) {
+    logger.error("Errore registrazione costi", {
+      endpoint,
+      message: err.message,
+    });
+  }
+  return costUsd;
+}
+
+let budgetCache = null;
+
+/**
+ * Stato del budget: {exceeded, period, spentUsd, budgetUsd}.
+ * period è "day" o "month" (il primo superato), null se nei limiti.
+ * In caso di errore di lettura il budget si considera non superato.
+ */
+async function getBudgetStatus() {
+  const now = Date.now();
+  if (budgetCache && now - budgetCache.checkedAt < BUDGET_CACHE_TTL_MS) {
+    return budgetCache.status;
+  }
+
+  const budget = getBudgetConfig();
+  let status = {exceeded: false, period: null, spentUsd: 0, budgetUsd: null};
+  try {
+    const store = getCostStore();
+    const periodIds = getPeriodIds();
+    for (const period of ["day", "month"]) {
+      if (budget[period] === null) continue;
+      const totals = await store.get(periodIds[period]);
+      const spentUsd = (totals && totals.costUsd) || 0;
+      if (spentUsd >= budget[period]) {
+        status = {exceeded: true, period, spentUsd, budgetUsd: budget[period]};
+        logger.warn("Budget Anthropic superato", status);
+        break;
+      }
+    }
+  } catch (err) {
+    logger.error("Errore lettura budget", {message: err.message});
+  }
+
+  budgetCache = {checkedAt: now, status};
+  return status;
+}
+
+/**
+ * Azzera la cache del budget (utile nei test).
+ */
+function clearBudgetCache() {
+  budgetCache = null;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  getPricing,
+  calculateCost,
+  calculateCacheSavings,
+  getPeriodIds,
+  getBudgetConfig,
+  fromAnthropicUsage,
+  recordUsage,
+  getBudgetStatus,
+  clearBudgetCache,
+};
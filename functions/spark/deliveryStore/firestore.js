@@ -0,0 +1,73 @@
+const {COLLECTIONS, getDb, writeInBatches} = require("../firestore");
+
+// Codice gRPC restituito da create() se il documento esiste già
+const ALREADY_EXISTS = 6;
+
+/**
+ * Adapter Firestore: un documento per consegna in `spark_notifications`,
+ * con deliveryId come ID documento. La collection è anche il log delle
+ * consegne; la creazione di un documento attiva la funzione
+ * processNotification.
+ */
+function createFirestoreDeliveryStore(options = {}) {
+  const db = () => options.db || getDb();
+  const deliveryRef = (deliveryId) =>
+    db().collection(COLLECTIONS.NOTIFICATIONS).doc(deliveryId);
+
+  return {
+    async create(delivery) {
+      try {
+        await deliveryRef(delivery.deliveryId).create(delivery);
+        return true;
+      } catch (err) {
+        if (err.code === ALREADY_EXISTS) return false;
+        throw err;
+      }
+    },
+
+    async get(deliveryId) {
+      const doc = await deliveryRef(deliveryId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async claim(deliveryId) {
+      const ref = deliveryRef(deliveryId);
+      return db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || doc.data().status !== "pending") return null;
+        const patch = {
+          status: "processing",
+          startedAt: new Date().toISOString(),
+        };
+        tx.update(ref, patch);
+        return {...doc.data(), ...patch};
+      });
+    },
+
+    async update(deliveryId, patch) {
+      await deliveryRef(deliveryId).update(patch);
+    },
+
+    async listBySession(sessionId) {
+      const snapshot = await db().collection(COLLECTIONS.NOTIFICATIONS)
+          .where("sessionId", "==", sessionId)
+          .get();
+      return snapshot.docs.map((doc) => doc.data());
+    },
+
+    async remove(deliveryId) {
+      await deliveryRef(deliveryId).delete();
+    },
+
+    async purgeBefore(before) {
+      // createdAt è una stringa ISO: l'ordine lessicografico è quello temporale
+      const snapshot = await db().collection(COLLECTIONS.NOTIFICATIONS)
+          .where("createdAt", "<", before.toISOString())
+          .get();
+      return writeInBatches(db(), snapshot.docs,
+          (batch, doc) => batch.delete(doc.ref));
+    },
+  };
+}
+
+module.exports = {createFirestoreDeliveryStore};
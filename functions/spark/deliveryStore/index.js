@@ -0,0 +1,60 @@
+const {createFirestoreDeliveryStore} = require("./firestore");
+const {createMemoryDeliveryStore} = require("./memory");
+
+const DELIVERY_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da DELIVERY_STORE ("firestore" di default).
+ */
+function getDeliveryStoreType() {
+  const type = (process.env.DELIVERY_STORE || "").toLowerCase();
+  return DELIVERY_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - create(delivery) → true se creata, false se esiste già una consegna con
+ *   lo stesso deliveryId (deduplicazione)
+ * - get(deliveryId) → consegna o null
+ * - claim(deliveryId) → porta una consegna "pending" in "processing" e la
+ *   restituisce, null se non esiste o è già stata presa in carico
+ * - update(deliveryId, patch) → aggiorna i campi della consegna
+ * - listBySession(sessionId) → consegne della sessione
+ * - remove(deliveryId) → elimina la consegna
+ * - purgeBefore(before) → elimina le consegne create prima di `before`
+ *   (Date) e ne restituisce il numero
+ */
+function createDeliveryStore(type = getDeliveryStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryDeliveryStore();
+    case "firestore":
+    default:
+      return createFirestoreDeliveryStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let deliveryStore = null;
+
+function getDeliveryStore() {
+  if (!deliveryStore) {
+    deliveryStore = createDeliveryStore();
+  }
+  return deliveryStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getDeliveryStore() ricrea l'adapter da config.
+ */
+function setDeliveryStore(store) {
+  deliveryStore = store;
+}
+
+module.exports = {
+  getDeliveryStoreType,
+  createDeliveryStore,
+  getDeliveryStore,
+  setDeliveryStore,
+};
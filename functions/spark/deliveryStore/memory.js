@@ -0,0 +1,69 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo e nessun trigger
+ * elabora le consegne: i test chiamano processDelivery direttamente.
+ */
+function createMemoryDeliveryStore() {
+  const deliveries = new Map();
+
+  return {
+    async create(delivery) {
+      if (deliveries.has(delivery.deliveryId)) return false;
+      deliveries.set(delivery.deliveryId, {...delivery});
+      return true;
+    },
+
+    async get(deliveryId) {
+      const delivery = deliveries.get(deliveryId);
+      return delivery ? {...delivery} : null;
+    },
+
+    async claim(deliveryId) {
+      const delivery = deliveries.get(deliveryId);
+      if (!delivery || delivery.status !== "pending") return null;
+      Object.assign(delivery, {
+        status: "processing",
+        startedAt: new Date().toISOString(),
+      });
+      return {...delivery};
+    },
+
+    async update(deliveryId, patch) {
+      const delivery = deliveries.get(deliveryId);
+      if (delivery) Object.assign(delivery, patch);
+    },
+
+    async listBySession(sessionId) {
+      return Array.from(deliveries.values())
+          .filter((delivery) => delivery.sessionId === sessionId)
+          .map((delivery) => ({...delivery}));
+    },
+
+    async remove(deliveryId) {
+      deliveries.delete(deliveryId);
+    },
+
+    async purgeBefore(before) {
+      let purged = 0;
+      for (const [deliveryId, delivery] of deliveries) {
+        if (new Date(delivery.createdAt) < before) {
+          deliveries.delete(deliveryId);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    /** Tutte le consegne salvate (solo adapter in memoria). */
+    list() {
+      return Array.from(deliveries.values()).map((delivery) => ({...delivery}));
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      deliveries.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryDeliveryStore};
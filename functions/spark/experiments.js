@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Esperimenti A/B su prompt e modello.
+ *
+ * L'esperimento attivo fa parte della configurazione del tenant:
+ * {
+ *   id: "prompt-obiezioni",
+ *   variants: [
+ *     {id: "A", weight: 50},                        // prompt e modello del tenant
+ *     {id: "B", weight: 50, promptVersion: 4, model: "claude-haiku-4-5-20251001"},
+ *   ]
+ * }
+ *
+ * Ogni sessionId finisce sempre nella stessa variante: l'assegnazione è un
+ * hash di esperimento + sessione, senza stato da salvare. La variante viene
+ * scritta sui turni della chat e sui record dei lead (experimentId,
+ * variantId), da cui buildExperimentReport calcola le metriche.
+ */
+
+const EXPERIMENT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Esperimento del tenant normalizzato, oppure null se assente o non
+ * valido (in quel caso la chat usa prompt e modello del tenant).
+ */
+function getExperiment(tenant) {
+  const experiment = tenant && tenant.experiment;
+  if (!experiment) return null;
+
+  const {id, variants} = experiment;
+  const valid = typeof id === "string" && EXPERIMENT_ID_PATTERN.test(id) &&
+    Array.isArray(variants) && variants.length > 0 &&
+    variants.every((variant) => variant &&
+      typeof variant.id === "string" && EXPERIMENT_ID_PATTERN.test(variant.id) &&
+      (variant.weight === undefined ||
+        (Number.isFinite(variant.weight) && variant.weight >= 0)) &&
+      (variant.promptVersion === undefined ||
+        Number.isInteger(variant.promptVersion)) &&
+      (variant.model === undefined || typeof variant.model === "string"));
+  const normalized = valid && variants.map((variant) => ({
+    id: variant.id,
+    weight: variant.weight === undefined ? 1 : variant.weight,
+    promptVersion: variant.promptVersion || null,
+    model: variant.model || null,
+  }));
+  if (!normalized || normalized.every((variant) => variant.weight === 0)) {
+    logger.warn("Esperimento non valido, ignorato", {
+      tenantId: tenant.id,
+      experimentId: id,
+    });
+    return null;
+  }
+  return {id, variants: normalized};
+}
+
+/**
+ * Punto in [0, 1) derivato da esperimento e sessione.
+ */
+function hashToUnit(experimentId, sessionId) {
+  const digest = crypto.createHash("sha256")
+      .update(`${experimentId}:${sessionId}`)
+      .digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Variante assegnata a una sessione, in proporzione ai pesi.
+ */
+function assignVariant(experiment, sessionId) {
+  const total = experiment.variants
+      .reduce((sum, variant) => sum + variant.weight, 0);
+  let point = hashToUnit(experiment.id, sessionId) * total;
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Variante della sessione per l'esperimento del tenant:
+ * {experimentId, variantId, promptVersion, model}, null senza esperimento.
+ */
+function getSessionVariant(tenant, sessionId) {
+  const experiment = getExperiment(tenant);
+  if (!experiment || !sessionId) return null;
+  const variant = assignVariant(experiment, sessionId);
+  return {
+    experimentId: experiment.id,
+    variantId: variant.id,
+    promptVersion: variant.promptVersion,
+    model: variant.model,
+  };
+}
+
+/**
+ * Campi experimentId e variantId per i record dei lead (vuoti senza
+ * esperimento, così non sovrascrivono un'assegnazione precedente).
+ */
+function experimentFields(variant) {
+  return variant ?
+    {experimentId: variant.experimentId, variantId: variant.variantId} :
+    {};
+}
+
+/**
+ * Probabilità di chiusura di un record: il campo numerico (Firestore)
+ * oppure la percentuale dell'etichetta di scoring (Sheets).
+ */
+function getRecordProbability(record) {
+  if (record.probabilitaChiusura !== undefined &&
+      record.probabilitaChiusura !== "") {
+    const value = Number(record.probabilitaChiusura);
+    if (Number.isFinite(value)) return value;
+  }
+  const match = /(\d+)%/.exec(record.scoring || "");
+  return match ? Number(match[1]) : null;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((total, value) => total + value, 0);
+  return Math.round(sum / values.length * 10) / 10;
+}
+
+/**
+ * Metriche per variante dai record dei lead di un esperimento.
+ * Una sessione è convertita se il record ha un telefono; le varianti
+ * configurate compaiono anche senza sessioni.
+ */
+function buildExperimentReport(experimentId, records, experiment = null) {
+  const variants = new Map();
+  const getVariant = (variantId) => {
+    if (!variants.has(variantId)) {
+      variants.set(variantId, {
+        variantId,
+        sessions: 0,
+        leads: 0,
+        probabilities: [],
+        messageCounts: [],
+      });
+    }
+    return variants.get(variantId);
+  };
+
+  if (experiment && experiment.id === experimentId) {
+    experiment.variants.forEach((variant) => getVariant(variant.id));
+  }
+
+  for (const record of records) {
+    if (record.experimentId !== experimentId || !record.variantId) continue;
+    const stats = getVariant(record.variantId);
+    stats.sessions++;
+    if (record.telefono) stats.leads++;
+    const probability = getRecordProbability(record);
+    if (probability !== null) stats.probabilities.push(probability);
+    const messageCount = Number(record.messageCount);
+    if (record.messageCount !== "" && Number.isFinite(messageCount)) {
+      stats.messageCounts.push(messageCount);
+    }
+  }
+
+  return {
+    experimentId,
+    active: Boolean(experiment && experiment.id === experimentId),
+    variants: Array.from(variants.values()).map((stats) => ({
+      variantId: stats.variantId,
+      sessions: stats.sessions,
+      leads: stats.leads,
+      conversionRate: stats.sessions ?
+        Math.round(stats.leads / stats.sessions * 10000) / 10000 : null,
+      avgProbabilitaChiusura: average(stats.probabilities),
+      avgMessageCount: average(stats.messageCounts),
+    })),
+  };
+}
+
+module.exports = {
+  getExperiment,
+  assignVariant,
+  getSessionVariant,
+  experimentFields,
+  getRecordProbability,
+  buildExperimentReport,
+};
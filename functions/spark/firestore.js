@@ -0,0 +1,46 @@
+const admin = require("firebase-admin");
+
+/**
+ * Nomi delle collection Firestore usate dalle funzioni Spark.
+ */
+const COLLECTIONS = {
+  LEADS: "spark_leads",
+  CONVERSATIONS: "spark_conversations",
+  RATE_LIMITS: "spark_rate_limits",
+  COST_TRACKING: "spark_cost_tracking",
+  TENANTS: "spark_tenants",
+  PROMPTS: "spark_prompts",
+  ANALYSIS_JOBS: "spark_analysis_jobs",
+  LOCKS: "spark_locks",
+  NOTIFICATIONS: "spark_notifications",
+  STREAMS: "spark_streams",
+};
+
+/**
+ * Restituisce l'istanza Firestore, inizializzando Firebase Admin
+ * solo al primo utilizzo (gli adapter Sheets e memoria non ne hanno bisogno).
+ */
+function getDb() {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+  return admin.firestore();
+}
+
+// Scritture massime per batch di Firestore
+const BATCH_LIMIT = 500;
+
+/**
+ * Applica write(batch, doc) a ogni documento, in batch da BATCH_LIMIT.
+ * Restituisce il numero di documenti.
+ */
+async function writeInBatches(db, docs, write) {
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_LIMIT).forEach((doc) => write(batch, doc));
+    await batch.commit();
+  }
+  return docs.length;
+}
+
+module.exports = {COLLECTIONS, getDb, writeInBatches};
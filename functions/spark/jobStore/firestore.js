@@ -0,0 +1,72 @@
+const {COLLECTIONS, getDb, writeInBatches} = require("../firestore");
+
+// Codice gRPC restituito da create() se il documento esiste già
+const ALREADY_EXISTS = 6;
+
+/**
+ * Adapter Firestore: un documento per job in `spark_analysis_jobs`, con
+ * jobId come ID documento. La creazione di un documento attiva la funzione
+ * processAnalysisJob.
+ */
+function createFirestoreJobStore(options = {}) {
+  const db = () => options.db || getDb();
+  const jobRef = (jobId) =>
+    db().collection(COLLECTIONS.ANALYSIS_JOBS).doc(jobId);
+
+  return {
+    async create(job) {
+      try {
+        await jobRef(job.jobId).create(job);
+        return true;
+      } catch (err) {
+        if (err.code === ALREADY_EXISTS) return false;
+        throw err;
+      }
+    },
+
+    async get(jobId) {
+      const doc = await jobRef(jobId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async claim(jobId) {
+      const ref = jobRef(jobId);
+      return db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || doc.data().status !== "pending") return null;
+        const patch = {
+          status: "processing",
+          startedAt: new Date().toISOString(),
+        };
+        tx.update(ref, patch);
+        return {...doc.data(), ...patch};
+      });
+    },
+
+    async update(jobId, patch) {
+      await jobRef(jobId).update(patch);
+    },
+
+    async listBySession(sessionId) {
+      const snapshot = await db().collection(COLLECTIONS.ANALYSIS_JOBS)
+          .where("sessionId", "==", sessionId)
+          .get();
+      return snapshot.docs.map((doc) => doc.data());
+    },
+
+    async remove(jobId) {
+      await jobRef(jobId).delete();
+    },
+
+    async purgeBefore(before) {
+      // createdAt è una stringa ISO: l'ordine lessicografico è quello temporale
+      const snapshot = await db().collection(COLLECTIONS.ANALYSIS_JOBS)
+          .where("createdAt", "<", before.toISOString())
+          .get();
+      return writeInBatches(db(), snapshot.docs,
+          (batch, doc) => batch.delete(doc.ref));
+    },
+  };
+}
+
+module.exports = {createFirestoreJobStore};
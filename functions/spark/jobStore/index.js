@@ -0,0 +1,60 @@
+const {createFirestoreJobStore} = require("./firestore");
+const {createMemoryJobStore} = require("./memory");
+
+const JOB_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da JOB_STORE ("firestore" di default).
+ */
+function getJobStoreType() {
+  const type = (process.env.JOB_STORE || "").toLowerCase();
+  return JOB_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - create(job) → true se creato, false se esiste già un job con lo stesso
+ *   jobId (deduplicazione)
+ * - get(jobId) → job o null
+ * - claim(jobId) → porta un job "pending" in "processing" e lo restituisce,
+ *   null se non esiste o è già stato preso in carico
+ * - update(jobId, patch) → aggiorna i campi del job
+ * - listBySession(sessionId) → job della sessione
+ * - remove(jobId) → elimina il job
+ * - purgeBefore(before) → elimina i job creati prima di `before` (Date) e
+ *   ne restituisce il numero
+ */
+function createJobStore(type = getJobStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryJobStore();
+    case "firestore":
+    default:
+      return createFirestoreJobStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let jobStore = null;
+
+function getJobStore() {
+  if (!jobStore) {
+    jobStore = createJobStore();
+  }
+  return jobStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getJobStore() ricrea l'adapter da config.
+ */
+function setJobStore(store) {
+  jobStore = store;
+}
+
+module.exports = {
+  getJobStoreType,
+  createJobStore,
+  getJobStore,
+  setJobStore,
+};
@@ -0,0 +1,69 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo e nessun trigger
+ * elabora i job: i test chiamano processAnalysisJob direttamente.
+ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    async create(job) {
+      if (jobs.has(job.jobId)) return false;
+      jobs.set(job.jobId, {...job});
+      return true;
+    },
+
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? {...job} : null;
+    },
+
+    async claim(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== "pending") return null;
+      Object.assign(job, {
+        status: "processing",
+        startedAt: new Date().toISOString(),
+      });
+      return {...job};
+    },
+
+    async update(jobId, patch) {
+      const job = jobs.get(jobId);
+      if (job) Object.assign(job, patch);
+    },
+
+    async listBySession(sessionId) {
+      return Array.from(jobs.values())
+          .filter((job) => job.sessionId === sessionId)
+          .map((job) => ({...job}));
+    },
+
+    async remove(jobId) {
+      jobs.delete(jobId);
+    },
+
+    async purgeBefore(before) {
+      let purged = 0;
+      for (const [jobId, job] of jobs) {
+        if (new Date(job.createdAt) < before) {
+          jobs.delete(jobId);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    /** Tutti i job salvati (solo adapter in memoria). */
+    list() {
+      return Array.from(jobs.values()).map((job) => ({...job}));
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      jobs.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryJobStore};
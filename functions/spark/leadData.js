@@ -0,0 +1,218 @@
+const {experimentFields} = require("./experiments");
+
+const PHONE_PATTERN = /^\+?\d{6,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Dati di contatto, che il widget può inviare anche con il modulo contatti
+const CONTACT_FIELDS = ["nome", "telefono", "email"];
+
+/**
+ * Strumento Anthropic con cui il modello salva il lead.
+ * Lo schema rispecchia validateLeadData, che resta comunque l'unico controllo
+ * autorevole sui dati ricevuti.
+ */
+const SAVE_LEAD_TOOL = {
+  name: "save_lead",
+  description: "Salva i dati di contatto e di qualifica del prospect. " +
+    "Da chiamare quando sono noti almeno il telefono e una descrizione " +
+    "del progetto. Non menzionare mai questo strumento all'utente.",
+  input_schema: {
+    type: "object",
+    properties: {
+      nome: {type: "string", description: "Nome del prospect, se noto"},
+      email: {type: "string", description: "Email, se nota"},
+      telefono: {
+        type: "string",
+        description: "Numero di telefono. Ometti nome, telefono ed email " +
+          "se l'utente li ha inviati con il modulo contatti",
+      },
+      nomeAzienda: {type: "string", description: "Nome dell'azienda, se emerso"},
+      descrizioneProgetto: {
+        type: "string",
+        description: "Breve riassunto del progetto",
+      },
+      preventivoIndicato: {
+        type: "string",
+        description: "Prezzo comunicato (es. \"2.000€\"), vuoto se non dato",
+      },
+      probabilitaChiusura: {
+        type: "integer",
+        minimum: 0,
+        maximum: 100,
+        description: "Probabilità di chiusura basata su progetto definito, " +
+          "motivazione, budget e urgenza",
+      },
+      noteQualifica: {
+        type: "string",
+        description: "1-2 frasi sulla qualità del lead",
+      },
+    },
+    // telefono è obbligatorio, ma può arrivare dal modulo contatti
+    required: ["descrizioneProgetto", "probabilitaChiusura"],
+  },
+};
+
+// Lunghezza massima dei campi testuali del lead
+const MAX_LENGTHS = {
+  nome: 100,
+  telefono: 30,
+  email: 254,
+  nomeAzienda: 150,
+  descrizioneProgetto: 2000,
+  preventivoIndicato: 50,
+  noteQualifica: 1000,
+};
+
+/**
+ * Normalizza un numero di telefono togliendo spazi, punti, trattini
+ * e parentesi (il "+" iniziale resta).
+ */
+function normalizePhone(phone) {
+  return String(phone).replace(/[\s.\-()/]/g, "");
+}
+
+function isPlainObject(data) {
+  return Boolean(data) && typeof data === "object" && !Array.isArray(data);
+}
+
+/**
+ * Legge i campi testuali `fields` (stringhe trim entro MAX_LENGTHS) e
+ * controlla telefono, obbligatorio, ed email. Gli errori vanno in `errors`.
+ */
+function readContactFields(data, fields, errors) {
+  const values = {};
+  for (const field of fields) {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      values[field] = "";
+      continue;
+    }
+    if (typeof value !== "string") {
+      errors.push(`${field} deve essere una stringa`);
+      continue;
+    }
+    values[field] = value.trim();
+    if (values[field].length > MAX_LENGTHS[field]) {
+      errors.push(`${field} supera ${MAX_LENGTHS[field]} caratteri`);
+    }
+  }
+
+  if (!values.telefono) {
+    errors.push("telefono obbligatorio");
+  } else {
+    values.telefono = normalizePhone(values.telefono);
+    if (!PHONE_PATTERN.test(values.telefono)) {
+      errors.push("telefono non valido");
+    }
+  }
+
+  if (values.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.push("email non valida");
+  }
+  return values;
+}
+
+/**
+ * Valida e normalizza i dati di un lead.
+ * Restituisce {valid, errors, lead}: lead contiene solo i campi ammessi,
+ * già normalizzati (stringhe trim, telefono senza separatori,
+ * probabilitaChiusura numerica).
+ */
+function validateLeadData(data) {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return {valid: false, errors: ["payload non è un oggetto"], lead: null};
+  }
+
+  const lead = readContactFields(data, Object.keys(MAX_LENGTHS), errors);
+
+  if (!lead.descrizioneProgetto) {
+    errors.push("descrizioneProgetto obbligatoria");
+  }
+
+  const probabilita = data.probabilitaChiusura === undefined ||
+    data.probabilitaChiusura === "" ? 0 : Number(data.probabilitaChiusura);
+  if (!Number.isFinite(probabilita) || probabilita < 0 || probabilita > 100) {
+    errors.push("probabilitaChiusura deve essere un numero tra 0 e 100");
+  } else {
+    lead.probabilitaChiusura = Math.round(probabilita);
+  }
+
+  return {valid: errors.length === 0, errors, lead};
+}
+
+/**
+ * Valida i dati del modulo contatti del widget: telefono obbligatorio,
+ * nome ed email facoltativi, normalizzati come in validateLeadData.
+ * Restituisce {valid, errors, contact}.
+ */
+function validateContactData(data) {
+  if (!isPlainObject(data)) {
+    return {valid: false, errors: ["payload non è un oggetto"], contact: null};
+  }
+  const errors = [];
+  const contact = readContactFields(data, CONTACT_FIELDS, errors);
+  if (errors.length > 0) return {valid: false, errors, contact: null};
+  return {valid: true, errors, contact};
+}
+
+/**
+ * Completa i dati passati a save_lead con i contatti già salvati nel
+ * record lead della sessione (modulo contatti): i campi indicati dal
+ * modello hanno la precedenza.
+ */
+function withSavedContact(input, saved) {
+  if (!isPlainObject(input) || !saved) return input;
+  const merged = {...input};
+  for (const field of CONTACT_FIELDS) {
+    if (!merged[field] && saved[field]) merged[field] = saved[field];
+  }
+  return merged;
+}
+
+/**
+ * Etichetta di scoring per la colonna "Colore Scoring".
+ */
+function scoringLabel(probabilitaChiusura) {
+  let colore = "🔴";
+  if (probabilitaChiusura >= 60) colore = "🟢";
+  else if (probabilitaChiusura >= 30) colore = "🟠";
+  return colore + " " + (probabilitaChiusura || 0) + "%";
+}
+
+/**
+ * Costruisce il record per il lead store da un lead validato.
+ * `variant` è la variante A/B della sessione (vedi experiments.js),
+ * `lingua` la lingua della conversazione (vedi locales.js).
+ */
+function toLeadRecord(lead,
+    {conversazione, trafficSource, promptVersion, variant, lingua}) {
+  return {
+    data: new Date().toISOString(),
+    noteQualifica: lead.noteQualifica,
+    scoring: scoringLabel(lead.probabilitaChiusura),
+    probabilitaChiusura: lead.probabilitaChiusura,
+    nome: lead.nome,
+    telefono: lead.telefono,
+    email: lead.email,
+    nomeAzienda: lead.nomeAzienda,
+    preventivoIndicato: lead.preventivoIndicato,
+    descrizioneProgetto: lead.descrizioneProgetto,
+    conversazione: conversazione || "",
+    trafficSource: trafficSource || "",
+    promptVersion: promptVersion || "",
+    ...experimentFields(variant),
+    lingua: lingua || "",
+  };
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  SAVE_LEAD_TOOL,
+  normalizePhone,
+  validateLeadData,
+  validateContactData,
+  withSavedContact,
+  scoringLabel,
+  toLeadRecord,
+};
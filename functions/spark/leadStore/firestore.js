@@ -0,0 +1,140 @@
+const {FieldValue} = require("firebase-admin/firestore");
+const {COLLECTIONS, getDb, writeInBatches} = require("../firestore");
+
+/**
+ * Adapter Firestore: un documento per sessione in `spark_leads` (o nella
+ * collection indicata da options.collection), con sessionId come ID
+ * documento. I lead senza sessionId ricevono un ID generato.
+ * upsert legge e scrive in una transazione: le richieste concorrenti sulla
+ * stessa sessione vengono ritentate da Firestore e si fondono in un record.
+ */
+/**
+ * Copia dei dati da scrivere con `emailNormalized`, l'email in minuscolo
+ * su cui export e cancellazione cercano: `email` resta come l'ha scritta
+ * l'utente.
+ */
+function withNormalizedEmail(data) {
+  if (typeof data.email !== "string") return data;
+  return {...data, emailNormalized: data.email.trim().toLowerCase()};
+}
+
+/**
+ * Record del lead da un documento, senza i campi tecnici di ricerca.
+ */
+function toLead(doc) {
+  const lead = doc.data();
+  delete lead.emailNormalized;
+  return lead;
+}
+
+function createFirestoreLeadStore(options = {}) {
+  const collection = () => (options.db || getDb())
+      .collection(options.collection || COLLECTIONS.LEADS);
+
+  // Documenti che corrispondono alla query {sessionId, email, telefono};
+  // l'email della query è già in minuscolo (parsePrivacyQuery)
+  const findDocs = async ({sessionId, email, telefono}) => {
+    const snapshots = [];
+    if (sessionId) {
+      const doc = await collection().doc(sessionId).get();
+      if (doc.exists) snapshots.push(doc);
+    }
+    if (email) {
+      const snapshot = await collection()
+          .where("emailNormalized", "==", email).get();
+      snapshots.push(...snapshot.docs);
+      // Record salvati prima di emailNormalized
+      const legacy = await collection().where("email", "==", email).get();
+      snapshots.push(...legacy.docs);
+    }
+    if (telefono) {
+      const snapshot = await collection().where("telefono", "==", telefono).get();
+      snapshots.push(...snapshot.docs);
+    }
+    const unique = new Map(snapshots.map((doc) => [doc.ref.path, doc]));
+    return Array.from(unique.values());
+  };
+
+  return {
+    async get(sessionId) {
+      const doc = await collection().doc(sessionId).get();
+      return doc.exists ? toLead(doc) : null;
+    },
+
+    async create(lead) {
+      const docRef = lead.sessionId ?
+        collection().doc(lead.sessionId) :
+        collection().doc();
+      await docRef.set({
+        ...withNormalizedEmail(lead),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    },
+
+    async update(sessionId, patch) {
+      const docRef = collection().doc(sessionId);
+      const doc = await docRef.get();
+      if (!doc.exists) return false;
+      await docRef.update({
+        ...withNormalizedEmail(patch),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return true;
+    },
+
+    async upsert(sessionId, patch, defaults) {
+      const docRef = collection().doc(sessionId);
+      const db = options.db || getDb();
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(docRef);
+        if (doc.exists) {
+          tx.update(docRef, {
+            ...withNormalizedEmail(patch),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          return {created: false};
+        }
+        tx.set(docRef, {
+          ...withNormalizedEmail({...defaults, ...patch}),
+          sessionId,
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        return {created: true};
+      });
+    },
+
+    async listByExperiment(experimentId) {
+      const snapshot = await collection()
+          .where("experimentId", "==", experimentId)
+          .get();
+      return snapshot.docs.map(toLead);
+    },
+
+    async find(query) {
+      return (await findDocs(query)).map(toLead);
+    },
+
+    async remove(query) {
+      const docs = await findDocs(query);
+      return writeInBatches(options.db || getDb(), docs,
+          (batch, doc) => batch.delete(doc.ref));
+    },
+
+    async purgeTranscripts(before) {
+      // data è una stringa ISO: l'ordine lessicografico è quello temporale
+      const snapshot = await collection()
+          .where("data", "<", before.toISOString())
+          .get();
+      const docs = snapshot.docs.filter((doc) => doc.data().conversazione);
+      return writeInBatches(options.db || getDb(), docs, (batch, doc) =>
+        batch.update(doc.ref, {
+          conversazione: "",
+          updatedAt: FieldValue.serverTimestamp(),
+        }));
+    },
+  };
+}
+
+module.exports = {createFirestoreLeadStore};
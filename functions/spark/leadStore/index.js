@@ -0,0 +1,107 @@
+const {createSheetsLeadStore} = require("./sheets");
+const {createFirestoreLeadStore} = require("./firestore");
+const {createMemoryLeadStore} = require("./memory");
+const {LEAD_FIELDS, emptyLead} = require("./schema");
+
+const LEAD_STORE_TYPES = ["sheets", "firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da LEAD_STORE ("sheets" di default).
+ */
+function getLeadStoreType() {
+  const type = (process.env.LEAD_STORE || "").toLowerCase();
+  return LEAD_STORE_TYPES.includes(type) ? type : "sheets";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - get(sessionId) → record o null
+ * - create(record) → crea un nuovo record
+ * - update(sessionId, patch) → true se il record esisteva ed è stato aggiornato
+ * - upsert(sessionId, patch, defaults) → {created}: applica patch al record
+ *   esistente o crea defaults + patch, in modo atomico per sessione
+ * - listByExperiment(experimentId) → record assegnati a un esperimento A/B
+ * - find(query) → record che corrispondono a {sessionId, email, telefono}
+ * - remove(query) → elimina quei record e ne restituisce il numero
+ * - purgeTranscripts(before) → svuota la conversazione dei record con data
+ *   precedente a `before` (Date) e ne restituisce il numero
+ *
+ * `options` arriva dalla leadDestination del tenant: sheetId per Sheets,
+ * collection per Firestore.
+ */
+function createLeadStore(type = getLeadStoreType(), options = {}) {
+  switch (type) {
+    case "firestore":
+      return createFirestoreLeadStore(options);
+    case "memory":
+      return createMemoryLeadStore();
+    case "sheets":
+    default:
+      return createSheetsLeadStore(options);
+  }
+}
+
+// --- Istanze condivise (una per istanza della funzione) ---
+let leadStore = null;
+const destinationStores = new Map();
+
+/**
+ * Store dei lead di un tenant: quello della sua leadDestination, oppure
+ * lo store di default (LEAD_STORE) se il tenant non ne ha una.
+ */
+function getLeadStore(tenant) {
+  const destination = tenant && tenant.leadDestination;
+  if (destination && destination.type) {
+    const key = JSON.stringify(destination);
+    if (!destinationStores.has(key)) {
+      const {type, ...options} = destination;
+      destinationStores.set(key, createLeadStore(type, options));
+    }
+    return destinationStores.get(key);
+  }
+
+  if (!leadStore) {
+    leadStore = createLeadStore();
+  }
+  return leadStore;
+}
+
+/**
+ * Sostituisce l'istanza di default (utile nei test) e dimentica quelle
+ * per destinazione. Passando null la prossima getLeadStore() ricrea
+ * l'adapter da config.
+ */
+function setLeadStore(store) {
+  leadStore = store;
+  destinationStores.clear();
+}
+
+/**
+ * Upsert per sessionId: se il record esiste applica solo `patch`,
+ * altrimenti crea un record completo da `defaults` + `patch`.
+ * Atomico per sessione in tutti gli adapter: richieste concorrenti
+ * producono un solo record con tutte le patch applicate.
+ * Senza sessionId crea sempre un nuovo record.
+ */
+async function upsertLead(store, sessionId, patch, defaults = {}) {
+  const record = {
+    ...emptyLead(),
+    data: new Date().toISOString(),
+    ...defaults,
+  };
+  if (!sessionId) {
+    await store.create({...record, ...patch, sessionId: ""});
+    return {created: true};
+  }
+  return store.upsert(sessionId, patch, record);
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  emptyLead,
+  getLeadStoreType,
+  createLeadStore,
+  getLeadStore,
+  setLeadStore,
+  upsertLead,
+};
@@ -0,0 +1,85 @@
+const {matchesQuery} = require("./schema");
+
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryLeadStore() {
+  const leads = new Map();
+  let anonymousCount = 0;
+
+  return {
+    async get(sessionId) {
+      const lead = leads.get(sessionId);
+      return lead ? {...lead} : null;
+    },
+
+    async create(lead) {
+      const key = lead.sessionId || `anon-${++anonymousCount}`;
+      leads.set(key, {...lead});
+    },
+
+    async update(sessionId, patch) {
+      const lead = leads.get(sessionId);
+      if (!lead) return false;
+      leads.set(sessionId, {...lead, ...patch});
+      return true;
+    },
+
+    async upsert(sessionId, patch, defaults) {
+      // Lettura e scrittura senza await in mezzo: atomiche
+      const lead = leads.get(sessionId);
+      if (lead) {
+        leads.set(sessionId, {...lead, ...patch});
+        return {created: false};
+      }
+      leads.set(sessionId, {...defaults, ...patch, sessionId});
+      return {created: true};
+    },
+
+    async listByExperiment(experimentId) {
+      return Array.from(leads.values())
+          .filter((lead) => lead.experimentId === experimentId)
+          .map((lead) => ({...lead}));
+    },
+
+    async find(query) {
+      return Array.from(leads.values())
+          .filter((lead) => matchesQuery(lead, query))
+          .map((lead) => ({...lead}));
+    },
+
+    async remove(query) {
+      let removed = 0;
+      for (const [key, lead] of leads) {
+        if (!matchesQuery(lead, query)) continue;
+        leads.delete(key);
+        removed++;
+      }
+      return removed;
+    },
+
+    async purgeTranscripts(before) {
+      let purged = 0;
+      for (const lead of leads.values()) {
+        if (!lead.conversazione || !(new Date(lead.data) < before)) continue;
+        lead.conversazione = "";
+        purged++;
+      }
+      return purged;
+    },
+
+    /** Tutti i record salvati (solo adapter in memoria). */
+    list() {
+      return Array.from(leads.values()).map((lead) => ({...lead}));
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      leads.clear();
+      anonymousCount = 0;
+    },
+  };
+}
+
+module.exports = {createMemoryLeadStore};
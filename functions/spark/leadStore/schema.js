@@ -0,0 +1,54 @@
+const {normalizePhone} = require("../leadData");
+
+/**
+ * Campi di un record lead, nell'ordine delle colonne A–T dello sheet.
+ * Gli adapter possono salvare campi aggiuntivi (es. probabilitaChiusura
+ * numerica su Firestore), ma questi sono sempre presenti.
+ */
+const LEAD_FIELDS = [
+  "data", // A: Data
+  "noteQualifica", // B: Note Qualifica
+  "scoring", // C: Colore Scoring
+  "nome", // D: Nome
+  "telefono", // E: Telefono
+  "email", // F: Email
+  "nomeAzienda", // G: Nome Azienda
+  "preventivoIndicato", // H: Preventivo Indicato
+  "descrizioneProgetto", // I: Descrizione Progetto
+  "conversazione", // J: Conversazione
+  "sessionId", // K: SessionId
+  "trafficSource", // L: Sorgente
+  "promptVersion", // M: Versione Prompt
+  "experimentId", // N: Esperimento
+  "variantId", // O: Variante
+  "messageCount", // P: Messaggi
+  "dubbi", // Q: Dubbi
+  "reazionePreventivo", // R: Reazione Preventivo
+  "resistenzaContatto", // S: Resistenza Contatto
+  "lingua", // T: Lingua
+];
+
+/**
+ * Restituisce un record lead con tutti i campi vuoti.
+ */
+function emptyLead() {
+  const lead = {};
+  for (const field of LEAD_FIELDS) {
+    lead[field] = "";
+  }
+  return lead;
+}
+
+/**
+ * true se il record corrisponde a uno dei criteri della query
+ * {sessionId, email, telefono} (email senza maiuscole, telefono
+ * normalizzato, vedi privacy.js).
+ */
+function matchesQuery(lead, {sessionId, email, telefono}) {
+  if (sessionId && lead.sessionId === sessionId) return true;
+  if (email && String(lead.email || "").toLowerCase() === email) return true;
+  return Boolean(telefono && lead.telefono &&
+    normalizePhone(lead.telefono) === telefono);
+}
+
+module.exports = {LEAD_FIELDS, emptyLead, matchesQuery};
@@ -0,0 +1,272 @@
+const {google} = require("googleapis");
+const {LEAD_FIELDS, matchesQuery} = require("./schema");
+const {withSessionLock} = require("../sessionLock");
+
+const SESSION_ID_COLUMN = columnLetter(LEAD_FIELDS.indexOf("sessionId"));
+const LAST_COLUMN = columnLetter(LEAD_FIELDS.length - 1);
+const TRANSCRIPT_COLUMN = columnLetter(LEAD_FIELDS.indexOf("conversazione"));
+
+/**
+ * Lettera di colonna (0 → A) per gli indici di LEAD_FIELDS.
+ */
+function columnLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Returns authenticated Google Sheets client.
+ */
+function getSheetsClient() {
+  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON || "";
+  const credentials = JSON.parse(raw);
+  const auth = new google.auth.GoogleAuth({
+    credentials,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+  return google.sheets({version: "v4", auth});
+}
+
+/**
+ * Legge la colonna SessionId e restituisce l'indice sessionId → numero di
+ * riga (1-indexed). Se una sessione compare più volte vale la prima riga.
+ */
+async function readSessionIndex(sheets, sheetId) {
+  const resp = await sheets.spreadsheets.values.get({
+    spreadsheetId: sheetId,
+    range: `${SESSION_ID_COLUMN}:${SESSION_ID_COLUMN}`,
+  });
+  const index = new Map();
+  (resp.data.values || []).forEach((row, i) => {
+    if (row[0] && !index.has(row[0])) index.set(row[0], i + 1);
+  });
+  return index;
+}
+
+/**
+ * Finds row number (1-indexed) by sessionId in the SessionId column.
+ * Returns null if not found.
+ */
+async function findRowBySessionId(sheets, sheetId, sessionId) {
+  const index = await readSessionIndex(sheets, sheetId);
+  return index.get(sessionId) || null;
+}
+
+/**
+ * Numero di riga dal range restituito da append (es. "Foglio1!A7:T7").
+ */
+function rowFromRange(range) {
+  const cells = (range || "").split("!").pop();
+  const match = /^[A-Z]+(\d+)/.exec(cells);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Converte un record lead nella riga A–T dello sheet.
+ */
+function leadToRow(lead) {
+  return LEAD_FIELDS.map((field) => lead[field] || "");
+}
+
+/**
+ * Converte una riga A–T nel record lead.
+ */
+function rowToLead(row) {
+  const lead = {};
+  LEAD_FIELDS.forEach((field, i) => {
+    lead[field] = row[i] || "";
+  });
+  return lead;
+}
+
+/**
+ * Data di una cella letta con UNFORMATTED_VALUE: numero seriale di Sheets
+ * (giorni dal 30/12/1899) oppure testo (es. ISO). null se non è una data.
+ */
+function parseSheetDate(value) {
+  const date = typeof value === "number" ?
+    new Date(Math.round((value - 25569) * 86400 * 1000)) :
+    new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Adapter Google Sheets: una riga per sessione, colonne da LEAD_FIELDS.
+ * Client e sheetId sono risolti al primo uso (i secrets sono disponibili
+ * solo a runtime).
+ *
+ * Sheets non ha transazioni: upsert serializza le scritture della stessa
+ * sessione con withSessionLock. L'indice sessionId → riga evita di
+ * rileggere la colonna SessionId a ogni chiamata; ogni riga indicizzata
+ * viene verificata prima dell'uso (le righe possono essere riordinate a
+ * mano) e, se non corrisponde, l'indice viene ricostruito.
+ */
+function createSheetsLeadStore(options = {}) {
+  let sheets = options.sheets || null;
+  const getSheets = () => {
+    if (!sheets) sheets = getSheetsClient();
+    return sheets;
+  };
+  const getSheetId = () => options.sheetId || process.env.GOOGLE_SHEET_ID;
+  let rowIndex = new Map();
+
+  const findRow = async (sessionId) => {
+    const cached = rowIndex.get(sessionId);
+    if (cached) {
+      const resp = await getSheets().spreadsheets.values.get({
+        spreadsheetId: getSheetId(),
+        range: `${SESSION_ID_COLUMN}${cached}`,
+      });
+      const value = ((resp.data.values || [])[0] || [])[0];
+      if (value === sessionId) return cached;
+    }
+    rowIndex = await readSessionIndex(getSheets(), getSheetId());
+    return rowIndex.get(sessionId) || null;
+  };
+
+  const appendRow = async (lead) => {
+    const resp = await getSheets().spreadsheets.values.append({
+      spreadsheetId: getSheetId(),
+      range: `A:${LAST_COLUMN}`,
+      valueInputOption: "USER_ENTERED",
+      requestBody: {values: [leadToRow(lead)]},
+    });
+    const updates = resp && resp.data && resp.data.updates;
+    const rowNum = rowFromRange(updates && updates.updatedRange);
+    if (lead.sessionId && rowNum) rowIndex.set(lead.sessionId, rowNum);
+  };
+
+  // Aggiorna solo le celle dei campi presenti nella patch
+  const updateRow = async (rowNum, patch) => {
+    const data = [];
+    LEAD_FIELDS.forEach((field, i) => {
+      if (patch[field] === undefined) return;
+      data.push({
+        range: `${columnLetter(i)}${rowNum}`,
+        values: [[patch[field]]],
+      });
+    });
+    if (data.length > 0) {
+      await getSheets().spreadsheets.values.batchUpdate({
+        spreadsheetId: getSheetId(),
+        requestBody: {
+          valueInputOption: "USER_ENTERED",
+          data,
+        },
+      });
+    }
+  };
+
+  // Tutte le righe dello sheet, con il numero di riga (1-indexed)
+  const readRows = async (renderOptions = {}) => {
+    const resp = await getSheets().spreadsheets.values.get({
+      spreadsheetId: getSheetId(),
+      range: `A:${LAST_COLUMN}`,
+      ...renderOptions,
+    });
+    return (resp.data.values || []).map((row, i) => ({
+      rowNum: i + 1,
+      lead: rowToLead(row),
+    }));
+  };
+
+  return {
+    async get(sessionId) {
+      const rowNum = await findRow(sessionId);
+      if (!rowNum) return null;
+      const resp = await getSheets().spreadsheets.values.get({
+        spreadsheetId: getSheetId(),
+        range: `A${rowNum}:${LAST_COLUMN}${rowNum}`,
+      });
+      return rowToLead((resp.data.values || [])[0] || []);
+    },
+
+    async create(lead) {
+      await appendRow(lead);
+    },
+
+    async update(sessionId, patch) {
+      return withSessionLock(`sheets:${getSheetId()}:${sessionId}`,
+          async () => {
+            const rowNum = await findRow(sessionId);
+            if (!rowNum) return false;
+            await updateRow(rowNum, patch);
+            return true;
+          });
+    },
+
+    async upsert(sessionId, patch, defaults) {
+      return withSessionLock(`sheets:${getSheetId()}:${sessionId}`,
+          async () => {
+            const rowNum = await findRow(sessionId);
+            if (rowNum) {
+              await updateRow(rowNum, patch);
+              return {created: false};
+            }
+            await appendRow({...defaults, ...patch, sessionId});
+            return {created: true};
+          });
+    },
+
+    async listByExperiment(experimentId) {
+      return (await readRows())
+          .map(({lead}) => lead)
+          .filter((lead) => lead.experimentId === experimentId);
+    },
+
+    async find(query) {
+      return (await readRows())
+          .map(({lead}) => lead)
+          .filter((lead) => matchesQuery(lead, query));
+    },
+
+    // Le righe vengono svuotate, non eliminate: i numeri di riga
+    // dell'indice restano validi
+    async remove(query) {
+      const matches = (await readRows())
+          .filter(({lead}) => matchesQuery(lead, query));
+      if (matches.length === 0) return 0;
+      await getSheets().spreadsheets.values.batchClear({
+        spreadsheetId: getSheetId(),
+        requestBody: {
+          ranges: matches.map(({rowNum}) =>
+            `A${rowNum}:${LAST_COLUMN}${rowNum}`),
+        },
+      });
+      matches.forEach(({lead}) => rowIndex.delete(lead.sessionId));
+      return matches.length;
+    },
+
+    async purgeTranscripts(before) {
+      // Valori non formattati: la data arriva come numero seriale
+      const expired = (await readRows({
+        valueRenderOption: "UNFORMATTED_VALUE",
+        dateTimeRenderOption: "SERIAL_NUMBER",
+      })).filter(({lead}) => {
+        const date = parseSheetDate(lead.data);
+        return lead.conversazione && date && date < before;
+      });
+      if (expired.length === 0) return 0;
+      await getSheets().spreadsheets.values.batchUpdate({
+        spreadsheetId: getSheetId(),
+        requestBody: {
+          valueInputOption: "RAW",
+          data: expired.map(({rowNum}) => ({
+            range: `${TRANSCRIPT_COLUMN}${rowNum}`,
+            values: [[""]],
+          })),
+        },
+      });
+      return expired.length;
+    },
+  };
+}
+
+module.exports = {
+  createSheetsLeadStore,
+  getSheetsClient,
+  readSessionIndex,
+  findRowBySessionId,
+  leadToRow,
+  rowToLead,
+  parseSheetDate,
+};
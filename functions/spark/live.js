@@ -0,0 +1,201 @@
+const logger = require("./logger");
+const {getConversationStore} = require("./conversationStore");
+const {getStreamStore} = require("./streamStore");
+const {RESUME_WINDOW_MS} = require("./streamResume");
+
+/**
+ * Presa in carico delle chat da parte di un operatore.
+ *
+ * La console operatore (adminLive) elenca le sessioni attive, ne segue i
+ * turni e può prendere in carico una sessione: finché la sessione ha un
+ * handoff {operator, startedAt}, chat salva i messaggi dell'utente senza
+ * chiamare Anthropic e l'operatore risponde con turni di ruolo "operator".
+ *
+ * Le funzioni non condividono memoria tra istanze: sia la console sia il
+ * widget (funzione live) ricevono i nuovi turni con un long-poll sul
+ * conversation store, a partire da un cursore (numero di turni già visti).
+ * La console vede anche la risposta in corso, dal buffer dello stream
+ * (streamResume.js). Il widget resta in long-poll solo mentre la sessione
+ * è in carico a un operatore: altrimenti la richiesta risponde subito e il
+ * widget ricontrolla a intervalli lunghi.
+ */
+
+// Sessioni considerate attive: aggiornate negli ultimi 30 minuti, come la
+// durata della sessione nel widget
+const LIVE_WINDOW_MS = 30 * 60 * 1000;
+
+// Il long-poll risponde dopo al massimo 25 secondi, rileggendo lo store
+// ogni secondo
+const LONG_POLL_TIMEOUT_MS = 25 * 1000;
+const LONG_POLL_INTERVAL_MS = 1000;
+
+const MAX_OPERATOR_MESSAGE_LENGTH = 2000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sessioni del tenant aggiornate di recente, dalla più recente.
+ */
+async function listLiveSessions(tenant, now = new Date()) {
+  const since = new Date(now.getTime() - LIVE_WINDOW_MS);
+  const sessions = await getConversationStore().listActive(since,
+      {tenantId: tenant.id});
+  return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Risposta dell'assistente in generazione: {streamId, content, updatedAt}
+ * con il testo arrivato finora, null se non ce n'è una in corso.
+ */
+async function getPartialReply(sessionId, now = new Date()) {
+  const stream = await getStreamStore().get(sessionId);
+  if (!stream || stream.done ||
+      now.getTime() - new Date(stream.updatedAt).getTime() > RESUME_WINDOW_MS) {
+    return null;
+  }
+  const content = stream.events
+      .filter(({event}) => event.type === "text")
+      .map(({event}) => event.content)
+      .join("");
+  return {streamId: stream.streamId, content, updatedAt: stream.updatedAt};
+}
+
+/**
+ * Sessione attiva del tenant, null se non esiste o è di un altro tenant.
+ */
+async function findLiveSession(tenant, sessionId) {
+  const sessions = await listLiveSessions(tenant);
+  return sessions.find((session) => session.sessionId === sessionId) || null;
+}
+
+/**
+ * Prende in carico una sessione. Restituisce {taken, handoff}: taken è
+ * false se la sessione è già di un altro operatore.
+ */
+async function takeOverSession(sessionId, operator) {
+  const store = getConversationStore();
+  const current = await store.getHandoff(sessionId);
+  if (current && current.operator !== operator) {
+    return {taken: false, handoff: current};
+  }
+  const handoff = current || {operator, startedAt: new Date().toISOString()};
+  await store.setHandoff(sessionId, handoff);
+  logger.info("Sessione presa in carico da un operatore", {sessionId, operator});
+  return {taken: true, handoff};
+}
+
+/**
+ * Restituisce la sessione ad Anthropic.
+ */
+async function releaseSession(sessionId) {
+  await getConversationStore().setHandoff(sessionId, null);
+  logger.info("Sessione restituita all'assistente", {sessionId});
+}
+
+/**
+ * Salva un messaggio dell'operatore che ha in carico la sessione.
+ * Restituisce {sent}, oppure {sent: false, error, status} con lo status
+ * HTTP: 400 per un messaggio non valido, 409 se l'operatore non ha la
+ * sessione.
+ */
+async function sendOperatorMessage(sessionId, operator, content) {
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text || text.length > MAX_OPERATOR_MESSAGE_LENGTH) {
+    return {sent: false, error: "Messaggio vuoto o troppo lungo", status: 400};
+  }
+  const store = getConversationStore();
+  const handoff = await store.getHandoff(sessionId);
+  if (!handoff || handoff.operator !== operator) {
+    return {
+      sent: false,
+      error: "Sessione non in carico a questo operatore",
+      status: 409,
+    };
+  }
+  await store.appendTurns(sessionId, [{
+    role: "operator",
+    content: text,
+    operator,
+    createdAt: new Date().toISOString(),
+  }]);
+  return {sent: true};
+}
+
+/**
+ * Long-poll dei turni successivi al cursore `after`: risponde appena ce n'è
+ * almeno uno che soddisfa `filter`, o allo scadere del timeout.
+ * Senza cursore risponde subito con il cursore corrente.
+ * Restituisce {turns, cursor, handoff}, più `partial` (getPartialReply) se
+ * è indicato `partialLength`, la lunghezza del testo in corso già visto:
+ * allora risponde anche quando quel testo cambia.
+ * Con `handoffOnly` risponde subito se la sessione non è in carico a un
+ * operatore.
+ * `wait` sostituisce l'attesa tra le letture (utile nei test).
+ */
+async function waitForTurns(sessionId, after, {
+  filter = () => true,
+  partialLength,
+  handoffOnly = false,
+  timeoutMs = LONG_POLL_TIMEOUT_MS,
+  wait = sleep,
+} = {}) {
+  const store = getConversationStore();
+  const watchPartial = partialLength !== undefined;
+  if (after === undefined) {
+    const [cursor, handoff, partial] = await Promise.all([
+      store.countTurns(sessionId),
+      store.getHandoff(sessionId),
+      watchPartial ? getPartialReply(sessionId) : null,
+    ]);
+    return {turns: [], cursor, handoff, ...(watchPartial && {partial})};
+  }
+
+  const idle = handoffOnly && !(await store.getHandoff(sessionId));
+  const deadline = Date.now() + timeoutMs;
+  let from = after;
+  for (;;) {
+    const turns = await store.getTurns(sessionId, {after: from});
+    const cursor = from + turns.length;
+    const matching = turns.filter(filter);
+    const partial = watchPartial ? await getPartialReply(sessionId) : null;
+    const partialChanged = watchPartial &&
+      (partial ? partial.content.length : 0) !== partialLength;
+    if (matching.length > 0 || partialChanged || idle ||
+        Date.now() >= deadline) {
+      return {
+        turns: matching,
+        cursor,
+        handoff: idle ? null : await store.getHandoff(sessionId),
+        ...(watchPartial && {partial}),
+      };
+    }
+    // I turni che non interessano vengono saltati dal cursore
+    from = cursor;
+    await wait(LONG_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Cursore del long-poll dalla query string: intero non negativo o
+ * undefined se assente. Restituisce null se non è valido.
+ */
+function parseCursor(value) {
+  if (value === undefined || value === "") return undefined;
+  const cursor = Number(value);
+  return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+}
+
+module.exports = {
+  LIVE_WINDOW_MS,
+  LONG_POLL_TIMEOUT_MS,
+  listLiveSessions,
+  getPartialReply,
+  findLiveSession,
+  takeOverSession,
+  releaseSession,
+  sendOperatorMessage,
+  waitForTurns,
+  parseCursor,
+};
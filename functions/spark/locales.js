@@ -0,0 +1,103 @@
+/**
+ * Lingue della chat.
+ *
+ * Il widget chiede una lingua (attributo data-language o lingua del
+ * browser) con la query string ?locale=. Un tenant risponde nella sua
+ * lingua (tenant.language) e in quelle configurate in tenant.locales:
+ * {
+ *   en: {systemPrompt, welcomeMessage, strings},  // tutti facoltativi
+ * }
+ * Senza systemPrompt per la lingua si usa il prompt del tenant con in coda
+ * l'istruzione di rispondere in quella lingua.
+ *
+ * Analisi AI ed etichette dello sheet restano nella lingua canonica: la
+ * lingua della conversazione viene salvata nel record lead (colonna Lingua).
+ */
+
+const CANONICAL_LOCALE = "it";
+
+// Nomi delle lingue per l'istruzione aggiunta al prompt
+const LANGUAGE_NAMES = {
+  it: "italiano",
+  en: "inglese",
+  es: "spagnolo",
+  fr: "francese",
+  de: "tedesco",
+  pt: "portoghese",
+  nl: "olandese",
+};
+
+/**
+ * Codice di lingua di due lettere da un tag come "en-US".
+ * Restituisce "" se il valore non è valido.
+ */
+function normalizeLocale(value) {
+  if (typeof value !== "string") return "";
+  const match = /^([a-z]{2})(?:[-_][a-z0-9]+)*$/i.exec(value.trim());
+  return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Nome italiano di una lingua, per le istruzioni ai modelli.
+ */
+function getLanguageName(locale) {
+  return LANGUAGE_NAMES[locale] || locale;
+}
+
+/**
+ * Lingue del tenant: la sua lingua seguita da quelle di tenant.locales.
+ */
+function getTenantLocales(tenant) {
+  const locales = [tenant.language];
+  for (const locale of Object.keys(tenant.locales || {})) {
+    if (!locales.includes(locale)) locales.push(locale);
+  }
+  return locales;
+}
+
+/**
+ * Lingua della conversazione: quella richiesta se il tenant la supporta,
+ * altrimenti la lingua del tenant.
+ */
+function resolveLocale(tenant, requested) {
+  const locale = normalizeLocale(requested);
+  return getTenantLocales(tenant).includes(locale) ? locale : tenant.language;
+}
+
+/**
+ * Lingua richiesta dal widget con ?locale=, risolta per il tenant.
+ */
+function getRequestLocale(req, tenant) {
+  return resolveLocale(tenant, req.query && req.query.locale);
+}
+
+/**
+ * Prompt di sistema {content, version} per la lingua della conversazione.
+ * Il systemPrompt della lingua sostituisce il prompt del tenant (e la
+ * versione è null); altrimenti il prompt riceve l'istruzione sulla lingua.
+ */
+function localizePrompt(tenant, prompt, locale) {
+  if (locale === tenant.language) return prompt;
+  const overrides = (tenant.locales || {})[locale] || {};
+  if (overrides.systemPrompt) {
+    return {content: overrides.systemPrompt, version: null};
+  }
+  return {
+    ...prompt,
+    content: `${prompt.content}
+
+LINGUA
+Rispondi SOLO in ${getLanguageName(locale)}. Questa regola sostituisce ogni altra indicazione \
+sulla lingua.`,
+  };
+}
+
+module.exports = {
+  CANONICAL_LOCALE,
+  normalizeLocale,
+  getLanguageName,
+  getTenantLocales,
+  resolveLocale,
+  getRequestLocale,
+  localizePrompt,
+};
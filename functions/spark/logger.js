@@ -0,0 +1,20 @@
+const logger = require("firebase-functions/logger");
+const {redactValue} = require("./redaction");
+
+/**
+ * Logger di Cloud Logging con i dati personali mascherati (redaction.js).
+ * Stessa interfaccia di firebase-functions/logger: tutto il backend Spark
+ * lo usa al posto dell'originale.
+ */
+
+function redacted(method) {
+  return (...args) => logger[method](...args.map(redactValue));
+}
+
+module.exports = {
+  debug: redacted("debug"),
+  log: redacted("log"),
+  info: redacted("info"),
+  warn: redacted("warn"),
+  error: redacted("error"),
+};
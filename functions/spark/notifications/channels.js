@@ -0,0 +1,226 @@
+const crypto = require("crypto");
+const {deliveryError, postJson} = require("./http");
+const {sendMail} = require("./smtp");
+
+/**
+ * Canali di notifica. Ogni canale è una funzione
+ * (channel, delivery) → {status}, dove `channel` è la configurazione del
+ * tenant e `delivery` la consegna con il payload del lead.
+ * Gli errori hanno `retryable` (vedi http.js).
+ *
+ * I segreti (token, password, URL dei webhook di chat) si possono indicare
+ * direttamente o con il nome di una variabile d'ambiente: `token` oppure
+ * `tokenEnv: "ACME_HUBSPOT_TOKEN"`.
+ */
+
+const EVENT_LABELS = {
+  "lead.created": "Nuovo lead",
+  "lead.score_changed": "Lead aggiornato",
+};
+
+/**
+ * Valore di un segreto del canale: `field` o la variabile `${field}Env`.
+ */
+function resolveSecret(channel, field) {
+  const envName = channel[`${field}Env`];
+  if (envName) return process.env[envName] || "";
+  return channel[field] || "";
+}
+
+function requireSecret(channel, field) {
+  const value = resolveSecret(channel, field);
+  if (!value) {
+    throw deliveryError(`${field} mancante per il canale ${channel.id}`,
+        {retryable: false});
+  }
+  return value;
+}
+
+// --- Testo per email e chat ---
+
+/**
+ * Oggetto della notifica, es. "🟢 Nuovo lead Acme: Mario (70%)".
+ */
+function formatSubject(payload) {
+  const {lead} = payload;
+  const who = lead.nome || lead.nomeAzienda || lead.telefono;
+  const score = payload.event === "lead.score_changed" ?
+    `${payload.previousProbabilitaChiusura}% → ${lead.probabilitaChiusura}%` :
+    `${lead.probabilitaChiusura}%`;
+  const color = (lead.scoring || "").split(" ")[0];
+  return `${color} ${EVENT_LABELS[payload.event]} ${payload.tenantName}: ` +
+    `${who} (${score})`;
+}
+
+/**
+ * Corpo testuale con i dati del lead (solo le righe valorizzate).
+ */
+function formatText(payload) {
+  const {lead} = payload;
+  const rows = [
+    ["Nome", lead.nome],
+    ["Telefono", lead.telefono],
+    ["Email", lead.email],
+    ["Azienda", lead.nomeAzienda],
+    ["Progetto", lead.descrizioneProgetto],
+    ["Preventivo", lead.preventivoIndicato],
+    ["Note", lead.noteQualifica],
+    ["Provenienza", lead.trafficSource],
+    ["Sessione", payload.sessionId],
+  ];
+  return [formatSubject(payload), ""]
+      .concat(rows.filter(([, value]) => value)
+          .map(([label, value]) => `${label}: ${value}`))
+      .join("\n");
+}
+
+// --- Email (SMTP) ---
+
+/**
+ * Server SMTP del canale, con i default da SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER, SMTP_PASS.
+ */
+function getSmtpOptions(channel) {
+  const secure = channel.secure !== undefined ?
+    channel.secure : process.env.SMTP_SECURE === "true";
+  return {
+    host: channel.host || process.env.SMTP_HOST,
+    port: Number(channel.port || process.env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    user: resolveSecret(channel, "user") || process.env.SMTP_USER,
+    pass: resolveSecret(channel, "pass") || process.env.SMTP_PASS,
+  };
+}
+
+async function sendEmail(channel, {payload}) {
+  const from = channel.from || process.env.SMTP_FROM;
+  const to = [].concat(channel.to || []);
+  await sendMail(getSmtpOptions(channel), {
+    from: from || "",
+    to,
+    subject: formatSubject(payload),
+    text: formatText(payload),
+  });
+  return {status: 250};
+}
+
+// --- Webhook firmato ---
+
+/**
+ * Firma di un webhook: "t=<secondi>,v1=<HMAC-SHA256 di `${t}.${body}`>".
+ * Chi riceve ricalcola l'HMAC con lo stesso segreto e scarta le richieste
+ * con t troppo vecchio.
+ */
+function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+async function sendWebhook(channel, {deliveryId, payload}) {
+  if (!channel.url) {
+    throw deliveryError(`url mancante per il canale ${channel.id}`,
+        {retryable: false});
+  }
+  const secret = requireSecret(channel, "secret");
+  const body = JSON.stringify(payload);
+  const {status} = await postJson(channel.url, body, {
+    headers: {
+      "X-Spark-Event": payload.event,
+      "X-Spark-Delivery": deliveryId,
+      "X-Spark-Signature": signWebhook(secret, body),
+    },
+  });
+  return {status};
+}
+
+// --- Chat ---
+
+async function sendSlack(channel, {payload}) {
+  const url = requireSecret(channel, "url");
+  const {status} = await postJson(url, {text: formatText(payload)});
+  return {status};
+}
+
+async function sendTelegram(channel, {payload}) {
+  const botToken = requireSecret(channel, "botToken");
+  if (!channel.chatId) {
+    throw deliveryError(`chatId mancante per il canale ${channel.id}`,
+        {retryable: false});
+  }
+  const baseUrl = channel.baseUrl || "https://api.telegram.org";
+  const {status} = await postJson(`${baseUrl}/bot${botToken}/sendMessage`, {
+    chat_id: channel.chatId,
+    text: formatText(payload),
+    disable_web_page_preview: true,
+  });
+  return {status};
+}
+
+// --- CRM ---
+
+/**
+ * HubSpot: crea un contatto con i dati del lead.
+ */
+async function sendHubspot(channel, {payload}) {
+  const token = requireSecret(channel, "token");
+  const baseUrl = channel.baseUrl || "https://api.hubapi.com";
+  const {lead} = payload;
+  const properties = {
+    firstname: lead.nome,
+    phone: lead.telefono,
+    email: lead.email,
+    company: lead.nomeAzienda,
+    message: lead.descrizioneProgetto,
+    hs_lead_status: "NEW",
+  };
+  const {status} = await postJson(`${baseUrl}/crm/v3/objects/contacts`, {
+    properties: Object.fromEntries(
+        Object.entries(properties).filter(([, value]) => value)),
+  }, {headers: {Authorization: `Bearer ${token}`}});
+  return {status};
+}
+
+/**
+ * Pipedrive: crea la persona e un lead collegato.
+ */
+async function sendPipedrive(channel, {payload}) {
+  const headers = {"x-api-token": requireSecret(channel, "apiToken")};
+  const baseUrl = channel.baseUrl || "https://api.pipedrive.com";
+  const {lead} = payload;
+
+  const person = await postJson(`${baseUrl}/v1/persons`, {
+    name: lead.nome || lead.telefono,
+    phone: [{value: lead.telefono, primary: true}],
+    ...(lead.email && {email: [{value: lead.email, primary: true}]}),
+  }, {headers});
+  const personId = person.body && person.body.data && person.body.data.id;
+  if (!personId) {
+    throw deliveryError("risposta Pipedrive senza id della persona");
+  }
+
+  const who = lead.nomeAzienda || lead.nome || lead.telefono;
+  const {status} = await postJson(`${baseUrl}/v1/leads`, {
+    title: `${who} - ${lead.descrizioneProgetto}`.slice(0, 200),
+    person_id: personId,
+  }, {headers});
+  return {status};
+}
+
+const CHANNELS = {
+  email: sendEmail,
+  webhook: sendWebhook,
+  slack: sendSlack,
+  telegram: sendTelegram,
+  hubspot: sendHubspot,
+  pipedrive: sendPipedrive,
+};
+
+module.exports = {
+  CHANNELS,
+  resolveSecret,
+  formatSubject,
+  formatText,
+  signWebhook,
+};
@@ -0,0 +1,55 @@
+/**
+ * Richieste HTTP verso i canali di notifica.
+ */
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Errore di consegna. `retryable` è false quando ripetere la richiesta
+ * non può cambiare l'esito (configurazione errata, richiesta rifiutata).
+ */
+function deliveryError(message, {retryable = true, status} = {}) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  if (status) err.status = status;
+  return err;
+}
+
+/**
+ * POST con corpo JSON (o già serializzato). Restituisce {status, body};
+ * le risposte non 2xx diventano errori, ritentabili solo per 429 e 5xx.
+ * I messaggi di errore non contengono l'URL, che può includere token.
+ */
+async function postJson(url, body, {headers = {}, timeoutMs = HTTP_TIMEOUT_MS} = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: {"Content-Type": "application/json", ...headers},
+      body: typeof body === "string" ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    throw deliveryError(`richiesta fallita: ${err.name}`);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    const retryable = response.status === 429 || response.status >= 500;
+    throw deliveryError(`HTTP ${response.status}`,
+        {retryable, status: response.status});
+  }
+  let parsed = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (err) {
+    // Risposta non JSON: resta il testo
+  }
+  return {status: response.status, body: parsed};
+}
+
+module.exports = {
+  HTTP_TIMEOUT_MS,
+  deliveryError,
+  postJson,
+};
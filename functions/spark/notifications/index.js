@@ -0,0 +1,310 @@
+const crypto = require("crypto");
+const logger = require("../logger");
+const {getDeliveryStore} = require("../deliveryStore");
+const {resolveTenant} = require("../tenants");
+const {getRecordProbability} = require("../experiments");
+const {getBackoffDelay} = require("../analysisJobs");
+const {CHANNELS} = require("./channels");
+
+/**
+ * Notifiche dei lead: email, webhook firmati, chat (Slack/Telegram) e CRM.
+ *
+ * Configurazione nel tenant (tenant.notifications):
+ * {
+ *   channels: [{id, type, ...}],   // type: email, webhook, slack, telegram,
+ *                                  // hubspot, pipedrive (vedi channels.js)
+ *   rules: [{events, minProbabilita, maxProbabilita, channels: [id]}],
+ * }
+ * Una regola vale per gli eventi indicati (default tutti) e per i lead con
+ * probabilitaChiusura nell'intervallo (default 0–100). Senza rules ogni
+ * canale riceve tutti gli eventi.
+ *
+ * Quando lead o save_lead salvano un lead, notifyLead crea una consegna per
+ * canale nel delivery store, che fa anche da log; la funzione
+ * processNotification la invia con retry e backoff esponenziale, come i job
+ * di analisi (analysisJobs.js).
+ */
+
+const LEAD_EVENTS = ["lead.created", "lead.score_changed"];
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Campi del record inclusi nel payload delle notifiche
+const PAYLOAD_FIELDS = [
+  "nome",
+  "telefono",
+  "email",
+  "nomeAzienda",
+  "descrizioneProgetto",
+  "preventivoIndicato",
+  "probabilitaChiusura",
+  "scoring",
+  "noteQualifica",
+  "trafficSource",
+];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Canali e regole del tenant, null se non ha notifiche.
+ * I canali senza id o di tipo sconosciuto vengono ignorati.
+ */
+function getNotificationConfig(tenant) {
+  const config = tenant.notifications;
+  if (!config || !Array.isArray(config.channels)) return null;
+
+  const channels = config.channels.filter((channel) => {
+    const valid = channel && typeof channel.id === "string" &&
+      Object.prototype.hasOwnProperty.call(CHANNELS, channel.type);
+    if (!valid) {
+      logger.warn("Canale di notifica non valido, ignorato", {
+        tenantId: tenant.id,
+        channelId: channel && channel.id,
+        type: channel && channel.type,
+      });
+    }
+    return valid;
+  });
+  const rules = Array.isArray(config.rules) ?
+    config.rules :
+    [{channels: channels.map((channel) => channel.id)}];
+  return {channels, rules};
+}
+
+/**
+ * Evento da notificare per un salvataggio: "lead.created" se il record non
+ * aveva ancora un telefono o una probabilità (solo i contatti del modulo),
+ * "lead.score_changed" se cambia la probabilità, altrimenti null.
+ */
+function getLeadEvent(previous, record) {
+  if (!record.telefono) return null;
+  const previousProbability = previous && previous.telefono ?
+    getRecordProbability(previous) : null;
+  if (previousProbability === null) return "lead.created";
+  return previousProbability !== record.probabilitaChiusura ?
+    "lead.score_changed" : null;
+}
+
+function ruleMatches(rule, event, probabilita) {
+  const events = Array.isArray(rule.events) ? rule.events : LEAD_EVENTS;
+  const min = rule.minProbabilita !== undefined ? rule.minProbabilita : 0;
+  const max = rule.maxProbabilita !== undefined ? rule.maxProbabilita : 100;
+  return events.includes(event) && probabilita >= min && probabilita <= max;
+}
+
+/**
+ * Canali da notificare per un evento: l'unione dei canali delle regole
+ * soddisfatte, nell'ordine della configurazione.
+ */
+function selectChannels(config, event, probabilita) {
+  const ids = new Set();
+  for (const rule of config.rules) {
+    if (!ruleMatches(rule, event, probabilita)) continue;
+    for (const id of rule.channels || []) ids.add(id);
+  }
+  return config.channels.filter((channel) => ids.has(channel.id));
+}
+
+/**
+ * Dati inviati ai canali.
+ */
+function buildLeadPayload({tenant, sessionId, event, record, previous}) {
+  const lead = {};
+  for (const field of PAYLOAD_FIELDS) {
+    lead[field] = record[field] !== undefined ? record[field] : "";
+  }
+  const payload = {
+    event,
+    tenantId: tenant.id,
+    tenantName: tenant.name,
+    sessionId: sessionId || "",
+    occurredAt: new Date().toISOString(),
+    lead,
+  };
+  if (event === "lead.score_changed") {
+    payload.previousProbabilitaChiusura = getRecordProbability(previous);
+  }
+  return payload;
+}
+
+/**
+ * ID della consegna: lo stesso evento con la stessa probabilità non viene
+ * notificato due volte allo stesso canale. I lead senza sessione non
+ * vengono deduplicati.
+ */
+function getDeliveryId({tenantId, sessionId, event, probabilita, channelId}) {
+  const session = sessionId || crypto.randomUUID();
+  return crypto.createHash("sha256")
+      .update(`${tenantId}:${session}:${event}:${probabilita}:${channelId}`)
+      .digest("hex")
+      .substring(0, 40);
+}
+
+/**
+ * Accoda le notifiche per un lead appena salvato. `previous` è il record
+ * prima del salvataggio (null se non esisteva). Non lancia mai: un errore
+ * delle notifiche non deve far perdere il lead.
+ * Restituisce gli ID delle consegne create.
+ */
+async function notifyLead({tenant, sessionId, previous, record}) {
+  try {
+    const config = getNotificationConfig(tenant);
+    const event = getLeadEvent(previous, record);
+    if (!config || !event) return [];
+
+    const probabilita = record.probabilitaChiusura;
+    const payload = buildLeadPayload({tenant, sessionId, event, record, previous});
+    const created = [];
+    for (const channel of selectChannels(config, event, probabilita)) {
+      const deliveryId = getDeliveryId({
+        tenantId: tenant.id,
+        sessionId,
+        event,
+        probabilita,
+        channelId: channel.id,
+      });
+      const isNew = await getDeliveryStore().create({
+        deliveryId,
+        tenantId: tenant.id,
+        sessionId: sessionId || "",
+        event,
+        channelId: channel.id,
+        channelType: channel.type,
+        payload,
+        status: "pending",
+        attempts: 0,
+        maxAttempts: MAX_DELIVERY_ATTEMPTS,
+        log: [],
+        createdAt: new Date().toISOString(),
+      });
+      if (isNew) created.push(deliveryId);
+    }
+    logger.info("Notifiche lead accodate", {
+      tenantId: tenant.id,
+      sessionId,
+      event,
+      probabilitaChiusura: probabilita,
+      deliveries: created.length,
+    });
+    return created;
+  } catch (err) {
+    logger.error("Errore accodamento notifiche lead", {
+      tenantId: tenant.id,
+      sessionId,
+      message: err.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Un tentativo di consegna: {success, status} oppure
+ * {success: false, error, status, retryable}.
+ */
+async function attemptDelivery(delivery) {
+  try {
+    const tenant = await resolveTenant(delivery.tenantId);
+    const config = tenant && getNotificationConfig(tenant);
+    const channel = config &&
+      config.channels.find((c) => c.id === delivery.channelId);
+    if (!channel) {
+      return {success: false, error: "canale non configurato", retryable: false};
+    }
+    const {status} = await CHANNELS[channel.type](channel, delivery);
+    return {success: true, status};
+  } catch (err) {
+    return {
+      success: false,
+      error: err.message,
+      status: err.status,
+      retryable: err.retryable !== false,
+    };
+  }
+}
+
+/**
+ * Invia una consegna in attesa con retry e backoff esponenziale, annotando
+ * ogni tentativo nel log della consegna. Restituisce lo stato finale
+ * ("delivered" o "failed"), null se la consegna non era in attesa.
+ * `wait` sostituisce l'attesa tra i tentativi (utile nei test).
+ */
+async function processDelivery(deliveryId, {wait = sleep} = {}) {
+  const store = getDeliveryStore();
+  const delivery = await store.claim(deliveryId);
+  if (!delivery) {
+    logger.warn("Notifica non in attesa, ignorata", {deliveryId});
+    return null;
+  }
+
+  const log = delivery.log || [];
+  let attempts = delivery.attempts || 0;
+  let lastError;
+  while (attempts < MAX_DELIVERY_ATTEMPTS) {
+    const result = await attemptDelivery(delivery);
+    attempts++;
+    const entry = {attempt: attempts, at: new Date().toISOString()};
+    if (result.status) entry.status = result.status;
+
+    if (result.success) {
+      log.push({...entry, ok: true});
+      await store.update(deliveryId, {
+        status: "delivered",
+        attempts,
+        log,
+        deliveredAt: new Date().toISOString(),
+      });
+      logger.info("Notifica consegnata", {
+        deliveryId,
+        channelId: delivery.channelId,
+        event: delivery.event,
+        attempt: attempts,
+      });
+      return "delivered";
+    }
+
+    lastError = result.error;
+    log.push({...entry, ok: false, error: lastError});
+    if (!result.retryable) break;
+
+    if (attempts < MAX_DELIVERY_ATTEMPTS) {
+      await store.update(deliveryId, {attempts, log});
+      const delay = getBackoffDelay(attempts - 1);
+      logger.warn("Notifica non consegnata, nuovo tentativo", {
+        deliveryId,
+        channelId: delivery.channelId,
+        attempt: attempts,
+        maxAttempts: MAX_DELIVERY_ATTEMPTS,
+        error: lastError,
+        retryDelayMs: delay,
+      });
+      await wait(delay);
+    }
+  }
+
+  logger.error("Notifica fallita", {
+    deliveryId,
+    channelId: delivery.channelId,
+    attempts,
+    error: lastError,
+  });
+  await store.update(deliveryId, {
+    status: "failed",
+    attempts,
+    log,
+    errorMessage: lastError,
+    completedAt: new Date().toISOString(),
+  });
+  return "failed";
+}
+
+module.exports = {
+  LEAD_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  getNotificationConfig,
+  getLeadEvent,
+  selectChannels,
+  buildLeadPayload,
+  notifyLead,
+  processDelivery,
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const net = require("net");
+const tls = require("tls");
+const {deliveryError} = require("./http");
+
+/**
+ * Client SMTP minimo per le notifiche email: una connessione per messaggio,
+ * STARTTLS quando il server lo offre (o TLS implicito con `secure`),
+ * AUTH PLAIN, corpo in base64 (niente dot-stuffing né righe lunghe).
+ * Le credenziali non vengono mai inviate su una connessione in chiaro.
+ */
+
+const SMTP_TIMEOUT_MS = 15 * 1000;
+const ADDRESS_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+/**
+ * Legge le risposte del server, anche multiriga ("250-..." fino a "250 ...").
+ * SMTP senza pipelining: a ogni comando corrisponde una risposta.
+ */
+function createReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const responses = [];
+  const waiters = [];
+
+  const push = (item) => {
+    const waiter = waiters.shift();
+    if (waiter) waiter(item);
+    else responses.push(item);
+  };
+  const onData = (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, "");
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        push({code: Number(line.slice(0, 3)), lines});
+        lines = [];
+      }
+    }
+  };
+  const onError = (err) => push({error: err});
+  const onClose = () => push({error: new Error("connessione chiusa")});
+
+  socket.setEncoding("utf8");
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    async read() {
+      const item = responses.shift() ||
+        await new Promise((resolve) => waiters.push(resolve));
+      if (item.error) {
+        throw deliveryError(`SMTP non raggiungibile: ${item.error.message}`);
+      }
+      return item;
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+function connect({host, port, secure, timeoutMs}) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ?
+      tls.connect({host, port, servername: host}) :
+      net.connect({host, port});
+    socket.setTimeout(timeoutMs, () =>
+      socket.destroy(new Error("timeout")));
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, {host, timeoutMs}) {
+  socket.setTimeout(0);
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({socket, servername: host});
+    secured.setTimeout(timeoutMs, () =>
+      secured.destroy(new Error("timeout")));
+    secured.once("secureConnect", () => {
+      secured.off("error", reject);
+      resolve(secured);
+    });
+    secured.once("error", reject);
+  });
+}
+
+/**
+ * Intestazione con testo UTF-8 (RFC 2047).
+ */
+function encodeHeader(text) {
+  return `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Messaggio completo: intestazioni e corpo text/plain in base64.
+ */
+function buildMessage({from, to, subject, text, date = new Date()}) {
+  const domain = from.split("@")[1];
+  const body = Buffer.from(text, "utf8").toString("base64")
+      .replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Invia un messaggio. `options`: {host, port, secure, user, pass, timeoutMs};
+ * `message`: {from, to: [...], subject, text}.
+ * @throws {Error} Con `retryable` false se il server rifiuta il messaggio
+ */
+async function sendMail(options, message) {
+  const {host, port, secure = false, user, pass} = options;
+  const timeoutMs = options.timeoutMs || SMTP_TIMEOUT_MS;
+  const addresses = [message.from, ...message.to];
+  if (!host || !port) {
+    throw deliveryError("server SMTP non configurato", {retryable: false});
+  }
+  if (message.to.length === 0 || !addresses.every((a) => ADDRESS_PATTERN.test(a))) {
+    throw deliveryError("indirizzi email non validi", {retryable: false});
+  }
+
+  let socket;
+  try {
+    socket = await connect({host, port, secure, timeoutMs});
+  } catch (err) {
+    throw deliveryError(`SMTP non raggiungibile: ${err.message}`);
+  }
+
+  let reader = createReader(socket);
+  let encrypted = secure;
+  const send = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const response = await reader.read();
+    if (!expected.includes(response.code)) {
+      // 4xx è un errore temporaneo, 5xx definitivo
+      throw deliveryError(`SMTP ${response.lines.join(" ")}`,
+          {retryable: response.code < 500});
+    }
+    return response;
+  };
+
+  try {
+    await send(null, [220]);
+    const ehlo = await send("EHLO spark", [250]);
+    const offersTls = ehlo.lines.some((l) => /^250[ -]STARTTLS\b/i.test(l));
+    if (!encrypted && offersTls) {
+      await send("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgrade(socket, {host, timeoutMs});
+      reader = createReader(socket);
+      encrypted = true;
+      await send("EHLO spark", [250]);
+    }
+    if (user) {
+      if (!encrypted) {
+        throw deliveryError("il server SMTP non supporta TLS",
+            {retryable: false});
+      }
+      const credentials = Buffer.from(`\0${user}\0${pass || ""}`)
+          .toString("base64");
+      await send(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await send(`MAIL FROM:<${message.from}>`, [250]);
+    for (const recipient of message.to) {
+      await send(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await send("DATA", [354]);
+    await send(`${buildMessage(message)}\r\n.`, [250]);
+    await send("QUIT", [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  buildMessage,
+  sendMail,
+};
@@ -0,0 +1,297 @@
+const logger = require("./logger");
+const {getLeadStore} = require("./leadStore");
+const {getConversationStore} = require("./conversationStore");
+const {getJobStore} = require("./jobStore");
+const {getDeliveryStore} = require("./deliveryStore");
+const {getStreamStore} = require("./streamStore");
+const {getTenantStore} = require("./tenantStore");
+const {
+  TENANT_DEFAULTS,
+  BUILTIN_TENANTS,
+  resolveTenant,
+} = require("./tenants");
+const {normalizePhone} = require("./leadData");
+const {redactText} = require("./redaction");
+
+/**
+ * GDPR: consenso nel widget, export e cancellazione dei dati di una
+ * persona, retention delle trascrizioni.
+ *
+ * Il consenso ({version, acceptedAt}) arriva con ogni richiesta chat e
+ * viene salvato con la sessione nel conversation store alla prima
+ * richiesta, o quando il tenant pubblica una nuova versione
+ * dell'informativa (privacy.consentVersion).
+ *
+ * I dati di una persona stanno in: record lead (store del tenant),
+ * conversazione e consenso (conversation store), buffer dell'ultima
+ * risposta (stream store), job di analisi e consegne delle notifiche.
+ * Export e cancellazione li cercano per sessionId, email o telefono.
+ *
+ * privacy.sharedLeadFields elenca i campi del lead che possono uscire dal
+ * backend verso terzi: il dataLayer del widget (GTM) e la trascrizione
+ * inviata al modello di analisi, dove email e telefono vengono mascherati
+ * se non sono nell'elenco.
+ */
+
+// Trascrizioni conservate per 180 giorni se SPARK_RETENTION_DAYS non è impostata
+const DEFAULT_RETENTION_DAYS = 180;
+
+// Tolleranza sull'orologio del browser per acceptedAt
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Configurazione privacy del tenant (tenant.privacy) con i default.
+ */
+function getPrivacyConfig(tenant) {
+  return {...TENANT_DEFAULTS.privacy, ...(tenant.privacy || {})};
+}
+
+/**
+ * Campi del lead del tenant per il dataLayer del widget, solo quelli
+ * ammessi da privacy.sharedLeadFields.
+ */
+function toDataLayerLead(tenant, record) {
+  const lead = {};
+  for (const field of getPrivacyConfig(tenant).sharedLeadFields) {
+    if (record[field] !== undefined && record[field] !== "") {
+      lead[field] = record[field];
+    }
+  }
+  return lead;
+}
+
+/**
+ * Testo di una conversazione da inviare a terzi, con i dati personali
+ * mascherati salvo i campi ammessi da privacy.sharedLeadFields.
+ */
+function redactTranscript(tenant, text) {
+  return redactText(text, {keep: getPrivacyConfig(tenant).sharedLeadFields});
+}
+
+/**
+ * Valida il consenso inviato dal widget per la versione richiesta.
+ * Restituisce {valid, error, consent}.
+ */
+function validateConsent(input, version, now = Date.now()) {
+  if (!input || typeof input !== "object") {
+    return {valid: false, error: "consenso mancante"};
+  }
+  if (input.version !== version) {
+    return {valid: false, error: "versione del consenso non valida"};
+  }
+  const acceptedAt = new Date(input.acceptedAt);
+  if (typeof input.acceptedAt !== "string" ||
+      Number.isNaN(acceptedAt.getTime()) ||
+      acceptedAt.getTime() > now + CLOCK_SKEW_MS) {
+    return {valid: false, error: "data del consenso non valida"};
+  }
+  return {
+    valid: true,
+    consent: {version, acceptedAt: acceptedAt.toISOString()},
+  };
+}
+
+/**
+ * Verifica che la sessione abbia il consenso alla versione corrente
+ * dell'informativa, salvandolo se arriva ora con la richiesta.
+ * Restituisce {allowed, consent}.
+ */
+async function checkSessionConsent(tenant, sessionId, input) {
+  const {consentVersion} = getPrivacyConfig(tenant);
+  const store = getConversationStore();
+  const saved = await store.getConsent(sessionId);
+  if (saved && saved.version === consentVersion) {
+    return {allowed: true, consent: saved};
+  }
+
+  const {valid, error, consent} = validateConsent(input, consentVersion);
+  if (!valid) {
+    logger.warn("Chat rifiutata: consenso mancante", {sessionId, error});
+    return {allowed: false, consent: null};
+  }
+  const record = {...consent, recordedAt: new Date().toISOString()};
+  await store.saveConsent(sessionId, record);
+  logger.info("Consenso registrato", {sessionId, version: consentVersion});
+  return {allowed: true, consent: record};
+}
+
+/**
+ * Valida la query di export/cancellazione: almeno uno tra sessionId, email
+ * e telefono. Restituisce {valid, error, query} con email in minuscolo e
+ * telefono normalizzato.
+ */
+function parsePrivacyQuery(input) {
+  const source = input || {};
+  const text = (value) => typeof value === "string" ? value.trim() : "";
+  const query = {
+    sessionId: text(source.sessionId),
+    email: text(source.email).toLowerCase(),
+    telefono: text(source.telefono) ? normalizePhone(text(source.telefono)) : "",
+  };
+  if (!query.sessionId && !query.email && !query.telefono) {
+    return {valid: false, error: "Indicare sessionId, email o telefono"};
+  }
+  return {valid: true, query};
+}
+
+/**
+ * Record lead e sessioni di una persona: le sessioni sono quelle dei
+ * record trovati più il sessionId della query.
+ */
+async function findPersonalData(tenant, query) {
+  const leads = await getLeadStore(tenant).find(query);
+  const sessionIds = new Set(leads.map((lead) => lead.sessionId)
+      .filter(Boolean));
+  if (query.sessionId) sessionIds.add(query.sessionId);
+  return {leads, sessionIds: Array.from(sessionIds)};
+}
+
+// Job e consegne del tenant per una sessione
+async function listTenantItems(store, tenant, sessionId) {
+  return (await store.listBySession(sessionId))
+      .filter((item) => item.tenantId === tenant.id);
+}
+
+/**
+ * Tutti i dati collegati alla query, per l'export.
+ */
+async function exportPersonalData(tenant, query) {
+  const {leads, sessionIds} = await findPersonalData(tenant, query);
+  const conversationStore = getConversationStore();
+  const data = {
+    tenantId: tenant.id,
+    exportedAt: new Date().toISOString(),
+    query,
+    sessionIds,
+    leads,
+    conversations: [],
+    analysisJobs: [],
+    notifications: [],
+  };
+  for (const sessionId of sessionIds) {
+    const [turns, consent, context] = await Promise.all([
+      conversationStore.getTurns(sessionId),
+      conversationStore.getConsent(sessionId),
+      conversationStore.getContext(sessionId),
+    ]);
+    if (turns.length > 0 || consent) {
+      data.conversations.push({sessionId, consent, turns, context});
+    }
+    data.analysisJobs.push(
+        ...await listTenantItems(getJobStore(), tenant, sessionId));
+    data.notifications.push(
+        ...await listTenantItems(getDeliveryStore(), tenant, sessionId));
+  }
+  return data;
+}
+
+/**
+ * Cancella tutti i dati collegati alla query. Restituisce il numero di
+ * elementi eliminati per tipo.
+ */
+async function erasePersonalData(tenant, query) {
+  const {sessionIds} = await findPersonalData(tenant, query);
+  const erased = {
+    leads: 0,
+    conversations: 0,
+    analysisJobs: 0,
+    notifications: 0,
+  };
+
+  // Tutti i record della persona, anche quelli trovati per sessione
+  for (const sessionId of sessionIds) {
+    erased.leads += await getLeadStore(tenant).remove({sessionId});
+  }
+  erased.leads += await getLeadStore(tenant).remove({
+    email: query.email,
+    telefono: query.telefono,
+  });
+
+  for (const sessionId of sessionIds) {
+    if (await getConversationStore().deleteSession(sessionId)) {
+      erased.conversations++;
+    }
+    // Il buffer dell'ultima risposta fa parte della conversazione
+    await getStreamStore().remove(sessionId);
+    for (const job of await listTenantItems(getJobStore(), tenant, sessionId)) {
+      await getJobStore().remove(job.jobId);
+      erased.analysisJobs++;
+    }
+    for (const delivery of await listTenantItems(getDeliveryStore(), tenant,
+        sessionId)) {
+      await getDeliveryStore().remove(delivery.deliveryId);
+      erased.notifications++;
+    }
+  }
+
+  logger.info("Dati personali cancellati", {
+    tenantId: tenant.id,
+    sessions: sessionIds.length,
+    ...erased,
+  });
+  return erased;
+}
+
+/**
+ * Giorni di conservazione delle trascrizioni (SPARK_RETENTION_DAYS).
+ */
+function getRetentionDays() {
+  const days = Number(process.env.SPARK_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Lead store di tutti i tenant, senza duplicati (i tenant senza
+ * leadDestination condividono lo store di default).
+ */
+async function listLeadStores() {
+  const tenantIds = new Set(Object.keys(BUILTIN_TENANTS));
+  for (const tenantId of await getTenantStore().listIds()) {
+    tenantIds.add(tenantId);
+  }
+  const stores = new Set([getLeadStore()]);
+  for (const tenantId of tenantIds) {
+    const tenant = await resolveTenant(tenantId);
+    if (tenant) stores.add(getLeadStore(tenant));
+  }
+  return Array.from(stores);
+}
+
+/**
+ * Elimina le trascrizioni più vecchie del periodo di retention:
+ * conversazioni salvate, job di analisi, consegne delle notifiche e la
+ * colonna Conversazione dei lead (il resto del record lead resta).
+ */
+async function purgeExpiredTranscripts(now = new Date()) {
+  const days = getRetentionDays();
+  const before = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const purged = {
+    conversations: await getConversationStore().purgeBefore(before),
+    analysisJobs: await getJobStore().purgeBefore(before),
+    notifications: await getDeliveryStore().purgeBefore(before),
+    streams: await getStreamStore().purgeBefore(before),
+    leadTranscripts: 0,
+  };
+  for (const store of await listLeadStores()) {
+    purged.leadTranscripts += await store.purgeTranscripts(before);
+  }
+  logger.info("Retention trascrizioni completata", {
+    retentionDays: days,
+    before: before.toISOString(),
+    ...purged,
+  });
+  return purged;
+}
+
+module.exports = {
+  getPrivacyConfig,
+  toDataLayerLead,
+  redactTranscript,
+  validateConsent,
+  checkSessionConsent,
+  parsePrivacyQuery,
+  exportPersonalData,
+  erasePersonalData,
+  getRetentionDays,
+  purgeExpiredTranscripts,
+};
@@ -0,0 +1,53 @@
+/**
+ * Prompt caching di Anthropic per chat.
+ *
+ * Il prompt di sistema del tenant è uguale a ogni turno: viene inviato
+ * come blocco con cache_control, così le richieste dei 5 minuti successivi
+ * leggono dalla cache lui e gli strumenti (che lo precedono) al 10% del
+ * prezzo dell'input. Un secondo punto di cache sull'ultimo messaggio
+ * salva il prefisso della conversazione: il turno successivo, che lo
+ * ripete identico, ne paga in pieno solo la parte nuova.
+ *
+ * Il blocco di contesto delle conversazioni lunghe (contextManager.js)
+ * segue il prompt senza un suo punto di cache: cambia solo quando il
+ * riassunto si aggiorna, e allora si riscrive solo il prefisso dei
+ * messaggi. Sotto la lunghezza minima del modello (1024 token per Sonnet)
+ * Anthropic ignora cache_control e fattura l'input normalmente.
+ */
+
+const CACHE_CONTROL = {type: "ephemeral"};
+
+/**
+ * Prompt di sistema come blocchi di testo: il prompt del tenant con il
+ * punto di cache, poi l'eventuale blocco di contesto.
+ */
+function buildCachedSystem(promptContent, contextBlock) {
+  const system = [
+    {type: "text", text: promptContent, cache_control: CACHE_CONTROL},
+  ];
+  if (contextBlock) system.push({type: "text", text: contextBlock});
+  return system;
+}
+
+/**
+ * Copia dei messaggi con il punto di cache sull'ultimo blocco dell'ultimo
+ * messaggio. I messaggi di testo diventano un blocco di testo.
+ */
+function withCacheBreakpoint(messages) {
+  if (messages.length === 0) return messages;
+  const last = messages[messages.length - 1];
+  const content = typeof last.content === "string" ?
+    [{type: "text", text: last.content}] :
+    last.content.slice();
+  content[content.length - 1] = {
+    ...content[content.length - 1],
+    cache_control: CACHE_CONTROL,
+  };
+  return messages.slice(0, -1).concat([{...last, content}]);
+}
+
+module.exports = {
+  CACHE_CONTROL,
+  buildCachedSystem,
+  withCacheBreakpoint,
+};
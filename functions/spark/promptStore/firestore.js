@@ -0,0 +1,84 @@
+const {FieldValue} = require("firebase-admin/firestore");
+const {COLLECTIONS, getDb} = require("../firestore");
+
+/**
+ * Adapter Firestore: un documento per tenant in `spark_prompts`
+ * (activeVersion, previousVersion, latestVersion) e un documento per
+ * versione nella subcollection `versions`.
+ */
+function createFirestorePromptStore(options = {}) {
+  const db = () => options.db || getDb();
+  const promptRef = (tenantId) =>
+    db().collection(COLLECTIONS.PROMPTS).doc(tenantId);
+  const versionRef = (tenantId, version) => promptRef(tenantId)
+      .collection("versions")
+      .doc(String(version).padStart(6, "0"));
+
+  const stateOf = (doc) => {
+    const data = doc.exists ? doc.data() : {};
+    return {
+      activeVersion: data.activeVersion || null,
+      previousVersion: data.previousVersion || null,
+      latestVersion: data.latestVersion || 0,
+    };
+  };
+
+  return {
+    async getState(tenantId) {
+      return stateOf(await promptRef(tenantId).get());
+    },
+
+    async listVersions(tenantId) {
+      const snapshot = await promptRef(tenantId)
+          .collection("versions")
+          .orderBy("version", "desc")
+          .get();
+      return snapshot.docs.map((doc) => doc.data());
+    },
+
+    async getVersion(tenantId, version) {
+      const doc = await versionRef(tenantId, version).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async createVersion(tenantId, {content, note}) {
+      const ref = promptRef(tenantId);
+      return db().runTransaction(async (tx) => {
+        const state = stateOf(await tx.get(ref));
+        const record = {
+          version: state.latestVersion + 1,
+          content,
+          note,
+          createdAt: new Date().toISOString(),
+        };
+        tx.set(versionRef(tenantId, record.version), record);
+        tx.set(ref, {
+          latestVersion: record.version,
+          updatedAt: FieldValue.serverTimestamp(),
+        }, {merge: true});
+        return record;
+      });
+    },
+
+    async activateVersion(tenantId, version) {
+      const ref = promptRef(tenantId);
+      return db().runTransaction(async (tx) => {
+        const state = stateOf(await tx.get(ref));
+        const versionDoc = await tx.get(versionRef(tenantId, version));
+        if (!versionDoc.exists) return null;
+
+        const update = {activeVersion: version};
+        if (state.activeVersion !== version) {
+          update.previousVersion = state.activeVersion;
+        }
+        tx.set(ref, {
+          ...update,
+          updatedAt: FieldValue.serverTimestamp(),
+        }, {merge: true});
+        return {...state, ...update};
+      });
+    },
+  };
+}
+
+module.exports = {createFirestorePromptStore};
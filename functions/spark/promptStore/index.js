@@ -0,0 +1,56 @@
+const {createFirestorePromptStore} = require("./firestore");
+const {createMemoryPromptStore} = require("./memory");
+
+const PROMPT_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da PROMPT_STORE ("firestore" di default).
+ */
+function getPromptStoreType() {
+  const type = (process.env.PROMPT_STORE || "").toLowerCase();
+  return PROMPT_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - getState(tenantId) → {activeVersion, previousVersion, latestVersion}
+ * - listVersions(tenantId) → versioni dalla più recente
+ * - getVersion(tenantId, version) → {version, content, note, createdAt} o null
+ * - createVersion(tenantId, {content, note}) → la versione creata
+ * - activateVersion(tenantId, version) → nuovo stato, null se la versione
+ *   non esiste
+ */
+function createPromptStore(type = getPromptStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryPromptStore();
+    case "firestore":
+    default:
+      return createFirestorePromptStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let promptStore = null;
+
+function getPromptStore() {
+  if (!promptStore) {
+    promptStore = createPromptStore();
+  }
+  return promptStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getPromptStore() ricrea l'adapter da config.
+ */
+function setPromptStore(store) {
+  promptStore = store;
+}
+
+module.exports = {
+  getPromptStoreType,
+  createPromptStore,
+  getPromptStore,
+  setPromptStore,
+};
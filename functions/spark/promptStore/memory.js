@@ -0,0 +1,64 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryPromptStore() {
+  const tenants = new Map();
+
+  const entry = (tenantId) => {
+    if (!tenants.has(tenantId)) {
+      tenants.set(tenantId, {
+        state: {activeVersion: null, previousVersion: null, latestVersion: 0},
+        versions: new Map(),
+      });
+    }
+    return tenants.get(tenantId);
+  };
+
+  return {
+    async getState(tenantId) {
+      return {...entry(tenantId).state};
+    },
+
+    async listVersions(tenantId) {
+      return Array.from(entry(tenantId).versions.values())
+          .sort((a, b) => b.version - a.version)
+          .map((record) => ({...record}));
+    },
+
+    async getVersion(tenantId, version) {
+      const record = entry(tenantId).versions.get(version);
+      return record ? {...record} : null;
+    },
+
+    async createVersion(tenantId, {content, note}) {
+      const {state, versions} = entry(tenantId);
+      const record = {
+        version: state.latestVersion + 1,
+        content,
+        note,
+        createdAt: new Date().toISOString(),
+      };
+      versions.set(record.version, record);
+      state.latestVersion = record.version;
+      return {...record};
+    },
+
+    async activateVersion(tenantId, version) {
+      const {state, versions} = entry(tenantId);
+      if (!versions.has(version)) return null;
+      if (state.activeVersion !== version) {
+        state.previousVersion = state.activeVersion;
+      }
+      state.activeVersion = version;
+      return {...state};
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      tenants.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryPromptStore};
@@ -0,0 +1,138 @@
+const logger = require("./logger");
+const {getPromptStore} = require("./promptStore");
+
+/**
+ * Prompt di sistema versionati per tenant.
+ *
+ * Le versioni si gestiscono con la funzione adminPrompts e restano nel
+ * prompt store; quella attiva sostituisce il systemPrompt della
+ * configurazione del tenant. Senza versione attiva vale il prompt del
+ * tenant (per "nexo" system-prompt.txt) e la versione è null.
+ */
+
+// Ogni istanza rilegge la versione attiva al massimo ogni minuto
+const PROMPT_CACHE_TTL_MS = 60 * 1000;
+
+const MAX_PROMPT_LENGTH = 50000;
+const MAX_NOTE_LENGTH = 200;
+
+const promptCache = new Map();
+
+/**
+ * Prompt di sistema per il tenant: {content, version}.
+ * `version` fissa una versione precisa (varianti degli esperimenti A/B);
+ * se non esiste si usa la versione attiva.
+ * Se il prompt store non risponde si usa l'ultimo prompt noto,
+ * altrimenti quello della configurazione del tenant.
+ */
+async function getSystemPrompt(tenant, version = null) {
+  if (version) {
+    const pinned = await getPinnedPrompt(tenant, version);
+    if (pinned) return pinned;
+  }
+
+  const now = Date.now();
+  const cached = promptCache.get(tenant.id);
+  if (cached && now - cached.loadedAt < PROMPT_CACHE_TTL_MS) {
+    return cached.prompt;
+  }
+
+  let prompt = {content: tenant.systemPrompt, version: null};
+  try {
+    const store = getPromptStore();
+    const {activeVersion} = await store.getState(tenant.id);
+    if (activeVersion) {
+      const record = await store.getVersion(tenant.id, activeVersion);
+      if (record) {
+        prompt = {content: record.content, version: record.version};
+      } else {
+        logger.error("Versione prompt attiva non trovata", {
+          tenantId: tenant.id,
+          activeVersion,
+        });
+      }
+    }
+  } catch (err) {
+    logger.error("Errore lettura prompt", {
+      tenantId: tenant.id,
+      message: err.message,
+    });
+    if (cached) return cached.prompt;
+  }
+
+  promptCache.set(tenant.id, {loadedAt: now, prompt});
+  return prompt;
+}
+
+/**
+ * Una versione precisa del prompt, oppure null se non esiste o il
+ * prompt store non risponde. Le versioni non cambiano: la cache non scade.
+ */
+async function getPinnedPrompt(tenant, version) {
+  const key = `${tenant.id}@${version}`;
+  if (promptCache.has(key)) return promptCache.get(key).prompt;
+
+  try {
+    const record = await getPromptStore().getVersion(tenant.id, version);
+    if (!record) {
+      logger.error("Versione prompt della variante non trovata", {
+        tenantId: tenant.id,
+        version,
+      });
+      return null;
+    }
+    const prompt = {content: record.content, version: record.version};
+    promptCache.set(key, {loadedAt: Date.now(), prompt});
+    return prompt;
+  } catch (err) {
+    logger.error("Errore lettura prompt", {
+      tenantId: tenant.id,
+      version,
+      message: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Valida il body di creazione di una versione: {content, note}.
+ * Restituisce {valid, errors, input}.
+ */
+function validatePromptInput(body) {
+  const {content, note} = body || {};
+  const errors = [];
+  if (typeof content !== "string" || !content.trim()) {
+    errors.push("content obbligatorio");
+  } else if (content.length > MAX_PROMPT_LENGTH) {
+    errors.push(`content supera ${MAX_PROMPT_LENGTH} caratteri`);
+  }
+  if (note !== undefined && typeof note !== "string") {
+    errors.push("note deve essere una stringa");
+  } else if (note && note.length > MAX_NOTE_LENGTH) {
+    errors.push(`note supera ${MAX_NOTE_LENGTH} caratteri`);
+  }
+  if (errors.length > 0) return {valid: false, errors, input: null};
+  return {
+    valid: true,
+    errors,
+    input: {content, note: (note || "").trim()},
+  };
+}
+
+/**
+ * Dimentica il prompt in cache di un tenant (o di tutti, utile nei test).
+ */
+function clearPromptCache(tenantId) {
+  if (tenantId) {
+    promptCache.delete(tenantId);
+  } else {
+    promptCache.clear();
+  }
+}
+
+module.exports = {
+  MAX_PROMPT_LENGTH,
+  getSystemPrompt,
+  validatePromptInput,
+  clearPromptCache,
+};
@@ -0,0 +1,222 @@
+const logger = require("./logger");
+const {COLLECTIONS, getDb} = require("./firestore");
+
+/**
+ * Rate limiting a token bucket per le funzioni Spark.
+ *
+ * Stesse strategie di src/middleware/rateLimit.ts, scelte con
+ * RATE_LIMIT_STRATEGY:
+ * - "memory" (default): bucket in memoria, per istanza (con maxInstances: 10
+ *   il limite effettivo può arrivare a 10 volte quello configurato)
+ * - "firestore": bucket condivisi tra istanze, con una transazione per check
+ */
+
+/**
+ * Bucket per la funzione chat: `capacity` richieste di burst, poi una
+ * richiesta ogni `refillSeconds` secondi.
+ */
+const CHAT_BUCKETS = {
+  ip: {capacity: 20, refillSeconds: 10},
+  session: {capacity: 10, refillSeconds: 15},
+};
+
+/**
+ * Bucket per il modulo contatti: un visitatore lo invia una volta, al più
+ * qualche correzione, quindi il limite per sessione è stretto.
+ */
+const CONTACT_BUCKETS = {
+  ip: {capacity: 10, refillSeconds: 60},
+  session: {capacity: 3, refillSeconds: 60},
+};
+
+/**
+ * Bucket per IP per l'emissione dei token widget: un visitatore ne chiede
+ * uno al boot e uno ogni mezz'ora, quindi il limite può essere stretto.
+ */
+const WIDGET_TOKEN_BUCKET = {capacity: 10, refillSeconds: 60};
+
+function getRateLimitStrategy() {
+  const strategy = (process.env.RATE_LIMIT_STRATEGY || "").toLowerCase();
+  return strategy === "firestore" ? "firestore" : "memory";
+}
+
+/**
+ * Ricarica il bucket in base al tempo trascorso e prova a consumare un token.
+ * Restituisce il nuovo stato e il risultato {allowed, remaining, retryAfter}.
+ */
+function consumeToken(state, bucket, now) {
+  const refillMs = bucket.refillSeconds * 1000;
+  let tokens = bucket.capacity;
+  if (state) {
+    const refilled = (now - state.updatedAt) / refillMs;
+    tokens = Math.min(bucket.capacity, state.tokens + refilled);
+  }
+
+  if (tokens >= 1) {
+    return {
+      state: {tokens: tokens - 1, updatedAt: now},
+      result: {allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0},
+    };
+  }
+  return {
+    state: {tokens, updatedAt: now},
+    result: {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.ceil(((1 - tokens) * refillMs) / 1000),
+    },
+  };
+}
+
+// --- Strategia in memoria ---
+
+const inMemoryBuckets = new Map();
+
+// Bucket inattivi da più di 10 minuti sono pieni: si possono eliminare
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+const cleanupInterval = setInterval(() => {
+  const now = Date.now();
+  for (const [key, state] of inMemoryBuckets.entries()) {
+    if (now - state.updatedAt > MAX_BUCKET_IDLE_MS) {
+      inMemoryBuckets.delete(key);
+    }
+  }
+}, CLEANUP_INTERVAL_MS);
+// Il timer non deve tenere vivo il processo
+cleanupInterval.unref();
+
+function takeTokenInMemory(key, bucket) {
+  const {state, result} =
+    consumeToken(inMemoryBuckets.get(key), bucket, Date.now());
+  inMemoryBuckets.set(key, state);
+  return result;
+}
+
+/**
+ * Svuota i bucket in memoria (utile nei test).
+ */
+function clearInMemoryBuckets() {
+  inMemoryBuckets.clear();
+}
+
+// --- Strategia Firestore ---
+
+async function takeTokenFirestore(key, bucket) {
+  const db = getDb();
+  const docRef = db.collection(COLLECTIONS.RATE_LIMITS)
+      .doc(key.replace(/\//g, "_"));
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(docRef);
+    const {state, result} = consumeToken(
+        doc.exists ? doc.data() : null, bucket, Date.now());
+    tx.set(docRef, state);
+    return result;
+  });
+}
+
+/**
+ * Consuma un token dal bucket `key` con la strategia configurata.
+ * In caso di errore lascia passare la richiesta (fail open), come il
+ * middleware TypeScript.
+ */
+async function takeToken(key, bucket, strategy = getRateLimitStrategy()) {
+  try {
+    if (strategy === "firestore") {
+      return await takeTokenFirestore(key, bucket);
+    }
+    return takeTokenInMemory(key, bucket);
+  } catch (err) {
+    logger.error("Rate limit check fallito", {key, message: err.message});
+    return {allowed: true, remaining: 0, retryAfter: 0};
+  }
+}
+
+/**
+ * IP del client. Su Cloud Run il front end Google aggiunge l'IP reale in coda
+ * a X-Forwarded-For: i valori precedenti li manda il client e non sono
+ * affidabili, quindi si usa l'ultimo (a differenza di getClientIP in
+ * src/middleware/rateLimit.ts, che prende il primo).
+ */
+function getClientIP(req) {
+  const forwardedFor = req.headers["x-forwarded-for"];
+  if (forwardedFor) {
+    const value = Array.isArray(forwardedFor) ?
+      forwardedFor[forwardedFor.length - 1] :
+      forwardedFor;
+    const ips = value.split(",");
+    return ips[ips.length - 1].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || req.ip || "unknown";
+}
+
+/**
+ * Controlla i bucket per IP e per sessione di una funzione (`name`).
+ * Restituisce il primo risultato negato, oppure {allowed: true}.
+ */
+async function checkSessionRateLimit(name, buckets, req, sessionId) {
+  const ip = getClientIP(req);
+  const checks = [
+    {scope: "ip", key: `${name}:ip:${ip}`, bucket: buckets.ip},
+    {scope: "session", key: `${name}:session:${sessionId}`,
+      bucket: buckets.session},
+  ];
+
+  for (const {scope, key, bucket} of checks) {
+    const result = await takeToken(key, bucket);
+    if (!result.allowed) {
+      logger.warn(`Rate limit ${name} superato`, {
+        scope,
+        ip,
+        sessionId,
+        retryAfter: result.retryAfter,
+      });
+      return {...result, scope};
+    }
+  }
+  return {allowed: true, remaining: 0, retryAfter: 0};
+}
+
+/**
+ * Controlla i limiti di chat per IP e per sessione.
+ */
+async function checkChatRateLimit(req, sessionId) {
+  return checkSessionRateLimit("chat", CHAT_BUCKETS, req, sessionId);
+}
+
+/**
+ * Controlla i limiti del modulo contatti per IP e per sessione.
+ */
+async function checkContactRateLimit(req, sessionId) {
+  return checkSessionRateLimit("contact", CONTACT_BUCKETS, req, sessionId);
+}
+
+/**
+ * Controlla il limite per IP sull'emissione dei token widget.
+ */
+async function checkWidgetTokenRateLimit(req) {
+  const ip = getClientIP(req);
+  const result = await takeToken(`token:ip:${ip}`, WIDGET_TOKEN_BUCKET);
+  if (!result.allowed) {
+    logger.warn("Rate limit token widget superato", {
+      ip,
+      retryAfter: result.retryAfter,
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  CHAT_BUCKETS,
+  CONTACT_BUCKETS,
+  WIDGET_TOKEN_BUCKET,
+  getRateLimitStrategy,
+  consumeToken,
+  takeToken,
+  clearInMemoryBuckets,
+  getClientIP,
+  checkChatRateLimit,
+  checkContactRateLimit,
+  checkWidgetTokenRateLimit,
+};
@@ -0,0 +1,109 @@
+/**
+ * Mascheramento dei dati personali (PII) nei testi che escono dal backend:
+ * log (logger.js), trascrizione inviata all'analisi e dati del lead per il
+ * dataLayer del widget.
+ *
+ * I pattern riconoscono email, telefoni, IBAN, carte di pagamento e codici
+ * fiscali. I nomi non si riconoscono da un pattern: nei log vengono
+ * mascherati per chiave (MASKED_KEYS).
+ */
+
+// Applicati in quest'ordine: IBAN e carte prima dei telefoni, che altrimenti
+// ne catturerebbero le cifre. `field` è il campo del lead corrispondente, che
+// la policy del tenant può lasciare in chiaro.
+const PII_PATTERNS = [
+  {
+    label: "[EMAIL]",
+    field: "email",
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  },
+  {
+    label: "[IBAN]",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+  },
+  {
+    label: "[CODICE_FISCALE]",
+    pattern: /\b[A-Z]{6}\d{2}[A-Z]\d{2}[A-Z]\d{3}[A-Z]\b/gi,
+  },
+  {
+    label: "[CARTA]",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (match) => isLuhnValid(match.replace(/\D/g, "")),
+  },
+  {
+    label: "[TELEFONO]",
+    field: "telefono",
+    // Almeno 9 cifre: le date (8 cifre) restano leggibili
+    pattern: /(?<![\w+-])(?:\+|00)?\d(?:[ .\-/]?\d){7,14}(?![\w-])/g,
+    accept: (match) => match.replace(/\D/g, "").length >= 9,
+  },
+];
+
+// Chiavi dei dati strutturati dei log mascherate per intero
+const MASKED_KEYS = {
+  nome: "[NOME]",
+  email: "[EMAIL]",
+  telefono: "[TELEFONO]",
+};
+
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Maschera i dati personali di un testo. `keep` elenca i campi del lead
+ * (email, telefono) da lasciare in chiaro.
+ */
+function redactText(text, {keep = []} = {}) {
+  let redacted = text;
+  for (const {label, field, pattern, accept} of PII_PATTERNS) {
+    if (field && keep.includes(field)) continue;
+    redacted = redacted.replace(pattern, (match) =>
+      !accept || accept(match) ? label : match);
+  }
+  return redacted;
+}
+
+/**
+ * Copia di un valore dei log con le stringhe mascherate, anche dentro
+ * oggetti e array. Le chiavi di MASKED_KEYS vengono mascherate per intero.
+ * Gli Error diventano {name, message, stack}: il messaggio può contenere
+ * l'input dell'utente.
+ */
+function redactValue(value) {
+  if (typeof value === "string") return redactText(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value instanceof Error) {
+    return redactValue({
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    });
+  }
+  if (!value || typeof value !== "object" ||
+      Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    const masked = MASKED_KEYS[key];
+    redacted[key] = masked && typeof item === "string" && item ?
+      masked : redactValue(item);
+  }
+  return redacted;
+}
+
+module.exports = {
+  PII_PATTERNS,
+  redactText,
+  redactValue,
+};
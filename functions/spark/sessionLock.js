@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const {COLLECTIONS, getDb} = require("./firestore");
+
+/**
+ * Lock per sessione per gli storage senza transazioni (Google Sheets):
+ * serializza le scritture concorrenti sullo stesso record, così un beacon
+ * track e una richiesta lead contemporanei non creano due righe.
+ *
+ * Strategia scelta con LEAD_LOCK_STRATEGY, come RATE_LIMIT_STRATEGY:
+ * - "firestore" (default): coda di promise per chiave nell'istanza, più un
+ *   lease in `spark_locks` condiviso tra istanze (le funzioni girano su più
+ *   istanze), con scadenza per non restare bloccati se un'istanza muore
+ * - "memory": solo la coda per istanza, per i test e lo sviluppo offline;
+ *   due istanze possono ancora scrivere la stessa sessione insieme
+ */
+
+// Durata del lease: più lunga di qualsiasi upsert su Sheets
+const LOCK_TTL_MS = 15 * 1000;
+// Attesa massima per ottenere il lease, e pausa tra un tentativo e l'altro
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 100;
+
+function getLockStrategy() {
+  const strategy = (process.env.LEAD_LOCK_STRATEGY || "").toLowerCase();
+  return strategy === "memory" ? "memory" : "firestore";
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// --- Coda in memoria ---
+
+const queues = new Map();
+
+/**
+ * Esegue fn dopo che le chiamate precedenti con la stessa chiave sono
+ * terminate (anche con errore).
+ */
+async function withMemoryLock(key, fn) {
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  queues.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (queues.get(key) === tail) queues.delete(key);
+  }
+}
+
+// --- Lease su Firestore ---
+
+function lockRef(db, key) {
+  const docId = crypto.createHash("sha256").update(key).digest("hex");
+  return db.collection(COLLECTIONS.LOCKS).doc(docId);
+}
+
+/**
+ * Prende il lease della chiave, aspettando se è di un'altra istanza.
+ * Restituisce l'ID del proprietario da passare a releaseFirestoreLock.
+ * `db` e `waitMs` sostituiscono Firestore e l'attesa (utile nei test).
+ * @throws {Error} Se il lease non si libera entro `waitMs`
+ */
+async function acquireFirestoreLock(key,
+    {db = getDb(), waitMs = LOCK_WAIT_MS} = {}) {
+  const ref = lockRef(db, key);
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+
+  for (;;) {
+    const acquired = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const now = Date.now();
+      if (doc.exists && doc.data().expiresAt > now) return false;
+      tx.set(ref, {key, owner, expiresAt: now + LOCK_TTL_MS});
+      return true;
+    });
+    if (acquired) return owner;
+    if (Date.now() >= deadline) {
+      throw new Error(`Lock non disponibile: ${key}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Rilascia il lease solo se è ancora nostro (potrebbe essere scaduto e
+ * preso da un'altra istanza).
+ */
+async function releaseFirestoreLock(key, owner, {db = getDb()} = {}) {
+  const ref = lockRef(db, key);
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (doc.exists && doc.data().owner === owner) tx.delete(ref);
+  });
+}
+
+/**
+ * Esegue fn con il lock della chiave e ne restituisce il risultato.
+ * `db` sostituisce Firestore per il lease (utile nei test).
+ */
+async function withSessionLock(key, fn,
+    {strategy = getLockStrategy(), db} = {}) {
+  return withMemoryLock(key, async () => {
+    if (strategy !== "firestore") return fn();
+    const owner = await acquireFirestoreLock(key, {db});
+    try {
+      return await fn();
+    } finally {
+      await releaseFirestoreLock(key, owner, {db});
+    }
+  });
+}
+
+module.exports = {
+  LOCK_TTL_MS,
+  getLockStrategy,
+  acquireFirestoreLock,
+  releaseFirestoreLock,
+  withSessionLock,
+};
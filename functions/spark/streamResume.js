@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const {getStreamStore} = require("./streamStore");
+
+/**
+ * Risposte della chat riprendibili.
+ *
+ * Ogni evento SSE della risposta ha un id "<streamId>.<seq>" e viene
+ * copiato, a blocchi, nello stream store della sessione. Se la connessione
+ * cade, il widget richiama chat con {sessionId, lastEventId} (o l'header
+ * Last-Event-ID) e riceve gli eventi persi, poi quelli nuovi finché la
+ * risposta non termina: la generazione continua sull'istanza originale,
+ * senza una nuova chiamata ad Anthropic.
+ *
+ * Il buffer si può riprendere per RESUME_WINDOW_MS dall'ultimo
+ * aggiornamento, poi la risposta va richiesta di nuovo.
+ *
+ * Se nessun client riprende la risposta entro DISCONNECT_GRACE_MS dalla
+ * chiusura della connessione (pulsante stop del widget, pagina chiusa), la
+ * generazione viene interrotta per non pagare token che nessuno legge.
+ */
+
+const RESUME_WINDOW_MS = 2 * 60 * 1000;
+
+// Gli eventi vengono salvati al massimo una volta al secondo, più l'ultimo
+// blocco a fine risposta
+const FLUSH_INTERVAL_MS = 1000;
+
+// Una ripresa segue la risposta in corso per al massimo 25 secondi,
+// rileggendo il buffer ogni mezzo secondo; poi il widget riprende di nuovo
+const RESUME_TIMEOUT_MS = 25 * 1000;
+const RESUME_POLL_INTERVAL_MS = 500;
+
+// Il primo tentativo di ripresa del widget parte dopo 1 secondo
+const DISCONNECT_GRACE_MS = 5 * 1000;
+
+// Attesa massima di una nuova richiesta per la fine della risposta
+// precedente della sessione
+const PREVIOUS_STREAM_WAIT_MS = DISCONNECT_GRACE_MS + 5 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function formatEventId(streamId, seq) {
+  return `${streamId}.${seq}`;
+}
+
+/**
+ * Posizione {streamId, seq} da un id evento, null se non è valido.
+ */
+function parseEventId(value) {
+  if (typeof value !== "string") return null;
+  const match = /^([a-f0-9]{16})\.(\d{1,6})$/.exec(value.trim());
+  return match ? {streamId: match[1], seq: Number(match[2])} : null;
+}
+
+function writeEvent(res, streamId, seq, event) {
+  res.write(`id: ${formatEventId(streamId, seq)}\n` +
+    `data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Apre il buffer della risposta e restituisce {streamId, send, close}:
+ * send(event) scrive l'evento con il suo id e lo accoda al buffer,
+ * close() salva gli ultimi eventi e segna la risposta come conclusa.
+ * Un errore dello store non interrompe la chat: la risposta prosegue
+ * senza possibilità di ripresa.
+ */
+async function openResumableStream(res, {sessionId, tenantId}) {
+  const store = getStreamStore();
+  const streamId = crypto.randomBytes(8).toString("hex");
+  let buffering = true;
+  let seq = 0;
+  let pending = [];
+  let lastFlush = Date.now();
+  let flushing = Promise.resolve();
+
+  const disable = (err) => {
+    buffering = false;
+    logger.warn("Buffer della risposta non disponibile", {
+      sessionId,
+      message: err.message,
+    });
+  };
+
+  // Le scritture sono in coda: gli eventi arrivano allo store in ordine
+  const flush = (done) => {
+    const events = pending;
+    pending = [];
+    lastFlush = Date.now();
+    flushing = flushing
+        .then(() => buffering &&
+          store.append(sessionId, streamId, events, {done}))
+        .catch(disable);
+    return flushing;
+  };
+
+  try {
+    await store.start(sessionId, {streamId, tenantId});
+  } catch (err) {
+    disable(err);
+  }
+
+  return {
+    streamId,
+    send(event) {
+      seq++;
+      writeEvent(res, streamId, seq, event);
+      if (!buffering) return;
+      pending.push({seq, event});
+      if (Date.now() - lastFlush >= FLUSH_INTERVAL_MS) flush(false);
+    },
+    async close() {
+      await flush(true);
+    },
+  };
+}
+
+/**
+ * Buffer della sessione riprendibile dalla posizione {streamId}: null se
+ * è partita un'altra risposta o se è scaduto.
+ */
+async function getResumableStream(sessionId, position, now = new Date()) {
+  const stream = await getStreamStore().get(sessionId);
+  if (!stream || stream.streamId !== position.streamId) return null;
+  const age = now.getTime() - new Date(stream.updatedAt).getTime();
+  return age <= RESUME_WINDOW_MS ? stream : null;
+}
+
+/**
+ * Scrive gli eventi di `stream` successivi a `after` e, finché la
+ * risposta è in corso, quelli nuovi, fino al timeout.
+ * Restituisce {done, seq}: seq è l'ultimo evento inviato.
+ * `wait` sostituisce l'attesa tra le letture (utile nei test).
+ */
+async function replayStream(res, sessionId, stream, after, {
+  timeoutMs = RESUME_TIMEOUT_MS,
+  wait = sleep,
+} = {}) {
+  await getStreamStore().markResumed(sessionId, stream.streamId);
+  const deadline = Date.now() + timeoutMs;
+  let current = stream;
+  let seq = after;
+  for (;;) {
+    for (const item of current.events) {
+      if (item.seq <= seq) continue;
+      writeEvent(res, current.streamId, item.seq, item.event);
+      seq = item.seq;
+    }
+    if (current.done || Date.now() >= deadline) {
+      return {done: current.done, seq};
+    }
+    await wait(RESUME_POLL_INTERVAL_MS);
+    current = await getStreamStore().get(sessionId);
+    if (!current || current.streamId !== stream.streamId) {
+      return {done: false, seq};
+    }
+  }
+}
+
+/**
+ * Chiama onAbort se il client chiude la connessione prima della fine della
+ * risposta e nessuno la riprende entro `graceMs`.
+ * Si ascolta la chiusura di `res`: quella di `req` arriva appena letto il
+ * body della richiesta.
+ */
+function watchDisconnect(res, {sessionId, streamId, onAbort,
+  graceMs = DISCONNECT_GRACE_MS, wait = sleep}) {
+  res.on("close", async () => {
+    if (res.writableFinished) return;
+    const closedAt = new Date().toISOString();
+    await wait(graceMs);
+    try {
+      const stream = await getStreamStore().get(sessionId);
+      if (stream && stream.streamId === streamId &&
+          (stream.done || (stream.resumedAt && stream.resumedAt >= closedAt))) {
+        return;
+      }
+    } catch (err) {
+      logger.warn("Buffer della risposta non disponibile", {
+        sessionId,
+        message: err.message,
+      });
+    }
+    logger.info("Client disconnesso: generazione interrotta", {sessionId});
+    onAbort();
+  });
+}
+
+/**
+ * Attende la fine della risposta precedente della sessione, per esempio
+ * una appena interrotta dallo stop del widget e non ancora salvata: la
+ * nuova richiesta legge così i turni aggiornati. Un buffer scaduto non si
+ * aspetta. Restituisce false allo scadere del timeout.
+ */
+async function waitForPreviousStream(sessionId, {
+  timeoutMs = PREVIOUS_STREAM_WAIT_MS,
+  wait = sleep,
+} = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    let stream;
+    try {
+      stream = await getStreamStore().get(sessionId);
+    } catch (err) {
+      logger.warn("Buffer della risposta non disponibile", {
+        sessionId,
+        message: err.message,
+      });
+      return true;
+    }
+    if (!stream || stream.done ||
+        Date.now() - new Date(stream.updatedAt).getTime() > RESUME_WINDOW_MS) {
+      return true;
+    }
+    if (Date.now() >= deadline) return false;
+    await wait(RESUME_POLL_INTERVAL_MS);
+  }
+}
+
+module.exports = {
+  RESUME_WINDOW_MS,
+  formatEventId,
+  parseEventId,
+  openResumableStream,
+  getResumableStream,
+  replayStream,
+  watchDisconnect,
+  waitForPreviousStream,
+};
@@ -0,0 +1,80 @@
+const {COLLECTIONS, getDb, writeInBatches} = require("../firestore");
+
+/**
+ * Adapter Firestore: un documento per sessione in `spark_streams` con gli
+ * eventi della risposta in corso (o dell'ultima). Una risposta resta
+ * ben sotto il limite di 1 MiB per documento.
+ */
+function createFirestoreStreamStore(options = {}) {
+  const db = () => options.db || getDb();
+  const streamRef = (sessionId) =>
+    db().collection(COLLECTIONS.STREAMS).doc(sessionId);
+
+  return {
+    async start(sessionId, {streamId, tenantId}) {
+      await streamRef(sessionId).set({
+        sessionId,
+        streamId,
+        tenantId: tenantId || null,
+        events: [],
+        done: false,
+        updatedAt: new Date().toISOString(),
+        resumedAt: null,
+      });
+    },
+
+    async append(sessionId, streamId, events, {done = false} = {}) {
+      const ref = streamRef(sessionId);
+      await db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || doc.data().streamId !== streamId) return;
+        tx.update(ref, {
+          events: doc.data().events.concat(events),
+          ...(done && {done: true}),
+          updatedAt: new Date().toISOString(),
+        });
+      });
+    },
+
+    async markResumed(sessionId, streamId) {
+      const ref = streamRef(sessionId);
+      await db().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || doc.data().streamId !== streamId) return;
+        tx.update(ref, {resumedAt: new Date().toISOString()});
+      });
+    },
+
+    async get(sessionId) {
+      const doc = await streamRef(sessionId).get();
+      if (!doc.exists) return null;
+      const {streamId, tenantId, events, done, updatedAt} = doc.data();
+      return {
+        streamId,
+        tenantId,
+        events,
+        done,
+        updatedAt,
+        resumedAt: doc.data().resumedAt || null,
+      };
+    },
+
+    async remove(sessionId) {
+      const ref = streamRef(sessionId);
+      const doc = await ref.get();
+      await ref.delete();
+      return doc.exists;
+    },
+
+    async purgeBefore(before) {
+      // updatedAt è una stringa ISO: l'ordine lessicografico è quello temporale
+      const snapshot = await db().collection(COLLECTIONS.STREAMS)
+          .where("updatedAt", "<", before.toISOString())
+          .get();
+      return writeInBatches(db(), snapshot.docs,
+          (batch, doc) => batch.delete(doc.ref));
+    },
+  };
+}
+
+module.exports = {createFirestoreStreamStore};
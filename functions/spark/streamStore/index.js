@@ -0,0 +1,65 @@
+const {createFirestoreStreamStore} = require("./firestore");
+const {createMemoryStreamStore} = require("./memory");
+
+const STREAM_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da STREAM_STORE ("firestore" di default).
+ */
+function getStreamStoreType() {
+  const type = (process.env.STREAM_STORE || "").toLowerCase();
+  return STREAM_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - start(sessionId, {streamId, tenantId}) → apre il buffer della risposta
+ *   in corso, sostituendo quello precedente della sessione
+ * - append(sessionId, streamId, events, {done}) → aggiunge gli eventi in
+ *   coda; ignorato se nel frattempo è partita un'altra risposta
+ * - markResumed(sessionId, streamId) → annota in resumedAt che un client
+ *   ha ripreso la risposta
+ * - get(sessionId) → {streamId, tenantId, events, done, updatedAt,
+ *   resumedAt} o null
+ * - remove(sessionId) → elimina il buffer, true se esisteva
+ * - purgeBefore(before) → elimina i buffer non aggiornati da `before`
+ *   (Date) e ne restituisce il numero
+ *
+ * Un evento è {seq, event}: seq è il progressivo nella risposta (da 1),
+ * event è l'oggetto inviato al widget. updatedAt e resumedAt sono stringhe
+ * ISO.
+ */
+function createStreamStore(type = getStreamStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryStreamStore();
+    case "firestore":
+    default:
+      return createFirestoreStreamStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let streamStore = null;
+
+function getStreamStore() {
+  if (!streamStore) {
+    streamStore = createStreamStore();
+  }
+  return streamStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getStreamStore() ricrea l'adapter da config.
+ */
+function setStreamStore(store) {
+  streamStore = store;
+}
+
+module.exports = {
+  getStreamStoreType,
+  createStreamStore,
+  getStreamStore,
+  setStreamStore,
+};
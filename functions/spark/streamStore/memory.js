@@ -0,0 +1,74 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryStreamStore() {
+  const streams = new Map();
+
+  const copy = (stream) => ({
+    ...stream,
+    events: stream.events.map((item) => ({...item})),
+  });
+
+  return {
+    async start(sessionId, {streamId, tenantId}) {
+      streams.set(sessionId, {
+        streamId,
+        tenantId: tenantId || null,
+        events: [],
+        done: false,
+        updatedAt: new Date().toISOString(),
+        resumedAt: null,
+      });
+    },
+
+    async append(sessionId, streamId, events, {done = false} = {}) {
+      const stream = streams.get(sessionId);
+      if (!stream || stream.streamId !== streamId) return;
+      stream.events.push(...events.map((item) => ({...item})));
+      if (done) stream.done = true;
+      stream.updatedAt = new Date().toISOString();
+    },
+
+    async markResumed(sessionId, streamId) {
+      const stream = streams.get(sessionId);
+      if (!stream || stream.streamId !== streamId) return;
+      stream.resumedAt = new Date().toISOString();
+    },
+
+    async get(sessionId) {
+      const stream = streams.get(sessionId);
+      return stream ? copy(stream) : null;
+    },
+
+    async remove(sessionId) {
+      return streams.delete(sessionId);
+    },
+
+    async purgeBefore(before) {
+      let purged = 0;
+      for (const [sessionId, stream] of streams) {
+        if (stream.updatedAt < before.toISOString()) {
+          streams.delete(sessionId);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    /**
+     * Sposta l'ultimo aggiornamento del buffer (solo adapter in memoria,
+     * per i test della scadenza).
+     */
+    setUpdatedAt(sessionId, date) {
+      streams.get(sessionId).updatedAt = date.toISOString();
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      streams.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryStreamStore};
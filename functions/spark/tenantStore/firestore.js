@@ -0,0 +1,32 @@
+const {FieldValue} = require("firebase-admin/firestore");
+const {COLLECTIONS, getDb} = require("../firestore");
+
+/**
+ * Adapter Firestore: un documento per tenant in `spark_tenants`,
+ * con l'ID del tenant come ID documento.
+ */
+function createFirestoreTenantStore(options = {}) {
+  const collection = () =>
+    (options.db || getDb()).collection(COLLECTIONS.TENANTS);
+
+  return {
+    async get(tenantId) {
+      const doc = await collection().doc(tenantId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async save(tenantId, config) {
+      await collection().doc(tenantId).set({
+        ...config,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    },
+
+    async listIds() {
+      const snapshot = await collection().select().get();
+      return snapshot.docs.map((doc) => doc.id);
+    },
+  };
+}
+
+module.exports = {createFirestoreTenantStore};
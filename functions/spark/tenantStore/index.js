@@ -0,0 +1,53 @@
+const {createFirestoreTenantStore} = require("./firestore");
+const {createMemoryTenantStore} = require("./memory");
+
+const TENANT_STORE_TYPES = ["firestore", "memory"];
+
+/**
+ * Legge il tipo di storage da TENANT_STORE ("firestore" di default).
+ */
+function getTenantStoreType() {
+  const type = (process.env.TENANT_STORE || "").toLowerCase();
+  return TENANT_STORE_TYPES.includes(type) ? type : "firestore";
+}
+
+/**
+ * Crea l'adapter richiesto. Tutti gli adapter espongono la stessa interfaccia:
+ * - get(tenantId) → configurazione salvata del tenant o null
+ * - save(tenantId, config) → crea o sostituisce la configurazione
+ * - listIds() → ID dei tenant salvati
+ */
+function createTenantStore(type = getTenantStoreType()) {
+  switch (type) {
+    case "memory":
+      return createMemoryTenantStore();
+    case "firestore":
+    default:
+      return createFirestoreTenantStore();
+  }
+}
+
+// --- Istanza condivisa (una per istanza della funzione) ---
+let tenantStore = null;
+
+function getTenantStore() {
+  if (!tenantStore) {
+    tenantStore = createTenantStore();
+  }
+  return tenantStore;
+}
+
+/**
+ * Sostituisce l'istanza condivisa (utile nei test).
+ * Passando null la prossima getTenantStore() ricrea l'adapter da config.
+ */
+function setTenantStore(store) {
+  tenantStore = store;
+}
+
+module.exports = {
+  getTenantStoreType,
+  createTenantStore,
+  getTenantStore,
+  setTenantStore,
+};
@@ -0,0 +1,29 @@
+/**
+ * Adapter in memoria, per i test e lo sviluppo offline.
+ * I dati vivono solo per la durata del processo.
+ */
+function createMemoryTenantStore() {
+  const tenants = new Map();
+
+  return {
+    async get(tenantId) {
+      const config = tenants.get(tenantId);
+      return config ? structuredClone(config) : null;
+    },
+
+    async save(tenantId, config) {
+      tenants.set(tenantId, structuredClone(config));
+    },
+
+    async listIds() {
+      return Array.from(tenants.keys());
+    },
+
+    /** Svuota lo storage (solo adapter in memoria). */
+    clear() {
+      tenants.clear();
+    },
+  };
+}
+
+module.exports = {createMemoryTenantStore};
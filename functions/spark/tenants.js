@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const {getTenantStore} = require("./tenantStore");
+
+/**
+ * Configurazione dei tenant (siti) che usano Spark.
+ *
+ * Un tenant è la configurazione salvata nel tenant store (un documento per
+ * tenant in `spark_tenants`), sovrapposta ai valori di default:
+ * {
+ *   name, description,           // nome e descrizione per le analisi AI
+ *   allowedOrigins: [...],       // origini CORS del sito
+ *   systemPrompt,                // prompt di sistema della chat
+ *   model, language,             // language: lingua predefinita della chat
+ *   fallback: {provider, model},  // provider di riserva della chat,
+ *                                 // null per nessuno (chatProviders.js)
+ *   locales: {en: {systemPrompt, welcomeMessage, strings}},  // altre
+ *                                // lingue (locales.js)
+ *   leadDestination,             // {type: "sheets", sheetId} o
+ *                                // {type: "firestore", collection}
+ *   widget: {assistantName, welcomeMessage, avatarUrl, primaryColor,
+ *     primaryHoverColor, strings},  // strings: testi dell'interfaccia
+ *   experiment,                  // esperimento A/B attivo (experiments.js)
+ *   notifications,               // canali e regole per i lead
+ *                                // (notifications/index.js)
+ *   privacy: {consentVersion, policyUrl,   // informativa e campi del lead
+ *     sharedLeadFields},                    // condivisi (privacy.js)
+ *   ui: {budgetRanges, currency},  // fasce del selettore di budget
+ *                                  // (uiDirectives.js)
+ *   context: {maxTokens, recentTurns},  // riassunto delle conversazioni
+ *                                       // lunghe (contextManager.js)
+ * }
+ *
+ * Il widget sceglie il tenant con l'attributo data-tenant, che arriva alle
+ * funzioni come query string ?tenant=. Senza tenant si usa "nexo", la
+ * configurazione storica, che funziona anche senza documento salvato.
+ */
+
+const DEFAULT_TENANT_ID = "nexo";
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// La configurazione viene riletta dallo store al massimo ogni 5 minuti
+const TENANT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Valori comuni a tutti i tenant.
+ */
+const TENANT_DEFAULTS = {
+  name: "",
+  description: "",
+  allowedOrigins: [],
+  systemPrompt: "",
+  model: "claude-sonnet-4-6",
+  // Usato solo se è configurata la API key del provider
+  fallback: {provider: "openai", model: "gpt-4o-mini"},
+  language: "it",
+  locales: {},
+  leadDestination: null,
+  experiment: null,
+  notifications: null,
+  privacy: {
+    consentVersion: "1",
+    policyUrl: "",
+    sharedLeadFields: ["probabilitaChiusura", "scoring", "trafficSource"],
+  },
+  ui: {
+    // {min, max} in unità di currency; senza min o max la fascia è aperta
+    budgetRanges: [
+      {max: 2000},
+      {min: 2000, max: 5000},
+      {min: 5000, max: 15000},
+      {min: 15000},
+    ],
+    currency: "EUR",
+  },
+  context: {
+    // Token stimati dei turni non riassunti oltre i quali si riassume
+    maxTokens: 3000,
+    // Ultimi turni sempre inviati per intero
+    recentTurns: 8,
+  },
+  widget: {
+    assistantName: "Spark",
+    welcomeMessage: "Ciao! Come posso aiutarti?",
+    avatarUrl: "",
+    primaryColor: "#3B82F6",
+    primaryHoverColor: "#2563EB",
+    strings: {},
+  },
+};
+
+/**
+ * Tenant definiti nel codice: un documento salvato con lo stesso ID ne
+ * sovrascrive i campi. systemPromptFile è relativo alla cartella functions.
+ */
+const BUILTIN_TENANTS = {
+  nexo: {
+    name: "Nexo",
+    description: "Nexo, azienda di sviluppo software su misura",
+    allowedOrigins: [
+      "https://gonexo.site",
+      "https://www.gonexo.site",
+      "https://gonexo.it",
+      "https://www.gonexo.it",
+      "http://localhost:3000",
+    ],
+    systemPromptFile: "system-prompt.txt",
+    widget: {
+      welcomeMessage: "Ciao! Sono Spark. Raccontami cosa vorresti " +
+        "realizzare e ti dico subito se è fattibile e quanto potrebbe costare.",
+      avatarUrl: "https://proto-ai-8f205.web.app/spark-ai-72x72.png",
+    },
+    locales: {
+      en: {
+        welcomeMessage: "Hi! I'm Spark. Tell me what you would like to " +
+          "build and I'll tell you right away if it's feasible and what it " +
+          "could cost.",
+      },
+    },
+  },
+};
+
+// --- Prompt da file (letti una sola volta per istanza) ---
+const promptFiles = new Map();
+
+function readPromptFile(fileName) {
+  if (!promptFiles.has(fileName)) {
+    const promptPath = path.join(__dirname, "..", fileName);
+    promptFiles.set(fileName, fs.readFileSync(promptPath, "utf8"));
+  }
+  return promptFiles.get(fileName);
+}
+
+/**
+ * Sovrappone builtin e configurazione salvata ai default.
+ * widget, widget.strings e locales sono uniti campo per campo.
+ */
+function buildTenant(tenantId, stored) {
+  const layers = [TENANT_DEFAULTS, BUILTIN_TENANTS[tenantId] || {}, stored || {}];
+  const tenant = Object.assign({}, ...layers, {id: tenantId});
+  if (!tenant.name) tenant.name = tenantId;
+  tenant.widget = Object.assign({}, ...layers.map((layer) => layer.widget));
+  tenant.widget.strings = Object.assign({},
+      ...layers.map((layer) => (layer.widget || {}).strings));
+  tenant.locales = Object.assign({}, ...layers.map((layer) => layer.locales));
+  if (!tenant.systemPrompt && tenant.systemPromptFile) {
+    tenant.systemPrompt = readPromptFile(tenant.systemPromptFile);
+  }
+  delete tenant.systemPromptFile;
+  delete tenant.updatedAt;
+  return tenant;
+}
+
+const tenantCache = new Map();
+
+/**
+ * Restituisce il tenant configurato, oppure null se l'ID non è valido,
+ * il tenant non esiste o non ha un prompt di sistema.
+ * Se lo store non risponde si usa l'ultima configurazione nota.
+ */
+async function resolveTenant(tenantId = DEFAULT_TENANT_ID) {
+  if (typeof tenantId !== "string" || !TENANT_ID_PATTERN.test(tenantId)) {
+    return null;
+  }
+
+  const now = Date.now();
+  const cached = tenantCache.get(tenantId);
+  if (cached && now - cached.loadedAt < TENANT_CACHE_TTL_MS) {
+    return cached.tenant;
+  }
+
+  let stored;
+  try {
+    stored = await getTenantStore().get(tenantId);
+  } catch (err) {
+    logger.error("Errore lettura tenant", {tenantId, message: err.message});
+    if (cached) return cached.tenant;
+    stored = null;
+  }
+
+  let tenant = null;
+  if (stored || BUILTIN_TENANTS[tenantId]) {
+    tenant = buildTenant(tenantId, stored);
+    if (!tenant.systemPrompt) {
+      logger.error("Tenant senza prompt di sistema", {tenantId});
+      tenant = null;
+    }
+  }
+
+  tenantCache.set(tenantId, {loadedAt: now, tenant});
+  return tenant;
+}
+
+/**
+ * ID del tenant richiesto: query string ?tenant=, altrimenti il default.
+ */
+function getRequestTenantId(req) {
+  const tenantId = req.query && req.query.tenant;
+  return tenantId ? String(tenantId) : DEFAULT_TENANT_ID;
+}
+
+/**
+ * Configurazione pubblica per il widget: niente prompt né destinazione lead.
+ * `locale` è la lingua della conversazione (locales.js): benvenuto e testi
+ * della lingua sostituiscono quelli del widget. `consent` è la versione
+ * dell'informativa da far accettare prima della chat.
+ */
+function toWidgetConfig(tenant, locale = tenant.language) {
+  const privacy = {...TENANT_DEFAULTS.privacy, ...(tenant.privacy || {})};
+  const widget = {...tenant.widget};
+  if (locale !== tenant.language) {
+    const overrides = (tenant.locales || {})[locale] || {};
+    // I testi della lingua predefinita non valgono per le altre lingue
+    widget.strings = {...(overrides.strings || {})};
+    if (overrides.welcomeMessage) {
+      widget.welcomeMessage = overrides.welcomeMessage;
+    }
+  }
+  return {
+    tenant: tenant.id,
+    language: locale,
+    ...widget,
+    consent: {
+      version: privacy.consentVersion,
+      policyUrl: privacy.policyUrl,
+    },
+  };
+}
+
+/**
+ * Svuota la cache dei tenant (utile nei test).
+ */
+function clearTenantCache() {
+  tenantCache.clear();
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  TENANT_DEFAULTS,
+  BUILTIN_TENANTS,
+  buildTenant,
+  resolveTenant,
+  getRequestTenantId,
+  toWidgetConfig,
+  clearTenantCache,
+};
@@ -0,0 +1,145 @@
+const {TENANT_DEFAULTS} = require("./tenants");
+const {CONTACT_FIELDS} = require("./leadData");
+
+/**
+ * Direttive di interfaccia: elementi che il widget mostra sotto la risposta
+ * dell'assistente. Il modello li chiede con uno strumento, la chat li invia
+ * come evento SSE:
+ * - show_quick_replies → {type: "quick_replies", options}: pulsanti, un
+ *   clic invia l'opzione come messaggio dell'utente
+ * - show_budget_picker → {type: "budget_picker", ranges, currency}: fasce
+ *   di budget del tenant (ui.budgetRanges), il widget le formatta nella sua
+ *   lingua e invia la scelta come messaggio
+ * - show_contact_form → {type: "contact_form", fields}: modulo nome,
+ *   telefono ed email validato nel widget e inviato alla funzione contact,
+ *   che unisce i dati al lead della sessione
+ */
+
+const MAX_QUICK_REPLIES = 4;
+const MAX_QUICK_REPLY_LENGTH = 40;
+
+const QUICK_REPLIES_TOOL = {
+  name: "show_quick_replies",
+  description: "Mostra all'utente fino a " + MAX_QUICK_REPLIES + " " +
+    "risposte rapide come pulsanti sotto il tuo messaggio. Usalo solo per " +
+    "domande con poche risposte prevedibili (es. sì/no). " +
+    "Scrivi prima la domanda nel testo; non ripetere le opzioni nel testo.",
+  input_schema: {
+    type: "object",
+    properties: {
+      options: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_QUICK_REPLIES,
+        items: {type: "string", maxLength: MAX_QUICK_REPLY_LENGTH},
+        description: "Testo dei pulsanti, inviato come risposta dell'utente",
+      },
+    },
+    required: ["options"],
+  },
+};
+
+const BUDGET_PICKER_TOOL = {
+  name: "show_budget_picker",
+  description: "Mostra all'utente le fasce di budget da scegliere con un " +
+    "clic, compresa \"non lo so\". Usalo quando chiedi il budget, dopo " +
+    "aver scritto la domanda. La scelta arriva come messaggio dell'utente.",
+  input_schema: {type: "object", properties: {}},
+};
+
+const CONTACT_FORM_TOOL = {
+  name: "show_contact_form",
+  description: "Mostra all'utente un modulo per nome, telefono ed email. " +
+    "Usalo quando proponi il contatto con il team, invece di chiedere i " +
+    "dati nel testo. I dati inviati vengono salvati nel lead: l'utente ti " +
+    "conferma l'invio con un messaggio.",
+  input_schema: {type: "object", properties: {}},
+};
+
+const UI_TOOLS = [QUICK_REPLIES_TOOL, BUDGET_PICKER_TOOL, CONTACT_FORM_TOOL];
+
+/**
+ * Valida l'input dello strumento show_quick_replies.
+ * Restituisce {valid, errors, options} con le opzioni ripulite e senza
+ * duplicati.
+ */
+function validateQuickReplies(input) {
+  const options = input && input.options;
+  if (!Array.isArray(options) || options.length === 0) {
+    return {valid: false, errors: ["options obbligatorio"], options: null};
+  }
+  const errors = [];
+  const cleaned = [];
+  for (const option of options) {
+    const text = typeof option === "string" ? option.trim() : "";
+    if (!text) {
+      errors.push("opzioni vuote o non testuali");
+    } else if (text.length > MAX_QUICK_REPLY_LENGTH) {
+      errors.push(`opzione oltre ${MAX_QUICK_REPLY_LENGTH} caratteri`);
+    } else if (!cleaned.includes(text)) {
+      cleaned.push(text);
+    }
+  }
+  if (cleaned.length > MAX_QUICK_REPLIES) {
+    errors.push(`al massimo ${MAX_QUICK_REPLIES} opzioni`);
+  }
+  if (errors.length > 0) return {valid: false, errors, options: null};
+  return {valid: true, errors, options: cleaned};
+}
+
+/**
+ * Configurazione delle direttive del tenant (tenant.ui) con i default.
+ */
+function getUiConfig(tenant) {
+  return {...TENANT_DEFAULTS.ui, ...(tenant.ui || {})};
+}
+
+/**
+ * true se `name` è uno strumento delle direttive di interfaccia.
+ */
+function isUiTool(name) {
+  return UI_TOOLS.some((tool) => tool.name === name);
+}
+
+/**
+ * Evento SSE per una chiamata a uno strumento di UI_TOOLS.
+ * Restituisce {valid, errors, event}: gli errori tornano al modello.
+ */
+function toDirectiveEvent(tenant, name, input) {
+  if (name === QUICK_REPLIES_TOOL.name) {
+    const {valid, errors, options} = validateQuickReplies(input);
+    return {
+      valid,
+      errors,
+      event: valid ? {type: "quick_replies", options} : null,
+    };
+  }
+  if (name === BUDGET_PICKER_TOOL.name) {
+    const {budgetRanges, currency} = getUiConfig(tenant);
+    return {
+      valid: true,
+      errors: [],
+      event: {type: "budget_picker", ranges: budgetRanges, currency},
+    };
+  }
+  if (name === CONTACT_FORM_TOOL.name) {
+    return {
+      valid: true,
+      errors: [],
+      event: {type: "contact_form", fields: CONTACT_FIELDS},
+    };
+  }
+  return {valid: false, errors: [`Strumento sconosciuto: ${name}`], event: null};
+}
+
+module.exports = {
+  MAX_QUICK_REPLIES,
+  QUICK_REPLIES_TOOL,
+  BUDGET_PICKER_TOOL,
+  CONTACT_FORM_TOOL,
+  UI_TOOLS,
+  validateQuickReplies,
+  getUiConfig,
+  isUiTool,
+  toDirectiveEvent,
+};
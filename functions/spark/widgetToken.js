@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Token firmati per il widget.
+ *
+ * Il widget ottiene un token al boot (funzione widgetToken, dopo l'eventuale
+ * challenge) e lo invia con ogni richiesta: header
+ * `Authorization: Bearer <token>` oppure campo `widgetToken` nel body per le
+ * richieste sendBeacon, che non possono impostare header.
+ *
+ * Formato: base64url(claims JSON) + "." + base64url(HMAC-SHA256), firmato con
+ * SPARK_WIDGET_SECRET. Le claim ricalcano src/types/JWTClaims.ts
+ * (iat, exp, jti) con in più sessionId e tenant a cui il token è legato.
+ */
+
+// Durata del token: il widget lo rinnova prima della scadenza
+const WIDGET_TOKEN_TTL_SECONDS = 30 * 60;
+
+function getWidgetSecret() {
+  return process.env.SPARK_WIDGET_SECRET || "";
+}
+
+function sign(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Confronto a tempo costante tra due firme base64url.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Emette un token per la sessione `sessionId` del tenant `tenantId`.
+ * Restituisce {token, expiresAt} con expiresAt in millisecondi.
+ * @throws {Error} Se il secret non è configurato
+ */
+function issueWidgetToken({sessionId, tenantId}, secret = getWidgetSecret(),
+    now = Date.now()) {
+  if (!secret) {
+    throw new Error("SPARK_WIDGET_SECRET non configurato");
+  }
+  const iat = Math.floor(now / 1000);
+  const claims = {
+    sid: sessionId,
+    tid: tenantId,
+    iat,
+    exp: iat + WIDGET_TOKEN_TTL_SECONDS,
+    jti: crypto.randomUUID(),
+  };
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return {
+    token: `${payload}.${sign(payload, secret)}`,
+    expiresAt: claims.exp * 1000,
+  };
+}
+
+/**
+ * Verifica un token e che sia legato a `sessionId` e `tenantId`.
+ * Restituisce {valid, claims} oppure {valid: false, error}.
+ */
+function verifyWidgetToken(token, {sessionId, tenantId},
+    secret = getWidgetSecret(), now = Date.now()) {
+  if (!token || typeof token !== "string") {
+    return {valid: false, error: "token mancante"};
+  }
+  if (!secret) {
+    return {valid: false, error: "secret non configurato"};
+  }
+
+  const [payload, signature, ...rest] = token.split(".");
+  if (!payload || !signature || rest.length > 0 ||
+      !safeEqual(signature, sign(payload, secret))) {
+    return {valid: false, error: "token non valido"};
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (e) {
+    return {valid: false, error: "token non valido"};
+  }
+
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= now) {
+    return {valid: false, error: "token scaduto"};
+  }
+  if (!sessionId || claims.sid !== sessionId) {
+    return {valid: false, error: "token di un'altra sessione"};
+  }
+  if (!tenantId || claims.tid !== tenantId) {
+    return {valid: false, error: "token di un altro tenant"};
+  }
+  return {valid: true, claims};
+}
+
+/**
+ * Legge il token dalla richiesta: header Authorization (Bearer) oppure,
+ * per sendBeacon, il campo widgetToken del body già parsato.
+ */
+function getRequestToken(req, body) {
+  const authHeader = req.headers.authorization;
+  if (authHeader) {
+    const parts = authHeader.split(" ");
+    if (parts.length === 2 && parts[0].toLowerCase() === "bearer") {
+      return parts[1];
+    }
+  }
+  return (body && typeof body.widgetToken === "string") ?
+    body.widgetToken : null;
+}
+
+/**
+ * Verifica il token di una richiesta alle funzioni del widget.
+ * Logga il rifiuto e restituisce il risultato di verifyWidgetToken.
+ */
+function checkWidgetToken(req, body, {sessionId, tenantId}, endpoint) {
+  const result = verifyWidgetToken(getRequestToken(req, body),
+      {sessionId, tenantId});
+  if (!result.valid) {
+    const log = result.error === "secret non configurato" ?
+      logger.error : logger.warn;
+    log("Richiesta widget rifiutata", {
+      endpoint,
+      tenantId,
+      sessionId: sessionId || "N/A",
+      reason: result.error,
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  WIDGET_TOKEN_TTL_SECONDS,
+  issueWidgetToken,
+  verifyWidgetToken,
+  getRequestToken,
+  checkWidgetToken,
+};
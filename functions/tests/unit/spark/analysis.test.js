@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Unit tests for the Spark conversation analysis
+ * @module tests/unit/spark/analysis.test
+ */
+
+const {
+  ANALYSIS_TOOL,
+  validateAnalysis,
+  buildAnalysisPrompt,
+  toAnalysisPatch,
+} = require("../../../spark/analysis");
+
+const valid = {
+  argomento: " Gestionale per officina ",
+  dubbi: "Nessuno emerso",
+  reazionePreventivo: "positiva",
+  resistenzaContatto: "rifiutato",
+  preventivo: "1.800€",
+  noteGenerali: "Ha rifiutato di lasciare il telefono",
+};
+
+describe("Spark conversation analysis", () => {
+  it("should require every field of the tool schema", () => {
+    expect(ANALYSIS_TOOL.input_schema.required.sort())
+        .toEqual(Object.keys(valid).sort());
+  });
+
+  describe("validateAnalysis", () => {
+    it("should accept and trim a valid analysis", () => {
+      const {valid: ok, analysis} = validateAnalysis(valid);
+      expect(ok).toBe(true);
+      expect(analysis.argomento).toBe("Gestionale per officina");
+    });
+
+    it.each([
+      [{reazionePreventivo: "tiepida"}, "reazionePreventivo deve essere"],
+      [{resistenzaContatto: undefined}, "resistenzaContatto deve essere"],
+      [{argomento: "  "}, "argomento obbligatorio"],
+      [{dubbi: 3}, "dubbi deve essere una stringa"],
+      [{preventivo: "x".repeat(51)}, "preventivo supera 50 caratteri"],
+    ])("should reject %j", (fields, error) => {
+      const result = validateAnalysis({...valid, ...fields});
+      expect(result.valid).toBe(false);
+      expect(result.errors.join("; ")).toContain(error);
+    });
+
+    it("should reject non-object input", () => {
+      expect(validateAnalysis("{}").valid).toBe(false);
+    });
+  });
+
+  it("should name the tenant assistant in the prompt", () => {
+    const prompt = buildAnalysisPrompt({
+      name: "acme",
+      description: "Acme, agenzia di viaggi",
+      widget: {assistantName: "Ada"},
+    }, [
+      {role: "user", content: "Ciao"},
+      {role: "assistant", content: "Benvenuto"},
+    ]);
+
+    expect(prompt).toContain("Ada (chatbot di vendita per Acme, agenzia");
+    expect(prompt).toContain("Utente: Ciao\nAda: Benvenuto");
+  });
+
+  it("should mask personal data the tenant does not share", () => {
+    const conversation = [{
+      role: "user",
+      content: "Sono mario@example.com, tel. 333 123 4567",
+    }];
+    const tenant = {name: "acme", widget: {assistantName: "Ada"}};
+
+    expect(buildAnalysisPrompt(tenant, conversation))
+        .toContain("Utente: Sono [EMAIL], tel. [TELEFONO]");
+    expect(buildAnalysisPrompt({
+      ...tenant,
+      privacy: {sharedLeadFields: ["email"]},
+    }, conversation)).toContain("Sono mario@example.com, tel. [TELEFONO]");
+  });
+
+  it("should map the analysis onto lead record fields", () => {
+    const {analysis} = validateAnalysis(valid);
+    expect(toAnalysisPatch(analysis)).toEqual({
+      noteQualifica: "Ha rifiutato di lasciare il telefono",
+      descrizioneProgetto: "Gestionale per officina",
+      preventivoIndicato: "1.800€",
+      dubbi: "Nessuno emerso",
+      reazionePreventivo: "positiva",
+      resistenzaContatto: "rifiutato",
+    });
+    expect(toAnalysisPatch({...analysis, preventivo: ""}))
+        .not.toHaveProperty("preventivoIndicato");
+  });
+});
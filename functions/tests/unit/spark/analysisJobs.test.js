@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Unit tests for the Spark analysis job queue
+ * @module tests/unit/spark/analysisJobs.test
+ */
+
+process.env.LEAD_STORE = "memory";
+process.env.COST_STORE = "memory";
+process.env.TENANT_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockCreate = jest.fn();
+jest.mock("@anthropic-ai/sdk", () =>
+  jest.fn().mockImplementation(() => ({messages: {create: mockCreate}})));
+
+const {
+  MAX_JOB_ATTEMPTS,
+  getJobId,
+  getBackoffDelay,
+  enqueueAnalysisJob,
+  processAnalysisJob,
+} = require("../../../spark/analysisJobs");
+const {setJobStore} = require("../../../spark/jobStore");
+const {createMemoryJobStore} = require("../../../spark/jobStore/memory");
+const {getLeadStore} = require("../../../spark/leadStore");
+const {resolveTenant} = require("../../../spark/tenants");
+
+const conversation = [
+  {role: "user", content: "Vorrei un gestionale"},
+  {role: "assistant", content: "Di che settore?"},
+];
+
+const analysisResponse = {
+  content: [{
+    type: "tool_use",
+    id: "tu_1",
+    name: "save_analysis",
+    input: {
+      argomento: "Gestionale",
+      dubbi: "Nessuno emerso",
+      reazionePreventivo: "nessuna",
+      resistenzaContatto: "non richiesto",
+      preventivo: "",
+      noteGenerali: "Interessato",
+    },
+  }],
+};
+
+describe("Spark analysis jobs", () => {
+  let store;
+  let tenant;
+  const wait = jest.fn(async () => {});
+
+  beforeEach(async () => {
+    store = createMemoryJobStore();
+    setJobStore(store);
+    getLeadStore().clear();
+    mockCreate.mockReset();
+    wait.mockClear();
+    tenant = await resolveTenant("nexo");
+  });
+
+  afterAll(() => {
+    setJobStore(null);
+  });
+
+  async function enqueue(messageCount = 2) {
+    return enqueueAnalysisJob({
+      tenant,
+      sessionId: "s-1",
+      conversazione: conversation,
+      messageCount,
+      endpoint: "track",
+    });
+  }
+
+  it("should derive the job id from tenant, session and message count", () => {
+    expect(getJobId("nexo", "s-1", 2)).toBe(getJobId("nexo", "s-1", 2));
+    expect(getJobId("nexo", "s-1", 2)).not.toBe(getJobId("nexo", "s-1", 4));
+    expect(getJobId("nexo", "s-1", 2)).not.toBe(getJobId("acme", "s-1", 2));
+  });
+
+  it("should back off exponentially", () => {
+    expect([0, 1, 2].map(getBackoffDelay)).toEqual([1000, 2000, 4000]);
+  });
+
+  it("should not queue the same conversation twice", async () => {
+    expect((await enqueue()).created).toBe(true);
+    expect((await enqueue()).created).toBe(false);
+    expect(store.list()).toHaveLength(1);
+    expect(store.list()[0]).toMatchObject({
+      status: "pending",
+      attempts: 0,
+      maxAttempts: MAX_JOB_ATTEMPTS,
+    });
+  });
+
+  it("should save the analysis and complete the job", async () => {
+    mockCreate.mockResolvedValue(analysisResponse);
+    const {jobId} = await enqueue();
+
+    expect(await processAnalysisJob(jobId, {wait})).toBe("completed");
+    expect(await getLeadStore().get("s-1")).toMatchObject({
+      descrizioneProgetto: "Gestionale",
+      noteQualifica: "Interessato",
+    });
+  });
+
+  it("should not overwrite a lead captured after the job was queued",
+      async () => {
+        const lead = {
+          telefono: "3331234567",
+          descrizioneProgetto: "Gestionale per officina",
+          noteQualifica: "Pronto a partire",
+        };
+        const {jobId} = await enqueue();
+        await getLeadStore().upsert("s-1", lead, {});
+
+        expect(await processAnalysisJob(jobId, {wait})).toBe("completed");
+        expect(mockCreate).not.toHaveBeenCalled();
+        expect(await getLeadStore().get("s-1")).toMatchObject(lead);
+      });
+
+  it("should drop the analysis when the lead arrives during it", async () => {
+    const {jobId} = await enqueue();
+    mockCreate.mockImplementation(async () => {
+      await getLeadStore().upsert("s-1", {email: "mario@example.com",
+        descrizioneProgetto: "Sito vetrina"}, {});
+      return analysisResponse;
+    });
+
+    expect(await processAnalysisJob(jobId, {wait})).toBe("completed");
+    expect(await getLeadStore().get("s-1")).toMatchObject({
+      descrizioneProgetto: "Sito vetrina",
+    });
+    expect(await getLeadStore().get("s-1"))
+        .not.toHaveProperty("noteQualifica");
+  });
+
+  it("should ignore a job that is no longer pending", async () => {
+    mockCreate.mockResolvedValue(analysisResponse);
+    const {jobId} = await enqueue();
+
+    await processAnalysisJob(jobId, {wait});
+    expect(await processAnalysisJob(jobId, {wait})).toBeNull();
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should retry API errors with backoff", async () => {
+    mockCreate
+        .mockRejectedValueOnce(new Error("overloaded"))
+        .mockResolvedValueOnce(analysisResponse);
+    const {jobId} = await enqueue();
+
+    expect(await processAnalysisJob(jobId, {wait})).toBe("completed");
+    expect(wait).toHaveBeenCalledWith(1000);
+    expect(await store.get(jobId)).toMatchObject({
+      status: "completed",
+      attempts: 1,
+    });
+  });
+
+  it("should fail the job after MAX_JOB_ATTEMPTS", async () => {
+    mockCreate.mockRejectedValue(new Error("overloaded"));
+    const {jobId} = await enqueue();
+
+    expect(await processAnalysisJob(jobId, {wait})).toBe("failed");
+    expect(mockCreate).toHaveBeenCalledTimes(MAX_JOB_ATTEMPTS);
+    expect(wait.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+    expect(await store.get(jobId)).toMatchObject({
+      status: "failed",
+      attempts: MAX_JOB_ATTEMPTS,
+      errorMessage: "overloaded",
+    });
+  });
+});
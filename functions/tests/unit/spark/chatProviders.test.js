@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Unit tests for the Spark chat providers and fallback
+ * @module tests/unit/spark/chatProviders.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStream = jest.fn();
+jest.mock("@anthropic-ai/sdk", () =>
+  jest.fn().mockImplementation(() => ({messages: {stream: mockStream}})));
+
+const {
+  OPENAI_CHAT_URL,
+  getChatRoutes,
+  toOpenAIMessages,
+  createOpenAIStream,
+  streamChatRound,
+} = require("../../../spark/chatProviders");
+
+const tenant = {fallback: {provider: "openai", model: "gpt-4o-mini"}};
+
+const routes = [
+  {provider: "anthropic", model: "claude-sonnet-4-6"},
+  {provider: "openai", model: "gpt-4o-mini"},
+];
+
+/**
+ * Fake MessageStream that emits `events` and `text`, then resolves (after
+ * `delayMs`, if given) or rejects.
+ */
+function fakeStream({
+  events = [],
+  text = [],
+  message = null,
+  delayMs = 0,
+  error = null,
+  hang = false,
+} = {}) {
+  const handlers = {};
+  let reject;
+  const stream = {
+    on(event, handler) {
+      (handlers[event] = handlers[event] || []).push(handler);
+      return this;
+    },
+    abort: jest.fn(() => reject(new Error("Request was aborted."))),
+    finalMessage() {
+      return new Promise((resolve, rejectMessage) => {
+        reject = rejectMessage;
+        for (const event of events) {
+          (handlers.streamEvent || []).forEach((handler) => handler(event));
+        }
+        for (const chunk of text) {
+          (handlers.text || []).forEach((handler) => handler(chunk));
+        }
+        if (hang) return;
+        if (error) {
+          rejectMessage(error);
+          return;
+        }
+        const result = message ||
+          {content: [{type: "text", text: text.join("")}]};
+        if (delayMs) setTimeout(() => resolve(result), delayMs);
+        else resolve(result);
+      });
+    },
+  };
+  return stream;
+}
+
+/**
+ * Chat Completions streaming response with the given chunks.
+ */
+function openAIResponse(chunks) {
+  return new Response(chunks
+      .map((chunk) => `data: ${JSON.stringify(chunk)}\n\n`)
+      .join("") + "data: [DONE]\n\n");
+}
+
+describe("Spark chat providers", () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    mockStream.mockReset();
+    process.env.OPENAI_API_KEY = "sk-test";
+    global.fetch = jest.fn();
+  });
+
+  afterAll(() => {
+    delete process.env.OPENAI_API_KEY;
+    global.fetch = originalFetch;
+  });
+
+  describe("getChatRoutes", () => {
+    it("should add the tenant fallback after the chat model", () => {
+      expect(getChatRoutes(tenant, "claude-sonnet-4-6")).toEqual(routes);
+    });
+
+    it("should skip a fallback without its API key or disabled", () => {
+      expect(getChatRoutes({fallback: null}, "claude-sonnet-4-6"))
+          .toHaveLength(1);
+      delete process.env.OPENAI_API_KEY;
+      expect(getChatRoutes(tenant, "claude-sonnet-4-6")).toHaveLength(1);
+    });
+  });
+
+  it("should convert Anthropic messages and tool calls", () => {
+    expect(toOpenAIMessages([
+      {type: "text", text: "Prompt", cache_control: {type: "ephemeral"}},
+      {type: "text", text: "Riassunto"},
+    ], [
+      {role: "user", content: [{type: "text", text: "Ciao"}]},
+      {role: "assistant", content: [
+        {type: "text", text: "Che budget hai?"},
+        {type: "tool_use", id: "tu_1", name: "show_budget_picker", input: {}},
+      ]},
+      {role: "user", content: [{
+        type: "tool_result",
+        tool_use_id: "tu_1",
+        content: "Mostrato all'utente.",
+      }]},
+    ])).toEqual([
+      {role: "system", content: "Prompt\n\nRiassunto"},
+      {role: "user", content: "Ciao"},
+      {
+        role: "assistant",
+        content: "Che budget hai?",
+        tool_calls: [{
+          id: "tu_1",
+          type: "function",
+          function: {name: "show_budget_picker", arguments: "{}"},
+        }],
+      },
+      {role: "tool", tool_call_id: "tu_1", content: "Mostrato all'utente."},
+    ]);
+  });
+
+  it("should stream Chat Completions as an Anthropic message", async () => {
+    global.fetch.mockResolvedValueOnce(openAIResponse([
+      {choices: [{delta: {content: "Certo, "}}]},
+      {choices: [{delta: {content: "lo salvo."}}]},
+      {choices: [{delta: {tool_calls: [{
+        index: 0,
+        id: "call_1",
+        function: {name: "save_lead", arguments: "{\"nome\":"},
+      }]}}]},
+      {choices: [{delta: {tool_calls: [{
+        index: 0,
+        function: {arguments: "\"Mario\"}"},
+      }]}, finish_reason: "tool_calls"}]},
+      {choices: [], usage: {prompt_tokens: 900, completion_tokens: 40}},
+    ]));
+    const onText = jest.fn();
+
+    const stream = createOpenAIStream({
+      model: "gpt-4o-mini",
+      max_tokens: 1500,
+      system: "Prompt",
+      tools: [{name: "save_lead", description: "Salva", input_schema: {}}],
+      messages: [{role: "user", content: "Ciao"}],
+    });
+    stream.on("text", onText);
+
+    expect(await stream.finalMessage()).toEqual({
+      model: "gpt-4o-mini",
+      content: [
+        {type: "text", text: "Certo, lo salvo."},
+        {type: "tool_use", id: "call_1", name: "save_lead",
+          input: {nome: "Mario"}},
+      ],
+      stop_reason: "tool_use",
+      usage: {input_tokens: 900, output_tokens: 40},
+    });
+    expect(onText.mock.calls).toEqual([["Certo, "], ["lo salvo."]]);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe(OPENAI_CHAT_URL);
+    expect(request.headers.Authorization).toBe("Bearer sk-test");
+    expect(JSON.parse(request.body)).toMatchObject({
+      model: "gpt-4o-mini",
+      max_completion_tokens: 1500,
+      stream: true,
+      tools: [{type: "function", function: {name: "save_lead"}}],
+    });
+  });
+
+  it("should reject on an OpenAI error status", async () => {
+    global.fetch.mockResolvedValueOnce(new Response("", {status: 500}));
+
+    await expect(createOpenAIStream({
+      model: "gpt-4o-mini",
+      system: "Prompt",
+      messages: [{role: "user", content: "Ciao"}],
+    }).finalMessage()).rejects.toThrow("OpenAI HTTP 500");
+  });
+
+  describe("streamChatRound", () => {
+    const params = {system: "Prompt", messages: []};
+
+    it("should fall back when the primary fails before the first token",
+        async () => {
+          mockStream.mockReturnValueOnce(fakeStream({
+            error: new Error("overloaded_error"),
+          }));
+          global.fetch.mockResolvedValueOnce(openAIResponse([
+            {choices: [{delta: {content: "Ciao!"}, finish_reason: "stop"}]},
+          ]));
+          const onText = jest.fn();
+
+          const {message, routeIndex} =
+            await streamChatRound({routes, params, onText});
+
+          expect(routeIndex).toBe(1);
+          expect(message.content).toEqual([{type: "text", text: "Ciao!"}]);
+          expect(onText).toHaveBeenCalledWith("Ciao!");
+          expect(mockStream.mock.calls[0][0].model).toBe("claude-sonnet-4-6");
+        });
+
+    it("should fall back when the first token does not arrive in time",
+        async () => {
+          const hanging = fakeStream({hang: true});
+          mockStream.mockReturnValueOnce(hanging);
+          global.fetch.mockResolvedValueOnce(openAIResponse([
+            {choices: [{delta: {content: "Ciao!"}, finish_reason: "stop"}]},
+          ]));
+
+          const {routeIndex} = await streamChatRound({
+            routes,
+            params,
+            onText: jest.fn(),
+            timeoutMs: 10,
+          });
+
+          expect(hanging.abort).toHaveBeenCalledTimes(1);
+          expect(routeIndex).toBe(1);
+        });
+
+    it("should not abort a reply with tool calls only", async () => {
+      const toolUse = {type: "tool_use", id: "t-1", name: "save_lead", input: {}};
+      const streaming = fakeStream({
+        events: [{type: "message_start"}, {type: "content_block_start"}],
+        message: {content: [toolUse], stop_reason: "tool_use"},
+        delayMs: 30,
+      });
+      mockStream.mockReturnValueOnce(streaming);
+
+      const {message, routeIndex} = await streamChatRound({
+        routes,
+        params,
+        onText: jest.fn(),
+        timeoutMs: 10,
+      });
+
+      expect(streaming.abort).not.toHaveBeenCalled();
+      expect(routeIndex).toBe(0);
+      expect(message.content).toEqual([toolUse]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should not fall back once the answer has started", async () => {
+      mockStream.mockReturnValueOnce(fakeStream({
+        text: ["Cia"],
+        error: new Error("connection reset"),
+      }));
+
+      await expect(streamChatRound({routes, params, onText: jest.fn()}))
+          .rejects.toThrow("connection reset");
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should not fall back after a stop", async () => {
+      mockStream.mockReturnValueOnce(fakeStream({
+        error: new Error("Request was aborted."),
+      }));
+
+      await expect(streamChatRound({
+        routes,
+        params,
+        onText: jest.fn(),
+        isStopped: () => true,
+      })).rejects.toThrow("Request was aborted.");
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should start later rounds from the given provider", async () => {
+      global.fetch.mockResolvedValueOnce(openAIResponse([
+        {choices: [{delta: {content: "Ok"}, finish_reason: "stop"}]},
+      ]));
+
+      const {routeIndex} = await streamChatRound({
+        routes,
+        from: 1,
+        params,
+        onText: jest.fn(),
+      });
+
+      expect(routeIndex).toBe(1);
+      expect(mockStream).not.toHaveBeenCalled();
+    });
+  });
+});
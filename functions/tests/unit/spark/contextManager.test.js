@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Unit tests for the Spark long-conversation context
+ * @module tests/unit/spark/contextManager.test
+ */
+
+process.env.CONVERSATION_STORE = "memory";
+process.env.COST_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockCreate = jest.fn();
+jest.mock("@anthropic-ai/sdk", () =>
+  jest.fn().mockImplementation(() => ({messages: {create: mockCreate}})));
+
+const {
+  CONTEXT_MODEL,
+  estimateTokens,
+  planSummary,
+  buildChatContext,
+  validateContextInput,
+  updateChatContext,
+} = require("../../../spark/contextManager");
+const {getConversationStore} = require("../../../spark/conversationStore");
+const {CHAT_LIMITS} = require("../../../spark/chatLimits");
+
+const tenant = {
+  name: "acme",
+  description: "Acme, agenzia web",
+  widget: {assistantName: "Ada"},
+  context: {maxTokens: 10, recentTurns: 2},
+};
+
+function conversation(count, content = "x".repeat(20)) {
+  return Array.from({length: count}, (_, i) =>
+    ({role: i % 2 === 0 ? "user" : "assistant", content}));
+}
+
+function contextResponse(input) {
+  return {
+    content: [{type: "tool_use", id: "tu_1", name: "save_context", input}],
+    usage: {input_tokens: 400, output_tokens: 80},
+  };
+}
+
+describe("Spark conversation context", () => {
+  beforeEach(() => {
+    getConversationStore().clear();
+    mockCreate.mockReset();
+  });
+
+  it("should estimate four characters per token", () => {
+    expect(estimateTokens(conversation(2, "abcdefgh"))).toBe(4);
+  });
+
+  describe("planSummary", () => {
+    const config = {maxTokens: 10, recentTurns: 2};
+
+    it("should keep short conversations verbatim", () => {
+      expect(planSummary(conversation(4, "ciao"), null, config)).toBeNull();
+    });
+
+    it("should fold older turns up to a user message", () => {
+      expect(planSummary(conversation(6), null, config))
+          .toEqual({from: 0, to: 4});
+      expect(planSummary(conversation(7), null, config))
+          .toEqual({from: 0, to: 6});
+    });
+
+    it("should start from the turns already summarized", () => {
+      expect(planSummary(conversation(8), {summarizedTurns: 4}, config))
+          .toEqual({from: 4, to: 6});
+      expect(planSummary(conversation(6), {summarizedTurns: 4}, config))
+          .toBeNull();
+    });
+
+    it("should fold short turns before the chat turn cap", () => {
+      const short = {maxTokens: 3000, recentTurns: 8};
+      const maxTurns = CHAT_LIMITS.maxHistoryTurns - short.recentTurns;
+
+      expect(planSummary(conversation(maxTurns - 1, "ok"), null, short))
+          .toBeNull();
+      expect(planSummary(conversation(maxTurns, "ok"), null, short))
+          .toEqual({from: 0, to: maxTurns - short.recentTurns});
+      expect(planSummary(conversation(maxTurns + 9, "ok"),
+          {summarizedTurns: 10}, short)).toBeNull();
+    });
+  });
+
+  describe("buildChatContext", () => {
+    it("should send every turn without a summary", () => {
+      const turns = conversation(4);
+      expect(buildChatContext(turns, null)).toEqual({turns, system: null});
+    });
+
+    it("should replace summarized turns with the summary and facts", () => {
+      const turns = conversation(6);
+      const {turns: recent, system} = buildChatContext(turns, {
+        summary: "Vuole un e-commerce.",
+        facts: {budget: "5.000€", nomeAzienda: "Rossi Srl"},
+        summarizedTurns: 4,
+      });
+
+      expect(recent).toEqual(turns.slice(4));
+      expect(system).toContain("Riassunto:\nVuole un e-commerce.");
+      expect(system).toContain("- Azienda: Rossi Srl\n- Budget: 5.000€");
+    });
+  });
+
+  describe("validateContextInput", () => {
+    it("should keep known, non-empty facts only", () => {
+      expect(validateContextInput({
+        summary: " Riassunto ",
+        facts: {budget: " 5.000€ ", tempistiche: "", colore: "blu"},
+      })).toEqual({
+        valid: true,
+        errors: [],
+        summary: "Riassunto",
+        facts: {budget: "5.000€"},
+      });
+    });
+
+    it("should require a summary", () => {
+      expect(validateContextInput({summary: " ", facts: {}}).valid)
+          .toBe(false);
+      expect(validateContextInput(null).valid).toBe(false);
+    });
+  });
+
+  describe("updateChatContext", () => {
+    it("should not call the model within the budget", async () => {
+      const context = await updateChatContext({
+        tenant,
+        sessionId: "s-1",
+        turns: conversation(2, "ciao"),
+        context: null,
+      });
+
+      expect(context).toBeNull();
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it("should save the running summary and keep pinned facts", async () => {
+      mockCreate.mockResolvedValueOnce(contextResponse({
+        summary: "Vuole un e-commerce, budget confermato.",
+        facts: {preventivoIndicato: "4.000€"},
+      }));
+
+      const context = await updateChatContext({
+        tenant,
+        sessionId: "s-1",
+        turns: conversation(8),
+        context: {
+          summary: "Vuole un e-commerce.",
+          facts: {budget: "5.000€"},
+          summarizedTurns: 4,
+        },
+      });
+
+      const [request] = mockCreate.mock.calls[0];
+      expect(request.model).toBe(CONTEXT_MODEL);
+      expect(request.tool_choice).toEqual({type: "tool", name: "save_context"});
+      expect(request.messages[0].content).toContain("- Budget: 5.000€");
+      expect(context).toEqual({
+        summary: "Vuole un e-commerce, budget confermato.",
+        facts: {budget: "5.000€", preventivoIndicato: "4.000€"},
+        summarizedTurns: 6,
+        updatedAt: expect.any(String),
+      });
+      expect(await getConversationStore().getContext("s-1")).toEqual(context);
+    });
+
+    it("should keep the previous context when the summary is invalid",
+        async () => {
+          mockCreate.mockResolvedValueOnce(contextResponse({summary: ""}));
+
+          const context = await updateChatContext({
+            tenant,
+            sessionId: "s-1",
+            turns: conversation(6),
+            context: null,
+          });
+
+          expect(context).toBeNull();
+          expect(await getConversationStore().getContext("s-1")).toBeNull();
+        });
+  });
+});
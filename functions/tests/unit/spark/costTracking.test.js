@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Unit tests for Spark cost tracking and spend budget
+ * @module tests/unit/spark/costTracking.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  calculateCost,
+  calculateCacheSavings,
+  getPeriodIds,
+  getBudgetConfig,
+  fromAnthropicUsage,
+  recordUsage,
+  getBudgetStatus,
+  clearBudgetCache,
+} = require("../../../spark/costTracking");
+const {setCostStore} = require("../../../spark/costStore");
+const {createMemoryCostStore} = require("../../../spark/costStore/memory");
+
+describe("Spark cost tracking", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryCostStore();
+    setCostStore(store);
+    clearBudgetCache();
+    delete process.env.SPARK_DAILY_BUDGET_USD;
+    delete process.env.SPARK_MONTHLY_BUDGET_USD;
+  });
+
+  afterAll(() => {
+    setCostStore(null);
+  });
+
+  describe("calculateCost", () => {
+    it("should price known models per 1k tokens", () => {
+      expect(calculateCost("claude-sonnet-4-6", 1000, 1000))
+          .toBeCloseTo(0.018);
+      expect(calculateCost("claude-haiku-4-5-20251001", 1000, 1000))
+          .toBeCloseTo(0.006);
+    });
+
+    it("should use the conservative default for unknown models", () => {
+      expect(calculateCost("modello-sconosciuto", 1000, 1000))
+          .toBeCloseTo(0.09);
+    });
+
+    it("should price prompt cache writes and reads", () => {
+      expect(calculateCost("claude-sonnet-4-6", 0, 0,
+          {cacheWriteTokens: 1000, cacheReadTokens: 1000}))
+          .toBeCloseTo(0.00405);
+    });
+  });
+
+  it("should compute the prompt cache savings", () => {
+    expect(calculateCacheSavings("claude-sonnet-4-6",
+        {cacheReadTokens: 1000})).toBeCloseTo(0.0027);
+    expect(calculateCacheSavings("claude-sonnet-4-6",
+        {cacheWriteTokens: 1000})).toBeCloseTo(-0.00075);
+  });
+
+  it("should derive UTC day and month period ids", () => {
+    expect(getPeriodIds(new Date("2025-01-31T23:30:00Z"))).toEqual({
+      day: "day_2025-01-31",
+      month: "month_2025-01",
+    });
+  });
+
+  it("should treat missing or invalid budgets as unlimited", () => {
+    process.env.SPARK_DAILY_BUDGET_USD = "abc";
+    process.env.SPARK_MONTHLY_BUDGET_USD = "250";
+
+    expect(getBudgetConfig()).toEqual({day: null, month: 250});
+  });
+
+  it("should convert Anthropic usage", () => {
+    expect(fromAnthropicUsage({
+      input_tokens: 10,
+      output_tokens: 5,
+      cache_creation_input_tokens: 300,
+      cache_read_input_tokens: 200,
+    })).toEqual({
+      inputTokens: 10,
+      outputTokens: 5,
+      cacheWriteTokens: 300,
+      cacheReadTokens: 200,
+    });
+    expect(fromAnthropicUsage(undefined)).toEqual({
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheWriteTokens: 0,
+      cacheReadTokens: 0,
+    });
+  });
+
+  describe("recordUsage", () => {
+    it("should accumulate day and month totals per endpoint", async () => {
+      const usage = {inputTokens: 1000, outputTokens: 1000};
+      await recordUsage({endpoint: "chat", model: "claude-sonnet-4-6", usage});
+      await recordUsage({
+        endpoint: "track",
+        model: "claude-haiku-4-5-20251001",
+        usage,
+      });
+
+      const {day, month} = getPeriodIds();
+      for (const periodId of [day, month]) {
+        const totals = await store.get(periodId);
+        expect(totals.calls).toBe(2);
+        expect(totals.inputTokens).toBe(2000);
+        expect(totals.costUsd).toBeCloseTo(0.024);
+        expect(totals.chatCostUsd).toBeCloseTo(0.018);
+        expect(totals.trackCostUsd).toBeCloseTo(0.006);
+      }
+    });
+
+    it("should not throw when the store fails", async () => {
+      setCostStore({
+        get: jest.fn(),
+        increment: jest.fn().mockRejectedValue(new Error("offline")),
+      });
+
+      await expect(recordUsage({
+        endpoint: "chat",
+        model: "claude-sonnet-4-6",
+        usage: {inputTokens: 1000, outputTokens: 0},
+      })).resolves.toBeCloseTo(0.003);
+    });
+  });
+
+  describe("getBudgetStatus", () => {
+    it("should never be exceeded without a budget", async () => {
+      await store.increment(getPeriodIds().day, {costUsd: 1000});
+
+      expect((await getBudgetStatus()).exceeded).toBe(false);
+    });
+
+    it("should report the first exceeded period", async () => {
+      process.env.SPARK_DAILY_BUDGET_USD = "10";
+      process.env.SPARK_MONTHLY_BUDGET_USD = "100";
+      await store.increment(getPeriodIds().month, {costUsd: 120});
+
+      expect(await getBudgetStatus()).toEqual({
+        exceeded: true,
+        period: "month",
+        spentUsd: 120,
+        budgetUsd: 100,
+      });
+    });
+
+    it("should cache the status until cleared", async () => {
+      process.env.SPARK_DAILY_BUDGET_USD = "10";
+      expect((await getBudgetStatus()).exceeded).toBe(false);
+
+      await store.increment(getPeriodIds().day, {costUsd: 10});
+      expect((await getBudgetStatus()).exceeded).toBe(false);
+
+      clearBudgetCache();
+      expect((await getBudgetStatus()).exceeded).toBe(true);
+    });
+
+    it("should fail open when the store cannot be read", async () => {
+      process.env.SPARK_DAILY_BUDGET_USD = "10";
+      setCostStore({
+        get: jest.fn().mockRejectedValue(new Error("offline")),
+        increment: jest.fn(),
+      });
+
+      expect((await getBudgetStatus()).exceeded).toBe(false);
+    });
+  });
+});
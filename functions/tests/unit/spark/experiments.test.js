@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Unit tests for Spark A/B experiments
+ * @module tests/unit/spark/experiments.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  getExperiment,
+  assignVariant,
+  getSessionVariant,
+  getRecordProbability,
+  buildExperimentReport,
+} = require("../../../spark/experiments");
+
+const experiment = {
+  id: "exp-1",
+  variants: [
+    {id: "A", weight: 50},
+    {id: "B", weight: 50, promptVersion: 3, model: "claude-haiku-4-5-20251001"},
+  ],
+};
+
+describe("Spark experiments", () => {
+  describe("getExperiment", () => {
+    it("should normalize variants with default weight", () => {
+      expect(getExperiment({experiment: {id: "e", variants: [{id: "A"}]}}))
+          .toEqual({
+            id: "e",
+            variants: [{id: "A", weight: 1, promptVersion: null, model: null}],
+          });
+    });
+
+    it("should ignore missing or invalid experiments", () => {
+      expect(getExperiment({id: "nexo", experiment: null})).toBeNull();
+      expect(getExperiment({id: "nexo", experiment: {id: "e", variants: []}}))
+          .toBeNull();
+      expect(getExperiment({id: "nexo", experiment: {
+        id: "e",
+        variants: [{id: "A", promptVersion: "tre"}],
+      }})).toBeNull();
+      expect(getExperiment({id: "nexo", experiment: {
+        id: "e",
+        variants: [{id: "A", weight: 0}],
+      }})).toBeNull();
+    });
+  });
+
+  describe("assignVariant", () => {
+    it("should assign a session to the same variant every time", () => {
+      const normalized = getExperiment({experiment});
+      for (let i = 0; i < 20; i++) {
+        expect(assignVariant(normalized, `s-${i}`))
+            .toBe(assignVariant(normalized, `s-${i}`));
+      }
+    });
+
+    it("should split sessions according to the weights", () => {
+      const normalized = getExperiment({experiment: {
+        id: "exp-1",
+        variants: [{id: "A", weight: 3}, {id: "B", weight: 1}],
+      }});
+      const counts = {A: 0, B: 0};
+      for (let i = 0; i < 2000; i++) {
+        counts[assignVariant(normalized, `s-${i}`).id]++;
+      }
+      expect(counts.A / 2000).toBeGreaterThan(0.7);
+      expect(counts.A / 2000).toBeLessThan(0.8);
+    });
+
+    it("should never assign a variant with zero weight", () => {
+      const normalized = getExperiment({experiment: {
+        id: "exp-1",
+        variants: [{id: "A", weight: 0}, {id: "B", weight: 1}],
+      }});
+      for (let i = 0; i < 100; i++) {
+        expect(assignVariant(normalized, `s-${i}`).id).toBe("B");
+      }
+    });
+  });
+
+  it("should describe the session variant for the tenant", () => {
+    const variant = getSessionVariant({experiment}, "s-1");
+    expect(variant.experimentId).toBe("exp-1");
+    expect(["A", "B"]).toContain(variant.variantId);
+    expect(getSessionVariant({experiment: null}, "s-1")).toBeNull();
+  });
+
+  it("should read the probability from the field or the scoring label", () => {
+    expect(getRecordProbability({probabilitaChiusura: 40})).toBe(40);
+    expect(getRecordProbability({scoring: "🟢 65%"})).toBe(65);
+    expect(getRecordProbability({scoring: "⚪ No lead"})).toBeNull();
+  });
+
+  describe("buildExperimentReport", () => {
+    it("should aggregate metrics per variant", () => {
+      const records = [
+        {experimentId: "exp-1", variantId: "A", telefono: "",
+          scoring: "⚪ No lead", messageCount: "4"},
+        {experimentId: "exp-1", variantId: "A", telefono: "333",
+          scoring: "🟢 80%", messageCount: "10"},
+        {experimentId: "exp-1", variantId: "B", telefono: "",
+          scoring: "⚪ No lead", messageCount: 6},
+        {experimentId: "exp-0", variantId: "B", telefono: "333"},
+      ];
+
+      expect(buildExperimentReport("exp-1", records,
+          getExperiment({experiment}))).toEqual({
+        experimentId: "exp-1",
+        active: true,
+        variants: [
+          {
+            variantId: "A",
+            sessions: 2,
+            leads: 1,
+            conversionRate: 0.5,
+            avgProbabilitaChiusura: 80,
+            avgMessageCount: 7,
+          },
+          {
+            variantId: "B",
+            sessions: 1,
+            leads: 0,
+            conversionRate: 0,
+            avgProbabilitaChiusura: null,
+            avgMessageCount: 6,
+          },
+        ],
+      });
+    });
+
+    it("should list configured variants without sessions", () => {
+      const report = buildExperimentReport("exp-1", [],
+          getExperiment({experiment}));
+      expect(report.variants.map((v) => v.sessions)).toEqual([0, 0]);
+      expect(report.variants[0].conversionRate).toBeNull();
+    });
+  });
+});
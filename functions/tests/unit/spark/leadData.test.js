@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Unit tests for lead validation and the save_lead tool
+ * @module tests/unit/spark/leadData.test
+ */
+
+const {
+  SAVE_LEAD_TOOL,
+  validateLeadData,
+  validateContactData,
+  withSavedContact,
+  scoringLabel,
+} = require("../../../spark/leadData");
+
+const validLead = {
+  nome: "Mario Rossi",
+  email: "mario@example.com",
+  telefono: "+39 333 123.4567",
+  nomeAzienda: "Officina Rossi",
+  descrizioneProgetto: "Gestionale per officina",
+  preventivoIndicato: "2.000€",
+  probabilitaChiusura: 70,
+  noteQualifica: "Budget allineato",
+};
+
+describe("Spark lead data", () => {
+  describe("SAVE_LEAD_TOOL", () => {
+    it("should leave telefono optional for the contact form", () => {
+      expect(SAVE_LEAD_TOOL.name).toBe("save_lead");
+      expect(SAVE_LEAD_TOOL.input_schema.required).toEqual(
+          expect.arrayContaining(["descrizioneProgetto"]));
+      expect(SAVE_LEAD_TOOL.input_schema.required).not.toContain("telefono");
+    });
+
+    it("should describe every validated field", () => {
+      const {lead} = validateLeadData(validLead);
+      expect(Object.keys(SAVE_LEAD_TOOL.input_schema.properties).sort())
+          .toEqual(Object.keys(lead).sort());
+    });
+  });
+
+  describe("validateLeadData", () => {
+    it("should accept and normalize a valid lead", () => {
+      const {valid, errors, lead} = validateLeadData(validLead);
+
+      expect(errors).toEqual([]);
+      expect(valid).toBe(true);
+      expect(lead.telefono).toBe("+393331234567");
+      expect(lead.probabilitaChiusura).toBe(70);
+    });
+
+    it("should require telefono and descrizioneProgetto", () => {
+      const {valid, errors} = validateLeadData({nome: "Mario"});
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        "telefono obbligatorio",
+        "descrizioneProgetto obbligatoria",
+      ]));
+    });
+
+    it.each([
+      [{telefono: "chiamami"}, "telefono non valido"],
+      [{telefono: "12345"}, "telefono non valido"],
+      [{email: "mario@"}, "email non valida"],
+      [{probabilitaChiusura: 120},
+        "probabilitaChiusura deve essere un numero tra 0 e 100"],
+      [{probabilitaChiusura: "alta"},
+        "probabilitaChiusura deve essere un numero tra 0 e 100"],
+      [{nome: {first: "Mario"}}, "nome deve essere una stringa"],
+    ])("should reject %j", (override, error) => {
+      const {valid, errors} = validateLeadData({...validLead, ...override});
+
+      expect(valid).toBe(false);
+      expect(errors).toContain(error);
+    });
+
+    it("should reject non-object payloads", () => {
+      expect(validateLeadData([validLead]).valid).toBe(false);
+      expect(validateLeadData(null).valid).toBe(false);
+    });
+  });
+
+  describe("contact form", () => {
+    it("should validate and normalize the contact fields", () => {
+      expect(validateContactData({
+        nome: " Mario ",
+        telefono: "333 123 4567",
+        descrizioneProgetto: "ignorata",
+      })).toEqual({
+        valid: true,
+        errors: [],
+        contact: {nome: "Mario", telefono: "3331234567", email: ""},
+      });
+    });
+
+    it("should require a valid phone number", () => {
+      expect(validateContactData({nome: "Mario"}).errors)
+          .toEqual(["telefono obbligatorio"]);
+      expect(validateContactData({telefono: "333", email: "x@"}).errors)
+          .toEqual(["telefono non valido", "email non valida"]);
+      expect(validateContactData("3331234567").valid).toBe(false);
+    });
+
+    it("should fill only the contact fields the model left out", () => {
+      const saved = {nome: "Mario", telefono: "3331234567", email: ""};
+
+      expect(withSavedContact({nome: "Mario Rossi", probabilitaChiusura: 50},
+          saved)).toEqual({
+        nome: "Mario Rossi",
+        telefono: "3331234567",
+        probabilitaChiusura: 50,
+      });
+      expect(withSavedContact({nome: "Anna"}, null)).toEqual({nome: "Anna"});
+    });
+  });
+
+  describe("scoringLabel", () => {
+    it("should color by closing probability", () => {
+      expect(scoringLabel(75)).toBe("🟢 75%");
+      expect(scoringLabel(30)).toBe("🟠 30%");
+      expect(scoringLabel(0)).toBe("🔴 0%");
+    });
+  });
+});
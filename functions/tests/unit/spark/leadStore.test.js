@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Unit tests for the Spark lead store adapters
+ * @module tests/unit/spark/leadStore.test
+ */
+
+// Sheets upserts serialize on the per-instance queue only: no Firestore lease
+process.env.LEAD_LOCK_STRATEGY = "memory";
+
+const {
+  createLeadStore,
+  getLeadStoreType,
+  upsertLead,
+} = require("../../../spark/leadStore");
+const {createSheetsLeadStore} = require("../../../spark/leadStore/sheets");
+const {createFirestoreLeadStore} =
+  require("../../../spark/leadStore/firestore");
+
+/**
+ * Minimal in-memory stand-in for the googleapis Sheets client. Every call
+ * yields to the event loop first, so concurrent upserts interleave like
+ * real network requests.
+ */
+function createFakeSheets(rows = []) {
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const values = {
+    get: jest.fn(async ({range}) => {
+      await tick();
+      if (range === "K:K") {
+        return {data: {values: rows.map((row) => [row[10] || ""])}};
+      }
+      if (range === "A:T") {
+        return {data: {values: rows}};
+      }
+      const cell = range.match(/^K(\d+)$/);
+      if (cell) {
+        return {data: {values: [[(rows[cell[1] - 1] || [])[10] || ""]]}};
+      }
+      const rowNum = Number(range.match(/^A(\d+):/)[1]);
+      return {data: {values: [rows[rowNum - 1]]}};
+    }),
+    append: jest.fn(async ({requestBody}) => {
+      await tick();
+      rows.push(...requestBody.values);
+      return {data: {updates: {updatedRange: `Foglio1!A${rows.length}:T${rows.length}`}}};
+    }),
+    batchUpdate: jest.fn(async ({requestBody}) => {
+      await tick();
+      for (const {range, values: cell} of requestBody.data) {
+        const [, col, rowNum] = range.match(/^([A-Z])(\d+)$/);
+        rows[Number(rowNum) - 1][col.charCodeAt(0) - 65] = cell[0][0];
+      }
+    }),
+    batchClear: jest.fn(async ({requestBody}) => {
+      await tick();
+      for (const range of requestBody.ranges) {
+        const rowNum = Number(range.match(/^A(\d+):/)[1]);
+        rows[rowNum - 1] = rows[rowNum - 1].map(() => "");
+      }
+    }),
+  };
+  return {rows, client: {spreadsheets: {values}}};
+}
+
+/**
+ * Minimal Firestore stand-in for one collection: document refs, equality
+ * queries, transactions and batches.
+ */
+function createFakeFirestore() {
+  const docs = new Map();
+  const snapshot = (ref) => ({
+    ref,
+    exists: docs.has(ref.id),
+    data: () => ({...docs.get(ref.id)}),
+  });
+  const docRef = (id) => ({
+    id,
+    path: `leads/${id}`,
+    get: async () => snapshot(docRef(id)),
+    set: async (data) => docs.set(id, {...data}),
+    update: async (data) => docs.set(id, {...docs.get(id), ...data}),
+  });
+  const collection = {
+    doc: (id) => docRef(id),
+    where: (field, op, value) => ({
+      get: async () => ({
+        docs: Array.from(docs.keys())
+            .filter((id) => docs.get(id)[field] === value)
+            .map((id) => snapshot(docRef(id))),
+      }),
+    }),
+  };
+  return {
+    docs,
+    collection: () => collection,
+    runTransaction: (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+      update: (ref, data) => ref.update(data),
+    }),
+    batch() {
+      const writes = [];
+      return {
+        delete: (ref) => writes.push(() => docs.delete(ref.id)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        commit: async () => writes.forEach((write) => write()),
+      };
+    },
+  };
+}
+
+describe("Spark lead store", () => {
+  const originalEnv = process.env.LEAD_STORE;
+
+  afterEach(() => {
+    if (originalEnv === undefined) delete process.env.LEAD_STORE;
+    else process.env.LEAD_STORE = originalEnv;
+  });
+
+  describe("getLeadStoreType", () => {
+    it("should default to sheets", () => {
+      delete process.env.LEAD_STORE;
+      expect(getLeadStoreType()).toBe("sheets");
+    });
+
+    it("should read LEAD_STORE case-insensitively", () => {
+      process.env.LEAD_STORE = "Firestore";
+      expect(getLeadStoreType()).toBe("firestore");
+    });
+
+    it("should fall back to sheets for unknown values", () => {
+      process.env.LEAD_STORE = "redis";
+      expect(getLeadStoreType()).toBe("sheets");
+    });
+  });
+
+  describe("upsertLead (memory adapter)", () => {
+    let store;
+
+    beforeEach(() => {
+      store = createLeadStore("memory");
+    });
+
+    it("should create a full record with defaults when missing", async () => {
+      const result = await upsertLead(store, "s-1",
+          {conversazione: "Utente: ciao"}, {scoring: "⚪ No lead"});
+
+      expect(result).toEqual({created: true});
+      const lead = await store.get("s-1");
+      expect(lead).toMatchObject({
+        sessionId: "s-1",
+        scoring: "⚪ No lead",
+        conversazione: "Utente: ciao",
+        telefono: "",
+      });
+      expect(lead.data).toEqual(expect.any(String));
+    });
+
+    it("should only apply the patch to an existing record", async () => {
+      await upsertLead(store, "s-1", {telefono: "3331234567"});
+      const result = await upsertLead(store, "s-1",
+          {conversazione: "nuova"}, {scoring: "⚪ No lead"});
+
+      expect(result).toEqual({created: false});
+      expect(await store.get("s-1")).toMatchObject({
+        telefono: "3331234567",
+        conversazione: "nuova",
+        scoring: "",
+      });
+    });
+
+    it("should always create a record without sessionId", async () => {
+      await upsertLead(store, "", {telefono: "1"});
+      await upsertLead(store, undefined, {telefono: "2"});
+
+      expect(store.list()).toHaveLength(2);
+    });
+
+    it("should report missing records on update", async () => {
+      expect(await store.update("missing", {nome: "Mario"})).toBe(false);
+    });
+  });
+
+  describe("firestore adapter", () => {
+    it("should find and remove a person by email in any case", async () => {
+      const db = createFakeFirestore();
+      const store = createFirestoreLeadStore({db});
+      await store.create({sessionId: "s-1", email: "Mario@Example.com"});
+      await upsertLead(store, "s-2", {email: " MARIO@example.com"});
+      await store.create({sessionId: "s-3", email: "luigi@example.com"});
+      // Saved before emailNormalized existed
+      db.docs.set("s-4", {sessionId: "s-4", email: "mario@example.com"});
+
+      const found = await store.find({email: "mario@example.com"});
+
+      expect(found.map((lead) => lead.sessionId).sort())
+          .toEqual(["s-1", "s-2", "s-4"]);
+      expect(found.find((lead) => lead.sessionId === "s-1"))
+          .toEqual(expect.objectContaining({email: "Mario@Example.com"}));
+      expect(found[0]).not.toHaveProperty("emailNormalized");
+      expect(await store.remove({email: "mario@example.com"})).toBe(3);
+      expect(Array.from(db.docs.keys())).toEqual(["s-3"]);
+    });
+  });
+
+  describe("sheets adapter", () => {
+    it("should append a row in column order A–T", async () => {
+      const {rows, client} = createFakeSheets();
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      await upsertLead(store, "s-1", {
+        data: "2025-01-01T00:00:00.000Z",
+        nome: "Mario",
+        telefono: "333",
+        trafficSource: "Google Ads",
+        probabilitaChiusura: 70,
+      });
+
+      expect(rows).toEqual([[
+        "2025-01-01T00:00:00.000Z", "", "", "Mario", "333", "", "", "",
+        "", "", "s-1", "Google Ads", "", "", "", "",
+        "", "", "", "",
+      ]]);
+    });
+
+    it("should update only the patched cells of the matching row", async () => {
+      const existing = Array(20).fill("");
+      existing[3] = "Mario";
+      existing[10] = "s-1";
+      const {rows, client} = createFakeSheets([["header"], existing]);
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      const updated = await store.update("s-1", {
+        conversazione: "Utente: ciao",
+        preventivoIndicato: "1.800€",
+      });
+
+      expect(updated).toBe(true);
+      const {data} = client.spreadsheets.values.batchUpdate.mock.calls[0][0]
+          .requestBody;
+      expect(data.map((d) => d.range)).toEqual(["H2", "J2"]);
+      expect(rows[1][3]).toBe("Mario");
+      expect(rows[1][9]).toBe("Utente: ciao");
+    });
+
+    it("should read a row back as a record", async () => {
+      const existing = Array(20).fill("");
+      existing[4] = "333";
+      existing[10] = "s-1";
+      const {client} = createFakeSheets([existing]);
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      expect(await store.get("s-1")).toMatchObject({
+        telefono: "333",
+        sessionId: "s-1",
+      });
+      expect(await store.get("missing")).toBeNull();
+    });
+
+    it("should merge interleaved upserts for one session into one row",
+        async () => {
+          const {rows, client} = createFakeSheets([["header"]]);
+          const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+          const results = await Promise.all([
+            upsertLead(store, "s-1", {conversazione: "Utente: ciao"},
+                {scoring: "⚪ No lead"}),
+            upsertLead(store, "s-1", {telefono: "333", nome: "Mario"}),
+            upsertLead(store, "s-1", {trafficSource: "Google Ads"}),
+          ]);
+
+          expect(results.filter((r) => r.created)).toHaveLength(1);
+          expect(rows).toHaveLength(2);
+          expect(await store.get("s-1")).toMatchObject({
+            scoring: "⚪ No lead",
+            conversazione: "Utente: ciao",
+            telefono: "333",
+            nome: "Mario",
+            trafficSource: "Google Ads",
+          });
+        });
+
+    it("should reuse the row index and rebuild it when rows move",
+        async () => {
+          const {rows, client} = createFakeSheets([["header"]]);
+          const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+          await upsertLead(store, "s-1", {nome: "Mario"});
+          await upsertLead(store, "s-2", {nome: "Anna"});
+          const {get} = client.spreadsheets.values;
+
+          get.mockClear();
+          await upsertLead(store, "s-1", {telefono: "333"});
+          expect(get.mock.calls.map(([args]) => args.range)).toEqual(["K2"]);
+
+          // Someone sorts the sheet by hand
+          [rows[1], rows[2]] = [rows[2], rows[1]];
+          get.mockClear();
+          await upsertLead(store, "s-1", {email: "mario@example.com"});
+          expect(get.mock.calls.map(([args]) => args.range))
+              .toEqual(["K2", "K:K"]);
+          expect(rows[2]).toEqual(expect.arrayContaining(
+              ["Mario", "333", "mario@example.com", "s-1"]));
+          expect(rows[1]).not.toContain("mario@example.com");
+        });
+
+    it("should list the rows of an experiment", async () => {
+      const inExperiment = Array(20).fill("");
+      inExperiment[10] = "s-1";
+      inExperiment[13] = "exp-1";
+      inExperiment[14] = "B";
+      const other = Array(20).fill("");
+      other[10] = "s-2";
+      const {client} = createFakeSheets([["header"], inExperiment, other]);
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      const records = await store.listByExperiment("exp-1");
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({sessionId: "s-1", variantId: "B"});
+    });
+
+    /**
+     * Lead row with date, phone, email, transcript and sessionId.
+     */
+    function leadRow(sessionId, {data = "", telefono = "", email = ""} = {}) {
+      const row = Array(20).fill("");
+      row[0] = data;
+      row[4] = telefono;
+      row[5] = email;
+      row[9] = "Utente: ciao";
+      row[10] = sessionId;
+      return row;
+    }
+
+    it("should find and clear the rows of a person", async () => {
+      const {rows, client} = createFakeSheets([
+        ["header"],
+        leadRow("s-1", {email: "Mario@Example.com"}),
+        leadRow("s-2", {telefono: "333 123 4567"}),
+        leadRow("s-3", {telefono: "3339999999"}),
+      ]);
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      const found = await store.find({email: "mario@example.com"});
+      expect(found.map((lead) => lead.sessionId)).toEqual(["s-1"]);
+
+      expect(await store.remove({telefono: "3331234567"})).toBe(1);
+      expect(rows[2].every((cell) => cell === "")).toBe(true);
+      expect(rows).toHaveLength(4);
+      expect(await store.get("s-2")).toBeNull();
+      expect(await store.get("s-3")).toMatchObject({telefono: "3339999999"});
+    });
+
+    it("should purge transcripts older than the cutoff", async () => {
+      // 45658 is the serial number of 2025-01-01
+      const {rows, client} = createFakeSheets([
+        leadRow("s-1", {data: 45658}),
+        leadRow("s-2", {data: "2025-06-01T00:00:00.000Z"}),
+      ]);
+      const store = createSheetsLeadStore({sheets: client, sheetId: "sheet"});
+
+      expect(await store.purgeTranscripts(new Date("2025-03-01"))).toBe(1);
+      expect(client.spreadsheets.values.get.mock.calls[0][0])
+          .toMatchObject({valueRenderOption: "UNFORMATTED_VALUE"});
+      expect(rows[0][9]).toBe("");
+      expect(rows[0][10]).toBe("s-1");
+      expect(rows[1][9]).toBe("Utente: ciao");
+    });
+  });
+});
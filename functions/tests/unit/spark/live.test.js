@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Unit tests for the Spark live operator mode
+ * @module tests/unit/spark/live.test
+ */
+
+process.env.CONVERSATION_STORE = "memory";
+process.env.STREAM_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  listLiveSessions,
+  takeOverSession,
+  releaseSession,
+  sendOperatorMessage,
+  waitForTurns,
+  getPartialReply,
+  parseCursor,
+} = require("../../../spark/live");
+const {getStreamStore} = require("../../../spark/streamStore");
+const {
+  getConversationStore,
+  toAnthropicMessages,
+} = require("../../../spark/conversationStore");
+
+const acme = {id: "acme"};
+
+function turn(role, content) {
+  return {role, content, createdAt: new Date().toISOString()};
+}
+
+describe("Spark live operator mode", () => {
+  let store;
+
+  beforeEach(async () => {
+    store = getConversationStore();
+    store.clear();
+    getStreamStore().clear();
+    await store.appendTurns("s-1", [turn("user", "Ciao")], {tenantId: "acme"});
+  });
+
+  it("should list the recent sessions of the tenant only", async () => {
+    await store.appendTurns("s-2", [turn("user", "Hi")], {tenantId: "other"});
+    await store.appendTurns("s-3", [turn("user", "Ehi")], {tenantId: "acme"});
+    store.setUpdatedAt("s-3", new Date(Date.now() - 31 * 60 * 1000));
+
+    expect(await listLiveSessions(acme)).toEqual([{
+      sessionId: "s-1",
+      tenantId: "acme",
+      turnCount: 1,
+      updatedAt: expect.any(String),
+      handoff: null,
+    }]);
+  });
+
+  it("should give a session to one operator at a time", async () => {
+    expect(await takeOverSession("s-1", "giulia")).toMatchObject({
+      taken: true,
+      handoff: {operator: "giulia", startedAt: expect.any(String)},
+    });
+    expect((await takeOverSession("s-1", "marco")).taken).toBe(false);
+    expect(await sendOperatorMessage("s-1", "marco", "Salve"))
+        .toMatchObject({sent: false, status: 409});
+    expect(await sendOperatorMessage("s-1", "giulia", "  "))
+        .toMatchObject({sent: false, status: 400});
+
+    expect(await sendOperatorMessage("s-1", "giulia", " Salve! ")).toEqual({
+      sent: true,
+    });
+    expect((await store.getTurns("s-1"))[1]).toMatchObject({
+      role: "operator",
+      content: "Salve!",
+      operator: "giulia",
+    });
+
+    await releaseSession("s-1");
+    expect(await store.getHandoff("s-1")).toBeNull();
+    expect((await takeOverSession("s-1", "marco")).taken).toBe(true);
+  });
+
+  it("should long-poll until a matching turn arrives", async () => {
+    const isOperator = (t) => t.role === "operator";
+    expect(await waitForTurns("s-1")).toEqual({
+      turns: [],
+      cursor: 1,
+      handoff: null,
+    });
+
+    await takeOverSession("s-1", "giulia");
+    const wait = jest.fn(async () => {
+      if (wait.mock.calls.length === 1) {
+        await store.appendTurns("s-1", [turn("user", "C'è qualcuno?")]);
+      } else {
+        await sendOperatorMessage("s-1", "giulia", "Eccomi");
+      }
+    });
+
+    const result = await waitForTurns("s-1", 1, {filter: isOperator, wait});
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({
+      turns: [{role: "operator", content: "Eccomi"}],
+      cursor: 3,
+      handoff: {operator: "giulia"},
+    });
+  });
+
+  it("should answer with the skipped cursor on timeout", async () => {
+    await store.appendTurns("s-1", [turn("assistant", "Piacere")]);
+
+    expect(await waitForTurns("s-1", 1, {
+      filter: (t) => t.role === "operator",
+      timeoutMs: 0,
+    })).toEqual({turns: [], cursor: 2, handoff: null});
+  });
+
+  it("should answer at once when no operator has the session", async () => {
+    const wait = jest.fn();
+
+    expect(await waitForTurns("s-1", 1, {
+      filter: (t) => t.role === "operator",
+      handoffOnly: true,
+      wait,
+    })).toEqual({turns: [], cursor: 1, handoff: null});
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it("should show the reply being streamed to the console", async () => {
+    const streams = getStreamStore();
+    await streams.start("s-1", {streamId: "st-1", tenantId: "acme"});
+    await streams.append("s-1", "st-1", [
+      {seq: 1, event: {type: "text", content: "Certo, "}},
+      {seq: 2, event: {type: "quick_replies", options: ["Sì"]}},
+      {seq: 3, event: {type: "text", content: "ecco"}},
+    ]);
+
+    expect(await getPartialReply("s-1")).toEqual({
+      streamId: "st-1",
+      content: "Certo, ecco",
+      updatedAt: expect.any(String),
+    });
+    expect(await getPartialReply("s-2")).toBeNull();
+
+    const wait = jest.fn();
+    const result = await waitForTurns("s-1", 1, {partialLength: 0, wait});
+    expect(wait).not.toHaveBeenCalled();
+    expect(result).toMatchObject({turns: [], partial: {content: "Certo, ecco"}});
+
+    // The console already has this text: wait for more
+    wait.mockImplementationOnce(async () => {
+      await streams.append("s-1", "st-1",
+          [{seq: 4, event: {type: "text", content: "!"}}]);
+    });
+    expect((await waitForTurns("s-1", 1, {partialLength: 11, wait})).partial)
+        .toMatchObject({content: "Certo, ecco!"});
+    expect(wait).toHaveBeenCalledTimes(1);
+
+    await streams.append("s-1", "st-1", [], {done: true});
+    expect(await getPartialReply("s-1")).toBeNull();
+  });
+
+  it("should parse the cursor from the query string", () => {
+    expect(parseCursor(undefined)).toBeUndefined();
+    expect(parseCursor("3")).toBe(3);
+    expect(parseCursor("-1")).toBeNull();
+    expect(parseCursor("x")).toBeNull();
+  });
+
+  it("should send operator turns to the model as assistant turns", () => {
+    expect(toAnthropicMessages([
+      turn("user", "Ciao"),
+      turn("assistant", "Piacere"),
+      turn("user", "Un operatore?"),
+      turn("operator", "Eccomi"),
+      turn("user", "Grazie"),
+      turn("user", "Ancora una cosa"),
+    ])).toEqual([
+      {role: "user", content: "Ciao"},
+      {role: "assistant", content: "Piacere"},
+      {role: "user", content: "Un operatore?"},
+      {role: "assistant", content: "Eccomi"},
+      {role: "user", content: "Grazie\n\nAncora una cosa"},
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Unit tests for Spark chat languages
+ * @module tests/unit/spark/locales.test
+ */
+
+const {
+  normalizeLocale,
+  getTenantLocales,
+  resolveLocale,
+  getRequestLocale,
+  localizePrompt,
+} = require("../../../spark/locales");
+
+const tenant = {
+  id: "acme",
+  language: "it",
+  locales: {
+    en: {welcomeMessage: "Hi!"},
+    de: {systemPrompt: "Du bist Ada."},
+  },
+};
+
+describe("Spark locales", () => {
+  describe("normalizeLocale", () => {
+    it("should keep the language of a browser tag", () => {
+      expect(normalizeLocale("en-US")).toBe("en");
+      expect(normalizeLocale("pt_BR")).toBe("pt");
+      expect(normalizeLocale(" IT ")).toBe("it");
+    });
+
+    it("should reject invalid values", () => {
+      expect(normalizeLocale("english")).toBe("");
+      expect(normalizeLocale("e")).toBe("");
+      expect(normalizeLocale(undefined)).toBe("");
+    });
+  });
+
+  describe("resolveLocale", () => {
+    it("should list the default language first", () => {
+      expect(getTenantLocales(tenant)).toEqual(["it", "en", "de"]);
+      expect(getTenantLocales({language: "it"})).toEqual(["it"]);
+    });
+
+    it("should use a supported language and fall back otherwise", () => {
+      expect(resolveLocale(tenant, "en-GB")).toBe("en");
+      expect(resolveLocale(tenant, "fr")).toBe("it");
+      expect(resolveLocale(tenant, "")).toBe("it");
+    });
+
+    it("should read the language from the query string", () => {
+      expect(getRequestLocale({query: {locale: "de-AT"}}, tenant)).toBe("de");
+      expect(getRequestLocale({query: {}}, tenant)).toBe("it");
+    });
+  });
+
+  describe("localizePrompt", () => {
+    const prompt = {content: "Sei Ada.", version: 3};
+
+    it("should keep the prompt in the default language", () => {
+      expect(localizePrompt(tenant, prompt, "it")).toBe(prompt);
+    });
+
+    it("should append the language rule to the tenant prompt", () => {
+      const localized = localizePrompt(tenant, prompt, "en");
+
+      expect(localized.version).toBe(3);
+      expect(localized.content).toMatch(/^Sei Ada\./);
+      expect(localized.content).toContain("Rispondi SOLO in inglese.");
+    });
+
+    it("should prefer the prompt configured for the language", () => {
+      expect(localizePrompt(tenant, prompt, "de"))
+          .toEqual({content: "Du bist Ada.", version: null});
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Unit tests for the Spark lead notifications
+ * @module tests/unit/spark/notifications.test
+ *
+ * @description
+ * HTTP channels are delivered to a local stub server, so the requests
+ * each channel sends can be inspected.
+ */
+
+process.env.TENANT_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const http = require("http");
+const {
+  getNotificationConfig,
+  getLeadEvent,
+  selectChannels,
+  notifyLead,
+  processDelivery,
+} = require("../../../spark/notifications");
+const {signWebhook, formatSubject} =
+  require("../../../spark/notifications/channels");
+const {setDeliveryStore} = require("../../../spark/deliveryStore");
+const {createMemoryDeliveryStore} =
+  require("../../../spark/deliveryStore/memory");
+const {getTenantStore} = require("../../../spark/tenantStore");
+const {resolveTenant, clearTenantCache} = require("../../../spark/tenants");
+
+const record = {
+  nome: "Mario",
+  telefono: "3331234567",
+  email: "mario@example.com",
+  nomeAzienda: "Officina Rossi",
+  descrizioneProgetto: "Gestionale",
+  probabilitaChiusura: 70,
+  scoring: "🟢 70%",
+};
+
+/**
+ * Local HTTP server answering with the queued statuses (200 when empty)
+ * and recording every request.
+ */
+function startStub() {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => body += chunk);
+    req.on("end", () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+        json: body ? JSON.parse(body) : null,
+      });
+      res.writeHead(statuses.shift() || 200,
+          {"Content-Type": "application/json"});
+      res.end(JSON.stringify({ok: true, data: {id: 42}}));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        requests,
+        statuses,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+describe("Spark lead notifications", () => {
+  it("should notify new leads and probability changes only", () => {
+    expect(getLeadEvent(null, record)).toBe("lead.created");
+    expect(getLeadEvent({scoring: "⚪ No lead", telefono: ""}, record))
+        .toBe("lead.created");
+    expect(getLeadEvent({telefono: "333", scoring: "🟡 Contatti inviati"},
+        record)).toBe("lead.created");
+    expect(getLeadEvent({telefono: "333", scoring: "🟠 40%"}, record))
+        .toBe("lead.score_changed");
+    expect(getLeadEvent({telefono: "333", scoring: "🟢 70%"}, record))
+        .toBeNull();
+    expect(getLeadEvent(null, {...record, telefono: ""})).toBeNull();
+  });
+
+  describe("routing", () => {
+    const tenant = {
+      id: "acme",
+      notifications: {
+        channels: [
+          {id: "slack", type: "slack", url: "http://slack"},
+          {id: "vendite", type: "email", to: ["vendite@acme.it"]},
+          {id: "crm", type: "hubspot", token: "t"},
+          {id: "fax", type: "fax"},
+        ],
+        rules: [
+          {minProbabilita: 60, channels: ["slack", "vendite"]},
+          {events: ["lead.created"], channels: ["crm"]},
+        ],
+      },
+    };
+
+    it("should ignore channels of unknown type", () => {
+      expect(getNotificationConfig(tenant).channels.map((c) => c.id))
+          .toEqual(["slack", "vendite", "crm"]);
+      expect(getNotificationConfig({id: "nexo", notifications: null}))
+          .toBeNull();
+    });
+
+    it("should select channels by event and probability", () => {
+      const config = getNotificationConfig(tenant);
+      const ids = (event, probabilita) =>
+        selectChannels(config, event, probabilita).map((c) => c.id);
+
+      expect(ids("lead.created", 70)).toEqual(["slack", "vendite", "crm"]);
+      expect(ids("lead.created", 40)).toEqual(["crm"]);
+      expect(ids("lead.score_changed", 60)).toEqual(["slack", "vendite"]);
+      expect(ids("lead.score_changed", 59)).toEqual([]);
+    });
+
+    it("should send every event to every channel without rules", () => {
+      const config = getNotificationConfig({
+        id: "acme",
+        notifications: {channels: tenant.notifications.channels},
+      });
+      expect(selectChannels(config, "lead.score_changed", 10))
+          .toHaveLength(3);
+    });
+
+    it("should describe the event in the subject", () => {
+      expect(formatSubject({
+        event: "lead.score_changed",
+        tenantName: "Acme",
+        previousProbabilitaChiusura: 40,
+        lead: record,
+      })).toBe("🟢 Lead aggiornato Acme: Mario (40% → 70%)");
+    });
+  });
+
+  describe("deliveries", () => {
+    let stub;
+    let store;
+    let tenant;
+    const wait = jest.fn(async () => {});
+
+    async function configure(channels, rules) {
+      await getTenantStore().save("nexo", {notifications: {channels, rules}});
+      clearTenantCache();
+      tenant = await resolveTenant("nexo");
+    }
+
+    async function deliverAll() {
+      const results = [];
+      for (const {deliveryId} of store.list()) {
+        results.push(await processDelivery(deliveryId, {wait}));
+      }
+      return results;
+    }
+
+    beforeEach(async () => {
+      stub = await startStub();
+      store = createMemoryDeliveryStore();
+      setDeliveryStore(store);
+      getTenantStore().clear();
+      clearTenantCache();
+      wait.mockClear();
+      delete process.env.TEST_WEBHOOK_SECRET;
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    afterAll(() => {
+      setDeliveryStore(null);
+    });
+
+    it("should queue one delivery per channel and event", async () => {
+      await configure([
+        {id: "a", type: "slack", url: stub.baseUrl},
+        {id: "b", type: "slack", url: stub.baseUrl},
+      ]);
+
+      const ids = await notifyLead({tenant, sessionId: "s-1", record});
+      expect(ids).toHaveLength(2);
+      expect(await notifyLead({tenant, sessionId: "s-1", record}))
+          .toEqual([]);
+      expect(store.list()[0]).toMatchObject({
+        tenantId: "nexo",
+        sessionId: "s-1",
+        event: "lead.created",
+        channelId: "a",
+        status: "pending",
+        payload: {
+          tenantName: "Nexo",
+          lead: {telefono: "3331234567", probabilitaChiusura: 70},
+        },
+      });
+    });
+
+    it("should sign webhook payloads", async () => {
+      process.env.TEST_WEBHOOK_SECRET = "whsec";
+      await configure([{
+        id: "erp",
+        type: "webhook",
+        url: `${stub.baseUrl}/hooks/lead`,
+        secretEnv: "TEST_WEBHOOK_SECRET",
+      }]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+
+      expect(await deliverAll()).toEqual(["delivered"]);
+      const [request] = stub.requests;
+      expect(request.url).toBe("/hooks/lead");
+      expect(request.headers["x-spark-event"]).toBe("lead.created");
+      expect(request.headers["x-spark-delivery"])
+          .toBe(store.list()[0].deliveryId);
+      const timestamp = /^t=(\d+),/.exec(
+          request.headers["x-spark-signature"])[1];
+      expect(request.headers["x-spark-signature"])
+          .toBe(signWebhook("whsec", request.body, Number(timestamp)));
+      expect(request.json.lead.nome).toBe("Mario");
+    });
+
+    it("should post chat messages to Slack and Telegram", async () => {
+      await configure([
+        {id: "slack", type: "slack", url: `${stub.baseUrl}/slack`},
+        {
+          id: "telegram",
+          type: "telegram",
+          botToken: "123:abc",
+          chatId: "-100",
+          baseUrl: stub.baseUrl,
+        },
+      ]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+
+      expect(await deliverAll()).toEqual(["delivered", "delivered"]);
+      expect(stub.requests[0].json.text)
+          .toContain("🟢 Nuovo lead Nexo: Mario (70%)");
+      expect(stub.requests[0].json.text).toContain("Telefono: 3331234567");
+      expect(stub.requests[1].url).toBe("/bot123:abc/sendMessage");
+      expect(stub.requests[1].json).toMatchObject({chat_id: "-100"});
+    });
+
+    it("should push contacts to HubSpot and Pipedrive", async () => {
+      await configure([
+        {id: "hubspot", type: "hubspot", token: "hs", baseUrl: stub.baseUrl},
+        {
+          id: "pipedrive",
+          type: "pipedrive",
+          apiToken: "pd",
+          baseUrl: stub.baseUrl,
+        },
+      ]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+
+      expect(await deliverAll()).toEqual(["delivered", "delivered"]);
+      const [hubspot, person, lead] = stub.requests;
+      expect(hubspot.url).toBe("/crm/v3/objects/contacts");
+      expect(hubspot.headers.authorization).toBe("Bearer hs");
+      expect(hubspot.json.properties).toMatchObject({
+        firstname: "Mario",
+        phone: "3331234567",
+        company: "Officina Rossi",
+      });
+      expect(person.url).toBe("/v1/persons");
+      expect(person.headers["x-api-token"]).toBe("pd");
+      expect(lead.url).toBe("/v1/leads");
+      expect(lead.json).toEqual({
+        title: "Officina Rossi - Gestionale",
+        person_id: 42,
+      });
+    });
+
+    it("should retry server errors and log every attempt", async () => {
+      await configure([{id: "slack", type: "slack", url: stub.baseUrl}]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+      stub.statuses.push(503, 429);
+
+      expect(await deliverAll()).toEqual(["delivered"]);
+      expect(wait.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+      expect(store.list()[0]).toMatchObject({
+        status: "delivered",
+        attempts: 3,
+        log: [
+          {attempt: 1, ok: false, status: 503, error: "HTTP 503"},
+          {attempt: 2, ok: false, status: 429, error: "HTTP 429"},
+          {attempt: 3, ok: true, status: 200},
+        ],
+      });
+    });
+
+    it("should not retry rejected requests or missing secrets", async () => {
+      await configure([
+        {id: "slack", type: "slack", url: stub.baseUrl},
+        {id: "erp", type: "webhook", url: stub.baseUrl},
+      ]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+      stub.statuses.push(400);
+
+      expect(await deliverAll()).toEqual(["failed", "failed"]);
+      expect(stub.requests).toHaveLength(1);
+      expect(wait).not.toHaveBeenCalled();
+      expect(store.list().map((d) => d.errorMessage))
+          .toEqual(["HTTP 400", "secret mancante per il canale erp"]);
+    });
+
+    it("should fail deliveries whose channel was removed", async () => {
+      await configure([{id: "slack", type: "slack", url: stub.baseUrl}]);
+      await notifyLead({tenant, sessionId: "s-1", record});
+      await configure([]);
+
+      expect(await deliverAll()).toEqual(["failed"]);
+      expect(store.list()[0].errorMessage).toBe("canale non configurato");
+      expect(await deliverAll()).toEqual([null]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Unit tests for Spark consent, personal data export/erasure
+ * and transcript retention
+ * @module tests/unit/spark/privacy.test
+ */
+
+process.env.LEAD_STORE = "memory";
+process.env.CONVERSATION_STORE = "memory";
+process.env.TENANT_STORE = "memory";
+process.env.JOB_STORE = "memory";
+process.env.DELIVERY_STORE = "memory";
+process.env.STREAM_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  validateConsent,
+  checkSessionConsent,
+  parsePrivacyQuery,
+  exportPersonalData,
+  erasePersonalData,
+  getRetentionDays,
+  purgeExpiredTranscripts,
+} = require("../../../spark/privacy");
+const {getLeadStore} = require("../../../spark/leadStore");
+const {getConversationStore} = require("../../../spark/conversationStore");
+const {getJobStore} = require("../../../spark/jobStore");
+const {getDeliveryStore} = require("../../../spark/deliveryStore");
+const {getTenantStore} = require("../../../spark/tenantStore");
+const {resolveTenant, clearTenantCache} = require("../../../spark/tenants");
+
+const now = new Date("2026-06-01T12:00:00.000Z");
+
+describe("Spark privacy", () => {
+  let tenant;
+
+  beforeEach(async () => {
+    getLeadStore().clear();
+    getConversationStore().clear();
+    getJobStore().clear();
+    getDeliveryStore().clear();
+    getTenantStore().clear();
+    clearTenantCache();
+    tenant = await resolveTenant("nexo");
+    delete process.env.SPARK_RETENTION_DAYS;
+  });
+
+  describe("consent", () => {
+    it("should accept only the current version with a past timestamp", () => {
+      const at = "2026-06-01T11:59:00.000Z";
+      expect(validateConsent({version: "1", acceptedAt: at}, "1",
+          now.getTime())).toEqual({
+        valid: true,
+        consent: {version: "1", acceptedAt: at},
+      });
+      expect(validateConsent(null, "1").valid).toBe(false);
+      expect(validateConsent({version: "0", acceptedAt: at}, "1").valid)
+          .toBe(false);
+      expect(validateConsent({version: "1", acceptedAt: "ieri"}, "1").valid)
+          .toBe(false);
+      expect(validateConsent({version: "1",
+        acceptedAt: "2026-06-01T13:00:00.000Z"}, "1", now.getTime()).valid)
+          .toBe(false);
+    });
+
+    it("should record the consent once per session", async () => {
+      const consent = {version: "1", acceptedAt: "2026-06-01T11:00:00.000Z"};
+
+      expect((await checkSessionConsent(tenant, "s-1", undefined)).allowed)
+          .toBe(false);
+      expect((await checkSessionConsent(tenant, "s-1", consent)).allowed)
+          .toBe(true);
+      expect(await checkSessionConsent(tenant, "s-1", undefined))
+          .toMatchObject({allowed: true, consent});
+    });
+  });
+
+  it("should require at least one identifier in a query", () => {
+    expect(parsePrivacyQuery({}).valid).toBe(false);
+    expect(parsePrivacyQuery({email: "  "}).valid).toBe(false);
+    expect(parsePrivacyQuery({email: " Mario@Example.com ",
+      telefono: "333 123.4567"})).toEqual({
+      valid: true,
+      query: {sessionId: "", email: "mario@example.com", telefono: "3331234567"},
+    });
+  });
+
+  describe("export and erasure", () => {
+    beforeEach(async () => {
+      const leads = getLeadStore();
+      await leads.create({sessionId: "s-1", email: "mario@example.com",
+        telefono: "3331234567"});
+      await leads.create({sessionId: "s-2", telefono: "3331234567"});
+      await leads.create({sessionId: "s-3", telefono: "3339999999"});
+      for (const sessionId of ["s-1", "s-2", "s-3"]) {
+        await getConversationStore().appendTurns(sessionId,
+            [{role: "user", content: "Ciao"}]);
+        await getJobStore().create({jobId: `job-${sessionId}`, sessionId,
+          tenantId: "nexo", createdAt: now.toISOString()});
+      }
+      await getDeliveryStore().create({deliveryId: "d-1", sessionId: "s-1",
+        tenantId: "nexo", createdAt: now.toISOString()});
+      await getJobStore().create({jobId: "job-other", sessionId: "s-1",
+        tenantId: "acme", createdAt: now.toISOString()});
+    });
+
+    it("should export every session of a person", async () => {
+      const data = await exportPersonalData(tenant,
+          parsePrivacyQuery({telefono: "333 123 4567"}).query);
+
+      expect(data.sessionIds).toEqual(["s-1", "s-2"]);
+      expect(data.leads).toHaveLength(2);
+      expect(data.conversations.map((c) => c.sessionId))
+          .toEqual(["s-1", "s-2"]);
+      expect(data.analysisJobs.map((job) => job.jobId))
+          .toEqual(["job-s-1", "job-s-2"]);
+      expect(data.notifications.map((d) => d.deliveryId)).toEqual(["d-1"]);
+    });
+
+    it("should erase only the data of the person and tenant", async () => {
+      const erased = await erasePersonalData(tenant,
+          parsePrivacyQuery({email: "mario@example.com"}).query);
+
+      expect(erased).toEqual({
+        leads: 1,
+        conversations: 1,
+        analysisJobs: 1,
+        notifications: 1,
+      });
+      expect(getLeadStore().list().map((lead) => lead.sessionId))
+          .toEqual(["s-2", "s-3"]);
+      expect(getJobStore().list().map((job) => job.jobId))
+          .toEqual(["job-s-2", "job-s-3", "job-other"]);
+    });
+  });
+
+  describe("retention", () => {
+    it("should read the retention period from the environment", () => {
+      expect(getRetentionDays()).toBe(180);
+      process.env.SPARK_RETENTION_DAYS = "30";
+      expect(getRetentionDays()).toBe(30);
+      process.env.SPARK_RETENTION_DAYS = "mai";
+      expect(getRetentionDays()).toBe(180);
+    });
+
+    it("should purge transcripts older than the retention period",
+        async () => {
+          process.env.SPARK_RETENTION_DAYS = "30";
+          const old = "2026-04-01T00:00:00.000Z";
+          const recent = "2026-05-20T00:00:00.000Z";
+          const conversations = getConversationStore();
+          await conversations.appendTurns("s-old", [{role: "user", content: "a"}]);
+          await conversations.appendTurns("s-new", [{role: "user", content: "b"}]);
+          conversations.setUpdatedAt("s-old", new Date(old));
+          conversations.setUpdatedAt("s-new", new Date(recent));
+          await getJobStore().create({jobId: "j-old", createdAt: old});
+          await getDeliveryStore().create({deliveryId: "d-new", createdAt: recent});
+          await getLeadStore().create({sessionId: "s-old", data: old,
+            conversazione: "Utente: a"});
+          await getLeadStore().create({sessionId: "s-new", data: recent,
+            conversazione: "Utente: b"});
+
+          expect(await purgeExpiredTranscripts(now)).toEqual({
+            conversations: 1,
+            analysisJobs: 1,
+            notifications: 0,
+            streams: 0,
+            leadTranscripts: 1,
+          });
+          expect(await conversations.getTurns("s-old")).toEqual([]);
+          expect(await conversations.getTurns("s-new")).toHaveLength(1);
+          expect(await getLeadStore().get("s-old"))
+              .toMatchObject({conversazione: ""});
+          expect(await getLeadStore().get("s-new"))
+              .toMatchObject({conversazione: "Utente: b"});
+        });
+
+    it("should count context and usage updates as session activity",
+        async () => {
+          process.env.SPARK_RETENTION_DAYS = "30";
+          const conversations = getConversationStore();
+          for (const sessionId of ["s-context", "s-usage", "s-idle"]) {
+            await conversations.appendTurns(sessionId,
+                [{role: "user", content: "a"}]);
+            conversations.setUpdatedAt(sessionId,
+                new Date("2026-04-01T00:00:00.000Z"));
+          }
+          await conversations.saveContext("s-context",
+              {summary: "Riassunto", facts: {}, summarizedTurns: 2});
+          await conversations.addUsage("s-usage", {inputTokens: 10});
+
+          const {conversations: purged} =
+            await purgeExpiredTranscripts(new Date());
+
+          expect(purged).toBe(1);
+          expect(await conversations.getTurns("s-idle")).toEqual([]);
+          expect(await conversations.getTurns("s-context")).toHaveLength(1);
+          expect(await conversations.getTurns("s-usage")).toHaveLength(1);
+        });
+  });
+});
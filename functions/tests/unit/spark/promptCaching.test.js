@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Unit tests for Spark prompt caching
+ * @module tests/unit/spark/promptCaching.test
+ */
+
+const {
+  buildCachedSystem,
+  withCacheBreakpoint,
+} = require("../../../spark/promptCaching");
+
+describe("Spark prompt caching", () => {
+  it("should cache the system prompt but not the context block", () => {
+    expect(buildCachedSystem("Prompt", null)).toEqual([
+      {type: "text", text: "Prompt", cache_control: {type: "ephemeral"}},
+    ]);
+    expect(buildCachedSystem("Prompt", "Riassunto")).toEqual([
+      {type: "text", text: "Prompt", cache_control: {type: "ephemeral"}},
+      {type: "text", text: "Riassunto"},
+    ]);
+  });
+
+  it("should mark the last message without changing the others", () => {
+    const messages = [
+      {role: "user", content: "Ciao"},
+      {role: "assistant", content: "Piacere!"},
+      {role: "user", content: "Quanto costa?"},
+    ];
+
+    expect(withCacheBreakpoint(messages)).toEqual([
+      {role: "user", content: "Ciao"},
+      {role: "assistant", content: "Piacere!"},
+      {role: "user", content: [{
+        type: "text",
+        text: "Quanto costa?",
+        cache_control: {type: "ephemeral"},
+      }]},
+    ]);
+    expect(messages[2].content).toBe("Quanto costa?");
+  });
+
+  it("should mark the last block of structured content", () => {
+    const results = [
+      {type: "tool_result", tool_use_id: "tu_1", content: "Ok"},
+      {type: "tool_result", tool_use_id: "tu_2", content: "Ok"},
+    ];
+    const [message] = withCacheBreakpoint([{role: "user", content: results}]);
+
+    expect(message.content[0]).toBe(results[0]);
+    expect(message.content[1]).toEqual({
+      ...results[1],
+      cache_control: {type: "ephemeral"},
+    });
+    expect(results[1]).not.toHaveProperty("cache_control");
+  });
+});
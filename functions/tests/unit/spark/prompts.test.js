@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Unit tests for Spark prompt versions
+ * @module tests/unit/spark/prompts.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  MAX_PROMPT_LENGTH,
+  getSystemPrompt,
+  validatePromptInput,
+  clearPromptCache,
+} = require("../../../spark/prompts");
+const {setPromptStore} = require("../../../spark/promptStore");
+const {createMemoryPromptStore} = require("../../../spark/promptStore/memory");
+
+const tenant = {id: "acme", systemPrompt: "Prompt del tenant"};
+
+describe("Spark prompts", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryPromptStore();
+    setPromptStore(store);
+    clearPromptCache();
+  });
+
+  afterAll(() => {
+    setPromptStore(null);
+  });
+
+  describe("prompt store", () => {
+    it("should number versions and remember the previous active one",
+        async () => {
+          await store.createVersion("acme", {content: "a", note: ""});
+          await store.createVersion("acme", {content: "b", note: ""});
+          await store.activateVersion("acme", 1);
+
+          expect(await store.activateVersion("acme", 2)).toEqual({
+            activeVersion: 2,
+            previousVersion: 1,
+            latestVersion: 2,
+          });
+          expect(await store.activateVersion("acme", 3)).toBeNull();
+          expect((await store.listVersions("acme")).map((v) => v.version))
+              .toEqual([2, 1]);
+        });
+  });
+
+  describe("getSystemPrompt", () => {
+    it("should use the tenant prompt without an active version", async () => {
+      expect(await getSystemPrompt(tenant))
+          .toEqual({content: "Prompt del tenant", version: null});
+    });
+
+    it("should serve the active version and cache it", async () => {
+      await store.createVersion("acme", {content: "v1", note: ""});
+      await store.activateVersion("acme", 1);
+      expect(await getSystemPrompt(tenant))
+          .toEqual({content: "v1", version: 1});
+
+      await store.createVersion("acme", {content: "v2", note: ""});
+      await store.activateVersion("acme", 2);
+      expect((await getSystemPrompt(tenant)).version).toBe(1);
+
+      clearPromptCache("acme");
+      expect((await getSystemPrompt(tenant)).version).toBe(2);
+    });
+
+    it("should fall back to the tenant prompt when the store fails",
+        async () => {
+          setPromptStore({
+            getState: jest.fn().mockRejectedValue(new Error("offline")),
+          });
+
+          expect((await getSystemPrompt(tenant)).content)
+              .toBe("Prompt del tenant");
+        });
+
+    it("should serve a pinned version regardless of the active one",
+        async () => {
+          await store.createVersion("acme", {content: "v1", note: ""});
+          await store.createVersion("acme", {content: "v2", note: ""});
+          await store.activateVersion("acme", 2);
+
+          expect(await getSystemPrompt(tenant, 1))
+              .toEqual({content: "v1", version: 1});
+          expect((await getSystemPrompt(tenant, 9)).version).toBe(2);
+        });
+  });
+
+  describe("validatePromptInput", () => {
+    it("should accept content with an optional note", () => {
+      expect(validatePromptInput({content: "Sei Spark", note: " fix "}))
+          .toEqual({
+            valid: true,
+            errors: [],
+            input: {content: "Sei Spark", note: "fix"},
+          });
+    });
+
+    it("should reject empty, overlong or malformed input", () => {
+      expect(validatePromptInput({}).errors)
+          .toEqual(["content obbligatorio"]);
+      expect(validatePromptInput({
+        content: "x".repeat(MAX_PROMPT_LENGTH + 1),
+      }).valid).toBe(false);
+      expect(validatePromptInput({content: "ok", note: 3}).errors)
+          .toEqual(["note deve essere una stringa"]);
+    });
+  });
+});
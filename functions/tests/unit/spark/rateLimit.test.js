@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Unit tests for the Spark token-bucket rate limiter
+ * @module tests/unit/spark/rateLimit.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  CHAT_BUCKETS,
+  CONTACT_BUCKETS,
+  consumeToken,
+  takeToken,
+  clearInMemoryBuckets,
+  getClientIP,
+  checkChatRateLimit,
+  checkContactRateLimit,
+} = require("../../../spark/rateLimit");
+const {checkChatLimits, CHAT_LIMITS} = require("../../../spark/chatLimits");
+
+const bucket = {capacity: 2, refillSeconds: 10};
+
+describe("Spark rate limit", () => {
+  beforeEach(() => {
+    clearInMemoryBuckets();
+  });
+
+  describe("consumeToken", () => {
+    it("should start from a full bucket", () => {
+      const {state, result} = consumeToken(undefined, bucket, 1000);
+
+      expect(result).toEqual({allowed: true, remaining: 1, retryAfter: 0});
+      expect(state).toEqual({tokens: 1, updatedAt: 1000});
+    });
+
+    it("should deny an empty bucket with a retry hint", () => {
+      const {result} = consumeToken({tokens: 0.25, updatedAt: 0}, bucket, 0);
+
+      expect(result).toEqual({allowed: false, remaining: 0, retryAfter: 8});
+    });
+
+    it("should refill over time without exceeding capacity", () => {
+      const {state} = consumeToken({tokens: 0, updatedAt: 0}, bucket, 60000);
+
+      expect(state.tokens).toBe(1);
+    });
+  });
+
+  describe("takeToken (memory)", () => {
+    it("should allow a burst up to capacity, then deny", async () => {
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await takeToken("k", bucket, "memory"));
+      }
+
+      expect(results.map((r) => r.allowed)).toEqual([true, true, false]);
+      expect(results[2].retryAfter).toBeGreaterThan(0);
+    });
+
+    it("should keep separate buckets per key", async () => {
+      await takeToken("a", bucket, "memory");
+      await takeToken("a", bucket, "memory");
+
+      expect((await takeToken("b", bucket, "memory")).allowed).toBe(true);
+    });
+  });
+
+  describe("getClientIP", () => {
+    it("should use the last X-Forwarded-For entry", () => {
+      const req = {headers: {"x-forwarded-for": "6.6.6.6, 203.0.113.7"}};
+      expect(getClientIP(req)).toBe("203.0.113.7");
+    });
+
+    it("should fall back to the socket address", () => {
+      const req = {headers: {}, socket: {remoteAddress: "10.0.0.1"}};
+      expect(getClientIP(req)).toBe("10.0.0.1");
+    });
+  });
+
+  describe("checkChatRateLimit and checkContactRateLimit", () => {
+    it("should limit a single session across different IPs", async () => {
+      let result;
+      for (let i = 0; i <= CHAT_BUCKETS.session.capacity; i++) {
+        const req = {headers: {"x-forwarded-for": `203.0.113.${i}`}};
+        result = await checkChatRateLimit(req, "s-1");
+      }
+
+      expect(result).toMatchObject({allowed: false, scope: "session"});
+    });
+
+    it("should limit a single IP across different sessions", async () => {
+      const req = {headers: {"x-forwarded-for": "203.0.113.1"}};
+      let result;
+      for (let i = 0; i <= CHAT_BUCKETS.ip.capacity; i++) {
+        result = await checkChatRateLimit(req, `s-${i}`);
+      }
+
+      expect(result).toMatchObject({allowed: false, scope: "ip"});
+    });
+
+    it("should keep contact submissions in their own buckets", async () => {
+      const req = {headers: {"x-forwarded-for": "203.0.113.1"}};
+      let result;
+      for (let i = 0; i <= CONTACT_BUCKETS.session.capacity; i++) {
+        result = await checkContactRateLimit(req, "s-1");
+      }
+
+      expect(result).toMatchObject({allowed: false, scope: "session"});
+      expect(await checkChatRateLimit(req, "s-1"))
+          .toMatchObject({allowed: true});
+    });
+  });
+
+  describe("checkChatLimits", () => {
+    it("should accept a normal request", () => {
+      expect(checkChatLimits({message: "Ciao", history: []})).toBeNull();
+    });
+
+    it("should reject overlong messages", () => {
+      const message = "a".repeat(CHAT_LIMITS.maxMessageLength + 1);
+      expect(checkChatLimits({message})).toMatchObject({
+        code: "MESSAGE_TOO_LONG",
+      });
+    });
+
+    it("should reject non-string messages", () => {
+      expect(checkChatLimits({message: {text: "Ciao"}})).toMatchObject({
+        code: "INVALID_MESSAGE",
+      });
+    });
+
+    it("should cap history turns and bytes", () => {
+      const manyTurns = Array(CHAT_LIMITS.maxHistoryTurns)
+          .fill({role: "user", content: "ok"});
+      const bigTurns = [{role: "user",
+        content: "è".repeat(CHAT_LIMITS.maxHistoryBytes / 2)}];
+
+      expect(checkChatLimits({message: "Ciao", turns: manyTurns}))
+          .toMatchObject({code: "CONVERSATION_TOO_LONG"});
+      expect(checkChatLimits({message: "Ciao", history: bigTurns}))
+          .toMatchObject({code: "CONVERSATION_TOO_LONG"});
+    });
+
+    it("should count the summary context with the turns sent", () => {
+      const turns = [{role: "user", content: "ok"}];
+      const summary = "è".repeat(CHAT_LIMITS.maxHistoryBytes / 2);
+
+      expect(checkChatLimits({message: "Ciao", turns, context: "Riassunto"}))
+          .toBeNull();
+      expect(checkChatLimits({message: "Ciao", turns, context: summary}))
+          .toMatchObject({code: "CONVERSATION_TOO_LONG"});
+    });
+  });
+});
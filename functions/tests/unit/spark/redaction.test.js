@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Unit tests for the Spark PII redaction and redacting logger
+ * @module tests/unit/spark/redaction.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const firebaseLogger = require("firebase-functions/logger");
+const {redactText, redactValue} = require("../../../spark/redaction");
+const logger = require("../../../spark/logger");
+
+describe("Spark PII redaction", () => {
+  it("should mask emails, phone numbers, IBANs, cards and tax codes", () => {
+    expect(redactText("Scrivimi a Mario.Rossi+spark@example.co.uk"))
+        .toBe("Scrivimi a [EMAIL]");
+    expect(redactText("Chiamami al +39 333 123 4567 o allo 06.1234.5678"))
+        .toBe("Chiamami al [TELEFONO] o allo [TELEFONO]");
+    expect(redactText("IBAN IT60 X054 2811 1010 0000 0123 456"))
+        .toBe("IBAN [IBAN]");
+    expect(redactText("Carta 4111 1111 1111 1111")).toBe("Carta [CARTA]");
+    expect(redactText("CF RSSMRA80A01H501U")).toBe("CF [CODICE_FISCALE]");
+  });
+
+  it("should leave dates, ids and amounts readable", () => {
+    const text = "Il 2026-06-01T12:00:00.000Z, sessione " +
+      "550e8400-e29b-41d4-a716-446655440000, preventivo 1.800€, " +
+      "consegna 01/06/2026, ordine n. 4521";
+    expect(redactText(text)).toBe(text);
+  });
+
+  it("should keep the fields shared by the policy", () => {
+    expect(redactText("mario@example.com 3331234567", {keep: ["email"]}))
+        .toBe("mario@example.com [TELEFONO]");
+  });
+
+  it("should mask nested log data and personal keys", () => {
+    expect(redactValue({
+      sessionId: "s-1",
+      nome: "Mario",
+      email: "N/A",
+      userMessage: "Sono Mario, 333 1234567",
+      errors: ["email non valida: a@b.it"],
+      lead: {telefono: "333", probabilitaChiusura: 70},
+      date: new Date(0),
+    })).toEqual({
+      sessionId: "s-1",
+      nome: "[NOME]",
+      email: "[EMAIL]",
+      userMessage: "Sono Mario, [TELEFONO]",
+      errors: ["email non valida: [EMAIL]"],
+      lead: {telefono: "[TELEFONO]", probabilitaChiusura: 70},
+      date: new Date(0),
+    });
+  });
+
+  it("should mask the message and stack of errors", () => {
+    const error = new TypeError("email non valida: a@b.it");
+
+    const redacted = redactValue({error, errors: [error]});
+
+    expect(redacted.error).toEqual({
+      name: "TypeError",
+      message: "email non valida: [EMAIL]",
+      stack: expect.stringContaining("TypeError: email non valida: [EMAIL]"),
+    });
+    expect(redacted.error.stack).not.toContain("a@b.it");
+    expect(redacted.errors).toEqual([redacted.error]);
+  });
+
+  it("should redact every logger call", () => {
+    logger.info("Nuovo lead a@b.it", {telefono: "3331234567", count: 2});
+
+    expect(firebaseLogger.info).toHaveBeenCalledWith("Nuovo lead [EMAIL]",
+        {telefono: "[TELEFONO]", count: 2});
+  });
+});
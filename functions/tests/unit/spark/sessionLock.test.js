@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit tests for the Spark per-session lock
+ * @module tests/unit/spark/sessionLock.test
+ */
+
+const {
+  getLockStrategy,
+  acquireFirestoreLock,
+  releaseFirestoreLock,
+  withSessionLock,
+} = require("../../../spark/sessionLock");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Minimal Firestore stand-in for the lease: one document map and
+ * transactions that run one at a time, like Firestore's serializable ones.
+ */
+function createFakeDb() {
+  const docs = new Map();
+  let queue = Promise.resolve();
+  const tx = {
+    get: async (ref) => ({
+      exists: docs.has(ref.path),
+      data: () => docs.get(ref.path),
+    }),
+    set: (ref, data) => docs.set(ref.path, {...data}),
+    delete: (ref) => docs.delete(ref.path),
+  };
+  return {
+    docs,
+    collection: (name) => ({doc: (id) => ({path: `${name}/${id}`})}),
+    runTransaction(fn) {
+      const run = queue.then(() => fn(tx));
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+describe("Spark session lock", () => {
+  afterEach(() => {
+    delete process.env.LEAD_LOCK_STRATEGY;
+  });
+
+  it("should default to the Firestore lease", () => {
+    expect(getLockStrategy()).toBe("firestore");
+    process.env.LEAD_LOCK_STRATEGY = "Memory";
+    expect(getLockStrategy()).toBe("memory");
+  });
+
+  it("should run calls for the same key one at a time", async () => {
+    const events = [];
+    const task = (name) => async () => {
+      events.push(`${name}:start`);
+      await tick();
+      events.push(`${name}:end`);
+      return name;
+    };
+    const options = {strategy: "memory"};
+
+    const results = await Promise.all([
+      withSessionLock("s-1", task("a"), options),
+      withSessionLock("s-1", task("b"), options),
+      withSessionLock("s-2", task("c"), options),
+    ]);
+
+    expect(results).toEqual(["a", "b", "c"]);
+    expect(events.indexOf("b:start")).toBeGreaterThan(events.indexOf("a:end"));
+    expect(events.indexOf("c:start")).toBeLessThan(events.indexOf("a:end"));
+  });
+
+  it("should release the lock when a call fails", async () => {
+    const failing = withSessionLock("s-1", async () => {
+      throw new Error("sheets down");
+    }, {strategy: "memory"});
+    const next = withSessionLock("s-1", async () => "ok", {strategy: "memory"});
+
+    await expect(failing).rejects.toThrow("sheets down");
+    await expect(next).resolves.toBe("ok");
+  });
+
+  describe("Firestore lease", () => {
+    let db;
+
+    beforeEach(() => {
+      db = createFakeDb();
+    });
+
+    it("should refuse a lease held by another instance", async () => {
+      const owner = await acquireFirestoreLock("s-1", {db});
+
+      await expect(acquireFirestoreLock("s-1", {db, waitMs: 0}))
+          .rejects.toThrow("Lock non disponibile: s-1");
+      expect(await acquireFirestoreLock("s-2", {db, waitMs: 0}))
+          .not.toBe(owner);
+
+      await releaseFirestoreLock("s-1", owner, {db});
+      await expect(acquireFirestoreLock("s-1", {db, waitMs: 0}))
+          .resolves.toEqual(expect.any(String));
+    });
+
+    it("should wait for the holder to release the lease", async () => {
+      const owner = await acquireFirestoreLock("s-1", {db});
+      const waiting = acquireFirestoreLock("s-1", {db, waitMs: 5000});
+      await tick();
+      await releaseFirestoreLock("s-1", owner, {db});
+
+      expect(await waiting).not.toBe(owner);
+      expect(db.docs.size).toBe(1);
+    });
+
+    it("should take over an expired lease and keep it on a late release",
+        async () => {
+          const stale = await acquireFirestoreLock("s-1", {db});
+          const [path] = db.docs.keys();
+          db.docs.get(path).expiresAt = Date.now() - 1;
+
+          const owner = await acquireFirestoreLock("s-1", {db, waitMs: 0});
+          await releaseFirestoreLock("s-1", stale, {db});
+
+          expect(db.docs.get(path)).toMatchObject({key: "s-1", owner});
+        });
+
+    it("should hold the lease while the call runs", async () => {
+      let during;
+      const result = await withSessionLock("s-1", async () => {
+        during = [...db.docs.values()];
+        return "ok";
+      }, {strategy: "firestore", db});
+
+      expect(result).toBe("ok");
+      expect(during).toEqual([expect.objectContaining({key: "s-1"})]);
+      expect(db.docs.size).toBe(0);
+    });
+  });
+});
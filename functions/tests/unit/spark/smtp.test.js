@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Unit tests for the Spark SMTP client
+ * @module tests/unit/spark/smtp.test
+ *
+ * @description
+ * Sends mail to a local SMTP stub that records the dialogue.
+ */
+
+const net = require("net");
+const {sendMail} = require("../../../spark/notifications/smtp");
+
+/**
+ * Minimal SMTP server. `replies` overrides the reply to a command verb.
+ */
+function startSmtpStub({extensions = [], replies = {}} = {}) {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    socket.setEncoding("utf8");
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push(data.join("\r\n"));
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          socket.write(`${replies[verb]}\r\n`);
+        } else if (verb === "EHLO") {
+          const lines = ["stub", ...extensions];
+          socket.write(lines.map((l, i) =>
+            `250${i < lines.length - 1 ? "-" : " "}${l}\r\n`).join(""));
+        } else if (verb === "DATA") {
+          data = [];
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        commands,
+        messages,
+        options: {host: "127.0.0.1", port: server.address().port},
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+const message = {
+  from: "spark@nexo.it",
+  to: ["vendite@nexo.it", "titolare@nexo.it"],
+  subject: "🟢 Nuovo lead Nexo: Mario (70%)",
+  text: "Telefono: 3331234567\n.riga con punto",
+};
+
+describe("Spark SMTP client", () => {
+  let stub;
+
+  afterEach(async () => {
+    await stub.close();
+  });
+
+  it("should deliver the message to every recipient", async () => {
+    stub = await startSmtpStub({extensions: ["8BITMIME"]});
+    await sendMail(stub.options, message);
+
+    expect(stub.commands).toEqual([
+      "EHLO spark",
+      "MAIL FROM:<spark@nexo.it>",
+      "RCPT TO:<vendite@nexo.it>",
+      "RCPT TO:<titolare@nexo.it>",
+      "DATA",
+      "QUIT",
+    ]);
+    const [raw] = stub.messages;
+    const [headers, body] = raw.split("\r\n\r\n");
+    expect(headers).toContain("To: vendite@nexo.it, titolare@nexo.it");
+    expect(headers).toContain(`Subject: =?UTF-8?B?${
+      Buffer.from(message.subject).toString("base64")}?=`);
+    expect(Buffer.from(body.replace(/\r\n/g, ""), "base64").toString())
+        .toBe(message.text);
+  });
+
+  it("should not retry a rejected recipient", async () => {
+    stub = await startSmtpStub({replies: {RCPT: "550 no such user"}});
+
+    await expect(sendMail(stub.options, message)).rejects.toMatchObject({
+      message: "SMTP 550 no such user",
+      retryable: false,
+    });
+  });
+
+  it("should retry temporary failures", async () => {
+    stub = await startSmtpStub({replies: {MAIL: "451 try later"}});
+
+    await expect(sendMail(stub.options, message))
+        .rejects.toMatchObject({retryable: true});
+  });
+
+  it("should not send credentials over a plain connection", async () => {
+    stub = await startSmtpStub();
+
+    await expect(sendMail({...stub.options, user: "u", pass: "p"}, message))
+        .rejects.toMatchObject({
+          message: "il server SMTP non supporta TLS",
+          retryable: false,
+        });
+    expect(stub.commands.some((c) => c.startsWith("AUTH"))).toBe(false);
+  });
+
+  it("should reject invalid addresses before connecting", async () => {
+    stub = await startSmtpStub();
+
+    await expect(sendMail(stub.options, {...message, to: ["a@b.it>\r\nX"]}))
+        .rejects.toMatchObject({retryable: false});
+    expect(stub.commands).toEqual([]);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Unit tests for resumable Spark chat responses
+ * @module tests/unit/spark/streamResume.test
+ */
+
+process.env.STREAM_STORE = "memory";
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  parseEventId,
+  openResumableStream,
+  getResumableStream,
+  replayStream,
+  watchDisconnect,
+  waitForPreviousStream,
+} = require("../../../spark/streamResume");
+const {getStreamStore} = require("../../../spark/streamStore");
+
+function mockResponse() {
+  const res = {write: jest.fn(), listeners: {}, writableFinished: false};
+  res.on = (event, handler) => {
+    res.listeners[event] = handler;
+  };
+  return res;
+}
+
+function writtenIds(res) {
+  return res.write.mock.calls.map(([chunk]) => /^id: (\S+)\n/.exec(chunk)[1]);
+}
+
+describe("Spark resumable responses", () => {
+  let store;
+
+  beforeEach(() => {
+    store = getStreamStore();
+    store.clear();
+  });
+
+  it("should parse event ids", () => {
+    expect(parseEventId("0123456789abcdef.12"))
+        .toEqual({streamId: "0123456789abcdef", seq: 12});
+    expect(parseEventId("0123456789abcdef")).toBeNull();
+    expect(parseEventId("xyz.1")).toBeNull();
+    expect(parseEventId(undefined)).toBeNull();
+  });
+
+  it("should write numbered events and buffer them until closed", async () => {
+    const res = mockResponse();
+    const sse = await openResumableStream(res, {sessionId: "s-1"});
+    sse.send({type: "text", content: "Ciao"});
+    sse.send({type: "done"});
+    await sse.close();
+
+    expect(writtenIds(res))
+        .toEqual([`${sse.streamId}.1`, `${sse.streamId}.2`]);
+    expect(await store.get("s-1")).toMatchObject({
+      streamId: sse.streamId,
+      done: true,
+      events: [
+        {seq: 1, event: {type: "text", content: "Ciao"}},
+        {seq: 2, event: {type: "done"}},
+      ],
+    });
+  });
+
+  it("should keep streaming when the store fails", async () => {
+    jest.spyOn(store, "start").mockRejectedValueOnce(new Error("offline"));
+    const res = mockResponse();
+    const sse = await openResumableStream(res, {sessionId: "s-1"});
+    sse.send({type: "done"});
+    await sse.close();
+
+    expect(res.write).toHaveBeenCalledTimes(1);
+    expect(await store.get("s-1")).toBeNull();
+  });
+
+  it("should only resume the current, recent stream of the session",
+      async () => {
+        const sse = await openResumableStream(mockResponse(),
+            {sessionId: "s-1"});
+        const position = {streamId: sse.streamId, seq: 0};
+
+        expect(await getResumableStream("s-1", position)).not.toBeNull();
+        expect(await getResumableStream("s-2", position)).toBeNull();
+        expect(await getResumableStream("s-1",
+            {streamId: "0123456789abcdef", seq: 0})).toBeNull();
+        expect(await getResumableStream("s-1", position,
+            new Date(Date.now() + 3 * 60 * 1000))).toBeNull();
+      });
+
+  it("should follow a response still in progress", async () => {
+    await store.start("s-1", {streamId: "0123456789abcdef"});
+    await store.append("s-1", "0123456789abcdef", [
+      {seq: 1, event: {type: "text", content: "Pia"}},
+      {seq: 2, event: {type: "text", content: "ce"}},
+    ]);
+    const wait = jest.fn(() => store.append("s-1", "0123456789abcdef", [
+      {seq: 3, event: {type: "text", content: "re!"}},
+      {seq: 4, event: {type: "done"}},
+    ], {done: true}));
+
+    const res = mockResponse();
+    const stream = await store.get("s-1");
+    const result = await replayStream(res, "s-1", stream, 1, {wait});
+
+    expect(result).toEqual({done: true, seq: 4});
+    expect(wait).toHaveBeenCalledTimes(1);
+    expect(writtenIds(res)).toEqual([
+      "0123456789abcdef.2",
+      "0123456789abcdef.3",
+      "0123456789abcdef.4",
+    ]);
+  });
+
+  it("should stop following at the timeout", async () => {
+    await store.start("s-1", {streamId: "0123456789abcdef"});
+    const stream = await store.get("s-1");
+
+    expect(await replayStream(mockResponse(), "s-1", stream, 0,
+        {timeoutMs: 0, wait: jest.fn()})).toEqual({done: false, seq: 0});
+  });
+
+  it("should wait for the previous response of the session", async () => {
+    expect(await waitForPreviousStream("s-1")).toBe(true);
+
+    await store.start("s-1", {streamId: "0123456789abcdef"});
+    const wait = jest.fn(() => store.append("s-1", "0123456789abcdef", [],
+        {done: true}));
+    expect(await waitForPreviousStream("s-1", {wait})).toBe(true);
+    expect(wait).toHaveBeenCalledTimes(1);
+
+    await store.start("s-1", {streamId: "0123456789abcdef"});
+    expect(await waitForPreviousStream("s-1", {timeoutMs: 0})).toBe(false);
+    store.setUpdatedAt("s-1", new Date(Date.now() - 3 * 60 * 1000));
+    expect(await waitForPreviousStream("s-1", {timeoutMs: 0})).toBe(true);
+  });
+
+  describe("watchDisconnect", () => {
+    async function disconnect({finished = false, wait = jest.fn()} = {}) {
+      const res = mockResponse();
+      const sse = await openResumableStream(res, {sessionId: "s-1"});
+      const onAbort = jest.fn();
+      watchDisconnect(res, {sessionId: "s-1", streamId: sse.streamId, onAbort,
+        wait: (ms) => wait(sse.streamId, ms)});
+      res.writableFinished = finished;
+      await res.listeners.close();
+      return {onAbort, wait};
+    }
+
+    it("should abort when nobody resumes within the grace period", async () => {
+      const {onAbort, wait} = await disconnect();
+
+      expect(wait).toHaveBeenCalledWith(expect.any(String), 5000);
+      expect(onAbort).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep generating for a resumed response", async () => {
+      const {onAbort} = await disconnect({
+        wait: (streamId) => replayStream(mockResponse(), "s-1",
+            {streamId, events: [], done: false}, 0, {timeoutMs: 0}),
+      });
+
+      expect(onAbort).not.toHaveBeenCalled();
+    });
+
+    it("should ignore the close of a finished response", async () => {
+      const {onAbort, wait} = await disconnect({finished: true});
+
+      expect(wait).not.toHaveBeenCalled();
+      expect(onAbort).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Unit tests for Spark tenant configuration
+ * @module tests/unit/spark/tenants.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  buildTenant,
+  resolveTenant,
+  getRequestTenantId,
+  toWidgetConfig,
+  clearTenantCache,
+} = require("../../../spark/tenants");
+const {setTenantStore} = require("../../../spark/tenantStore");
+const {createMemoryTenantStore} = require("../../../spark/tenantStore/memory");
+const {getLeadStore, setLeadStore} = require("../../../spark/leadStore");
+
+describe("Spark tenants", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryTenantStore();
+    setTenantStore(store);
+    clearTenantCache();
+  });
+
+  afterAll(() => {
+    setTenantStore(null);
+    setLeadStore(null);
+  });
+
+  describe("buildTenant", () => {
+    it("should load the built-in Nexo prompt from file", () => {
+      const tenant = buildTenant("nexo", null);
+
+      expect(tenant.systemPrompt).toContain("SALVATAGGIO LEAD");
+      expect(tenant.allowedOrigins).toContain("https://gonexo.site");
+      expect(tenant).not.toHaveProperty("systemPromptFile");
+    });
+
+    it("should merge widget settings and strings field by field", () => {
+      const tenant = buildTenant("nexo", {
+        widget: {primaryColor: "#FF0000", strings: {sendLabel: "Manda"}},
+      });
+
+      expect(tenant.widget).toMatchObject({
+        assistantName: "Spark",
+        primaryColor: "#FF0000",
+        avatarUrl: expect.stringContaining("spark-ai-72x72.png"),
+        strings: {sendLabel: "Manda"},
+      });
+    });
+
+    it("should default the name to the tenant id", () => {
+      expect(buildTenant("acme", {systemPrompt: "x"}).name).toBe("acme");
+    });
+  });
+
+  describe("resolveTenant", () => {
+    it("should reject invalid ids and unknown tenants", async () => {
+      expect(await resolveTenant("../nexo")).toBeNull();
+      expect(await resolveTenant("acme")).toBeNull();
+    });
+
+    it("should refuse tenants without a system prompt", async () => {
+      await store.save("acme", {allowedOrigins: ["https://acme.example"]});
+
+      expect(await resolveTenant("acme")).toBeNull();
+    });
+
+    it("should cache the config until cleared", async () => {
+      await store.save("acme", {systemPrompt: "v1"});
+      expect((await resolveTenant("acme")).systemPrompt).toBe("v1");
+
+      await store.save("acme", {systemPrompt: "v2"});
+      expect((await resolveTenant("acme")).systemPrompt).toBe("v1");
+
+      clearTenantCache();
+      expect((await resolveTenant("acme")).systemPrompt).toBe("v2");
+    });
+
+    it("should fall back to the built-in config when the store fails",
+        async () => {
+          setTenantStore({get: jest.fn().mockRejectedValue(new Error("x"))});
+
+          expect((await resolveTenant("nexo")).name).toBe("Nexo");
+        });
+  });
+
+  it("should read the tenant from the query string", () => {
+    expect(getRequestTenantId({query: {tenant: "acme"}})).toBe("acme");
+    expect(getRequestTenantId({query: {}})).toBe("nexo");
+  });
+
+  it("should expose only public settings to the widget", () => {
+    const config = toWidgetConfig(buildTenant("acme", {
+      systemPrompt: "segreto",
+      leadDestination: {type: "sheets", sheetId: "abc"},
+    }));
+
+    expect(config).toMatchObject({tenant: "acme", assistantName: "Spark"});
+    expect(JSON.stringify(config)).not.toMatch(/segreto|sheetId/);
+  });
+
+  it("should localize the widget texts for another language", () => {
+    const tenant = buildTenant("acme", {
+      systemPrompt: "x",
+      widget: {welcomeMessage: "Ciao!", strings: {sendLabel: "Manda"}},
+      locales: {en: {welcomeMessage: "Hi!"}},
+    });
+
+    expect(toWidgetConfig(tenant)).toMatchObject({
+      language: "it",
+      welcomeMessage: "Ciao!",
+      strings: {sendLabel: "Manda"},
+    });
+    expect(toWidgetConfig(tenant, "en")).toMatchObject({
+      language: "en",
+      welcomeMessage: "Hi!",
+      strings: {},
+    });
+  });
+
+  it("should give each lead destination its own store", () => {
+    const a = {id: "a", leadDestination: {type: "memory"}};
+    const b = {id: "b", leadDestination: {type: "memory", label: "b"}};
+
+    expect(getLeadStore(a)).toBe(getLeadStore({...a, id: "a2"}));
+    expect(getLeadStore(a)).not.toBe(getLeadStore(b));
+  });
+});
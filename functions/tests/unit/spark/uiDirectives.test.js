@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Unit tests for Spark UI directives
+ * @module tests/unit/spark/uiDirectives.test
+ */
+
+const {
+  MAX_QUICK_REPLIES,
+  QUICK_REPLIES_TOOL,
+  validateQuickReplies,
+  isUiTool,
+  toDirectiveEvent,
+} = require("../../../spark/uiDirectives");
+
+describe("Spark UI directives", () => {
+  describe("quick replies", () => {
+    it("should declare the same limit as the validation", () => {
+      expect(QUICK_REPLIES_TOOL.input_schema.properties.options.maxItems)
+          .toBe(MAX_QUICK_REPLIES);
+    });
+
+    it("should trim options and drop duplicates", () => {
+      expect(validateQuickReplies({options: [" Sì ", "No", "Sì"]})).toEqual({
+        valid: true,
+        errors: [],
+        options: ["Sì", "No"],
+      });
+    });
+
+    it.each([
+      [undefined, "options obbligatorio"],
+      [{options: []}, "options obbligatorio"],
+      [{options: ["Sì", 3]}, "opzioni vuote o non testuali"],
+      [{options: ["x".repeat(41)]}, "opzione oltre 40 caratteri"],
+      [{options: ["a", "b", "c", "d", "e"]}, "al massimo 4 opzioni"],
+    ])("should reject %j", (input, error) => {
+      const result = validateQuickReplies(input);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain(error);
+    });
+  });
+
+  describe("toDirectiveEvent", () => {
+    it("should recognize only the UI tools", () => {
+      expect(isUiTool("show_budget_picker")).toBe(true);
+      expect(isUiTool("save_lead")).toBe(false);
+    });
+
+    it("should send the default budget ranges", () => {
+      const {event} = toDirectiveEvent({}, "show_budget_picker", {});
+
+      expect(event).toMatchObject({type: "budget_picker", currency: "EUR"});
+      expect(event.ranges[0]).toEqual({max: 2000});
+    });
+
+    it("should use the tenant's budget ranges", () => {
+      const tenant = {ui: {budgetRanges: [{max: 500}, {min: 500}]}};
+
+      expect(toDirectiveEvent(tenant, "show_budget_picker", {}).event)
+          .toEqual({
+            type: "budget_picker",
+            ranges: [{max: 500}, {min: 500}],
+            currency: "EUR",
+          });
+    });
+
+    it("should ask for the contact fields", () => {
+      expect(toDirectiveEvent({}, "show_contact_form", {}).event).toEqual({
+        type: "contact_form",
+        fields: ["nome", "telefono", "email"],
+      });
+    });
+
+    it("should reject invalid quick replies and unknown tools", () => {
+      expect(toDirectiveEvent({}, "show_quick_replies", {}))
+          .toMatchObject({valid: false, event: null});
+      expect(toDirectiveEvent({}, "show_map", {}).errors)
+          .toEqual(["Strumento sconosciuto: show_map"]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unit tests for Spark widget tokens and challenges
+ * @module tests/unit/spark/widgetToken.test
+ */
+
+jest.mock("firebase-functions/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  WIDGET_TOKEN_TTL_SECONDS,
+  issueWidgetToken,
+  verifyWidgetToken,
+  getRequestToken,
+} = require("../../../spark/widgetToken");
+const {
+  createPowChallenge,
+  leadingZeroBits,
+  verifyPowSolution,
+  verifyChallenge,
+} = require("../../../spark/challenge");
+
+const SECRET = "unit-test-secret";
+
+describe("Spark widget token", () => {
+  const session = {sessionId: "s-1", tenantId: "nexo"};
+
+  it("should verify a token for its own session and tenant", () => {
+    const {token, expiresAt} = issueWidgetToken(session, SECRET, 0);
+
+    expect(expiresAt).toBe(WIDGET_TOKEN_TTL_SECONDS * 1000);
+    expect(verifyWidgetToken(token, session, SECRET, 1000)).toMatchObject({
+      valid: true,
+      claims: {sid: "s-1", tid: "nexo", iat: 0},
+    });
+  });
+
+  it("should reject expired, tampered and foreign tokens", () => {
+    const {token} = issueWidgetToken(session, SECRET, 0);
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({sid: "s-1", exp: 1e12}))
+        .toString("base64url");
+
+    expect(verifyWidgetToken(token, session, SECRET,
+        WIDGET_TOKEN_TTL_SECONDS * 1000).error).toBe("token scaduto");
+    expect(verifyWidgetToken(`${forged}.${signature}`, session, SECRET, 0)
+        .error).toBe("token non valido");
+    expect(verifyWidgetToken(`${payload}.${signature}`, session, "altro", 0)
+        .error).toBe("token non valido");
+    expect(verifyWidgetToken(token, {...session, sessionId: "s-2"},
+        SECRET, 0).error).toBe("token di un'altra sessione");
+    expect(verifyWidgetToken(token, {tenantId: "nexo"}, SECRET, 0).valid)
+        .toBe(false);
+    expect(verifyWidgetToken(token, {...session, tenantId: "acme"},
+        SECRET, 0).error).toBe("token di un altro tenant");
+  });
+
+  it("should fail closed without a secret", () => {
+    const {token} = issueWidgetToken(session, SECRET);
+
+    expect(() => issueWidgetToken(session, "")).toThrow("SPARK_WIDGET_SECRET");
+    expect(verifyWidgetToken(token, session, "")).toEqual({
+      valid: false,
+      error: "secret non configurato",
+    });
+  });
+
+  it("should read the token from the header or the beacon body", () => {
+    expect(getRequestToken({headers: {authorization: "Bearer abc"}}, {}))
+        .toBe("abc");
+    expect(getRequestToken({headers: {}}, {widgetToken: "def"})).toBe("def");
+    expect(getRequestToken({headers: {authorization: "Basic abc"}}, null))
+        .toBeNull();
+  });
+});
+
+describe("Spark challenge", () => {
+  afterEach(() => {
+    delete process.env.SPARK_POW_DIFFICULTY;
+  });
+
+  /**
+   * Brute-forces a nonce for the challenge.
+   */
+  function solve(challenge) {
+    const crypto = require("crypto");
+    for (let nonce = 0; ; nonce++) {
+      const hash = crypto.createHash("sha256")
+          .update(`${challenge.salt}:${challenge.sessionId}:${nonce}`).digest();
+      if (leadingZeroBits(hash) >= challenge.difficulty) {
+        return {...challenge, nonce};
+      }
+    }
+  }
+
+  it("should count leading zero bits", () => {
+    expect(leadingZeroBits(Buffer.from([0x00, 0x1f]))).toBe(11);
+    expect(leadingZeroBits(Buffer.from([0x80]))).toBe(0);
+    expect(leadingZeroBits(Buffer.from([0x00, 0x00]))).toBe(16);
+  });
+
+  it("should accept a valid proof-of-work solution", () => {
+    process.env.SPARK_POW_DIFFICULTY = "8";
+    const solution = solve(createPowChallenge(SECRET, "s-1"));
+
+    expect(verifyPowSolution(solution, SECRET, "s-1")).toEqual({valid: true});
+  });
+
+  it("should reject forged, expired or wrong solutions", () => {
+    process.env.SPARK_POW_DIFFICULTY = "8";
+    const solution = solve(createPowChallenge(SECRET, "s-1", 0));
+
+    expect(verifyPowSolution(solution, SECRET, "s-1", 0).valid).toBe(true);
+    expect(verifyPowSolution(solution, SECRET, "s-1", 3 * 60 * 1000).error)
+        .toBe("challenge pow scaduta");
+    expect(verifyPowSolution({...solution, salt: "altro"}, SECRET, "s-1", 0)
+        .error).toBe("challenge pow non firmata dal server");
+    expect(verifyPowSolution({...solution, nonce: undefined}, SECRET, "s-1",
+        0).error).toBe("soluzione pow incompleta");
+    // A solution is worth a token for its own session only
+    expect(verifyPowSolution(solution, SECRET, "s-2", 0).error)
+        .toBe("challenge pow non firmata dal server");
+  });
+
+  it("should not require anything when disabled", async () => {
+    expect(await verifyChallenge(undefined, {secret: SECRET}, "none"))
+        .toEqual({valid: true});
+  });
+});
@@ -1,12 +1,147 @@
 (function() {
   // --- Configuration ---
-  var API_BASE = "https://europe-west1-proto-ai-8f205.cloudfunctions.net";
-  var WELCOME_MSG = "Ciao! Sono Spark. Raccontami cosa vorresti realizzare e ti dico subito se \u00e8 fattibile e quanto potrebbe costare.";
-  var LEAD_START = "|||LEAD_DATA|||";
-  var LEAD_END = "|||END_LEAD|||";
-  var SPARK_AVATAR = "https://proto-ai-8f205.web.app/spark-ai-72x72.png";
-  var STORAGE_KEY = "spark_session";
+  // <script src=".../spark-widget.js" data-tenant="acme" data-language="en" data-api-base="..."></script>
+  var scriptEl = document.currentScript;
+  var TENANT = (scriptEl && scriptEl.getAttribute("data-tenant")) || "";
+  // Lingua richiesta (data-language o lingua del browser): il backend la usa se il tenant la supporta
+  var LOCALE = ((scriptEl && scriptEl.getAttribute("data-language")) || navigator.language || "it").slice(0, 2).toLowerCase();
+  var API_BASE = (scriptEl && scriptEl.getAttribute("data-api-base")) || "https://europe-west1-proto-ai-8f205.cloudfunctions.net";
+  var STORAGE_KEY = TENANT ? "spark_session_" + TENANT : "spark_session";
+  var CONSENT_KEY = STORAGE_KEY + "_consent"; // sopravvive alla scadenza della sessione
   var SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+  var MAX_MESSAGE_LENGTH = 2000; // come CHAT_LIMITS.maxMessageLength nel backend
+  var TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000; // rinnova il token 2 minuti prima della scadenza
+  var LIVE_RETRY_MIN_MS = 2000; // attesa dopo un long-poll fallito, raddoppia a ogni errore
+  var LIVE_RETRY_MAX_MS = 60 * 1000;
+  var LIVE_IDLE_MS = 60 * 1000; // controllo della presa in carico quando nessun operatore è attivo
+  var RESUME_DELAYS_MS = [1000, 2000, 4000, 8000]; // riprese di una risposta interrotta
+  var TURNSTILE_SCRIPT = "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit";
+
+  // Testi e branding di default (tenant Nexo), sovrascritti da /widgetConfig
+  var config = {
+    assistantName: "Spark",
+    welcomeMessage: "Ciao! Sono Spark. Raccontami cosa vorresti realizzare e ti dico subito se \u00e8 fattibile e quanto potrebbe costare.",
+    avatarUrl: "https://proto-ai-8f205.web.app/spark-ai-72x72.png",
+    primaryColor: "#3B82F6",
+    primaryHoverColor: "#2563EB",
+    language: "it",
+    consent: { version: "1", policyUrl: "" },
+    strings: {}
+  };
+  // Testi dell'interfaccia per lingua; gli errori della chat sono per codice
+  var DEFAULT_STRINGS = {
+    it: {
+      inputPlaceholder: "Scrivi un messaggio...",
+      sendLabel: "Invia",
+      genericError: "Si \u00e8 verificato un errore.",
+      connectionError: "Si \u00e8 verificato un errore di connessione. Riprova tra qualche istante.",
+      consentText: "Per usare la chat accetta il trattamento dei dati della conversazione, che conserviamo per rispondere alla tua richiesta.",
+      consentAccept: "Accetto",
+      consentPolicyLink: "Informativa privacy",
+      operatorLabel: "Operatore",
+      stopLabel: "Interrompi la risposta",
+      regenerateLabel: "Rigenera",
+      errorInvalidToken: "La sessione \u00e8 scaduta. Ricarica la pagina e riprova.",
+      errorRateLimited: "Stai inviando messaggi troppo velocemente. Riprova tra {seconds} secondi.",
+      errorConsentRequired: "Per continuare accetta l'informativa sulla privacy.",
+      errorBudgetExceeded: "Al momento non riesco a rispondere. Riprova pi\u00f9 tardi oppure contattaci direttamente.",
+      errorInvalidMessage: "Il messaggio non \u00e8 valido.",
+      errorMessageTooLong: "Il messaggio \u00e8 troppo lungo: il massimo \u00e8 {max} caratteri.",
+      errorConversationTooLong: "Questa conversazione ha raggiunto la lunghezza massima e non pu\u00f2 continuare.",
+      errorStreamExpired: "La connessione si \u00e8 interrotta e la risposta non \u00e8 pi\u00f9 disponibile. Invia di nuovo il messaggio.",
+      errorNothingToRegenerate: "Non c'\u00e8 una risposta da rigenerare.",
+      budgetUnder: "Meno di {max}",
+      budgetBetween: "{min} \u2013 {max}",
+      budgetOver: "Oltre {min}",
+      budgetUnknown: "Non lo so",
+      contactName: "Nome",
+      contactPhone: "Telefono",
+      contactEmail: "Email (facoltativa)",
+      contactSubmit: "Invia i contatti",
+      contactInvalidPhone: "Inserisci un numero di telefono valido.",
+      contactInvalidEmail: "Inserisci un indirizzo email valido.",
+      contactError: "Non \u00e8 stato possibile inviare i contatti. Riprova.",
+      contactSent: "Ti ho lasciato i miei contatti nel modulo."
+    },
+    en: {
+      inputPlaceholder: "Write a message...",
+      sendLabel: "Send",
+      genericError: "Something went wrong.",
+      connectionError: "A connection error occurred. Please try again in a moment.",
+      consentText: "To use the chat, please accept the processing of the conversation data, which we keep to answer your request.",
+      consentAccept: "I agree",
+      consentPolicyLink: "Privacy policy",
+      operatorLabel: "Operator",
+      stopLabel: "Stop the reply",
+      regenerateLabel: "Regenerate",
+      errorInvalidToken: "Your session has expired. Reload the page and try again.",
+      errorRateLimited: "You are sending messages too quickly. Try again in {seconds} seconds.",
+      errorConsentRequired: "To continue, please accept the privacy policy.",
+      errorBudgetExceeded: "I can't answer right now. Please try again later or contact us directly.",
+      errorInvalidMessage: "The message is not valid.",
+      errorMessageTooLong: "The message is too long: the maximum is {max} characters.",
+      errorConversationTooLong: "This conversation has reached its maximum length and cannot continue.",
+      errorStreamExpired: "The connection dropped and the reply is no longer available. Please send your message again.",
+      errorNothingToRegenerate: "There is no reply to regenerate.",
+      budgetUnder: "Under {max}",
+      budgetBetween: "{min} \u2013 {max}",
+      budgetOver: "Over {min}",
+      budgetUnknown: "I don't know",
+      contactName: "Name",
+      contactPhone: "Phone",
+      contactEmail: "Email (optional)",
+      contactSubmit: "Send my details",
+      contactInvalidPhone: "Please enter a valid phone number.",
+      contactInvalidEmail: "Please enter a valid email address.",
+      contactError: "We couldn't send your details. Please try again.",
+      contactSent: "I left my contact details in the form."
+    }
+  };
+  var ERROR_KEYS = {
+    INVALID_TOKEN: "errorInvalidToken",
+    RATE_LIMITED: "errorRateLimited",
+    CONSENT_REQUIRED: "errorConsentRequired",
+    BUDGET_EXCEEDED: "errorBudgetExceeded",
+    INVALID_MESSAGE: "errorInvalidMessage",
+    MESSAGE_TOO_LONG: "errorMessageTooLong",
+    CONVERSATION_TOO_LONG: "errorConversationTooLong",
+    STREAM_EXPIRED: "errorStreamExpired",
+    NOTHING_TO_REGENERATE: "errorNothingToRegenerate"
+  };
+
+  // Testo del tenant, poi quello della lingua del widget, poi l'italiano
+  function t(key) {
+    var strings = DEFAULT_STRINGS[config.language] || {};
+    return config.strings[key] || strings[key] || DEFAULT_STRINGS.it[key];
+  }
+
+  // Messaggio di un evento "error" della chat nella lingua del widget
+  function errorText(data) {
+    var key = ERROR_KEYS[data.code];
+    if (!key) return data.content || t("genericError");
+    return t(key)
+      .replace("{seconds}", data.retryAfter || "")
+      .replace("{max}", MAX_MESSAGE_LENGTH);
+  }
+
+  // URL di una funzione, con lingua e tenant in query string (il tenant serve anche per CORS)
+  function apiUrl(name) {
+    return API_BASE + "/" + name + "?locale=" + encodeURIComponent(LOCALE) +
+      (TENANT ? "&tenant=" + encodeURIComponent(TENANT) : "");
+  }
+
+  // Se la configurazione non arriva il widget parte con i default
+  function loadWidgetConfig() {
+    return fetch(apiUrl("widgetConfig")).then(function(response) {
+      if (!response.ok) throw new Error("HTTP " + response.status);
+      return response.json();
+    }).then(function(data) {
+      for (var key in data) {
+        if (data[key] !== undefined && data[key] !== "") config[key] = data[key];
+      }
+      config.strings = data.strings || {};
+    }).catch(function() { /* configurazione non disponibile: restano i default */ });
+  }
 
   // --- Traffic source detection ---
   function detectTrafficSource() {
@@ -99,7 +234,8 @@
     align-self: flex-end;\
     flex-direction: row-reverse;\
   }\
-  .proto-ai-msg--assistant {\
+  .proto-ai-msg--assistant,\
+  .proto-ai-msg--operator {\
     align-self: flex-start;\
   }\
   .proto-ai-avatar {\
@@ -143,7 +279,7 @@
     font-weight: 500;\
     letter-spacing: 1px;\
     margin-bottom: 4px;\
-    color: #3B82F6;\
+    color: var(--spark-primary, #3B82F6);\
   }\
   .proto-ai-msg--user .proto-ai-msg-label {\
     display: none;\
@@ -156,14 +292,111 @@
     white-space: pre-wrap;\
     word-break: break-word;\
   }\
-  .proto-ai-msg--assistant .proto-ai-bubble {\
+  .proto-ai-msg--operator .proto-ai-msg-label {\
+    color: #16A34A;\
+  }\
+  .proto-ai-bubble--rich {\
+    white-space: normal;\
+  }\
+  .proto-ai-bubble--rich p,\
+  .proto-ai-bubble--rich ul,\
+  .proto-ai-bubble--rich ol {\
+    margin: 0;\
+  }\
+  .proto-ai-bubble--rich > * + * {\
+    margin-top: 8px;\
+  }\
+  .proto-ai-bubble--rich ul,\
+  .proto-ai-bubble--rich ol {\
+    padding-left: 20px;\
+  }\
+  .proto-ai-bubble--rich a {\
+    color: var(--spark-primary, #3B82F6);\
+    text-decoration: underline;\
+  }\
+  .proto-ai-quick-replies {\
+    display: flex;\
+    flex-wrap: wrap;\
+    gap: 8px;\
+    margin: -4px 0 0 46px;\
+  }\
+  .proto-ai-quick-reply {\
+    padding: 8px 14px;\
+    border: 1.5px solid var(--spark-primary, #3B82F6);\
+    border-radius: 999px;\
+    background: #FFFFFF;\
+    color: var(--spark-primary, #3B82F6);\
+    font-size: 13px;\
+    font-family: inherit;\
+    cursor: pointer;\
+  }\
+  .proto-ai-quick-reply:hover:not(:disabled) {\
+    background: var(--spark-primary, #3B82F6);\
+    color: #FFFFFF;\
+  }\
+  .proto-ai-quick-reply:disabled {\
+    opacity: 0.4;\
+    cursor: not-allowed;\
+  }\
+  .proto-ai-contact-form {\
+    display: flex;\
+    flex-direction: column;\
+    gap: 8px;\
+    margin: -4px 0 0 46px;\
+    max-width: 320px;\
+    padding: 14px;\
+    background: #FFFFFF;\
+    border: 1px solid #E2E8F0;\
+    border-radius: 12px;\
+  }\
+  .proto-ai-contact-form input {\
+    padding: 10px 12px;\
+    border: 1.5px solid #E2E8F0;\
+    border-radius: 8px;\
+    font-size: 14px;\
+    font-family: inherit;\
+    outline: none;\
+  }\
+  .proto-ai-contact-form input:focus {\
+    border-color: var(--spark-primary, #3B82F6);\
+  }\
+  .proto-ai-contact-form input[aria-invalid='true'] {\
+    border-color: #DC2626;\
+  }\
+  .proto-ai-contact-error {\
+    font-size: 12px;\
+    color: #DC2626;\
+  }\
+  .proto-ai-contact-submit {\
+    padding: 10px 16px;\
+    border: none;\
+    border-radius: 8px;\
+    background: var(--spark-primary, #3B82F6);\
+    color: #FFFFFF;\
+    font-size: 14px;\
+    font-weight: 600;\
+    font-family: inherit;\
+    cursor: pointer;\
+  }\
+  .proto-ai-contact-submit:disabled {\
+    opacity: 0.4;\
+    cursor: not-allowed;\
+  }\
+  @media (max-width: 768px) {\
+    .proto-ai-quick-replies,\
+    .proto-ai-contact-form {\
+      margin-left: 0;\
+    }\
+  }\
+  .proto-ai-msg--assistant .proto-ai-bubble,\
+  .proto-ai-msg--operator .proto-ai-bubble {\
     background: #FFFFFF;\
     border: 1px solid #E2E8F0;\
     color: #334155;\
     border-bottom-left-radius: 4px;\
   }\
   .proto-ai-msg--user .proto-ai-bubble {\
-    background: #3B82F6;\
+    background: var(--spark-primary, #3B82F6);\
     color: #FFFFFF;\
     border-bottom-right-radius: 4px;\
   }\
@@ -194,14 +427,14 @@
     color: #CBD5E1;\
   }\
   .proto-ai-input:focus {\
-    border-color: #3B82F6;\
+    border-color: var(--spark-primary, #3B82F6);\
     box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);\
   }\
   .proto-ai-send {\
     width: 48px;\
     height: 48px;\
     border-radius: 12px;\
-    background: #3B82F6;\
+    background: var(--spark-primary, #3B82F6);\
     border: none;\
     color: #FFFFFF;\
     font-size: 18px;\
@@ -214,7 +447,7 @@
     box-shadow: 0 1px 3px rgba(59, 130, 246, 0.3);\
   }\
   .proto-ai-send:hover:not(:disabled) {\
-    background: #2563EB;\
+    background: var(--spark-primary-hover, #2563EB);\
     transform: translateY(-1px);\
     box-shadow: 0 4px 12px rgba(59, 130, 246, 0.35);\
   }\
@@ -222,6 +455,28 @@
     opacity: 0.4;\
     cursor: not-allowed;\
   }\
+  .proto-ai-send--stop {\
+    background: #475569;\
+    font-size: 14px;\
+    box-shadow: none;\
+  }\
+  .proto-ai-send--stop:hover:not(:disabled) {\
+    background: #334155;\
+  }\
+  .proto-ai-regenerate {\
+    align-self: flex-start;\
+    margin-top: 4px;\
+    padding: 2px 0;\
+    border: none;\
+    background: none;\
+    color: #64748B;\
+    font-size: 12px;\
+    font-family: inherit;\
+    cursor: pointer;\
+  }\
+  .proto-ai-regenerate:hover {\
+    color: var(--spark-primary, #3B82F6);\
+  }\
   .proto-ai-typing {\
     display: flex;\
     gap: 5px;\
@@ -244,11 +499,139 @@
     0%, 60%, 100% { transform: translateY(0); opacity: 0.4; }\
     30% { transform: translateY(-6px); opacity: 1; }\
   }\
+  .proto-ai-consent {\
+    margin: 8px 0 4px 46px;\
+    padding: 12px 14px;\
+    background: #F8FAFC;\
+    border: 1px solid #E2E8F0;\
+    border-radius: 12px;\
+    font-size: 13px;\
+    line-height: 1.5;\
+    color: #475569;\
+  }\
+  .proto-ai-consent a {\
+    color: var(--spark-primary, #3B82F6);\
+  }\
+  .proto-ai-consent-accept {\
+    display: block;\
+    margin-top: 10px;\
+    padding: 8px 16px;\
+    border: none;\
+    border-radius: 8px;\
+    background: var(--spark-primary, #3B82F6);\
+    color: #FFFFFF;\
+    font-size: 13px;\
+    font-weight: 600;\
+    cursor: pointer;\
+  }\
+  .proto-ai-consent-accept:hover {\
+    background: var(--spark-primary-hover, #2563EB);\
+  }\
   #spark-fab {\
     transition: transform 0.5s ease !important;\
   }";
   document.head.appendChild(style);
 
+  // --- Markdown ---
+  // Sottoinsieme di Markdown per le risposte: paragrafi, a capo, elenchi, grassetto,
+  // corsivo e link. Il DOM si costruisce con createElement e textContent, mai con
+  // innerHTML: il testo del modello non può iniettare HTML
+  var LIST_ITEM = /^\s*([-*•]|\d{1,3}[.)])\s+(.*)$/;
+  var INLINE = /\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s](?:[^*]*[^*\s])?)\*|(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/;
+  var SAFE_LINK = /^(https?:\/\/|mailto:|tel:)/i;
+
+  // Durante lo streaming un link o un grassetto non ancora chiusi non devono
+  // comparire come testo per poi trasformarsi: il link incompleto resta nascosto
+  // fino al prossimo chunk, l'enfasi aperta vale fino alla fine del testo
+  function completePartial(text) {
+    var complete = text.replace(/\[[^\]\n]*(\]\([^)\s]*)?$/, "");
+    if ((complete.match(/\*\*/g) || []).length % 2 === 1) complete += "**";
+    if ((complete.replace(/\*\*/g, "").match(/\*/g) || []).length % 2 === 1) complete += "*";
+    return complete;
+  }
+
+  function appendLink(parent, label, href) {
+    if (!SAFE_LINK.test(href)) {
+      parent.appendChild(document.createTextNode(label));
+      return;
+    }
+    var link = document.createElement("a");
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer nofollow";
+    link.textContent = label;
+    parent.appendChild(link);
+  }
+
+  function appendInline(parent, text) {
+    // Regex propria per ogni chiamata: il grassetto richiama appendInline
+    var pattern = new RegExp(INLINE.source, "g");
+    var last = 0;
+    var match;
+    while ((match = pattern.exec(text)) !== null) {
+      var start = match.index;
+      if (match[4] !== undefined) {
+        // Il carattere prima di _corsivo_ resta testo
+        start += match[4].length;
+      }
+      parent.appendChild(document.createTextNode(text.slice(last, start)));
+      if (match[1] !== undefined || match[2] !== undefined) {
+        var strong = document.createElement("strong");
+        appendInline(strong, match[1] !== undefined ? match[1] : match[2]);
+        parent.appendChild(strong);
+      } else if (match[3] !== undefined || match[5] !== undefined) {
+        var em = document.createElement("em");
+        em.textContent = match[3] !== undefined ? match[3] : match[5];
+        parent.appendChild(em);
+      } else if (match[6] !== undefined) {
+        appendLink(parent, match[6], match[7]);
+      } else {
+        appendLink(parent, match[8], match[8]);
+      }
+      last = pattern.lastIndex;
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  function renderMarkdown(text, partial) {
+    var fragment = document.createDocumentFragment();
+    var lines = (partial ? completePartial(text) : text).split("\n");
+    var block = null;
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i];
+      var item = LIST_ITEM.exec(line);
+      if (!line.trim()) {
+        block = null;
+      } else if (item) {
+        var tag = /\d/.test(item[1]) ? "ol" : "ul";
+        if (!block || block.tagName.toLowerCase() !== tag) {
+          block = document.createElement(tag);
+          fragment.appendChild(block);
+        }
+        var li = document.createElement("li");
+        appendInline(li, item[2]);
+        block.appendChild(li);
+      } else {
+        if (!block || block.tagName.toLowerCase() !== "p") {
+          block = document.createElement("p");
+          fragment.appendChild(block);
+        } else {
+          block.appendChild(document.createElement("br"));
+        }
+        appendInline(block, line);
+      }
+    }
+    return fragment;
+  }
+
+  // Sostituisce il contenuto della bolla in un solo passaggio, senza svuotarla prima
+  function renderBubble(bubble, text, partial) {
+    bubble.classList.add("proto-ai-bubble--rich");
+    var fragment = renderMarkdown(text, partial);
+    while (bubble.firstChild) bubble.removeChild(bubble.firstChild);
+    bubble.appendChild(fragment);
+  }
+
   // --- localStorage helpers ---
   function saveSession(data) {
     try {
@@ -269,19 +652,172 @@
     try { localStorage.removeItem(STORAGE_KEY); } catch (e) { /* ignore */ }
   }
 
+  // --- Consenso privacy ---
+  // {version, acceptedAt}: valido solo per la versione corrente dell'informativa
+  function loadConsent() {
+    try {
+      var consent = JSON.parse(localStorage.getItem(CONSENT_KEY));
+      return consent && consent.version === config.consent.version ? consent : null;
+    } catch (e) { return null; }
+  }
+
+  function saveConsent(consent) {
+    try { localStorage.setItem(CONSENT_KEY, JSON.stringify(consent)); } catch (e) { /* ignore */ }
+  }
+
+  function clearConsent() {
+    try { localStorage.removeItem(CONSENT_KEY); } catch (e) { /* ignore */ }
+  }
+
+  // --- Widget token ---
+  // Il backend accetta solo richieste con un token firmato e legato al sessionId,
+  // ottenuto da /widgetToken dopo l'eventuale challenge (proof-of-work o Turnstile)
+  var widgetTokens = {};
+  var pendingTokens = {};
+  var turnstileLoader = null;
+
+  function readJson(response) {
+    if (!response.ok) throw new Error("HTTP " + response.status);
+    return response.json();
+  }
+
+  function leadingZeroBits(bytes) {
+    var bits = 0;
+    for (var i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0) {
+        bits += 8;
+        continue;
+      }
+      return bits + Math.clz32(bytes[i]) - 24;
+    }
+    return bits;
+  }
+
+  // Cerca un nonce tale che SHA-256(salt + ":" + sessionId + ":" + nonce) inizi con `difficulty` bit a zero
+  function solvePow(challenge) {
+    var encoder = new TextEncoder();
+    var prefix = challenge.salt + ":" + challenge.sessionId + ":";
+    var nonce = 0;
+    function attempt() {
+      return crypto.subtle.digest("SHA-256", encoder.encode(prefix + nonce)).then(function(hash) {
+        if (leadingZeroBits(new Uint8Array(hash)) >= challenge.difficulty) {
+          return {
+            salt: challenge.salt,
+            difficulty: challenge.difficulty,
+            expiresAt: challenge.expiresAt,
+            signature: challenge.signature,
+            nonce: nonce
+          };
+        }
+        nonce++;
+        return attempt();
+      });
+    }
+    return attempt();
+  }
+
+  function loadTurnstile() {
+    if (!turnstileLoader) {
+      turnstileLoader = new Promise(function(resolve, reject) {
+        var script = document.createElement("script");
+        script.src = TURNSTILE_SCRIPT;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = function() {
+          turnstileLoader = null;
+          reject(new Error("Turnstile non disponibile"));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return turnstileLoader;
+  }
+
+  // Turnstile in modalità "interaction-only": visibile solo se serve un'interazione
+  function solveTurnstile(challenge) {
+    return loadTurnstile().then(function() {
+      return new Promise(function(resolve, reject) {
+        var el = document.createElement("div");
+        document.body.appendChild(el);
+        window.turnstile.render(el, {
+          sitekey: challenge.siteKey,
+          appearance: "interaction-only",
+          callback: function(token) {
+            el.remove();
+            resolve({ token: token });
+          },
+          "error-callback": function() {
+            el.remove();
+            reject(new Error("Turnstile fallito"));
+          }
+        });
+      });
+    });
+  }
+
+  function solveChallenge(challenge) {
+    if (!challenge) return Promise.resolve(null);
+    if (challenge.type === "pow") return solvePow(challenge);
+    if (challenge.type === "turnstile") return solveTurnstile(challenge);
+    return Promise.reject(new Error("Challenge sconosciuta: " + challenge.type));
+  }
+
+  // Token valido per sid (dalla cache o nuovo); richieste concorrenti condividono la stessa promise
+  function getWidgetToken(sid) {
+    var cached = widgetTokens[sid];
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return Promise.resolve(cached.token);
+    }
+    if (!pendingTokens[sid]) {
+      pendingTokens[sid] = fetch(apiUrl("widgetToken") + "&sessionId=" + encodeURIComponent(sid))
+        .then(readJson)
+        .then(function(data) { return solveChallenge(data.challenge); })
+        .then(function(solution) {
+          return fetch(apiUrl("widgetToken"), {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ sessionId: sid, challenge: solution })
+          });
+        })
+        .then(readJson)
+        .then(function(data) {
+          widgetTokens[sid] = data;
+          return data.token;
+        })
+        .finally(function() {
+          delete pendingTokens[sid];
+        });
+    }
+    return pendingTokens[sid];
+  }
+
+  // Token in cache per le richieste sendBeacon, che non possono aspettare
+  function cachedWidgetToken(sid) {
+    var cached = widgetTokens[sid];
+    return cached && cached.expiresAt > Date.now() ? cached.token : null;
+  }
+
+  function forgetWidgetToken(sid) {
+    delete widgetTokens[sid];
+  }
+
   function sendSummaryForSession(session) {
     if (!session || !session.history || session.history.length < 2) return;
     if (session.leadSent) return;
-    var payload = JSON.stringify({
-      sessionId: session.sessionId,
-      conversazione: session.history
-    });
-    if (navigator.sendBeacon) {
-      navigator.sendBeacon(
-        API_BASE + "/summary",
-        new Blob([payload], { type: "text/plain" })
-      );
-    }
+    getWidgetToken(session.sessionId).then(function(token) {
+      var payload = JSON.stringify({
+        sessionId: session.sessionId,
+        conversazione: session.history,
+        consent: loadConsent(),
+        widgetToken: token
+      });
+      if (navigator.sendBeacon) {
+        navigator.sendBeacon(
+          apiUrl("summary"),
+          new Blob([payload], { type: "text/plain" })
+        );
+      }
+    }).catch(function() { /* summary perso: nessun token */ });
   }
 
   // --- Check for expired session before initializing ---
@@ -296,37 +832,49 @@
     }
   }
 
-  // --- Find container and inject HTML ---
-  var container = document.getElementById("spark-widget-container");
-  if (!container) {
-    container = document.querySelector(".proto-ai-widget");
-    if (container) {
-      initWidget(
-        container.querySelector(".proto-ai-messages") || document.getElementById("protoAiMessages"),
-        container.querySelector(".proto-ai-input") || document.getElementById("protoAiInput"),
-        container.querySelector(".proto-ai-send") || document.getElementById("protoAiSend")
-      );
+  // --- Find container and inject HTML (after the tenant config is loaded) ---
+  function mountWidget() {
+    var container = document.getElementById("spark-widget-container");
+    if (!container) {
+      container = document.querySelector(".proto-ai-widget");
+      if (container) {
+        applyBranding(container);
+        initWidget(
+          container.querySelector(".proto-ai-messages") || document.getElementById("protoAiMessages"),
+          container.querySelector(".proto-ai-input") || document.getElementById("protoAiInput"),
+          container.querySelector(".proto-ai-send") || document.getElementById("protoAiSend")
+        );
+        return;
+      }
+      console.error("Spark Widget: container #spark-widget-container not found");
       return;
     }
-    console.error("Spark Widget: container #spark-widget-container not found");
-    return;
+
+    container.innerHTML = '\
+      <div class="proto-ai-widget">\
+        <div class="proto-ai-messages"></div>\
+        <div class="proto-ai-input-bar">\
+          <textarea class="proto-ai-input" rows="1"></textarea>\
+          <button class="proto-ai-send">&#10148;</button>\
+        </div>\
+      </div>';
+
+    var widget = container.querySelector(".proto-ai-widget");
+    applyBranding(widget);
+    initWidget(
+      widget.querySelector(".proto-ai-messages"),
+      widget.querySelector(".proto-ai-input"),
+      widget.querySelector(".proto-ai-send")
+    );
   }
 
-  container.innerHTML = '\
-    <div class="proto-ai-widget">\
-      <div class="proto-ai-messages"></div>\
-      <div class="proto-ai-input-bar">\
-        <textarea class="proto-ai-input" placeholder="Scrivi un messaggio..." rows="1"></textarea>\
-        <button class="proto-ai-send" aria-label="Invia">&#10148;</button>\
-      </div>\
-    </div>';
+  function applyBranding(widgetEl) {
+    widgetEl.style.setProperty("--spark-primary", config.primaryColor);
+    widgetEl.style.setProperty("--spark-primary-hover", config.primaryHoverColor || config.primaryColor);
+    widgetEl.setAttribute("lang", config.language);
+  }
 
-  var widget = container.querySelector(".proto-ai-widget");
-  initWidget(
-    widget.querySelector(".proto-ai-messages"),
-    widget.querySelector(".proto-ai-input"),
-    widget.querySelector(".proto-ai-send")
-  );
+  loadWidgetConfig().then(mountWidget);
 
   function initWidget(messagesEl, inputEl, sendBtn) {
     // --- Restore or create session ---
@@ -336,6 +884,17 @@
     var leadSent;
     var lastTrackedCount;
     var isStreaming = false;
+    var consent = loadConsent();
+    var consentEl = null;
+    var directiveEl = null; // risposte rapide, fasce di budget o modulo contatti
+    var regenerateEl = null; // pulsante "Rigenera" sotto l'ultima risposta
+    var activeReply = null; // {stop} della risposta in streaming
+    var sendBtnHtml = sendBtn.innerHTML;
+    var liveCursor;
+    var livePolling = false;
+    var liveRetryMs = LIVE_RETRY_MIN_MS;
+    var liveIdleTimer = null;
+    var lastActivityAt = Date.now();
 
     var trafficSource;
     if (restoredSession) {
@@ -344,6 +903,7 @@
       leadSent = restoredSession.leadSent || false;
       lastTrackedCount = restoredSession.lastTrackedCount || 0;
       trafficSource = restoredSession.trafficSource || "";
+      liveCursor = restoredSession.liveCursor;
     } else {
       sessionId = crypto.randomUUID ? crypto.randomUUID() : ("s-" + Math.random().toString(36).slice(2) + Date.now().toString(36));
       history = [];
@@ -352,13 +912,60 @@
       trafficSource = detectTrafficSource();
     }
 
+    // Token richiesto subito e rinnovato prima della scadenza, così i beacon di /track ne hanno uno valido
+    function refreshWidgetToken() {
+      getWidgetToken(sessionId).catch(function() { /* riprova al prossimo giro o al prossimo messaggio */ });
+    }
+    refreshWidgetToken();
+    setInterval(refreshWidgetToken, 60 * 1000);
+
     function persistState() {
       saveSession({
         sessionId: sessionId,
         history: history,
         leadSent: leadSent,
         lastTrackedCount: lastTrackedCount,
-        trafficSource: trafficSource
+        trafficSource: trafficSource,
+        liveCursor: liveCursor
+      });
+    }
+
+    // --- Operatore ---
+    // Long-poll dei messaggi dell'operatore, che arrivano anche se l'utente non scrive.
+    // Il server tiene aperta la richiesta solo se la sessione è in carico a un operatore:
+    // altrimenti risponde subito e il widget ricontrolla dopo LIVE_IDLE_MS.
+    // Attivo solo con la pagina visibile e finché la sessione non scade
+    function pollLive() {
+      if (livePolling || history.length === 0 || document.visibilityState === "hidden") return;
+      if (Date.now() - lastActivityAt > SESSION_TTL_MS) return;
+      clearTimeout(liveIdleTimer);
+      livePolling = true;
+
+      getWidgetToken(sessionId).then(function(token) {
+        var url = apiUrl("live") + "&sessionId=" + encodeURIComponent(sessionId);
+        if (liveCursor !== undefined) url += "&after=" + liveCursor;
+        return fetch(url, { headers: { "Authorization": "Bearer " + token } });
+      }).then(function(response) {
+        if (response.status === 401) forgetWidgetToken(sessionId);
+        if (!response.ok) throw new Error("HTTP " + response.status);
+        return response.json();
+      }).then(function(data) {
+        for (var i = 0; i < data.turns.length; i++) {
+          addMessage("operator", data.turns[i].content);
+          history.push({ role: "operator", content: data.turns[i].content });
+          lastActivityAt = Date.now();
+          clearRegenerate();
+        }
+        liveCursor = data.cursor;
+        persistState();
+        liveRetryMs = LIVE_RETRY_MIN_MS;
+        livePolling = false;
+        if (data.operator) pollLive();
+        else liveIdleTimer = setTimeout(pollLive, LIVE_IDLE_MS);
+      }).catch(function() {
+        livePolling = false;
+        setTimeout(pollLive, liveRetryMs);
+        liveRetryMs = Math.min(liveRetryMs * 2, LIVE_RETRY_MAX_MS);
       });
     }
 
@@ -370,9 +977,11 @@
       avatar.className = "proto-ai-avatar";
       if (role === "assistant") {
         var img = document.createElement("img");
-        img.src = SPARK_AVATAR;
-        img.alt = "Spark";
-        avatar.appendChild(img);
+        if (config.avatarUrl) {
+          img.src = config.avatarUrl;
+          img.alt = config.assistantName;
+          avatar.appendChild(img);
+        }
       }
 
       var content = document.createElement("div");
@@ -380,11 +989,13 @@
 
       var label = document.createElement("div");
       label.className = "proto-ai-msg-label";
-      label.textContent = role === "assistant" ? "SPARK" : "";
+      if (role === "assistant") label.textContent = config.assistantName.toUpperCase();
+      if (role === "operator") label.textContent = t("operatorLabel").toUpperCase();
 
       var bubble = document.createElement("div");
       bubble.className = "proto-ai-bubble";
-      bubble.textContent = text;
+      if (role === "user") bubble.textContent = text;
+      else renderBubble(bubble, text);
 
       content.appendChild(label);
       content.appendChild(bubble);
@@ -399,6 +1010,10 @@
       messagesEl.scrollTop = messagesEl.scrollHeight;
     }
 
+    inputEl.maxLength = MAX_MESSAGE_LENGTH;
+    inputEl.placeholder = t("inputPlaceholder");
+    sendBtn.setAttribute("aria-label", t("sendLabel"));
+
     inputEl.addEventListener("input", function() {
       inputEl.style.height = "auto";
       inputEl.style.height = Math.min(inputEl.scrollHeight, 120) + "px";
@@ -411,13 +1026,179 @@
       }
     });
 
+    // Durante lo streaming il pulsante di invio interrompe la risposta
     sendBtn.addEventListener("click", function() {
+      if (isStreaming) {
+        if (activeReply) activeReply.stop();
+        return;
+      }
       sendMessage();
     });
 
-    function sendMessage() {
-      var text = inputEl.value.trim();
-      if (!text || isStreaming) return;
+    // --- Direttive dell'assistente ---
+    // Un solo elemento alla volta sotto l'ultima risposta: resta fino al messaggio
+    // successivo e non viene salvato nella sessione
+    function showDirective(el) {
+      clearDirective();
+      directiveEl = el;
+      messagesEl.appendChild(el);
+      syncDirective();
+      scrollToBottom();
+    }
+
+    function clearDirective() {
+      if (!directiveEl) return;
+      messagesEl.removeChild(directiveEl);
+      directiveEl = null;
+    }
+
+    // Pulsanti e campi sono disattivati mentre l'assistente risponde
+    function syncDirective() {
+      if (!directiveEl) return;
+      var controls = directiveEl.querySelectorAll("button, input");
+      for (var i = 0; i < controls.length; i++) controls[i].disabled = isStreaming;
+    }
+
+    // Risposte rapide: un clic invia l'opzione come messaggio
+    function showQuickReplies(options) {
+      var el = document.createElement("div");
+      el.className = "proto-ai-quick-replies";
+      for (var i = 0; i < options.length; i++) {
+        var button = document.createElement("button");
+        button.type = "button";
+        button.className = "proto-ai-quick-reply";
+        button.textContent = options[i];
+        button.addEventListener("click", sendMessage.bind(null, options[i]));
+        el.appendChild(button);
+      }
+      showDirective(el);
+    }
+
+    function formatAmount(value, currency) {
+      try {
+        return new Intl.NumberFormat(config.language, {
+          style: "currency", currency: currency, maximumFractionDigits: 0
+        }).format(value);
+      } catch (e) {
+        return value + " " + currency;
+      }
+    }
+
+    // Fasce di budget del tenant ({min, max}) come risposte rapide nella lingua del widget
+    function showBudgetPicker(ranges, currency) {
+      var labels = [];
+      for (var i = 0; i < ranges.length; i++) {
+        var range = ranges[i];
+        var min = range.min ? formatAmount(range.min, currency) : "";
+        var max = range.max ? formatAmount(range.max, currency) : "";
+        var key = !range.min ? "budgetUnder" : (!range.max ? "budgetOver" : "budgetBetween");
+        labels.push(t(key).replace("{min}", min).replace("{max}", max));
+      }
+      labels.push(t("budgetUnknown"));
+      showQuickReplies(labels);
+    }
+
+    // Modulo contatti: validato qui e inviato a /contact, che unisce i dati al lead
+    // della sessione; poi un messaggio avvisa l'assistente dell'invio
+    var CONTACT_INPUTS = {
+      nome: { type: "text", label: "contactName", autocomplete: "name", maxLength: 100 },
+      telefono: { type: "tel", label: "contactPhone", autocomplete: "tel", maxLength: 30 },
+      email: { type: "email", label: "contactEmail", autocomplete: "email", maxLength: 254 }
+    };
+
+    function showContactForm(fields) {
+      var form = document.createElement("form");
+      form.className = "proto-ai-contact-form";
+      form.noValidate = true;
+      var inputs = {};
+      for (var i = 0; i < fields.length; i++) {
+        var spec = CONTACT_INPUTS[fields[i]];
+        if (!spec) continue;
+        var input = document.createElement("input");
+        input.type = spec.type;
+        input.name = fields[i];
+        input.placeholder = t(spec.label);
+        input.setAttribute("aria-label", t(spec.label));
+        input.autocomplete = spec.autocomplete;
+        input.maxLength = spec.maxLength;
+        inputs[fields[i]] = input;
+        form.appendChild(input);
+      }
+      var errorEl = document.createElement("div");
+      errorEl.className = "proto-ai-contact-error";
+      errorEl.setAttribute("role", "alert");
+      var submit = document.createElement("button");
+      submit.type = "submit";
+      submit.className = "proto-ai-contact-submit";
+      submit.textContent = t("contactSubmit");
+      form.appendChild(errorEl);
+      form.appendChild(submit);
+
+      form.addEventListener("submit", function(e) {
+        e.preventDefault();
+        if (isStreaming) return;
+        var contact = {};
+        for (var field in inputs) {
+          contact[field] = inputs[field].value.trim();
+          inputs[field].removeAttribute("aria-invalid");
+        }
+        var error = validateContact(contact, inputs);
+        errorEl.textContent = error;
+        if (error) return;
+
+        submit.disabled = true;
+        submitContact(contact).then(function(response) {
+          if (!response.ok) throw new Error("HTTP " + response.status);
+          clearDirective();
+          sendMessage(t("contactSent"));
+        }).catch(function() {
+          errorEl.textContent = t("contactError");
+          submit.disabled = false;
+        });
+      });
+      showDirective(form);
+    }
+
+    // Stesse regole del backend (validateContactData): telefono obbligatorio
+    function validateContact(contact, inputs) {
+      var phone = (contact.telefono || "").replace(/[\s.\-()\/]/g, "");
+      if (!/^\+?\d{6,15}$/.test(phone)) {
+        if (inputs.telefono) inputs.telefono.setAttribute("aria-invalid", "true");
+        return t("contactInvalidPhone");
+      }
+      if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+        inputs.email.setAttribute("aria-invalid", "true");
+        return t("contactInvalidEmail");
+      }
+      return "";
+    }
+
+    function submitContact(contact, isRetry) {
+      return getWidgetToken(sessionId).then(function(token) {
+        var body = { sessionId: sessionId, consent: consent };
+        for (var field in contact) body[field] = contact[field];
+        return fetch(apiUrl("contact"), {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Authorization": "Bearer " + token
+          },
+          body: JSON.stringify(body)
+        });
+      }).then(function(response) {
+        if (response.status === 401 && !isRetry) {
+          forgetWidgetToken(sessionId);
+          return submitContact(contact, true);
+        }
+        return response;
+      });
+    }
+
+    // `preset` è il testo di una risposta rapida; senza, si invia il campo di input
+    function sendMessage(preset) {
+      var text = (typeof preset === "string" ? preset : inputEl.value).trim();
+      if (!text || isStreaming || !consent) return;
+      clearDirective();
 
       // Primo messaggio utente: traccia inizio conversazione
       if (history.length === 0) {
@@ -427,34 +1208,155 @@
 
       addMessage("user", text);
       history.push({ role: "user", content: text });
+      lastActivityAt = Date.now();
       persistState();
+      pollLive();
 
-      inputEl.value = "";
-      inputEl.style.height = "auto";
+      if (typeof preset !== "string") {
+        inputEl.value = "";
+        inputEl.style.height = "auto";
+      }
+
+      streamReply({
+        sessionId: sessionId,
+        message: text,
+        trafficSource: trafficSource,
+        consent: consent
+      });
+    }
+
+    // Rigenera l'ultima risposta: il backend la sostituisce nei turni salvati,
+    // il widget nella history e in localStorage
+    function regenerateReply() {
+      if (isStreaming || !consent || !lastIsAssistant()) return;
+      var answers = messagesEl.querySelectorAll(".proto-ai-msg--assistant");
+      var last = answers[answers.length - 1];
+      last.parentNode.removeChild(last);
+      history.pop();
+      lastTrackedCount = Math.min(lastTrackedCount, history.length);
+      persistState();
+      clearDirective();
+
+      streamReply({
+        sessionId: sessionId,
+        regenerate: true,
+        trafficSource: trafficSource,
+        consent: consent
+      });
+    }
+
+    // Invia la richiesta a /chat e mostra la risposta in streaming in una nuova bolla
+    function streamReply(payload) {
+      clearRegenerate();
       setStreaming(true);
 
       var assistantBubble = addMessage("assistant", "");
       assistantBubble.innerHTML = '<div class="proto-ai-typing"><span></span><span></span><span></span></div>';
       var typingRemoved = false;
       var fullResponse = "";
+      var renderPending = false;
+
+      // Al massimo un rendering del Markdown per frame, anche con molti chunk
+      function scheduleRender() {
+        if (renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(function() {
+          renderPending = false;
+          // Finito lo stream la bolla ha già il testo definitivo
+          if (!isStreaming) return;
+          renderBubble(assistantBubble, fullResponse.trimEnd(), true);
+          scrollToBottom();
+        });
+      }
 
-      fetch(API_BASE + "/chat", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ sessionId: sessionId, message: text, history: history.slice(0, -1) })
-      }).then(function(response) {
-        if (!response.ok) throw new Error("HTTP " + response.status);
+      // Ultimo evento ricevuto per intero: da qui riprende una risposta interrotta
+      var lastEventId = null;
+      var resumeAttempts = 0;
+      var resumeTimer = null;
+
+      // Il pulsante stop chiude la connessione: il backend interrompe la generazione
+      // e salva la parte di risposta già mostrata, che resta nella conversazione
+      var controller = window.AbortController ? new AbortController() : null;
+      var stopped = false;
+      activeReply = {
+        stop: function() {
+          if (stopped) return;
+          stopped = true;
+          clearTimeout(resumeTimer);
+          if (controller) controller.abort();
+          if (fullResponse) {
+            finishStream(fullResponse);
+          } else {
+            removeBubble();
+            setStreaming(false);
+          }
+        }
+      };
+
+      function removeBubble() {
+        var placeholder = assistantBubble.parentNode.parentNode;
+        placeholder.parentNode.removeChild(placeholder);
+      }
+
+      // Applica un evento SSE; true se chiude la risposta
+      function handleEvent(data) {
+        if (data.type === "text") {
+          if (!typingRemoved) {
+            assistantBubble.innerHTML = "";
+            typingRemoved = true;
+          }
+          fullResponse += data.content;
+          scheduleRender();
+        } else if (data.type === "quick_replies") {
+          showQuickReplies(data.options || []);
+        } else if (data.type === "budget_picker") {
+          showBudgetPicker(data.ranges || [], data.currency || "EUR");
+        } else if (data.type === "contact_form") {
+          showContactForm(data.fields || []);
+        } else if (data.type === "operator") {
+          // Sessione in carico a un operatore: la risposta arriva dal long-poll
+          removeBubble();
+          setStreaming(false);
+          pollLive();
+          return true;
+        } else if (data.type === "lead_captured") {
+          onLeadCaptured(data.lead || {});
+        } else if (data.type === "done") {
+          finishStream(fullResponse);
+          return true;
+        } else if (data.type === "error") {
+          assistantBubble.textContent = errorText(data);
+          setStreaming(false);
+          // Informativa aggiornata o consenso perso: va accettato di nuovo
+          if (data.code === "CONSENT_REQUIRED") {
+            consent = null;
+            clearConsent();
+            showConsent();
+          }
+          return true;
+        }
+        return false;
+      }
+
+      // Legge uno stream SSE; risolve true se la risposta si è chiusa, false
+      // se la connessione è finita prima
+      function readStream(response) {
+        // Le richieste rifiutate (rate limit, messaggio troppo lungo) arrivano
+        // comunque come stream SSE con un evento "error" da mostrare
+        var contentType = response.headers.get("Content-Type") || "";
+        if (!response.ok && contentType.indexOf("text/event-stream") === -1) {
+          throw new Error("HTTP " + response.status);
+        }
 
         var reader = response.body.getReader();
         var decoder = new TextDecoder();
         var buffer = "";
+        var eventId = null;
 
         function read() {
           return reader.read().then(function(result) {
-            if (result.done) {
-              finishStream(fullResponse);
-              return;
-            }
+            if (stopped) return true;
+            if (result.done) return false;
 
             buffer += decoder.decode(result.value, { stream: true });
             var lines = buffer.split("\n");
@@ -462,38 +1364,20 @@
 
             for (var i = 0; i < lines.length; i++) {
               var line = lines[i].trim();
+              if (line.startsWith("id: ")) {
+                eventId = line.slice(4);
+                continue;
+              }
               if (!line.startsWith("data: ")) continue;
 
               try {
                 var data = JSON.parse(line.slice(6));
-                if (data.type === "text") {
-                  if (!typingRemoved) {
-                    assistantBubble.innerHTML = "";
-                    typingRemoved = true;
-                  }
-                  fullResponse += data.content;
-                  var displayText = fullResponse;
-                  var markerIdx = displayText.indexOf(LEAD_START);
-                  if (markerIdx !== -1) {
-                    displayText = displayText.substring(0, markerIdx);
-                  } else {
-                    for (var k = Math.min(LEAD_START.length - 1, displayText.length); k > 0; k--) {
-                      if (displayText.endsWith(LEAD_START.substring(0, k))) {
-                        displayText = displayText.substring(0, displayText.length - k);
-                        break;
-                      }
-                    }
-                  }
-                  assistantBubble.textContent = displayText.trimEnd();
-                  scrollToBottom();
-                } else if (data.type === "done") {
-                  finishStream(fullResponse);
-                  return;
-                } else if (data.type === "error") {
-                  assistantBubble.textContent = data.content || "Si \u00e8 verificato un errore.";
-                  setStreaming(false);
-                  return;
+                if (eventId) {
+                  lastEventId = eventId;
+                  resumeAttempts = 0;
                 }
+                eventId = null;
+                if (handleEvent(data)) return true;
               } catch (e) { /* skip malformed SSE */ }
             }
 
@@ -502,56 +1386,84 @@
         }
 
         return read();
+      }
+
+      // Connessione interrotta: riprende dall'ultimo evento con un'attesa
+      // crescente. Senza eventi ricevuti la richiesta può non essere arrivata
+      function onStreamLost(closed) {
+        if (stopped) return;
+        if (!lastEventId) {
+          if (closed) {
+            finishStream(fullResponse);
+          } else {
+            assistantBubble.textContent = t("connectionError");
+            setStreaming(false);
+          }
+          return;
+        }
+        if (resumeAttempts >= RESUME_DELAYS_MS.length) {
+          assistantBubble.textContent = t("connectionError");
+          setStreaming(false);
+          return;
+        }
+        resumeTimer = setTimeout(function() {
+          requestResume(lastEventId, controller).then(readStream).then(function(ended) {
+            if (!ended) onStreamLost(true);
+          }).catch(function() {
+            onStreamLost(false);
+          });
+        }, RESUME_DELAYS_MS[resumeAttempts++]);
+      }
+
+      postChat(payload, controller).then(readStream).then(function(ended) {
+        if (!ended) onStreamLost(true);
       }).catch(function() {
-        assistantBubble.textContent = "Si \u00e8 verificato un errore di connessione. Riprova tra qualche istante.";
-        setStreaming(false);
+        onStreamLost(false);
       });
     }
 
-    function finishStream(responseText) {
-      var cleanText = responseText;
-      var startIdx = responseText.indexOf(LEAD_START);
-      var endIdx = responseText.indexOf(LEAD_END);
-
-      if (startIdx !== -1 && endIdx !== -1) {
-        var jsonStr = responseText.substring(startIdx + LEAD_START.length, endIdx);
-        cleanText = responseText.substring(0, startIdx).trimEnd();
-
-        if (!leadSent) {
-          try {
-            var leadData = JSON.parse(jsonStr);
-            if (leadData.telefono && leadData.descrizioneProgetto) {
-              leadSent = true;
-              persistState();
-              fetch(API_BASE + "/lead", {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  sessionId: sessionId,
-                  nome: leadData.nome || "",
-                  email: leadData.email || "",
-                  telefono: leadData.telefono,
-                  nomeAzienda: leadData.nomeAzienda || "",
-                  descrizioneProgetto: leadData.descrizioneProgetto,
-                  preventivoIndicato: leadData.preventivoIndicato || "",
-                  probabilitaChiusura: leadData.probabilitaChiusura || 0,
-                  noteQualifica: leadData.noteQualifica || "",
-                  conversazione: history.concat([{ role: "assistant", content: cleanText }]),
-                  trafficSource: trafficSource
-                })
-              }).then(function() {
-                window.dataLayer = window.dataLayer || [];
-                window.dataLayer.push({
-                  event: "spark_lead",
-                  lead_nome: leadData.nome || "",
-                  lead_telefono: leadData.telefono || "",
-                  lead_azienda: leadData.nomeAzienda || ""
-                });
-              }).catch(function() { /* silenzioso */ });
-            }
-          } catch (e) { /* JSON non valido, ignora */ }
+    // Ripresa di una risposta interrotta: il backend reinvia gli eventi successivi a lastEventId
+    function requestResume(lastEventId, controller) {
+      return postChat({ sessionId: sessionId, lastEventId: lastEventId }, controller);
+    }
+
+    // Un token rifiutato (scaduto o secret ruotato) viene rinnovato una sola volta
+    function postChat(payload, controller, isRetry) {
+      return getWidgetToken(sessionId).then(function(token) {
+        return fetch(apiUrl("chat"), {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Authorization": "Bearer " + token
+          },
+          body: JSON.stringify(payload),
+          signal: controller ? controller.signal : undefined
+        });
+      }).then(function(response) {
+        if (response.status === 401 && !isRetry) {
+          forgetWidgetToken(sessionId);
+          return postChat(payload, controller, true);
         }
+        return response;
+      });
+    }
+
+    // Il lead viene estratto e salvato dal backend: qui resta solo il tracciamento.
+    // `lead` contiene solo i campi che la policy privacy del tenant ammette nel dataLayer
+    function onLeadCaptured(lead) {
+      if (leadSent) return;
+      leadSent = true;
+      persistState();
+      var event = { event: "spark_lead" };
+      for (var field in lead) {
+        event["lead_" + field] = lead[field];
       }
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(event);
+    }
+
+    function finishStream(responseText) {
+      var cleanText = responseText.trimEnd();
 
       if (cleanText) {
         history.push({ role: "assistant", content: cleanText });
@@ -561,19 +1473,16 @@
 
       // Track progressivo: salva su Sheet dopo ogni risposta
       if (history.length > lastTrackedCount) {
-        var trackHistory = history;
-        if (trackHistory.length > 22) {
-          trackHistory = trackHistory.slice(0, 2).concat(trackHistory.slice(-20));
-        }
         var trackPayload = JSON.stringify({
           sessionId: sessionId,
-          history: trackHistory,
           leadSent: leadSent,
-          trafficSource: trafficSource
+          trafficSource: trafficSource,
+          consent: consent,
+          widgetToken: cachedWidgetToken(sessionId)
         });
         if (navigator.sendBeacon) {
           navigator.sendBeacon(
-            API_BASE + "/track",
+            apiUrl("track"),
             new Blob([trackPayload], { type: "text/plain" })
           );
         }
@@ -583,49 +1492,76 @@
 
       var bubbles = messagesEl.querySelectorAll(".proto-ai-msg--assistant .proto-ai-bubble");
       if (bubbles.length > 0) {
-        bubbles[bubbles.length - 1].textContent = cleanText;
+        renderBubble(bubbles[bubbles.length - 1], cleanText);
       }
 
       setStreaming(false);
+      showRegenerate();
+    }
+
+    function lastIsAssistant() {
+      return history.length > 0 && history[history.length - 1].role === "assistant";
+    }
+
+    function showRegenerate() {
+      clearRegenerate();
+      if (!lastIsAssistant()) return;
+      var contents = messagesEl.querySelectorAll(".proto-ai-msg--assistant .proto-ai-msg-content");
+      regenerateEl = document.createElement("button");
+      regenerateEl.type = "button";
+      regenerateEl.className = "proto-ai-regenerate";
+      regenerateEl.textContent = "\u21bb " + t("regenerateLabel");
+      regenerateEl.addEventListener("click", regenerateReply);
+      contents[contents.length - 1].appendChild(regenerateEl);
+    }
+
+    function clearRegenerate() {
+      if (!regenerateEl) return;
+      regenerateEl.parentNode.removeChild(regenerateEl);
+      regenerateEl = null;
     }
 
     function setStreaming(val) {
       isStreaming = val;
-      sendBtn.disabled = val;
+      if (!val) activeReply = null;
+      sendBtn.classList.toggle("proto-ai-send--stop", val);
+      sendBtn.innerHTML = val ? "&#9632;" : sendBtnHtml;
+      sendBtn.setAttribute("aria-label", t(val ? "stopLabel" : "sendLabel"));
       inputEl.disabled = val;
+      syncDirective();
       if (!val) inputEl.focus();
     }
 
     // --- Render: restore conversation or show welcome ---
     if (restoredSession && history.length > 0) {
       // Re-render all messages from history
-      addMessage("assistant", WELCOME_MSG);
+      addMessage("assistant", config.welcomeMessage);
       for (var i = 0; i < history.length; i++) {
         addMessage(history[i].role, history[i].content);
       }
     } else {
-      addMessage("assistant", WELCOME_MSG);
+      addMessage("assistant", config.welcomeMessage);
     }
+    if (!consent) showConsent();
+    showRegenerate();
+    pollLive();
 
     // --- Persist state + track on page leave ---
     function onPageLeave() {
       persistState();
       // Invia a /track solo se ci sono nuovi messaggi dall'ultimo track
       if (history.length > lastTrackedCount) {
-        var trackHistory = history;
-        // Guard per payload >60KB: tronca a primi 2 + ultimi 20 messaggi
-        if (trackHistory.length > 22) {
-          trackHistory = trackHistory.slice(0, 2).concat(trackHistory.slice(-20));
-        }
+        // La trascrizione la legge il server dai turni salvati
         var payload = JSON.stringify({
           sessionId: sessionId,
-          history: trackHistory,
           leadSent: leadSent,
-          trafficSource: trafficSource
+          trafficSource: trafficSource,
+          consent: consent,
+          widgetToken: cachedWidgetToken(sessionId)
         });
         if (navigator.sendBeacon) {
           navigator.sendBeacon(
-            API_BASE + "/track",
+            apiUrl("track"),
             new Blob([payload], { type: "text/plain" })
           );
         }
@@ -636,6 +1572,7 @@
 
     document.addEventListener("visibilitychange", function() {
       if (document.visibilityState === "hidden") onPageLeave();
+      else pollLive();
     });
 
     window.addEventListener("beforeunload", onPageLeave);